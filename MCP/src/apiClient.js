@@ -187,6 +187,7 @@ class ZeroVectorAPIClient {
       'PERSONA_NOT_FOUND': 'Check the persona ID is correct',
       'VALIDATION_ERROR': 'Check input parameters match the required schema',
       'API_KEY_NOT_FOUND': 'Verify the API key is active',
+      'PII_DETECTED': 'Remove the personal data from the content, or change the persona\'s redaction policy',
       401: 'Check ZERO_VECTOR_API_KEY environment variable',
       404: 'Verify the resource ID is correct',
       500: 'Check Zero-Vector server logs',
@@ -10,6 +10,13 @@ import { formatTimestamp } from '../utils/dateHelpers.js';
 
 const logger = createLogger('MemoryTools');
 
+/**
+ * Describe redaction counts, e.g. "2 email, 1 phone"
+ */
+const formatRedactions = (redactions) => Object.entries(redactions)
+  .map(([type, count]) => `${count} ${type}`)
+  .join(', ');
+
 /**
  * Add a memory to a persona
  */
@@ -89,12 +96,15 @@ export const addMemory = {
       let resultText = `✅ **Memory added successfully!**\n\n`;
       resultText += `🆔 **Memory ID:** ${memoryData.id}\n`;
       resultText += `👤 **Persona ID:** ${validParams.personaId}\n`;
-      resultText += `📝 **Content:** ${validParams.content.substring(0, 100)}${validParams.content.length > 100 ? '...' : ''}\n`;
+      resultText += `📝 **Content:** ${memoryData.content.substring(0, 100)}${memoryData.content.length > 100 ? '...' : ''}\n`;
       resultText += `🏷️ **Type:** ${validParams.type}\n`;
       resultText += `⭐ **Importance:** ${validParams.importance}\n`;
       if (validParams.context && Object.keys(validParams.context).length > 0) {
         resultText += `🔗 **Context:** ${Object.keys(validParams.context).length} fields\n`;
       }
+      if (memoryData.redactions && Object.keys(memoryData.redactions).length > 0) {
+        resultText += `🛡️ **Redacted:** ${formatRedactions(memoryData.redactions)}\n`;
+      }
       resultText += `📅 **Created:** ${formatTimestamp(memoryData.createdAt, 'iso')}`;
 
       return {
@@ -122,7 +132,7 @@ export const addMemory = {
  */
 export const searchPersonaMemories = {
   name: 'search_persona_memories',
-  description: 'Search through a persona\'s memories using semantic similarity',
+  description: 'Search through a persona\'s memories by semantic similarity, keywords (BM25) or both',
   inputSchema: {
     type: 'object',
     properties: {
@@ -150,6 +160,19 @@ export const searchPersonaMemories = {
         },
         description: 'Filter by memory types'
       },
+      mode: {
+        type: 'string',
+        enum: ['semantic', 'keyword', 'hybrid'],
+        description: 'Ranking: semantic similarity, keyword match (exact names, IDs, code identifiers) or hybrid fusion of both (default: semantic)'
+      },
+      mmr: {
+        type: 'boolean',
+        description: 'Diversify results with maximal marginal relevance to skip near-duplicate memories (default: false)'
+      },
+      mmrLambda: {
+        type: 'number',
+        description: 'MMR trade-off between relevance (1) and diversity (0) (0-1, default: 0.5)'
+      },
       include_context: {
         type: 'boolean',
         description: 'Include context information in results (default: false)'
@@ -217,6 +240,7 @@ export const searchPersonaMemories = {
       resultText += `🔍 **Query:** "${searchParams.query}"\n`;
       resultText += `⚡ **Search time:** ${query_time}ms\n`;
       resultText += `🎯 **Threshold:** ${searchParams.threshold}\n`;
+      resultText += `🧭 **Mode:** ${searchParams.mode}${searchParams.mmr ? ` + MMR (λ=${searchParams.mmrLambda})` : ''}\n`;
       if (avgSimilarity) {
         resultText += `📊 **Average similarity:** ${avgSimilarity.toFixed(3)}\n`;
       }
@@ -224,7 +248,12 @@ export const searchPersonaMemories = {
 
       memories.forEach((memory, index) => {
         resultText += `**${index + 1}. Memory ${memory.id}**\n`;
-        resultText += `• **Similarity:** ${memory.similarity.toFixed(4)}\n`;
+        if (typeof memory.similarity === 'number') {
+          resultText += `• **Similarity:** ${memory.similarity.toFixed(4)}\n`;
+        }
+        if (typeof memory.keywordScore === 'number') {
+          resultText += `• **Keyword score:** ${memory.keywordScore.toFixed(4)}\n`;
+        }
         resultText += `• **Type:** ${memory.metadata.memoryType}\n`;
         resultText += `• **Importance:** ${memory.metadata.importance}\n`;
         
@@ -379,8 +408,16 @@ export const addConversation = {
       resultText += `🤖 **Assistant Memory:** ${assistantMemory.id}\n\n`;
       
       resultText += `📝 **Exchange Preview:**\n`;
-      resultText += `**User:** ${conversationData.userMessage.substring(0, 100)}${conversationData.userMessage.length > 100 ? '...' : ''}\n`;
-      resultText += `**Assistant:** ${conversationData.assistantResponse.substring(0, 100)}${conversationData.assistantResponse.length > 100 ? '...' : ''}\n\n`;
+      resultText += `**User:** ${userMemory.content.substring(0, 100)}${userMemory.content.length > 100 ? '...' : ''}\n`;
+      resultText += `**Assistant:** ${assistantMemory.content.substring(0, 100)}${assistantMemory.content.length > 100 ? '...' : ''}\n\n`;
+
+      const redactions = { ...userMemory.redactions };
+      Object.entries(assistantMemory.redactions || {}).forEach(([type, count]) => {
+        redactions[type] = (redactions[type] || 0) + count;
+      });
+      if (Object.keys(redactions).length > 0) {
+        resultText += `🛡️ **Redacted:** ${formatRedactions(redactions)}\n\n`;
+      }
       
       resultText += `📅 **Created:** ${formatTimestamp(userMemory.createdAt, 'iso')}`;
 
@@ -62,6 +62,10 @@ export const createPersona = {
         type: 'integer',
         description: 'Memory decay time in milliseconds (minimum: 3600000 = 1 hour)',
         minimum: 3600000
+      },
+      organizationId: {
+        type: 'string',
+        description: 'Organization that owns the persona, shared with its members (optional; requires the editor or owner role)'
       }
     },
     required: ['name']
@@ -110,6 +114,9 @@ export const createPersona = {
       let resultText = `✅ **Persona "${personaData.name}" created successfully!**\n\n`;
       resultText += `🆔 **ID:** ${personaData.id}\n`;
       resultText += `📝 **Description:** ${personaData.description || 'None'}\n`;
+      if (personaData.organizationId) {
+        resultText += `👥 **Organization:** ${personaData.organizationId}\n`;
+      }
       resultText += `🎛️ **Settings:**\n`;
       resultText += `  • Temperature: ${personaData.temperature || validParams.temperature || 0.7}\n`;
       resultText += `  • Max Tokens: ${personaData.maxTokens || validParams.maxTokens || 2048}\n`;
@@ -226,6 +233,9 @@ export const listPersonas = {
           resultText += `• Description: ${persona.description}\n`;
         }
         resultText += `• Status: ${persona.isActive ? '🟢 Active' : '🔴 Inactive'}\n`;
+        if (persona.organizationId) {
+          resultText += `• Organization: ${persona.organizationId} (${persona.organizationRole})\n`;
+        }
         resultText += `• Created: ${formatTimestamp(persona.createdAt, 'date')}\n`;
         
         if (validParams.include_stats && persona.stats) {
@@ -222,6 +222,13 @@ export const getPersonaStats = {
           });
         }
         
+        if (stats.redactions && stats.redactions.total > 0) {
+          resultText += `\n🛡️ **Redacted Personal Data:** ${stats.redactions.total}\n`;
+          Object.entries(stats.redactions.byType).forEach(([type, count]) => {
+            resultText += `• ${type}: ${count}\n`;
+          });
+        }
+        
         if (stats.averageImportance !== undefined) {
           resultText += `\n⭐ **Quality:**\n`;
           resultText += `• Average Importance: ${stats.averageImportance.toFixed(3)}\n`;
@@ -21,7 +21,8 @@ export const personaSchemas = {
     embeddingProvider: joi.string().valid('openai', 'local').default('local'),
     embeddingModel: joi.string().max(100).optional(),
     maxMemorySize: joi.number().integer().min(1).max(10000).default(1000),
-    memoryDecayTime: joi.number().integer().min(3600000).default(604800000) // 1 hour to 7 days in ms
+    memoryDecayTime: joi.number().integer().min(3600000).default(604800000), // 1 hour to 7 days in ms
+    organizationId: joi.string().pattern(patterns.uuid).optional()
   }),
 
   listPersonas: joi.object({
@@ -70,6 +71,9 @@ export const memorySchemas = {
     memoryTypes: joi.array().items(
       joi.string().valid('conversation', 'fact', 'preference', 'context', 'system')
     ).optional(),
+    mode: joi.string().valid('semantic', 'keyword', 'hybrid').default('semantic'),
+    mmr: joi.boolean().default(false),
+    mmrLambda: joi.number().min(0).max(1).default(0.5),
     include_context: joi.boolean().default(false)
   }),
 
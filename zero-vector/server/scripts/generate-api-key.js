@@ -112,6 +112,50 @@ class ApiKeyGenerator {
     }
   }
 
+  /**
+   * Optionally restrict the key to some of the user's personas
+   */
+  async getPersonaScope(userId) {
+    const personas = await this.database.listPersonas(userId);
+    
+    if (personas.length === 0) {
+      return null;
+    }
+    
+    const restrict = await this.prompt('\nRestrict this key to specific personas? (y/N)', 'N');
+    if (restrict.toLowerCase() !== 'y' && restrict.toLowerCase() !== 'yes') {
+      return null;
+    }
+    
+    console.log('\n🤖 Personas:');
+    personas.forEach((persona, index) => {
+      console.log(`  ${index + 1}. ${persona.name} (${persona.id})`);
+    });
+    
+    const selection = await this.prompt('Select personas (comma-separated numbers)', '1');
+    const personaIds = selection.split(',')
+      .map(entry => personas[parseInt(entry.trim()) - 1])
+      .filter(Boolean)
+      .map(persona => persona.id);
+    
+    if (personaIds.length === 0) {
+      console.log('No valid personas selected, key will not be restricted.');
+      return null;
+    }
+    
+    const memoryTypesInput = await this.prompt(
+      'Allowed memory types (comma-separated, blank for all)', 
+      ''
+    );
+    const readOnly = await this.prompt('Read-only access? (y/N)', 'N');
+    
+    return {
+      personaIds,
+      memoryTypes: memoryTypesInput ? memoryTypesInput.split(',').map(type => type.trim()) : null,
+      readOnly: readOnly.toLowerCase() === 'y' || readOnly.toLowerCase() === 'yes'
+    };
+  }
+
   /**
    * Create a default admin user
    */
@@ -197,6 +241,9 @@ class ApiKeyGenerator {
           break;
       }
       
+      // Optional persona scope
+      const scope = await this.getPersonaScope(userId);
+      
       // Get rate limit
       const rateLimitInput = await this.prompt('Rate limit (requests per hour)', '1000');
       const rateLimit = parseInt(rateLimitInput) || 1000;
@@ -239,6 +286,11 @@ class ApiKeyGenerator {
       console.log('\n📋 API Key Summary:');
       console.log(`   Name: ${keyName}`);
       console.log(`   Permissions: ${permissions.join(', ')}`);
+      if (scope) {
+        console.log(`   Personas: ${scope.personaIds.join(', ')}`);
+        console.log(`   Memory Types: ${scope.memoryTypes ? scope.memoryTypes.join(', ') : 'all'}`);
+        console.log(`   Access: ${scope.readOnly ? 'read-only' : 'read/write'}`);
+      }
       console.log(`   Rate Limit: ${rateLimit} requests/hour`);
       console.log(`   Expires: ${expiresInDays} days from now`);
       
@@ -255,6 +307,7 @@ class ApiKeyGenerator {
       const apiKeyData = await this.apiKeyService.createApiKey(userId, {
         name: keyName,
         permissions: permissions,
+        scope: scope,
         rateLimit: rateLimit,
         expiresInDays: expiresInDays
       });
@@ -278,7 +331,12 @@ class ApiKeyGenerator {
         name: args.name || 'CLI Generated Key',
         permissions: args.permissions ? args.permissions.split(',').map(p => p.trim()) : ['read', 'write'],
         rateLimit: args.rateLimit || 1000,
-        expiresInDays: args.expiresInDays || 365
+        expiresInDays: args.expiresInDays || 365,
+        scope: args.personas ? {
+          personaIds: args.personas.split(',').map(id => id.trim()),
+          memoryTypes: args.memoryTypes ? args.memoryTypes.split(',').map(type => type.trim()) : null,
+          readOnly: args.readOnly === true
+        } : null
       };
       
       console.log('🔄 Generating API key with provided parameters...');
@@ -302,6 +360,11 @@ class ApiKeyGenerator {
     console.log(`🏷️  Name: ${apiKeyData.name}`);
     console.log(`🔑 API Key: ${apiKeyData.key}`);
     console.log(`🛡️  Permissions: ${apiKeyData.permissions.join(', ')}`);
+    if (apiKeyData.scope) {
+      console.log(`🤖 Personas: ${apiKeyData.scope.personaIds.join(', ')}`);
+      console.log(`🧠 Memory Types: ${apiKeyData.scope.memoryTypes ? apiKeyData.scope.memoryTypes.join(', ') : 'all'}`);
+      console.log(`🔒 Access: ${apiKeyData.scope.readOnly ? 'read-only' : 'read/write'}`);
+    }
     console.log(`⚡ Rate Limit: ${apiKeyData.rateLimit} requests/hour`);
     console.log(`⏰ Expires: ${new Date(apiKeyData.expiresAt).toLocaleString()}`);
     console.log('═'.repeat(80));
@@ -334,11 +397,15 @@ class ApiKeyGenerator {
     console.log('  --permissions <string>       Comma-separated permissions (e.g., "read,write")');
     console.log('  --rate-limit <number>        Rate limit per hour (default: 1000)');
     console.log('  --expires-in-days <number>   Expiration in days (default: 365)');
+    console.log('  --personas <ids>             Restrict the key to comma-separated persona IDs');
+    console.log('  --memory-types <types>       With --personas, allowed memory types (e.g., "fact,preference")');
+    console.log('  --read-only                  With --personas, forbid writes');
     console.log('  --help                       Show this help message\n');
     console.log('Examples:');
     console.log('  node generate-api-key.js');
     console.log('  node generate-api-key.js --name "MCP Key" --permissions "read,write"');
     console.log('  node generate-api-key.js --name "Production" --rate-limit 5000 --expires-in-days 180');
+    console.log('  node generate-api-key.js --name "Agent Key" --permissions "personas:read,personas:write" --personas <persona-id>');
   }
 
   /**
@@ -362,6 +429,12 @@ class ApiKeyGenerator {
         parsed.rateLimit = parseInt(args[++i]);
       } else if (arg === '--expires-in-days' && i + 1 < args.length) {
         parsed.expiresInDays = parseInt(args[++i]);
+      } else if (arg === '--personas' && i + 1 < args.length) {
+        parsed.personas = args[++i];
+      } else if (arg === '--memory-types' && i + 1 < args.length) {
+        parsed.memoryTypes = args[++i];
+      } else if (arg === '--read-only') {
+        parsed.readOnly = true;
       }
     }
     
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+const path = require('path');
+
+// Load environment and dependencies
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const DatabaseRepository = require('../src/repositories/database');
+const EncryptionService = require('../src/services/encryptionService');
+
+/**
+ * Encryption Key Rotation
+ * Re-wraps every user's data key with the current master key, so a retired
+ * master key can be removed from ENCRYPTION_PREVIOUS_MASTER_KEYS. Optionally
+ * encrypts memory content and system prompts stored before encryption was
+ * enabled.
+ */
+class EncryptionKeyRotation {
+  constructor() {
+    this.database = null;
+  }
+
+  /**
+   * Show usage help
+   */
+  showHelp() {
+    console.log('Zero-Vector Encryption Key Rotation\n');
+    console.log('Usage:');
+    console.log('  node rotate-encryption-keys.js [options]\n');
+    console.log('Options:');
+    console.log('  --generate-key       Print a new random master key and exit');
+    console.log('  --encrypt-existing   Also encrypt memory content and system prompts stored in plaintext');
+    console.log('  --help               Show this help message\n');
+    console.log('Rotating the master key:');
+    console.log('  1. Generate a new key:  node rotate-encryption-keys.js --generate-key');
+    console.log('  2. Set ENCRYPTION_MASTER_KEY to the new key and add the old one to ENCRYPTION_PREVIOUS_MASTER_KEYS');
+    console.log('  3. Run this script, then remove the old key from ENCRYPTION_PREVIOUS_MASTER_KEYS');
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  parseArgs() {
+    const args = process.argv.slice(2);
+
+    return {
+      help: args.includes('--help'),
+      generateKey: args.includes('--generate-key'),
+      encryptExisting: args.includes('--encrypt-existing')
+    };
+  }
+
+  /**
+   * Encrypt plaintext persona memory content and system prompts
+   */
+  encryptExisting() {
+    const { db, encryption } = this.database;
+    let memories = 0;
+    let personas = 0;
+
+    const memoryRows = db.prepare(`
+      SELECT id, user_id, custom_metadata FROM vector_metadata
+      WHERE json_extract(custom_metadata, '$.originalContent') IS NOT NULL
+        AND substr(json_extract(custom_metadata, '$.originalContent'), 1, 7) != ?
+    `).all(EncryptionService.PREFIX);
+
+    const personaRows = db.prepare(`
+      SELECT id, user_id, system_prompt FROM personas
+      WHERE system_prompt IS NOT NULL AND substr(system_prompt, 1, 7) != ?
+    `).all(EncryptionService.PREFIX);
+
+    const updateMemory = db.prepare('UPDATE vector_metadata SET custom_metadata = ? WHERE id = ?');
+    const updatePersona = db.prepare('UPDATE personas SET system_prompt = ? WHERE id = ?');
+
+    db.transaction(() => {
+      for (const row of memoryRows) {
+        if (!row.user_id) {
+          console.log(`⚠️  Memory ${row.id} has no owner, left unencrypted`);
+          continue;
+        }
+
+        const customMetadata = JSON.parse(row.custom_metadata);
+        updateMemory.run(JSON.stringify(this.database.sealCustomMetadata(row.id, row.user_id, customMetadata)), row.id);
+        memories++;
+      }
+
+      for (const row of personaRows) {
+        updatePersona.run(encryption.encrypt(row.user_id, row.system_prompt, `personas:${row.id}`), row.id);
+        personas++;
+      }
+    })();
+
+    // Freed pages may still hold the plaintext until the file is rewritten
+    db.exec('VACUUM');
+
+    return { memories, personas };
+  }
+
+  /**
+   * Main execution function
+   */
+  async run() {
+    const args = this.parseArgs();
+
+    if (args.help) {
+      this.showHelp();
+      return;
+    }
+
+    if (args.generateKey) {
+      console.log(EncryptionService.generateMasterKey());
+      return;
+    }
+
+    try {
+      this.database = new DatabaseRepository();
+      await this.database.initialize();
+
+      if (!this.database.encryption.enabled) {
+        throw new Error('ENCRYPTION_MASTER_KEY (or ENCRYPTION_MASTER_KEY_FILE) is not configured');
+      }
+
+      const result = this.database.encryption.rewrapDataKeys();
+      console.log(`🔑 Master key: ${result.masterKeyId}`);
+      console.log(`✅ Re-wrapped ${result.rewrapped} of ${result.total} data keys`);
+
+      if (args.encryptExisting) {
+        const encrypted = this.encryptExisting();
+        console.log(`✅ Encrypted ${encrypted.memories} memories and ${encrypted.personas} system prompts`);
+        console.log('\n⚠️  Delete the index snapshot and vector store WAL while the server is stopped;');
+        console.log('   they still hold plaintext content and are rebuilt from the database on start.');
+      }
+
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exitCode = 1;
+    } finally {
+      if (this.database) {
+        await this.database.close();
+      }
+    }
+  }
+}
+
+// Run the rotation if this script is executed directly
+if (require.main === module) {
+  const rotation = new EncryptionKeyRotation();
+  rotation.run().catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = EncryptionKeyRotation;
@@ -0,0 +1,75 @@
+/**
+ * Flat Index
+ * Exact nearest neighbor search by comparing the query against every vector.
+ * No build cost and perfect recall; search time grows linearly with the index.
+ */
+
+const VectorIndex = require('./VectorIndex');
+
+class FlatIndex extends VectorIndex {
+  constructor(options = {}) {
+    super('flat', options);
+
+    console.log(`Flat Index initialized: metric=${this.distanceFunction}`);
+  }
+
+  /**
+   * Insert a vector into the index
+   */
+  insert(vector, id, metadata = {}) {
+    const startTime = Date.now();
+
+    if (!this.nodes.has(id)) {
+      this.nodeCount++;
+    }
+
+    this.nodes.set(id, this.createNode(id, vector, 0, metadata));
+
+    this.stats.insertCount++;
+
+    return { success: true, level: 0, duration: Date.now() - startTime };
+  }
+
+  /**
+   * Search for k nearest neighbors by exhaustive comparison
+   */
+  search(queryVector, k = 10, ef = null, filter = null) {
+    const startTime = Date.now();
+
+    if (this.nodeCount === 0) {
+      return [];
+    }
+
+    try {
+      const candidates = [];
+      this.scorerQuery = null;
+      for (const id of this.nodes.keys()) {
+        if (filter && !filter(id)) continue;
+        candidates.push({ id, distance: this.distanceTo(queryVector, id) });
+      }
+
+      candidates.sort((a, b) => a.distance - b.distance);
+
+      const results = candidates.slice(0, k).map(candidate => this.formatResult(candidate.id, candidate.distance));
+
+      this.recordSearch(startTime);
+
+      return results;
+
+    } catch (error) {
+      throw new Error(`Flat search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a vector from the index
+   */
+  remove(nodeId) {
+    if (!this.nodes.delete(nodeId)) return false;
+
+    this.nodeCount--;
+    return true;
+  }
+}
+
+module.exports = FlatIndex;
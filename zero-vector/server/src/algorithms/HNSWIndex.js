@@ -4,10 +4,30 @@
  * Based on: "Efficient and robust approximate nearest neighbor search using Hierarchical Navigable Small World graphs"
  */
 
-const VectorSimilarity = require('../utils/vectorSimilarity');
+const VectorIndex = require('./VectorIndex');
 
-class HNSWIndex {
+/**
+ * Insert into an array kept sorted by `distance` (ascending, or descending when `descending`)
+ */
+function insertSorted(list, item, descending = false) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    const before = descending ? list[mid].distance >= item.distance : list[mid].distance <= item.distance;
+    if (before) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  list.splice(low, 0, item);
+}
+
+class HNSWIndex extends VectorIndex {
   constructor(options = {}) {
+    super('hnsw', options);
+
     // HNSW parameters
     this.M = options.M || 16;                    // Maximum connections per node
     this.maxM = this.M;                          // Maximum connections at layer 0
@@ -15,25 +35,10 @@ class HNSWIndex {
     this.ml = 1.0 / Math.log(2.0);             // Level generation factor
     this.efConstruction = options.efConstruction || 200;  // Size of dynamic candidate list
     this.efSearch = options.efSearch || 50;      // Size of search dynamic list
-    this.distanceFunction = options.distanceFunction || 'cosine';
     
     // Graph structure: Map<level, Map<nodeId, Set<connectedNodeIds>>>
     this.layers = new Map();
-    this.nodes = new Map();                      // Map<nodeId, {vector, level, metadata}>
     this.entryPoint = null;                      // Entry point for search
-    this.nodeCount = 0;
-    
-    // Performance utilities
-    this.similarity = new VectorSimilarity();
-    
-    // Statistics
-    this.stats = {
-      searchCount: 0,
-      insertCount: 0,
-      totalSearchTime: 0,
-      avgSearchTime: 0,
-      layerDistribution: new Map()
-    };
     
     console.log(`HNSW Index initialized: M=${this.M}, efConstruction=${this.efConstruction}, efSearch=${this.efSearch}`);
   }
@@ -49,15 +54,10 @@ class HNSWIndex {
       const level = this.generateLevel();
       
       // Create node
-      const node = {
-        id,
-        vector: new Float32Array(vector),
-        level,
-        metadata,
-        insertTime: Date.now()
-      };
+      const node = this.createNode(id, vector, level, metadata);
       
       this.nodes.set(id, node);
+      this.scorerQuery = null;
       
       // Initialize layers up to the node's level
       for (let lc = 0; lc <= level; lc++) {
@@ -130,8 +130,11 @@ class HNSWIndex {
 
   /**
    * Search for k nearest neighbors
+   * With `filter` (nodeId => boolean) only matching nodes are returned; the
+   * traversal still passes through non-matching nodes so selective filters keep
+   * the graph connected.
    */
-  search(queryVector, k = 10, ef = null) {
+  search(queryVector, k = 10, ef = null, filter = null) {
     const startTime = Date.now();
     
     if (this.entryPoint === null || this.nodeCount === 0) {
@@ -139,6 +142,7 @@ class HNSWIndex {
     }
     
     const searchEf = ef || Math.max(k, this.efSearch);
+    this.scorerQuery = null;
     
     try {
       // Start from entry point
@@ -149,27 +153,16 @@ class HNSWIndex {
         currentClosest = this.searchLayer(queryVector, currentClosest, 1, lc);
       }
       
-      // Search layer 0 with larger ef
-      const candidates = this.searchLayer(queryVector, currentClosest, searchEf, 0);
+      // Search layer 0 with larger ef, applying the filter
+      const candidates = this.searchLayer(queryVector, currentClosest, searchEf, 0, filter, k);
       
       // Return top k results
-      const results = candidates.slice(0, k).map(nodeId => {
-        const node = this.nodes.get(nodeId);
-        const similarity = this.calculateDistance(queryVector, node.vector);
-        
-        return {
-          id: nodeId,
-          similarity: this.distanceFunction === 'cosine' ? similarity : 1 / (1 + similarity),
-          metadata: node.metadata,
-          level: node.level
-        };
-      });
+      const results = candidates.slice(0, k).map(nodeId =>
+        this.formatResult(nodeId, this.distanceTo(queryVector, nodeId))
+      );
       
       // Update statistics
-      this.stats.searchCount++;
-      const duration = Date.now() - startTime;
-      this.stats.totalSearchTime += duration;
-      this.stats.avgSearchTime = this.stats.totalSearchTime / this.stats.searchCount;
+      this.recordSearch(startTime);
       
       return results;
       
@@ -180,30 +173,51 @@ class HNSWIndex {
 
   /**
    * Search within a specific layer
+   * With a filter, `dynamic` only collects matching nodes while every node close
+   * enough is still expanded. Filling ef matches would take about ef/selectivity
+   * visits, so ef is scaled by the selectivity observed so far (down to
+   * `minClosest`), keeping the traversal close to the cost of an unfiltered one.
    */
-  searchLayer(queryVector, entryPoints, numClosest, layer) {
+  searchLayer(queryVector, entryPoints, numClosest, layer, filter = null, minClosest = numClosest) {
     const visited = new Set();
-    const candidates = [];  // Min-heap based on distance
-    const dynamic = [];     // Max-heap for closest candidates
+    const candidates = [];  // Nodes to expand, closest first
+    const dynamic = [];     // Closest results so far, furthest first
+    let capacity = numClosest;
+    let matched = 0;
+    
+    const consider = (nodeId, distance) => {
+      const accepted = !filter || filter(nodeId);
+      
+      if (filter) {
+        if (accepted) matched++;
+        capacity = this.adaptiveEf(numClosest, minClosest, matched, visited.size);
+      }
+      
+      if (dynamic.length < capacity || distance < dynamic[0].distance) {
+        insertSorted(candidates, { id: nodeId, distance });
+        
+        if (accepted) {
+          insertSorted(dynamic, { id: nodeId, distance }, true);
+          
+          // Keep only `capacity` in dynamic
+          while (dynamic.length > capacity) {
+            dynamic.shift();
+          }
+        }
+      }
+    };
     
     // Initialize with entry points
     for (const nodeId of entryPoints) {
-      const distance = this.calculateDistance(queryVector, this.nodes.get(nodeId).vector);
-      
-      candidates.push({ id: nodeId, distance });
-      dynamic.push({ id: nodeId, distance });
       visited.add(nodeId);
+      consider(nodeId, this.distanceTo(queryVector, nodeId));
     }
     
-    // Sort initial candidates
-    candidates.sort((a, b) => a.distance - b.distance);
-    dynamic.sort((a, b) => b.distance - a.distance);
-    
     while (candidates.length > 0) {
       const current = candidates.shift();
       
       // If current is further than worst in dynamic, stop
-      if (dynamic.length >= numClosest && current.distance > dynamic[0].distance) {
+      if (dynamic.length >= capacity && current.distance > dynamic[0].distance) {
         break;
       }
       
@@ -213,30 +227,37 @@ class HNSWIndex {
       for (const neighborId of connections) {
         if (!visited.has(neighborId)) {
           visited.add(neighborId);
-          
-          const distance = this.calculateDistance(queryVector, this.nodes.get(neighborId).vector);
-          
-          if (dynamic.length < numClosest || distance < dynamic[0].distance) {
-            candidates.push({ id: neighborId, distance });
-            dynamic.push({ id: neighborId, distance });
-            
-            // Maintain heap properties
-            candidates.sort((a, b) => a.distance - b.distance);
-            dynamic.sort((a, b) => b.distance - a.distance);
-            
-            // Keep only numClosest in dynamic
-            if (dynamic.length > numClosest) {
-              dynamic.shift();
-            }
-          }
+          consider(neighborId, this.distanceTo(queryVector, neighborId));
         }
       }
     }
     
+    if (filter) {
+      this.recordFilteredSearch(matched, visited.size);
+    }
+    
     // Return node IDs sorted by distance (closest first)
     return dynamic.reverse().map(item => item.id);
   }
 
+  /**
+   * Scale ef by the observed share of matching nodes (never below k)
+   */
+  adaptiveEf(ef, k, matched, visited) {
+    const selectivity = (matched + 1) / (visited + 1);
+    return Math.max(k, Math.ceil(ef * selectivity));
+  }
+
+  /**
+   * Track how selective filtered searches are
+   */
+  recordFilteredSearch(matched, visited) {
+    this.stats.filteredSearches++;
+    this.stats.nodesVisitedFiltered += visited;
+    this.stats.avgFilterSelectivity = this.stats.avgFilterSelectivity +
+      ((visited > 0 ? matched / visited : 0) - this.stats.avgFilterSelectivity) / this.stats.filteredSearches;
+  }
+
   /**
    * Select neighbors using simple heuristic
    */
@@ -244,7 +265,7 @@ class HNSWIndex {
     // Sort candidates by distance
     const candidateDistances = candidates.map(nodeId => ({
       id: nodeId,
-      distance: this.calculateDistance(queryVector, this.nodes.get(nodeId).vector)
+      distance: this.distanceTo(queryVector, nodeId)
     }));
     
     candidateDistances.sort((a, b) => a.distance - b.distance);
@@ -282,12 +303,12 @@ class HNSWIndex {
     if (connections.size <= maxConnections) return;
     
     // Get node vector for distance calculations
-    const nodeVector = this.nodes.get(nodeId).vector;
+    const nodeVector = this.getNodeVector(this.nodes.get(nodeId));
     
     // Calculate distances to all connected nodes
     const connectionDistances = Array.from(connections).map(connectedId => ({
       id: connectedId,
-      distance: this.calculateDistance(nodeVector, this.nodes.get(connectedId).vector)
+      distance: this.calculateDistance(nodeVector, this.getNodeVector(this.nodes.get(connectedId)))
     }));
     
     // Sort by distance and keep only the closest maxConnections
@@ -319,22 +340,6 @@ class HNSWIndex {
     return level;
   }
 
-  /**
-   * Calculate distance between vectors
-   */
-  calculateDistance(vectorA, vectorB) {
-    switch (this.distanceFunction) {
-      case 'cosine':
-        return 1 - this.similarity.cosineSimilarity(vectorA, vectorB);
-      case 'euclidean':
-        return this.similarity.euclideanDistance(vectorA, vectorB);
-      case 'dot':
-        return -this.similarity.dotProduct(vectorA, vectorB);
-      default:
-        return 1 - this.similarity.cosineSimilarity(vectorA, vectorB);
-    }
-  }
-
   /**
    * Remove a node from the index
    */
@@ -396,23 +401,117 @@ class HNSWIndex {
       layerCounts[level] = count;
     }
     
+    const stats = super.getStats();
+    
     return {
-      nodeCount: this.nodeCount,
+      ...stats,
       layerCount: this.layers.size,
       entryPointLevel: this.entryPoint?.level || 0,
       parameters: {
-        M: this.M,
+        ...stats.parameters,
         maxM0: this.maxM0,
-        efConstruction: this.efConstruction,
-        efSearch: this.efSearch,
-        distanceFunction: this.distanceFunction
+        efSearch: this.efSearch
       },
-      performance: {
-        searchCount: this.stats.searchCount,
-        insertCount: this.stats.insertCount,
-        avgSearchTime: this.stats.avgSearchTime
-      },
-      layerDistribution: layerCounts
+      layerDistribution: layerCounts,
+      filtering: {
+        filteredSearches: this.stats.filteredSearches,
+        avgNodesVisited: this.stats.filteredSearches > 0
+          ? this.stats.nodesVisitedFiltered / this.stats.filteredSearches
+          : 0,
+        avgSelectivity: this.stats.avgFilterSelectivity
+      }
+    };
+  }
+
+  /**
+   * Build parameters that shape the graph
+   */
+  getParameters() {
+    return {
+      M: this.M,
+      efConstruction: this.efConstruction
+    };
+  }
+
+  /**
+   * Graph entry point and layer count for the snapshot header
+   */
+  getState() {
+    return {
+      entryPoint: this.entryPoint,
+      layerCount: this.layers.size
+    };
+  }
+
+  /**
+   * Per-layer adjacency lists referencing nodes by snapshot position
+   */
+  serializeStructure(nodeIndex) {
+    const chunks = [];
+
+    for (const [level, layerGraph] of this.layers) {
+      const layerHeader = Buffer.alloc(5);
+      layerHeader.writeUInt8(level, 0);
+      layerHeader.writeUInt32LE(layerGraph.size, 1);
+      chunks.push(layerHeader);
+
+      for (const [id, connections] of layerGraph) {
+        const neighbors = Array.from(connections).filter(neighborId => nodeIndex.has(neighborId));
+        const entry = Buffer.alloc(6 + neighbors.length * 4);
+        entry.writeUInt32LE(nodeIndex.get(id), 0);
+        entry.writeUInt16LE(neighbors.length, 4);
+        neighbors.forEach((neighborId, i) => entry.writeUInt32LE(nodeIndex.get(neighborId), 6 + i * 4));
+        chunks.push(entry);
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Restore layers and entry point from a snapshot
+   */
+  deserializeStructure({ header, body, offset, nodeIds }) {
+    for (let l = 0; l < header.state.layerCount; l++) {
+      const level = body.readUInt8(offset);
+      const layerSize = body.readUInt32LE(offset + 1);
+      offset += 5;
+
+      const layerGraph = new Map();
+      for (let n = 0; n < layerSize; n++) {
+        const id = nodeIds[body.readUInt32LE(offset)];
+        const degree = body.readUInt16LE(offset + 4);
+        offset += 6;
+
+        const connections = new Set();
+        for (let d = 0; d < degree; d++) {
+          connections.add(nodeIds[body.readUInt32LE(offset)]);
+          offset += 4;
+        }
+        layerGraph.set(id, connections);
+      }
+      this.layers.set(level, layerGraph);
+    }
+
+    this.entryPoint = header.state.entryPoint;
+
+    for (const node of this.nodes.values()) {
+      this.stats.layerDistribution.set(node.level, (this.stats.layerDistribution.get(node.level) || 0) + 1);
+    }
+
+    return offset;
+  }
+
+  /**
+   * Fresh statistics object
+   */
+  createStats() {
+    return {
+      ...super.createStats(),
+      layerDistribution: new Map(),
+      filteredSearches: 0,
+      nodesVisitedFiltered: 0,
+      avgFilterSelectivity: 0
     };
   }
 
@@ -420,17 +519,9 @@ class HNSWIndex {
    * Clear the entire index
    */
   clear() {
+    super.clear();
     this.layers.clear();
-    this.nodes.clear();
     this.entryPoint = null;
-    this.nodeCount = 0;
-    this.stats = {
-      searchCount: 0,
-      insertCount: 0,
-      totalSearchTime: 0,
-      avgSearchTime: 0,
-      layerDistribution: new Map()
-    };
   }
 }
 
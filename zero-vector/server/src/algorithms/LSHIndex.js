@@ -0,0 +1,363 @@
+/**
+ * Locality-Sensitive Hashing (LSH) Index
+ * Approximate nearest neighbor search using random-hyperplane (SimHash) signatures.
+ * Each table hashes a vector to `numBits` sign bits; vectors sharing a bucket in any
+ * table become candidates, which are then ranked exactly with the configured metric.
+ * When the exact buckets yield too few candidates, neighboring buckets are probed by
+ * flipping the least confident bits first (multi-probe LSH).
+ */
+
+const VectorIndex = require('./VectorIndex');
+
+const MAX_BITS = 30; // Bucket keys are stored as unsigned 32-bit integers
+
+class LSHIndex extends VectorIndex {
+  constructor(options = {}) {
+    super('lsh', options);
+
+    // LSH parameters
+    this.numTables = options.numTables || 8;          // Independent hash tables
+    this.numBits = Math.min(options.numBits || 12, MAX_BITS); // Hyperplanes per table
+    this.minCandidates = options.minCandidates || 100; // Candidates to gather before ranking
+
+    // Hyperplanes are drawn once the dimensionality is known (first insert)
+    this.dimensions = options.dimensions || null;
+    this.hyperplanes = null;                          // Float32Array[numTables * numBits * dimensions]
+
+    // Buckets: Array<Map<bucketKey, Set<nodeId>>>, one map per table
+    this.tables = this.createTables();
+
+    console.log(`LSH Index initialized: tables=${this.numTables}, bits=${this.numBits}`);
+  }
+
+  /**
+   * Insert a vector into the index
+   */
+  insert(vector, id, metadata = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (this.nodes.has(id)) {
+        this.remove(id);
+      }
+
+      this.ensureHyperplanes(vector.length);
+
+      const node = this.createNode(id, vector, 0, metadata);
+
+      this.nodes.set(id, node);
+      this.addToBuckets(node, vector);
+
+      this.nodeCount++;
+      this.stats.insertCount++;
+
+      return { success: true, level: 0, duration: Date.now() - startTime };
+
+    } catch (error) {
+      throw new Error(`Failed to insert vector ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search for k nearest neighbors
+   * `ef` raises the number of candidates gathered before exact ranking; with a
+   * `filter`, only matching nodes count as candidates so probing goes on until
+   * enough of them are found
+   */
+  search(queryVector, k = 10, ef = null, filter = null) {
+    const startTime = Date.now();
+
+    if (this.nodeCount === 0 || !this.hyperplanes) {
+      return [];
+    }
+
+    const targetCandidates = Math.max(ef || 0, k * 4, this.minCandidates);
+    this.scorerQuery = null;
+
+    try {
+      const projections = this.project(queryVector);
+      const candidates = new Set();
+      const probeOrders = [];
+
+      // Exact buckets first
+      for (let t = 0; t < this.numTables; t++) {
+        const key = this.bucketKey(projections, t);
+        this.collectBucket(t, key, candidates, filter);
+
+        // Bits closest to their hyperplane are the most likely to differ for near neighbors
+        probeOrders.push({
+          key,
+          bits: Array.from({ length: this.numBits }, (_, b) => b)
+            .sort((a, b) => Math.abs(projections[t * this.numBits + a]) - Math.abs(projections[t * this.numBits + b]))
+        });
+      }
+
+      // Multi-probe: flip one bit at a time, least confident first
+      for (let round = 0; round < this.numBits && candidates.size < targetCandidates; round++) {
+        for (let t = 0; t < this.numTables; t++) {
+          const { key, bits } = probeOrders[t];
+          this.collectBucket(t, (key ^ (1 << bits[round])) >>> 0, candidates, filter);
+        }
+      }
+
+      const ranked = Array.from(candidates, id => ({
+        id,
+        distance: this.distanceTo(queryVector, id)
+      }));
+      ranked.sort((a, b) => a.distance - b.distance);
+
+      const results = ranked.slice(0, k).map(candidate => this.formatResult(candidate.id, candidate.distance));
+
+      this.stats.candidatesExamined += ranked.length;
+      this.recordSearch(startTime);
+
+      return results;
+
+    } catch (error) {
+      throw new Error(`LSH search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a vector from the index
+   */
+  remove(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return false;
+
+    for (let t = 0; t < this.numTables; t++) {
+      const key = node.bucketKeys[t];
+      const bucket = this.tables[t].get(key);
+      if (bucket) {
+        bucket.delete(nodeId);
+        if (bucket.size === 0) {
+          this.tables[t].delete(key);
+        }
+      }
+    }
+
+    this.nodes.delete(nodeId);
+    this.nodeCount--;
+
+    return true;
+  }
+
+  /**
+   * Draw random Gaussian hyperplanes for the given dimensionality
+   */
+  ensureHyperplanes(dimensions) {
+    if (this.hyperplanes) {
+      if (dimensions !== this.dimensions) {
+        throw new Error(`Vector has ${dimensions} dimensions, index expects ${this.dimensions}`);
+      }
+      return;
+    }
+
+    this.dimensions = dimensions;
+    this.hyperplanes = new Float32Array(this.numTables * this.numBits * dimensions);
+
+    for (let i = 0; i < this.hyperplanes.length; i++) {
+      // Box-Muller transform
+      const u = 1 - Math.random();
+      const v = Math.random();
+      this.hyperplanes[i] = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+  }
+
+  /**
+   * Project a vector onto every hyperplane
+   */
+  project(vector) {
+    const planeCount = this.numTables * this.numBits;
+    const projections = new Float32Array(planeCount);
+
+    for (let p = 0; p < planeCount; p++) {
+      const offset = p * this.dimensions;
+      let sum = 0;
+      for (let d = 0; d < this.dimensions; d++) {
+        sum += this.hyperplanes[offset + d] * vector[d];
+      }
+      projections[p] = sum;
+    }
+
+    return projections;
+  }
+
+  /**
+   * Signature of a vector in one table
+   */
+  bucketKey(projections, table) {
+    let key = 0;
+    const offset = table * this.numBits;
+
+    for (let b = 0; b < this.numBits; b++) {
+      if (projections[offset + b] >= 0) {
+        key |= 1 << b;
+      }
+    }
+
+    return key >>> 0;
+  }
+
+  /**
+   * Add a node to its bucket in every table
+   * Keys are kept on the node so removal works even when only a compressed code is stored
+   */
+  addToBuckets(node, vector) {
+    const projections = this.project(vector);
+    node.bucketKeys = new Uint32Array(this.numTables);
+
+    for (let t = 0; t < this.numTables; t++) {
+      const key = this.bucketKey(projections, t);
+      if (!this.tables[t].has(key)) {
+        this.tables[t].set(key, new Set());
+      }
+      this.tables[t].get(key).add(node.id);
+      node.bucketKeys[t] = key;
+    }
+  }
+
+  /**
+   * Add the members of a bucket (that pass the filter) to the candidate set
+   */
+  collectBucket(table, key, candidates, filter = null) {
+    const bucket = this.tables[table].get(key);
+    if (bucket) {
+      for (const id of bucket) {
+        if (!candidates.has(id) && (!filter || filter(id))) {
+          candidates.add(id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Empty bucket maps
+   */
+  createTables() {
+    return Array.from({ length: this.numTables }, () => new Map());
+  }
+
+  /**
+   * Get index statistics
+   */
+  getStats() {
+    const stats = super.getStats();
+    const bucketCounts = this.tables.map(table => table.size);
+
+    return {
+      ...stats,
+      dimensions: this.dimensions,
+      parameters: {
+        ...stats.parameters,
+        minCandidates: this.minCandidates
+      },
+      buckets: {
+        total: bucketCounts.reduce((sum, count) => sum + count, 0),
+        avgPerTable: bucketCounts.length > 0
+          ? bucketCounts.reduce((sum, count) => sum + count, 0) / bucketCounts.length
+          : 0
+      },
+      performance: {
+        ...stats.performance,
+        avgCandidatesExamined: this.stats.searchCount > 0
+          ? this.stats.candidatesExamined / this.stats.searchCount
+          : 0
+      }
+    };
+  }
+
+  /**
+   * Build parameters that shape the hash tables
+   */
+  getParameters() {
+    return {
+      numTables: this.numTables,
+      numBits: this.numBits
+    };
+  }
+
+  /**
+   * Hyperplane dimensionality for the snapshot header
+   */
+  getState() {
+    return {
+      dimensions: this.hyperplanes ? this.dimensions : 0
+    };
+  }
+
+  /**
+   * Hyperplanes are persisted so restored buckets keep matching new queries,
+   * followed by every node's bucket keys (compressed nodes can't be rehashed exactly)
+   */
+  serializeStructure(nodeIndex) {
+    if (!this.hyperplanes) {
+      return [];
+    }
+
+    const keys = new Uint32Array(nodeIndex.size * this.numTables);
+    for (const [id, index] of nodeIndex) {
+      keys.set(this.nodes.get(id).bucketKeys, index * this.numTables);
+    }
+
+    return [
+      Buffer.from(this.hyperplanes.buffer, this.hyperplanes.byteOffset, this.hyperplanes.byteLength),
+      Buffer.from(keys.buffer)
+    ];
+  }
+
+  /**
+   * Restore hyperplanes and buckets
+   */
+  deserializeStructure({ header, body, offset, nodeIds }) {
+    const dimensions = header.state.dimensions;
+    if (!dimensions) {
+      return offset;
+    }
+
+    const planeBytes = this.numTables * this.numBits * dimensions * 4;
+    this.dimensions = dimensions;
+    this.hyperplanes = new Float32Array(body.buffer.slice(body.byteOffset + offset, body.byteOffset + offset + planeBytes));
+    offset += planeBytes;
+
+    const keyBytes = nodeIds.length * this.numTables * 4;
+    const keys = new Uint32Array(body.buffer.slice(body.byteOffset + offset, body.byteOffset + offset + keyBytes));
+    offset += keyBytes;
+
+    nodeIds.forEach((id, index) => {
+      const node = this.nodes.get(id);
+      node.bucketKeys = keys.slice(index * this.numTables, (index + 1) * this.numTables);
+
+      for (let t = 0; t < this.numTables; t++) {
+        const key = node.bucketKeys[t];
+        if (!this.tables[t].has(key)) {
+          this.tables[t].set(key, new Set());
+        }
+        this.tables[t].get(key).add(id);
+      }
+    });
+
+    return offset;
+  }
+
+  /**
+   * Fresh statistics object
+   */
+  createStats() {
+    return {
+      ...super.createStats(),
+      candidatesExamined: 0
+    };
+  }
+
+  /**
+   * Clear the entire index
+   */
+  clear() {
+    super.clear();
+    this.tables = this.createTables();
+    this.hyperplanes = null;
+  }
+}
+
+module.exports = LSHIndex;
@@ -0,0 +1,134 @@
+/**
+ * Scalar (int8) Quantizer
+ * Maps every dimension onto 256 levels between the minimum and maximum seen in the
+ * training sample, storing one byte per dimension (4x smaller than float32).
+ * Values outside the trained range are clamped.
+ */
+
+const VectorQuantizer = require('./VectorQuantizer');
+
+const LEVELS = 255;
+
+class ScalarQuantizer extends VectorQuantizer {
+  constructor(dimensions, options = {}) {
+    super('int8', dimensions, options);
+
+    this.codeSize = dimensions;
+    this.min = new Float32Array(dimensions);
+    this.scale = new Float32Array(dimensions);
+  }
+
+  /**
+   * Learn the per-dimension value range
+   */
+  train(vectors) {
+    if (vectors.length === 0) {
+      throw new Error('Cannot train quantizer without sample vectors');
+    }
+
+    const max = new Float32Array(this.dimensions).fill(-Infinity);
+    this.min.fill(Infinity);
+
+    for (const vector of vectors) {
+      for (let i = 0; i < this.dimensions; i++) {
+        if (vector[i] < this.min[i]) this.min[i] = vector[i];
+        if (vector[i] > max[i]) max[i] = vector[i];
+      }
+    }
+
+    for (let i = 0; i < this.dimensions; i++) {
+      this.scale[i] = (max[i] - this.min[i]) / LEVELS;
+    }
+
+    this.trained = true;
+    this.trainedAt = Date.now();
+  }
+
+  /**
+   * Compress a vector to one byte per dimension
+   */
+  encode(vector) {
+    const code = new Uint8Array(this.codeSize);
+
+    for (let i = 0; i < this.dimensions; i++) {
+      if (this.scale[i] === 0) continue;
+
+      const level = Math.round((vector[i] - this.min[i]) / this.scale[i]);
+      code[i] = level < 0 ? 0 : level > LEVELS ? LEVELS : level;
+    }
+
+    return code;
+  }
+
+  /**
+   * Approximate the original vector
+   */
+  decode(code) {
+    const vector = new Float32Array(this.dimensions);
+
+    for (let i = 0; i < this.dimensions; i++) {
+      vector[i] = this.min[i] + this.scale[i] * code[i];
+    }
+
+    return vector;
+  }
+
+  /**
+   * Score codes against a full-precision query, reconstructing values on the fly
+   */
+  createDistance(query, distanceFunction = 'cosine') {
+    const { min, scale, dimensions } = this;
+
+    let queryNormSquared = 0;
+    for (let i = 0; i < dimensions; i++) {
+      queryNormSquared += query[i] * query[i];
+    }
+    const queryNorm = Math.sqrt(queryNormSquared);
+
+    if (distanceFunction === 'euclidean') {
+      return code => {
+        let squaredDistance = 0;
+        for (let i = 0; i < dimensions; i++) {
+          const diff = query[i] - (min[i] + scale[i] * code[i]);
+          squaredDistance += diff * diff;
+        }
+        return this.finishDistance(distanceFunction, 0, queryNorm, 0, squaredDistance);
+      };
+    }
+
+    return code => {
+      let dot = 0;
+      let codeNormSquared = 0;
+      for (let i = 0; i < dimensions; i++) {
+        const value = min[i] + scale[i] * code[i];
+        dot += query[i] * value;
+        codeNormSquared += value * value;
+      }
+      return this.finishDistance(distanceFunction, dot, queryNorm, codeNormSquared, 0);
+    };
+  }
+
+  /**
+   * Trained ranges: [min..., scale...]
+   */
+  getState() {
+    const state = new Float32Array(this.dimensions * 2);
+    state.set(this.min, 0);
+    state.set(this.scale, this.dimensions);
+    return state;
+  }
+
+  /**
+   * Restore trained ranges
+   */
+  setState(state) {
+    if (state.length !== this.dimensions * 2) {
+      throw new Error(`Scalar quantizer state has ${state.length} values, expected ${this.dimensions * 2}`);
+    }
+
+    this.min = state.slice(0, this.dimensions);
+    this.scale = state.slice(this.dimensions);
+  }
+}
+
+module.exports = ScalarQuantizer;
@@ -0,0 +1,414 @@
+/**
+ * Vector Index Base Class
+ * Common interface for the approximate/exact nearest neighbor indexes that
+ * IndexedVectorStore delegates to (HNSW, LSH, flat).
+ *
+ * Implementations keep their nodes in `this.nodes` (Map<id, {id, vector, level,
+ * metadata, insertTime}>) and implement insert(), search(), remove() and,
+ * when they have structure worth persisting, the serializeStructure()/
+ * deserializeStructure() pair used by snapshots.
+ *
+ * With a trained quantizer, nodes hold a compressed `code` instead of `vector`;
+ * implementations should create nodes with createNode() and compare against
+ * them with distanceTo() so both representations work.
+ */
+
+const VectorSimilarity = require('../utils/vectorSimilarity');
+const { createQuantizer } = require('./createQuantizer');
+const {
+  encodeSnapshot,
+  decodeSnapshot,
+  writeSnapshotFile,
+  readSnapshotFile
+} = require('./indexSnapshot');
+
+class VectorIndex {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.distanceFunction = options.distanceFunction || 'cosine';
+
+    this.nodes = new Map();
+    this.nodeCount = 0;
+
+    // Optional vector compression, shared with the owning store
+    this.quantizer = options.quantizer || null;
+    this.scorerQuery = null;
+    this.scorer = null;
+
+    // Performance utilities
+    this.similarity = new VectorSimilarity();
+
+    // Statistics
+    this.stats = this.createStats();
+  }
+
+  /**
+   * Insert a vector into the index
+   */
+  insert(vector, id, metadata = {}) {
+    throw new Error(`${this.constructor.name} must implement insert()`);
+  }
+
+  /**
+   * Search for k nearest neighbors
+   * Returns [{ id, similarity, metadata }] ordered by decreasing similarity.
+   * An optional `filter` (nodeId => boolean) restricts results to matching nodes.
+   */
+  search(queryVector, k = 10, ef = null, filter = null) {
+    throw new Error(`${this.constructor.name} must implement search()`);
+  }
+
+  /**
+   * Remove a vector from the index
+   */
+  remove(nodeId) {
+    throw new Error(`${this.constructor.name} must implement remove()`);
+  }
+
+  /**
+   * Check whether a node is in the index
+   */
+  has(nodeId) {
+    return this.nodes.has(nodeId);
+  }
+
+  /**
+   * Merge fields into a node's metadata
+   */
+  updateMetadata(nodeId, changes) {
+    const node = this.nodes.get(nodeId);
+    if (!node) {
+      return false;
+    }
+
+    node.metadata = { ...node.metadata, ...changes };
+    return true;
+  }
+
+  /**
+   * Build parameters; a snapshot is only reused when these match
+   */
+  getParameters() {
+    return {};
+  }
+
+  /**
+   * Small structural state stored in the snapshot header
+   */
+  getState() {
+    return {};
+  }
+
+  /**
+   * Binary chunks describing the index structure (nodes are written separately)
+   */
+  serializeStructure(nodeIndex) {
+    return [];
+  }
+
+  /**
+   * Restore the index structure from a decoded snapshot
+   * Must consume the structure section and return the offset after it
+   */
+  deserializeStructure(decoded) {
+    return decoded.offset;
+  }
+
+  /**
+   * Calculate distance between vectors (smaller is closer)
+   */
+  calculateDistance(vectorA, vectorB) {
+    switch (this.distanceFunction) {
+      case 'cosine':
+        return 1 - this.similarity.cosineSimilarity(vectorA, vectorB);
+      case 'euclidean':
+        return this.similarity.euclideanDistance(vectorA, vectorB);
+      case 'dot':
+        return -this.similarity.dotProduct(vectorA, vectorB);
+      default:
+        return 1 - this.similarity.cosineSimilarity(vectorA, vectorB);
+    }
+  }
+
+  /**
+   * Distance from a full-precision query to a stored node
+   * Compressed nodes are scored with a quantizer scorer cached for the current query
+   */
+  distanceTo(query, nodeId) {
+    const node = this.nodes.get(nodeId);
+
+    if (!node.code) {
+      return this.calculateDistance(query, node.vector);
+    }
+
+    if (this.scorerQuery !== query) {
+      this.scorer = this.quantizer.createDistance(query, this.distanceFunction);
+      this.scorerQuery = query;
+    }
+
+    return this.scorer(node.code);
+  }
+
+  /**
+   * Create a node, compressing the vector when the quantizer is trained
+   */
+  createNode(id, vector, level, metadata) {
+    const node = { id, level, metadata, insertTime: Date.now() };
+
+    if (this.quantizer?.trained) {
+      node.code = this.quantizer.encode(vector);
+    } else {
+      node.vector = new Float32Array(vector);
+    }
+
+    return node;
+  }
+
+  /**
+   * Full-precision (or reconstructed) vector of a node
+   */
+  getNodeVector(node) {
+    return node.code ? this.quantizer.decode(node.code) : node.vector;
+  }
+
+  /**
+   * Compress nodes inserted before the quantizer was trained
+   */
+  compressNodes() {
+    if (!this.quantizer?.trained) {
+      return 0;
+    }
+
+    let compressed = 0;
+    for (const node of this.nodes.values()) {
+      if (!node.code) {
+        node.code = this.quantizer.encode(node.vector);
+        delete node.vector;
+        compressed++;
+      }
+    }
+
+    this.scorerQuery = null;
+    return compressed;
+  }
+
+  /**
+   * Convert a distance back to the similarity scale used by linear search
+   */
+  distanceToSimilarity(distance) {
+    switch (this.distanceFunction) {
+      case 'euclidean':
+        return 1 / (1 + distance);
+      case 'dot':
+        return -distance;
+      default:
+        return 1 - distance;
+    }
+  }
+
+  /**
+   * Build a search result for a node
+   */
+  formatResult(nodeId, distance) {
+    const node = this.nodes.get(nodeId);
+
+    return {
+      id: nodeId,
+      similarity: this.distanceToSimilarity(distance),
+      metadata: node.metadata,
+      level: node.level
+    };
+  }
+
+  /**
+   * Record search timing
+   */
+  recordSearch(startTime) {
+    this.stats.searchCount++;
+    this.stats.totalSearchTime += Date.now() - startTime;
+    this.stats.avgSearchTime = this.stats.totalSearchTime / this.stats.searchCount;
+  }
+
+  /**
+   * Get index statistics
+   */
+  getStats() {
+    return {
+      type: this.type,
+      nodeCount: this.nodeCount,
+      quantized: Boolean(this.quantizer?.trained),
+      parameters: {
+        ...this.getParameters(),
+        distanceFunction: this.distanceFunction
+      },
+      performance: {
+        searchCount: this.stats.searchCount,
+        insertCount: this.stats.insertCount,
+        avgSearchTime: this.stats.avgSearchTime
+      }
+    };
+  }
+
+  /**
+   * Fresh statistics object
+   */
+  createStats() {
+    return {
+      searchCount: 0,
+      insertCount: 0,
+      totalSearchTime: 0,
+      avgSearchTime: 0
+    };
+  }
+
+  /**
+   * Clear the entire index
+   */
+  clear() {
+    this.nodes.clear();
+    this.nodeCount = 0;
+    this.scorerQuery = null;
+    this.stats = this.createStats();
+  }
+
+  /**
+   * Serialize the index to a snapshot buffer
+   * `extra` is stored verbatim in the header for the owner of the index
+   */
+  serialize(extra = {}) {
+    const quantized = Boolean(this.quantizer?.trained);
+    if (quantized) {
+      this.compressNodes();
+    }
+
+    const nodeIndex = new Map(Array.from(this.nodes.keys()).map((id, index) => [id, index]));
+    const firstNode = this.nodes.values().next().value;
+
+    const header = {
+      indexType: this.type,
+      distanceFunction: this.distanceFunction,
+      parameters: this.getParameters(),
+      state: this.getState(),
+      dimensions: quantized ? this.quantizer.dimensions : firstNode ? firstNode.vector.length : 0,
+      nodeCount: this.nodes.size,
+      quantization: quantized
+        ? { type: this.quantizer.type, codeSize: this.quantizer.codeSize, parameters: this.quantizer.getParameters() }
+        : null,
+      createdAt: Date.now(),
+      extra
+    };
+
+    return encodeSnapshot(
+      header,
+      this.nodes,
+      this.serializeStructure(nodeIndex),
+      quantized ? this.quantizer.serialize() : null
+    );
+  }
+
+  /**
+   * Replace the index with the contents of a snapshot buffer
+   * Snapshots written by another index type or with different build parameters
+   * are not discarded: the structure is rebuilt from the stored vectors instead.
+   * Quantized snapshots are reused as-is when the quantizer configuration matches,
+   * otherwise their codes are decoded and the index is rebuilt from the approximations.
+   */
+  deserialize(buffer, expectedDimensions = null) {
+    const decoded = decodeSnapshot(buffer);
+    const { header, nodes } = decoded;
+
+    if (expectedDimensions !== null && nodes.size > 0 && header.dimensions !== expectedDimensions) {
+      throw new Error(`Snapshot has ${header.dimensions} dimensions, expected ${expectedDimensions}`);
+    }
+
+    let compatible = header.indexType === this.type &&
+      header.distanceFunction === this.distanceFunction &&
+      JSON.stringify(header.parameters || {}) === JSON.stringify(this.getParameters());
+
+    const quantization = header.quantization || null;
+    if (quantization) {
+      const sameQuantizer = this.quantizer &&
+        this.quantizer.type === quantization.type &&
+        JSON.stringify(this.quantizer.getParameters()) === JSON.stringify(quantization.parameters);
+
+      if (sameQuantizer) {
+        this.quantizer.deserialize(decoded.quantizerState);
+      } else {
+        const snapshotQuantizer = createQuantizer(quantization.type, header.dimensions, quantization.parameters);
+        snapshotQuantizer.deserialize(decoded.quantizerState);
+
+        for (const node of nodes.values()) {
+          node.vector = snapshotQuantizer.decode(node.code);
+          delete node.code;
+        }
+        compatible = false;
+      }
+    }
+
+    this.clear();
+
+    if (compatible) {
+      this.nodes = nodes;
+      this.nodeCount = nodes.size;
+
+      const end = this.deserializeStructure(decoded);
+      if (end !== decoded.body.length) {
+        throw new Error('Index snapshot has unexpected trailing data');
+      }
+    } else {
+      for (const [id, node] of nodes) {
+        this.insert(node.vector, id, node.metadata);
+        this.nodes.get(id).insertTime = node.insertTime;
+      }
+    }
+
+    return {
+      nodeCount: this.nodeCount,
+      dimensions: header.dimensions,
+      createdAt: header.createdAt,
+      rebuilt: !compatible,
+      snapshotIndexType: header.indexType,
+      extra: header.extra || {}
+    };
+  }
+
+  /**
+   * Save a snapshot to disk
+   */
+  async save(filePath, extra = {}) {
+    const startTime = Date.now();
+    const data = this.serialize(extra);
+
+    await writeSnapshotFile(filePath, data);
+
+    return {
+      path: filePath,
+      bytes: data.length,
+      nodeCount: this.nodeCount,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Load a snapshot from disk
+   * Returns null when no snapshot exists
+   */
+  async load(filePath, expectedDimensions = null) {
+    const startTime = Date.now();
+    const data = await readSnapshotFile(filePath);
+    if (!data) {
+      return null;
+    }
+
+    const result = this.deserialize(data, expectedDimensions);
+
+    return {
+      ...result,
+      path: filePath,
+      bytes: data.length,
+      duration: Date.now() - startTime
+    };
+  }
+}
+
+module.exports = VectorIndex;
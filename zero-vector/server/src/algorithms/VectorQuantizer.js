@@ -0,0 +1,121 @@
+/**
+ * Vector Quantizer Base Class
+ * Common interface for the codecs that compress vectors in the store buffer and
+ * in the index (int8 scalar, product quantization).
+ *
+ * A quantizer is trained once on a sample of full-precision vectors; afterwards
+ * encode() turns a vector into `codeSize` bytes and decode() approximates it back.
+ * createDistance() returns a scorer that compares a full-precision query against
+ * codes without decoding them, using the same distance scale as VectorIndex.
+ */
+
+class VectorQuantizer {
+  constructor(type, dimensions, options = {}) {
+    this.type = type;
+    this.dimensions = dimensions;
+    this.trained = false;
+    this.codeSize = dimensions * 4;
+    this.trainedAt = null;
+  }
+
+  /**
+   * Learn the codec from sample vectors
+   */
+  train(vectors) {
+    throw new Error(`${this.constructor.name} must implement train()`);
+  }
+
+  /**
+   * Compress a vector into a code
+   */
+  encode(vector) {
+    throw new Error(`${this.constructor.name} must implement encode()`);
+  }
+
+  /**
+   * Approximate the original vector from a code
+   */
+  decode(code) {
+    throw new Error(`${this.constructor.name} must implement decode()`);
+  }
+
+  /**
+   * Create a query-specific scorer: code => distance (smaller is closer)
+   */
+  createDistance(query, distanceFunction = 'cosine') {
+    throw new Error(`${this.constructor.name} must implement createDistance()`);
+  }
+
+  /**
+   * Parameters that must match for persisted codes to be reused
+   */
+  getParameters() {
+    return {};
+  }
+
+  /**
+   * Trained state (codebooks, ranges) as a float32 array
+   */
+  getState() {
+    return new Float32Array(0);
+  }
+
+  /**
+   * Restore trained state produced by getState()
+   */
+  setState(state) {
+    throw new Error(`${this.constructor.name} must implement setState()`);
+  }
+
+  /**
+   * Serialize the trained state
+   */
+  serialize() {
+    const state = this.getState();
+    return Buffer.from(state.buffer, state.byteOffset, state.byteLength);
+  }
+
+  /**
+   * Restore the trained state from serialize() output
+   */
+  deserialize(buffer) {
+    const bytes = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    this.setState(new Float32Array(bytes));
+    this.trained = true;
+  }
+
+  /**
+   * Turn accumulated dot product / norms into a distance for the metric
+   */
+  finishDistance(distanceFunction, dot, queryNorm, codeNormSquared, squaredDistance) {
+    switch (distanceFunction) {
+      case 'euclidean':
+        return Math.sqrt(Math.max(0, squaredDistance));
+      case 'dot':
+        return -dot;
+      default: {
+        const codeNorm = Math.sqrt(codeNormSquared);
+        if (queryNorm === 0 || codeNorm === 0) {
+          return 1; // Zero vectors have cosine similarity 0
+        }
+        return 1 - dot / (queryNorm * codeNorm);
+      }
+    }
+  }
+
+  /**
+   * Get quantizer statistics
+   */
+  getStats() {
+    return {
+      type: this.type,
+      trained: this.trained,
+      trainedAt: this.trainedAt,
+      codeSize: this.codeSize,
+      compressionRatio: (this.dimensions * 4) / this.codeSize,
+      parameters: this.getParameters()
+    };
+  }
+}
+
+module.exports = VectorQuantizer;
@@ -0,0 +1,29 @@
+const HNSWIndex = require('./HNSWIndex');
+const LSHIndex = require('./LSHIndex');
+const FlatIndex = require('./FlatIndex');
+
+/**
+ * Vector index implementations by type
+ */
+const INDEX_TYPES = {
+  hnsw: HNSWIndex,
+  lsh: LSHIndex,
+  flat: FlatIndex
+};
+
+/**
+ * Create a vector index of the given type
+ */
+function createIndex(indexType = 'hnsw', options = {}) {
+  const IndexClass = INDEX_TYPES[indexType];
+  if (!IndexClass) {
+    throw new Error(`Unknown index type '${indexType}' (expected one of: ${Object.keys(INDEX_TYPES).join(', ')})`);
+  }
+
+  return new IndexClass(options);
+}
+
+module.exports = {
+  INDEX_TYPES,
+  createIndex
+};
@@ -0,0 +1,31 @@
+const ScalarQuantizer = require('./ScalarQuantizer');
+const ProductQuantizer = require('./ProductQuantizer');
+
+/**
+ * Vector quantizer implementations by type ('none' stores full float32 vectors)
+ */
+const QUANTIZER_TYPES = {
+  int8: ScalarQuantizer,
+  pq: ProductQuantizer
+};
+
+/**
+ * Create a vector quantizer, or null when quantization is disabled
+ */
+function createQuantizer(type = 'none', dimensions, options = {}) {
+  if (!type || type === 'none') {
+    return null;
+  }
+
+  const QuantizerClass = QUANTIZER_TYPES[type];
+  if (!QuantizerClass) {
+    throw new Error(`Unknown quantization type '${type}' (expected one of: none, ${Object.keys(QUANTIZER_TYPES).join(', ')})`);
+  }
+
+  return new QuantizerClass(dimensions, options);
+}
+
+module.exports = {
+  QUANTIZER_TYPES,
+  createQuantizer
+};
@@ -0,0 +1,191 @@
+/**
+ * Index Snapshot Format
+ * Shared binary layout used by every vector index implementation:
+ *
+ *   [magic 'ZVHN'][version u16][header length u32][header JSON]
+ *   [nodes: id, level, insert time, metadata JSON, float32 vector or quantized code]
+ *   [quantizer state, when the vectors are quantized]
+ *   [index-specific structure section]
+ *   [sha256 of everything before it]
+ *
+ * Nodes always come first so any snapshot can be turned back into vectors,
+ * even when the index type or its build parameters changed since it was written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { syncDirectory, writeFileSyncedAsync } = require('../utils/durableFiles');
+
+const SNAPSHOT_MAGIC = 'ZVHN';
+const SNAPSHOT_VERSION = 3;
+const SUPPORTED_VERSIONS = [1, 2, 3]; // v1 (HNSW only) and v2 (no quantization) share the node layout
+const CHECKSUM_BYTES = 32;
+const PREAMBLE_BYTES = SNAPSHOT_MAGIC.length + 6;
+
+/**
+ * Encode a snapshot from its header, nodes and structure chunks
+ * When `quantizerState` is given, nodes are written as codes (header.quantization.codeSize bytes each)
+ */
+function encodeSnapshot(header, nodes, structureChunks = [], quantizerState = null) {
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+
+  const preamble = Buffer.alloc(PREAMBLE_BYTES);
+  preamble.write(SNAPSHOT_MAGIC, 0, 'ascii');
+  preamble.writeUInt16LE(SNAPSHOT_VERSION, 4);
+  preamble.writeUInt32LE(headerBytes.length, 6);
+
+  const chunks = [preamble, headerBytes];
+
+  for (const [id, node] of nodes) {
+    const idBytes = Buffer.from(String(id), 'utf8');
+    const metaBytes = Buffer.from(JSON.stringify(node.metadata || {}), 'utf8');
+
+    const nodeHeader = Buffer.alloc(1 + 2 + idBytes.length + 1 + 8 + 4);
+    let offset = nodeHeader.writeUInt8(typeof id === 'number' ? 1 : 0, 0);
+    offset = nodeHeader.writeUInt16LE(idBytes.length, offset);
+    offset += idBytes.copy(nodeHeader, offset);
+    offset = nodeHeader.writeUInt8(node.level || 0, offset);
+    offset = nodeHeader.writeDoubleLE(node.insertTime || 0, offset);
+    nodeHeader.writeUInt32LE(metaBytes.length, offset);
+
+    const values = quantizerState ? node.code : node.vector;
+    chunks.push(
+      nodeHeader,
+      metaBytes,
+      Buffer.from(values.buffer, values.byteOffset, values.byteLength)
+    );
+  }
+
+  if (quantizerState) {
+    const stateLength = Buffer.alloc(4);
+    stateLength.writeUInt32LE(quantizerState.length, 0);
+    chunks.push(stateLength, quantizerState);
+  }
+
+  chunks.push(...structureChunks);
+
+  const body = Buffer.concat(chunks);
+  const checksum = crypto.createHash('sha256').update(body).digest();
+
+  return Buffer.concat([body, checksum]);
+}
+
+/**
+ * Verify and decode a snapshot
+ * Returns the header, the decoded nodes (in file order), the quantizer state (if any)
+ * and the offset of the structure section
+ */
+function decodeSnapshot(buffer) {
+  if (buffer.length < PREAMBLE_BYTES + CHECKSUM_BYTES) {
+    throw new Error('Index snapshot is truncated');
+  }
+
+  if (buffer.toString('ascii', 0, SNAPSHOT_MAGIC.length) !== SNAPSHOT_MAGIC) {
+    throw new Error('Not an index snapshot file');
+  }
+
+  const body = buffer.subarray(0, buffer.length - CHECKSUM_BYTES);
+  const expectedChecksum = buffer.subarray(buffer.length - CHECKSUM_BYTES);
+  const actualChecksum = crypto.createHash('sha256').update(body).digest();
+  if (!actualChecksum.equals(expectedChecksum)) {
+    throw new Error('Index snapshot checksum mismatch');
+  }
+
+  const version = body.readUInt16LE(4);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported index snapshot version ${version} (expected ${SNAPSHOT_VERSION})`);
+  }
+
+  const headerLength = body.readUInt32LE(6);
+  let offset = PREAMBLE_BYTES;
+  const header = JSON.parse(body.toString('utf8', offset, offset + headerLength));
+  offset += headerLength;
+
+  if (version === 1) {
+    // v1 snapshots were always HNSW with parameters at the top level of the header
+    header.indexType = 'hnsw';
+    header.parameters = { M: header.M, efConstruction: header.efConstruction };
+    header.state = { entryPoint: header.entryPoint, layerCount: header.layerCount };
+  }
+
+  const nodes = new Map();
+  const nodeIds = new Array(header.nodeCount);
+  const quantization = header.quantization || null;
+  const vectorBytes = quantization ? quantization.codeSize : header.dimensions * 4;
+
+  for (let i = 0; i < header.nodeCount; i++) {
+    const idType = body.readUInt8(offset);
+    const idLength = body.readUInt16LE(offset + 1);
+    offset += 3;
+    const rawId = body.toString('utf8', offset, offset + idLength);
+    const id = idType === 1 ? Number(rawId) : rawId;
+    offset += idLength;
+
+    const level = body.readUInt8(offset);
+    const insertTime = body.readDoubleLE(offset + 1);
+    const metaLength = body.readUInt32LE(offset + 9);
+    offset += 13;
+
+    const metadata = JSON.parse(body.toString('utf8', offset, offset + metaLength));
+    offset += metaLength;
+
+    // Copy so the vector owns aligned memory independent of the file buffer
+    const bytes = body.buffer.slice(body.byteOffset + offset, body.byteOffset + offset + vectorBytes);
+    offset += vectorBytes;
+
+    const node = { id, level, metadata, insertTime };
+    if (quantization) {
+      node.code = new Uint8Array(bytes);
+    } else {
+      node.vector = new Float32Array(bytes);
+    }
+
+    nodes.set(id, node);
+    nodeIds[i] = id;
+  }
+
+  let quantizerState = null;
+  if (quantization) {
+    const stateLength = body.readUInt32LE(offset);
+    offset += 4;
+    quantizerState = body.subarray(offset, offset + stateLength);
+    offset += stateLength;
+  }
+
+  return { version, header, nodes, nodeIds, quantizerState, body, offset };
+}
+
+/**
+ * Write snapshot data to disk
+ * Writes to a temporary file first so a crash never leaves a half-written
+ * snapshot, and only returns once the new snapshot is durable: callers drop
+ * write-ahead log entries it covers right after.
+ */
+async function writeSnapshotFile(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  await writeFileSyncedAsync(tempPath, data);
+  await fs.promises.rename(tempPath, filePath);
+  syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Read snapshot data from disk, or null when no snapshot exists
+ */
+async function readSnapshotFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return fs.promises.readFile(filePath);
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  encodeSnapshot,
+  decodeSnapshot,
+  writeSnapshotFile,
+  readSnapshotFile
+};
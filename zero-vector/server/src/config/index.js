@@ -1,9 +1,16 @@
 const dotenv = require('dotenv');
+const fs = require('fs');
 const path = require('path');
 
 // Load environment variables
 dotenv.config();
 
+// Quota limits: unset or 0 means unlimited
+const parseQuota = (value) => Math.max(0, parseInt(value, 10) || 0);
+
+// Keys given as a file path are read from the file
+const readKeyFile = (file) => file ? fs.readFileSync(file, 'utf8').trim() : '';
+
 const config = {
   // Server Configuration
   server: {
@@ -22,16 +29,40 @@ const config = {
     maxMemoryMB: parseInt(process.env.MAX_MEMORY_MB, 10) || 2048,
     defaultDimensions: parseInt(process.env.DEFAULT_DIMENSIONS, 10) || 1536,
     indexType: process.env.INDEX_TYPE || 'hnsw',
+    lsh: {
+      numTables: parseInt(process.env.LSH_NUM_TABLES, 10) || 8,
+      numBits: parseInt(process.env.LSH_NUM_BITS, 10) || 12
+    },
+    quantization: {
+      type: process.env.QUANTIZATION || 'none',
+      trainingSize: parseInt(process.env.QUANTIZATION_TRAINING_SIZE, 10) || 1000,
+      subvectors: parseInt(process.env.PQ_SUBVECTORS, 10) || null, // null picks 4-dimension slices
+      rerank: process.env.QUANTIZATION_RERANK !== 'false',
+      rerankCandidates: parseInt(process.env.QUANTIZATION_RERANK_CANDIDATES, 10) || 4
+    },
     distanceMetric: process.env.DISTANCE_METRIC || 'cosine',
-    maxVectors: parseInt(process.env.MAX_VECTORS, 10) || 1000000
+    maxVectors: parseInt(process.env.MAX_VECTORS, 10) || 1000000,
+    collectionMaxMemoryMB: parseInt(process.env.COLLECTION_MAX_MEMORY_MB, 10) || 256, // Default and largest buffer of a collection
+    collectionsMemoryBudgetMB: parseInt(process.env.COLLECTIONS_MEMORY_BUDGET_MB, 10) || 1024, // All collection buffers together
+    maxCollectionsPerUser: parseInt(process.env.MAX_COLLECTIONS_PER_USER, 10) || 10,
+    snapshotPath: process.env.INDEX_SNAPSHOT_PATH || './data/hnsw-index.snapshot',
+    snapshotIntervalMs: process.env.INDEX_SNAPSHOT_INTERVAL_MS !== undefined
+      ? parseInt(process.env.INDEX_SNAPSHOT_INTERVAL_MS, 10)
+      : 300000, // 5 minutes, 0 disables periodic snapshots
+    walEnabled: process.env.WAL_ENABLED !== 'false',
+    walPath: process.env.WAL_PATH || './data/vector-store.wal',
+    walSync: process.env.WAL_SYNC !== 'false'
   },
 
   // Security Configuration
   security: {
     jwtSecret: process.env.JWT_SECRET || 'fallback-secret-change-in-production',
     apiKeySaltRounds: parseInt(process.env.API_KEY_SALT_ROUNDS, 10) || 12,
+    apiKeyRotationGraceHours: parseFloat(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24, // Old key stays valid after rotation
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000, // 15 minutes
-    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 1000
+    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 1000,
+    rateLimitStore: process.env.RATE_LIMIT_STORE || (process.env.REDIS_ENABLED === 'true' ? 'redis' : 'sqlite'),
+    rateLimitPruneIntervalMs: parseInt(process.env.RATE_LIMIT_PRUNE_INTERVAL_MS, 10) || 60000 // sqlite store only
   },
 
   // Embedding Services
@@ -44,6 +75,7 @@ const config = {
   // Monitoring
   monitoring: {
     logLevel: process.env.LOG_LEVEL || 'info',
+    logDir: process.env.LOG_DIR || path.join(__dirname, '../../logs'),
     metricsEnabled: process.env.METRICS_ENABLED === 'true'
   },
 
@@ -64,11 +96,63 @@ const config = {
 
   // Authentication Configuration
   auth: {
+    jwtAlgorithm: process.env.JWT_ALGORITHM || 'HS256',
+    jwtKeyRotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30,
     accessTokenExpiry: process.env.ACCESS_TOKEN_EXPIRY || '15m',
     refreshTokenExpiry: process.env.REFRESH_TOKEN_EXPIRY || '7d',
+    sessionIdleTimeout: process.env.SESSION_IDLE_TIMEOUT || '3d', // Sessions unused this long are revoked
     maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5,
     lockoutTimeMinutes: parseInt(process.env.LOCKOUT_TIME_MINUTES, 10) || 15,
-    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
+    passwordResetTokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 60,
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Zero-Vector',
+    twoFactorChallengeExpiry: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+    twoFactorRecoveryCodes: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES, 10) || 10,
+    requireTwoFactorForApiKeys: process.env.REQUIRE_2FA_FOR_API_KEYS !== 'false' // On unless explicitly turned off
+  },
+
+  // Default quotas, overridable per user (admin API) and per API key
+  quotas: {
+    user: {
+      dailyRequests: parseQuota(process.env.USER_QUOTA_DAILY_REQUESTS),
+      monthlyRequests: parseQuota(process.env.USER_QUOTA_MONTHLY_REQUESTS),
+      monthlyEmbeddingTokens: parseQuota(process.env.USER_QUOTA_MONTHLY_EMBEDDING_TOKENS),
+      maxMemories: parseQuota(process.env.USER_QUOTA_MAX_MEMORIES)
+    },
+    apiKey: {
+      dailyRequests: parseQuota(process.env.API_KEY_QUOTA_DAILY_REQUESTS),
+      monthlyRequests: parseQuota(process.env.API_KEY_QUOTA_MONTHLY_REQUESTS),
+      monthlyEmbeddingTokens: parseQuota(process.env.API_KEY_QUOTA_MONTHLY_EMBEDDING_TOKENS),
+      maxMemories: parseQuota(process.env.API_KEY_QUOTA_MAX_MEMORIES)
+    }
+  },
+
+  // Envelope encryption of memory content and persona system prompts; no master key disables it
+  encryption: {
+    masterKey: process.env.ENCRYPTION_MASTER_KEY || readKeyFile(process.env.ENCRYPTION_MASTER_KEY_FILE),
+    // Retired master keys that may still wrap data keys, until rotate:encryption-keys has run
+    previousMasterKeys: (process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean)
+  },
+
+  // Default PII redaction of persona memories; personas override it in config.redaction
+  redaction: {
+    mode: process.env.PII_REDACTION_MODE || 'off', // off, mask, hash or reject
+    detectors: (process.env.PII_REDACTION_DETECTORS || 'email,phone,credit_card,iban,api_token')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean),
+    hashSecret: process.env.PII_REDACTION_HASH_SECRET || '' // Required by the hash mode
+  },
+
+  // Mail (password reset emails)
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'no-reply@zero-vector.local',
+    filePath: process.env.MAIL_FILE_PATH || './data/mail.log',
+    passwordResetUrl: process.env.PASSWORD_RESET_URL || '' // Empty sends the bare token
   }
 };
 
@@ -81,6 +165,11 @@ const validateConfig = () => {
     errors.push('MAX_MEMORY_MB must be at least 64MB');
   }
 
+  if (config.vectorDb.collectionMaxMemoryMB < 16 ||
+      config.vectorDb.collectionMaxMemoryMB > config.vectorDb.collectionsMemoryBudgetMB) {
+    errors.push('COLLECTION_MAX_MEMORY_MB must be at least 16MB and at most COLLECTIONS_MEMORY_BUDGET_MB');
+  }
+
   if (config.vectorDb.defaultDimensions < 1 || config.vectorDb.defaultDimensions > 20000) {
     errors.push('DEFAULT_DIMENSIONS must be between 1 and 20000');
   }
@@ -89,11 +178,73 @@ const validateConfig = () => {
     errors.push('INDEX_TYPE must be one of: hnsw, lsh, flat');
   }
 
+  if (config.vectorDb.lsh.numTables < 1) {
+    errors.push('LSH_NUM_TABLES must be at least 1');
+  }
+
+  if (config.vectorDb.lsh.numBits < 1 || config.vectorDb.lsh.numBits > 30) {
+    errors.push('LSH_NUM_BITS must be between 1 and 30');
+  }
+
+  if (!['none', 'int8', 'pq'].includes(config.vectorDb.quantization.type)) {
+    errors.push('QUANTIZATION must be one of: none, int8, pq');
+  }
+
+  if (config.vectorDb.quantization.trainingSize < 1) {
+    errors.push('QUANTIZATION_TRAINING_SIZE must be at least 1');
+  }
+
+  if (config.vectorDb.quantization.subvectors !== null &&
+      config.vectorDb.defaultDimensions % config.vectorDb.quantization.subvectors !== 0) {
+    errors.push('PQ_SUBVECTORS must divide DEFAULT_DIMENSIONS');
+  }
+
   if (!['cosine', 'euclidean', 'dot'].includes(config.vectorDb.distanceMetric)) {
     errors.push('DISTANCE_METRIC must be one of: cosine, euclidean, dot');
   }
 
-  if (config.server.nodeEnv === 'production' && config.security.jwtSecret === 'fallback-secret-change-in-production') {
+  if (isNaN(config.vectorDb.snapshotIntervalMs) || config.vectorDb.snapshotIntervalMs < 0) {
+    errors.push('INDEX_SNAPSHOT_INTERVAL_MS must be a non-negative number');
+  }
+
+  if (!['HS256', 'RS256', 'ES256'].includes(config.auth.jwtAlgorithm)) {
+    errors.push('JWT_ALGORITHM must be one of: HS256, RS256, ES256');
+  }
+
+  if (!['memory', 'sqlite', 'redis'].includes(config.security.rateLimitStore)) {
+    errors.push('RATE_LIMIT_STORE must be one of: memory, sqlite, redis');
+  }
+
+  const isMasterKey = (key) => Buffer.from(key, 'base64').length === 32;
+
+  if (config.encryption.masterKey && !isMasterKey(config.encryption.masterKey)) {
+    errors.push('ENCRYPTION_MASTER_KEY must be 32 bytes, base64 encoded');
+  }
+
+  if (!config.encryption.previousMasterKeys.every(isMasterKey)) {
+    errors.push('ENCRYPTION_PREVIOUS_MASTER_KEYS must be comma-separated 32 byte base64 keys');
+  }
+
+  if (!['off', 'mask', 'hash', 'reject'].includes(config.redaction.mode)) {
+    errors.push('PII_REDACTION_MODE must be one of: off, mask, hash, reject');
+  }
+
+  if (config.redaction.mode === 'hash' && !config.redaction.hashSecret) {
+    errors.push('PII_REDACTION_HASH_SECRET is required when PII_REDACTION_MODE is hash');
+  }
+
+  const detectorTypes = ['email', 'phone', 'credit_card', 'iban', 'api_token'];
+  if (!config.redaction.detectors.every(type => detectorTypes.includes(type))) {
+    errors.push(`PII_REDACTION_DETECTORS must be a comma-separated list of: ${detectorTypes.join(', ')}`);
+  }
+
+  if (config.auth.jwtKeyRotationDays < 1) {
+    errors.push('JWT_KEY_ROTATION_DAYS must be at least 1');
+  }
+
+  // The shared secret only signs tokens with HS256
+  if (config.server.nodeEnv === 'production' && config.auth.jwtAlgorithm === 'HS256' &&
+      config.security.jwtSecret === 'fallback-secret-change-in-production') {
     errors.push('JWT_SECRET must be set in production environment');
   }
 
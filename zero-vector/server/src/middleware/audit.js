@@ -0,0 +1,68 @@
+const { v4: uuidv4 } = require('uuid');
+const { logError } = require('../utils/logger');
+
+/**
+ * Audit Middleware
+ * Writes an audit_logs entry once a mutating request has finished, successful
+ * or not. Place it first on a route so authorization failures are recorded too.
+ *
+ * The resource id defaults to the route parameter named by `param` ('id').
+ * Handlers add what only they know through setAuditContext(), e.g. the id of a
+ * created resource or the user behind a login. Request bodies are never logged.
+ * An `anonymous` context drops everything identifying the requester, for
+ * entries that must outlive them (an account erasure).
+ */
+const audit = (action, resourceType, options = {}) => {
+  const { param = 'id' } = options;
+
+  return (req, res, next) => {
+    // Capture now: req.params is reset once the router is done with the request
+    const paramValue = param ? req.params[param] : undefined;
+    const path = req.originalUrl.split('?')[0];
+
+    res.on('finish', () => {
+      const context = res.locals.audit || {};
+      const anonymous = context.anonymous === true;
+
+      req.database.insertAuditLog({
+        id: uuidv4(),
+        userId: anonymous ? null : context.userId || req.user?.id || null,
+        apiKeyId: anonymous ? null : req.apiKey?.id || null,
+        action,
+        resourceType,
+        resourceId: context.resourceId || paramValue || null,
+        details: {
+          method: req.method,
+          path,
+          statusCode: res.statusCode,
+          ...context.details
+        },
+        ipAddress: anonymous ? null : req.ip,
+        userAgent: anonymous ? null : req.get('User-Agent') || null,
+        outcome: res.statusCode < 400 ? 'success' : 'failure'
+      }).catch(error => {
+        logError(error, { operation: 'insertAuditLog', action });
+      });
+    });
+
+    next();
+  };
+};
+
+/**
+ * Add handler-specific fields ({ userId, resourceId, details, anonymous }) to the audit entry
+ */
+const setAuditContext = (res, context) => {
+  const current = res.locals.audit || {};
+
+  res.locals.audit = {
+    ...current,
+    ...context,
+    details: { ...current.details, ...context.details }
+  };
+};
+
+module.exports = {
+  audit,
+  setAuditContext
+};
@@ -0,0 +1,23 @@
+const authenticateApiKey = require('./authenticateApiKey');
+const authenticateJWT = require('./authenticateJWT');
+
+/**
+ * Combined Authentication Middleware
+ * Accepts either an API key or a JWT access token. API keys are recognised by
+ * the X-API-Key header, the api_key query parameter or their `vdb_` prefix in
+ * the Authorization header; any other Bearer token is verified as a JWT.
+ */
+const authenticate = (apiKeyService, jwtService) => {
+  const apiKeyAuth = authenticateApiKey(apiKeyService);
+  const jwtAuth = authenticateJWT(jwtService);
+
+  return (req, res, next) => {
+    const bearerToken = req.headers['authorization']?.match(/^Bearer\s(.+)$/)?.[1];
+    const usesJwt = bearerToken && !bearerToken.startsWith('vdb_') &&
+      !req.headers['x-api-key'] && !req.query.api_key;
+
+    return usesJwt ? jwtAuth(req, res, next) : apiKeyAuth(req, res, next);
+  };
+};
+
+module.exports = authenticate;
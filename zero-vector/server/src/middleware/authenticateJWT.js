@@ -46,6 +46,7 @@ const authenticateJWT = (jwtService) => {
       };
       req.authType = 'jwt';
       req.tokenData = {
+        sessionId: decoded.sessionId,
         iat: decoded.iat,
         exp: decoded.exp
       };
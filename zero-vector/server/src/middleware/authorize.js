@@ -81,7 +81,8 @@ const requirePermission = (requiredPermissions) => {
         }
         
         // For non-admin JWT users, check if they have basic access
-        if (!permissions.includes('read') && req.user?.role !== 'user') {
+        const readOnlyAccess = permissions.some(permission => permission === 'read' || permission.endsWith(':read'));
+        if (!readOnlyAccess && req.user?.role !== 'user') {
           return res.status(403).json({
             status: 'error',
             error: {
@@ -106,6 +107,17 @@ const requirePermission = (requiredPermissions) => {
           });
         }
 
+        // Persona-scoped keys only reach the persona routes
+        if (req.apiKey.scope && !permissions.every(permission => permission.startsWith('personas:'))) {
+          return res.status(403).json({
+            status: 'error',
+            error: {
+              code: 'API_KEY_SCOPE_VIOLATION',
+              message: 'API key is restricted to specific personas'
+            }
+          });
+        }
+
         const hasPermission = permissions.some(permission => 
           checkPermission(req.apiKey.permissions, permission)
         );
@@ -158,6 +170,66 @@ const requirePermission = (requiredPermissions) => {
   };
 };
 
+/**
+ * Persona scope middleware for API keys restricted to specific personas
+ * Checks the persona in req.params.id against the key's scope; routes without
+ * a persona id only admit scoped keys for reads (listings are filtered by the route)
+ */
+const requirePersonaScope = (access = 'read') => {
+  return (req, res, next) => {
+    const scope = req.apiKey?.scope;
+    if (!scope) {
+      return next();
+    }
+
+    const personaId = req.params.id;
+    let violation = null;
+
+    if (access !== 'read' && scope.readOnly) {
+      violation = 'API key is read-only';
+    } else if (!personaId && access !== 'read') {
+      violation = 'API key is restricted to specific personas';
+    } else if (personaId && !scope.personaIds.includes(personaId)) {
+      violation = 'API key does not grant access to this persona';
+    }
+
+    if (violation) {
+      logger.warn('Authorization failed - persona outside API key scope', {
+        apiKeyId: req.apiKey.id,
+        personaId,
+        access,
+        endpoint: req.path,
+        method: req.method
+      });
+
+      return res.status(403).json({
+        status: 'error',
+        error: {
+          code: 'API_KEY_SCOPE_VIOLATION',
+          message: violation
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check whether a request may see a persona (unscoped keys and JWTs see all of the user's personas)
+ */
+const isPersonaInScope = (req, personaId) => {
+  const scope = req.apiKey?.scope;
+  return !scope || scope.personaIds.includes(personaId);
+};
+
+/**
+ * Memory types a request may read or write, or null when unrestricted
+ */
+const getScopedMemoryTypes = (req) => {
+  return req.apiKey?.scope?.memoryTypes || null;
+};
+
 /**
  * Check if permissions array contains required permission
  */
@@ -195,6 +267,12 @@ const checkPermission = (userPermissions, requiredPermission) => {
     if (userPermissions.includes(`${resource}:${action}`)) {
       return true;
     }
+
+    // Write or delete access to a resource includes reading it
+    if (action === 'read' &&
+        ['write', 'delete', `${resource}:write`, `${resource}:delete`].some(permission => userPermissions.includes(permission))) {
+      return true;
+    }
   }
 
   return false;
@@ -303,8 +381,11 @@ const authBasedRateLimit = (authenticatedLimit, unauthenticatedLimit) => {
 module.exports = {
   requireRole,
   requirePermission,
+  requirePersonaScope,
   requireOwnershipOrAdmin,
   optionalAuth,
   authBasedRateLimit,
-  checkPermission
+  checkPermission,
+  isPersonaInScope,
+  getScopedMemoryTypes
 };
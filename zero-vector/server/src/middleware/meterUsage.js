@@ -0,0 +1,69 @@
+const { logger, logError } = require('../utils/logger');
+const { runWithUsageMeter } = require('../utils/usageContext');
+
+/**
+ * Usage Metering Middleware
+ * Enforces request quotas and meters an authenticated request: it counts the
+ * request up front, runs the rest of it inside a usage meter, and adds the
+ * embedding tokens, estimated cost and memories stored to the daily counters
+ * once the response has finished. Place it after authentication.
+ *
+ * Exceeded request quotas answer 429; the embedding token and stored-memory
+ * quotas answer 402 from wherever the tokens or memories would be spent.
+ */
+const meterUsage = (usageService) => {
+  return (req, res, next) => {
+    const scopes = usageService.getScopes(req);
+    const { exceeded, embeddingTokensRemaining } = usageService.checkQuotas(scopes);
+
+    if (exceeded) {
+      const owner = exceeded.scope.type === 'user' ? 'User' : 'API key';
+      const period = exceeded.quota === 'dailyRequests' ? 'daily' : 'monthly';
+
+      logger.warn('Request quota exceeded', {
+        scopeType: exceeded.scope.type,
+        scopeId: exceeded.scope.id,
+        quota: exceeded.quota,
+        limit: exceeded.limit,
+        endpoint: req.originalUrl
+      });
+
+      res.setHeader('Retry-After', Math.ceil((exceeded.resetsAt - Date.now()) / 1000));
+      return res.status(429).json({
+        status: 'error',
+        error: {
+          code: 'REQUEST_QUOTA_EXCEEDED',
+          message: `${owner} ${period} request quota of ${exceeded.limit} exceeded`,
+          quota: exceeded.quota,
+          limit: exceeded.limit,
+          resetsAt: new Date(exceeded.resetsAt).toISOString()
+        }
+      });
+    }
+
+    usageService.recordUsage(scopes, { requests: 1 });
+
+    const meter = {
+      embeddingTokens: 0,
+      estimatedCost: 0,
+      memoriesStored: 0,
+      embeddingTokensRemaining
+    };
+
+    res.on('finish', () => {
+      if (meter.embeddingTokens === 0 && meter.estimatedCost === 0 && meter.memoriesStored === 0) {
+        return;
+      }
+
+      try {
+        usageService.recordUsage(scopes, meter);
+      } catch (error) {
+        logError(error, { operation: 'recordUsage', userId: req.user.id });
+      }
+    });
+
+    runWithUsageMeter(meter, next);
+  };
+};
+
+module.exports = meterUsage;
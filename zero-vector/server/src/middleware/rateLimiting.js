@@ -1,12 +1,14 @@
 const rateLimit = require('express-rate-limit');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const SqliteRateLimitStore = require('../services/SqliteRateLimitStore');
 
 let RedisStore;
 let redisClient;
+let rateLimitDatabase = null;
 
-// Initialize Redis if enabled
-if (config.redis.enabled) {
+// Initialize Redis if it stores the rate limits
+if (config.security.rateLimitStore === 'redis') {
   try {
     const redis = require('redis');
     RedisStore = require('rate-limit-redis');
@@ -34,7 +36,15 @@ if (config.redis.enabled) {
 }
 
 /**
- * Create rate limiter with Redis store if available
+ * Give the SQLite store its database once it is open
+ */
+const setRateLimitDatabase = (database) => {
+  rateLimitDatabase = database;
+};
+
+/**
+ * Create rate limiter with the configured store (RATE_LIMIT_STORE):
+ * Redis, SQLite, or express-rate-limit's in-process memory store
  */
 const createRateLimiter = (options = {}) => {
   const defaultOptions = {
@@ -60,6 +70,11 @@ const createRateLimiter = (options = {}) => {
       client: redisClient,
       prefix: options.prefix || 'rl:'
     });
+  } else if (config.security.rateLimitStore === 'sqlite') {
+    limiterOptions.store = new SqliteRateLimitStore({
+      getDatabase: () => rateLimitDatabase,
+      prefix: options.prefix || 'rl:'
+    });
   }
 
   return rateLimit(limiterOptions);
@@ -151,6 +166,24 @@ const authRateLimiter = createRateLimiter({
   }
 });
 
+/**
+ * Password reset email limiter. authRateLimiter skips successful requests and
+ * forgot-password always succeeds, so this one counts every request per email.
+ */
+const passwordResetRateLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  prefix: 'pwreset_rl:',
+  keyGenerator: (req) => req.body?.email?.toLowerCase() || req.ip,
+  message: {
+    status: 'error',
+    error: {
+      code: 'PASSWORD_RESET_RATE_LIMIT_EXCEEDED',
+      message: 'Too many password reset requests, please try again later'
+    }
+  }
+});
+
 /**
  * Dynamic rate limiter based on user role
  */
@@ -224,9 +257,11 @@ module.exports = {
   searchRateLimiter,
   writeRateLimiter,
   authRateLimiter,
+  passwordResetRateLimiter,
   dynamicRateLimiter,
   rateLimiterWithLogging,
   checkRateLimit,
   createRateLimiter,
+  setRateLimitDatabase,
   redisClient
 };
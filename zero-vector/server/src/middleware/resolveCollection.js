@@ -0,0 +1,55 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Collection Resolution Middleware
+ * Points req.vectorStore at the store of the requested collection.
+ * The collection comes from `collectionId` in the body or query string; for
+ * routes addressing an existing vector by :id it falls back to the collection
+ * the vector was stored in. Without either, the default store is kept.
+ * Collections and vectors owned by other users are reported as not found.
+ */
+const resolveCollection = async (req, res, next) => {
+  try {
+    let collectionId = req.body?.collectionId || req.query.collectionId || null;
+
+    if (req.params.id) {
+      const vectorMetadata = await req.database.getVectorMetadata(req.params.id);
+
+      if (!vectorMetadata || vectorMetadata.user_id !== req.user.id) {
+        return res.status(404).json({
+          status: 'error',
+          error: 'VECTOR_NOT_FOUND',
+          message: `Vector with id '${req.params.id}' not found`
+        });
+      }
+
+      if (!collectionId) {
+        collectionId = vectorMetadata.collection_id;
+      }
+    }
+
+    if (collectionId) {
+      const store = req.collectionManager.stores.get(collectionId);
+      const collection = store ? await req.database.getCollectionById(collectionId) : null;
+
+      if (!collection || collection.user_id !== req.user.id) {
+        return res.status(404).json({
+          status: 'error',
+          error: 'COLLECTION_NOT_FOUND',
+          message: `Collection '${collectionId}' not found`
+        });
+      }
+
+      req.vectorStore = store;
+    }
+
+    req.collectionId = collectionId;
+    next();
+
+  } catch (error) {
+    logger.error('Collection resolution error', { error: error.message });
+    next(error);
+  }
+};
+
+module.exports = resolveCollection;
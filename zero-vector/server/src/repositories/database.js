@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const EncryptionService = require('../services/encryptionService');
 
 /**
  * Database Repository
@@ -11,6 +12,7 @@ const config = require('../config');
 class DatabaseRepository {
   constructor() {
     this.db = null;
+    this.encryption = null;
     this.isInitialized = false;
   }
 
@@ -40,11 +42,15 @@ class DatabaseRepository {
 
       await this.createTables();
       await this.createIndexes();
+      await this.createFullTextIndex();
+
+      this.encryption = new EncryptionService(this.db, config.encryption);
 
       this.isInitialized = true;
       logger.info('Database initialized successfully', {
         path: config.database.path,
-        mode: this.db.readonly ? 'readonly' : 'readwrite'
+        mode: this.db.readonly ? 'readonly' : 'readwrite',
+        encryption: this.encryption.enabled
       });
 
     } catch (error) {
@@ -69,7 +75,8 @@ class DatabaseRepository {
         last_login INTEGER,
         is_active BOOLEAN DEFAULT 1,
         failed_login_attempts INTEGER DEFAULT 0,
-        locked_until INTEGER
+        locked_until INTEGER,
+        quotas TEXT -- JSON quota overrides; NULL uses the configured defaults
       )`,
 
       // Refresh tokens table (for JWT authentication)
@@ -77,9 +84,14 @@ class DatabaseRepository {
         id TEXT PRIMARY KEY,
         user_id TEXT NOT NULL,
         token TEXT NOT NULL,
+        family_id TEXT, -- Device session; every rotation of a login shares it
+        device_name TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
         expires_at INTEGER NOT NULL,
         created_at INTEGER NOT NULL,
         last_used INTEGER NOT NULL,
+        used_at INTEGER, -- Set once exchanged; a second exchange is reuse
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )`,
 
@@ -92,6 +104,38 @@ class DatabaseRepository {
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )`,
 
+      // TOTP two-factor authentication (enabled = 0 while enrollment is pending)
+      `CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id TEXT PRIMARY KEY,
+        secret TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT 0,
+        last_used_step INTEGER,
+        created_at INTEGER NOT NULL,
+        enabled_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )`,
+
+      // Two-factor recovery codes (SHA-256 hashes, single use)
+      `CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        used_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )`,
+
+      // Asymmetric JWT signing keys (PEM encoded, used when JWT_ALGORITHM is RS256/ES256)
+      `CREATE TABLE IF NOT EXISTS jwt_signing_keys (
+        kid TEXT PRIMARY KEY,
+        algorithm TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        rotate_at INTEGER NOT NULL,
+        retires_at INTEGER -- NULL while signing; set when superseded
+      )`,
+
       // API keys table (updated to reference users)
       `CREATE TABLE IF NOT EXISTS api_keys (
         id TEXT PRIMARY KEY,
@@ -99,7 +143,12 @@ class DatabaseRepository {
         key_hash TEXT UNIQUE NOT NULL,
         name TEXT NOT NULL,
         permissions TEXT NOT NULL, -- JSON array
+        scope TEXT, -- JSON persona scope; NULL for keys covering every persona
+        rotated_from TEXT, -- Key this one replaced
+        rotated_to TEXT, -- Successor issued by rotation
+        retires_at INTEGER, -- End of the rotation grace period
         rate_limit INTEGER DEFAULT 1000,
+        quotas TEXT, -- JSON quota overrides; NULL uses the configured defaults
         created_at INTEGER NOT NULL,
         updated_at INTEGER,
         expires_at INTEGER,
@@ -118,14 +167,53 @@ class DatabaseRepository {
         source TEXT,
         tags TEXT, -- JSON array
         custom_metadata TEXT, -- JSON object
+        collection_id TEXT, -- NULL for the default vector store
+        user_id TEXT, -- Owning user; NULL for legacy vectors
+        api_key_id TEXT, -- API key that stored a persona memory, if any
         created_at INTEGER NOT NULL,
         updated_at INTEGER
       )`,
 
+      // Vector embeddings table (raw Float32 vectors for reload without re-embedding)
+      `CREATE TABLE IF NOT EXISTS vector_embeddings (
+        id TEXT PRIMARY KEY,
+        dimensions INTEGER NOT NULL,
+        vector BLOB NOT NULL, -- Float32Array bytes
+        provider TEXT,
+        model TEXT,
+        fingerprint TEXT, -- provider:model used to detect stale embeddings
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER,
+        FOREIGN KEY (id) REFERENCES vector_metadata (id) ON DELETE CASCADE
+      )`,
+
+      // Organizations (teams sharing personas)
+      `CREATE TABLE IF NOT EXISTS organizations (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )`,
+
+      // Organization membership with owner / editor / viewer roles
+      `CREATE TABLE IF NOT EXISTS organization_members (
+        organization_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER,
+        PRIMARY KEY (organization_id, user_id),
+        FOREIGN KEY (organization_id) REFERENCES organizations (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )`,
+
       // Personas table
       `CREATE TABLE IF NOT EXISTS personas (
         id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
+        user_id TEXT NOT NULL, -- Creator; the owner unless organization_id is set
+        organization_id TEXT REFERENCES organizations (id) ON DELETE SET NULL,
         name TEXT NOT NULL,
         description TEXT,
         system_prompt TEXT,
@@ -146,12 +234,46 @@ class DatabaseRepository {
         description TEXT,
         dimensions INTEGER NOT NULL,
         distance_metric TEXT DEFAULT 'cosine',
+        max_memory_mb INTEGER,
+        index_type TEXT,
         created_at INTEGER NOT NULL,
         updated_at INTEGER,
         is_active BOOLEAN DEFAULT 1,
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )`,
 
+      // Usage counters per user or API key and UTC day (YYYY-MM-DD)
+      `CREATE TABLE IF NOT EXISTS usage_daily (
+        scope_type TEXT NOT NULL CHECK (scope_type IN ('user', 'api_key')),
+        scope_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        embedding_tokens INTEGER NOT NULL DEFAULT 0,
+        estimated_cost REAL NOT NULL DEFAULT 0,
+        memories_stored INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER,
+        PRIMARY KEY (scope_type, scope_id, day)
+      )`,
+
+      // Sliding-window rate limit counters (RATE_LIMIT_STORE=sqlite)
+      `CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY, -- Limiter prefix + client key
+        window_ms INTEGER NOT NULL,
+        window_start INTEGER NOT NULL, -- Start of the current fixed window
+        current_hits INTEGER NOT NULL DEFAULT 0,
+        previous_hits INTEGER NOT NULL DEFAULT 0 -- Hits in the window before
+      )`,
+
+      // Per-user data keys for encryption at rest, wrapped with the master key
+      `CREATE TABLE IF NOT EXISTS data_keys (
+        user_id TEXT PRIMARY KEY,
+        wrapped_key TEXT NOT NULL,
+        master_key_id TEXT NOT NULL, -- Fingerprint of the wrapping master key
+        created_at INTEGER NOT NULL,
+        rotated_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )`,
+
       // Audit log table
       `CREATE TABLE IF NOT EXISTS audit_logs (
         id TEXT PRIMARY KEY,
@@ -163,6 +285,7 @@ class DatabaseRepository {
         details TEXT, -- JSON object
         ip_address TEXT,
         user_agent TEXT,
+        outcome TEXT DEFAULT 'success', -- success or failure
         created_at INTEGER NOT NULL
       )`
     ];
@@ -321,10 +444,62 @@ class DatabaseRepository {
       }
     }
     
+    // Add columns introduced after the initial schema
+    this.addColumnIfMissing('vector_metadata', 'collection_id', 'TEXT');
+    this.addColumnIfMissing('vector_collections', 'max_memory_mb', 'INTEGER');
+    this.addColumnIfMissing('vector_collections', 'index_type', 'TEXT');
+    this.addColumnIfMissing('api_keys', 'scope', 'TEXT');
+    this.addColumnIfMissing('api_keys', 'rotated_from', 'TEXT');
+    this.addColumnIfMissing('api_keys', 'rotated_to', 'TEXT');
+    this.addColumnIfMissing('api_keys', 'retires_at', 'INTEGER');
+    this.addColumnIfMissing('audit_logs', 'outcome', "TEXT DEFAULT 'success'");
+    this.addColumnIfMissing('personas', 'organization_id', 'TEXT REFERENCES organizations (id) ON DELETE SET NULL');
+    this.addColumnIfMissing('refresh_tokens', 'device_name', 'TEXT');
+    this.addColumnIfMissing('refresh_tokens', 'user_agent', 'TEXT');
+    this.addColumnIfMissing('refresh_tokens', 'ip_address', 'TEXT');
+    this.addColumnIfMissing('refresh_tokens', 'used_at', 'INTEGER');
+    this.addColumnIfMissing('users', 'quotas', 'TEXT');
+    this.addColumnIfMissing('api_keys', 'quotas', 'TEXT');
+    this.addColumnIfMissing('vector_metadata', 'api_key_id', 'TEXT');
+    
+    if (this.addColumnIfMissing('refresh_tokens', 'family_id', 'TEXT')) {
+      // Each existing refresh token becomes its own session
+      this.db.prepare('UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL').run();
+    }
+    
+    if (this.addColumnIfMissing('vector_metadata', 'user_id', 'TEXT')) {
+      // Vectors predating ownership belong to the owner of their persona or collection
+      const owned = this.db.prepare(`
+        UPDATE vector_metadata SET user_id = COALESCE(
+          (SELECT user_id FROM personas WHERE personas.id = vector_metadata.persona_id),
+          (SELECT user_id FROM vector_collections WHERE vector_collections.id = vector_metadata.collection_id)
+        )
+        WHERE user_id IS NULL
+      `).run();
+      
+      logger.info('Assigned owners to existing vectors', { vectors: owned.changes });
+    }
+    
     // Re-enable foreign key constraints after migration
     this.db.pragma('foreign_keys = ON');
   }
 
+  /**
+   * Add a column to an existing table if it is not there yet
+   * Returns true when the column was added
+   */
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    
+    if (!columns.includes(column)) {
+      logger.info(`Migrating ${table} table: adding ${column} column`);
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      return true;
+    }
+
+    return false;
+  }
+
   /**
    * Create database indexes for performance
    */
@@ -335,9 +510,13 @@ class DatabaseRepository {
       'CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at)',
       'CREATE INDEX IF NOT EXISTS idx_users_last_login ON users(last_login)',
 
+      // Two-factor indexes
+      'CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id)',
+
       // Refresh token indexes
       'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)',
       'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id)',
 
       // API key indexes
       'CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)',
@@ -350,9 +529,17 @@ class DatabaseRepository {
       'CREATE INDEX IF NOT EXISTS idx_vector_metadata_content_type ON vector_metadata(content_type)',
       'CREATE INDEX IF NOT EXISTS idx_vector_metadata_source ON vector_metadata(source)',
       'CREATE INDEX IF NOT EXISTS idx_vector_metadata_created_at ON vector_metadata(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_vector_metadata_collection_id ON vector_metadata(collection_id)',
+      'CREATE INDEX IF NOT EXISTS idx_vector_metadata_user_id ON vector_metadata(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_vector_metadata_api_key_id ON vector_metadata(api_key_id)',
+
+      // Vector embedding indexes
+      'CREATE INDEX IF NOT EXISTS idx_vector_embeddings_fingerprint ON vector_embeddings(fingerprint)',
 
       // Persona indexes
       'CREATE INDEX IF NOT EXISTS idx_personas_user_id ON personas(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_personas_organization_id ON personas(organization_id)',
+      'CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id)',
       'CREATE INDEX IF NOT EXISTS idx_personas_created_at ON personas(created_at)',
       'CREATE INDEX IF NOT EXISTS idx_personas_is_active ON personas(is_active)',
 
@@ -364,7 +551,9 @@ class DatabaseRepository {
       'CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id)',
       'CREATE INDEX IF NOT EXISTS idx_audit_logs_api_key_id ON audit_logs(api_key_id)',
       'CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action)',
-      'CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at)'
+      'CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at_id ON audit_logs(created_at, id)',
+      'CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id)'
     ];
 
     for (let i = 0; i < indexes.length; i++) {
@@ -381,6 +570,63 @@ class DatabaseRepository {
     logger.info('Database indexes created successfully');
   }
 
+  /**
+   * Create the BM25 full-text index over memory content
+   * memory_fts rows share the rowid of their vector_metadata row and are kept in
+   * sync by triggers on the `originalContent` field of custom_metadata.
+   * Encrypted content is left out of the index.
+   */
+  async createFullTextIndex() {
+    const exists = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='memory_fts'").get();
+
+    // The insert and update triggers are recreated so databases created before
+    // they skipped encrypted content pick up the current definitions
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS memory_fts USING fts5(
+        content,
+        tokenize = 'porter unicode61 remove_diacritics 2'
+      );
+
+      DROP TRIGGER IF EXISTS vector_metadata_fts_insert;
+      DROP TRIGGER IF EXISTS vector_metadata_fts_update;
+
+      CREATE TRIGGER vector_metadata_fts_insert AFTER INSERT ON vector_metadata
+      WHEN json_extract(new.custom_metadata, '$.originalContent') IS NOT NULL
+        AND substr(json_extract(new.custom_metadata, '$.originalContent'), 1, 7) != 'enc:v1:'
+      BEGIN
+        INSERT INTO memory_fts (rowid, content)
+        VALUES (new.rowid, json_extract(new.custom_metadata, '$.originalContent'));
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS vector_metadata_fts_delete AFTER DELETE ON vector_metadata
+      BEGIN
+        DELETE FROM memory_fts WHERE rowid = old.rowid;
+      END;
+
+      CREATE TRIGGER vector_metadata_fts_update AFTER UPDATE OF custom_metadata ON vector_metadata
+      BEGIN
+        DELETE FROM memory_fts WHERE rowid = old.rowid;
+        INSERT INTO memory_fts (rowid, content)
+        SELECT new.rowid, json_extract(new.custom_metadata, '$.originalContent')
+        WHERE json_extract(new.custom_metadata, '$.originalContent') IS NOT NULL
+          AND substr(json_extract(new.custom_metadata, '$.originalContent'), 1, 7) != 'enc:v1:';
+      END;
+    `);
+
+    // Index memories stored before the full-text index existed
+    if (!exists) {
+      const result = this.db.prepare(`
+        INSERT INTO memory_fts (rowid, content)
+        SELECT rowid, json_extract(custom_metadata, '$.originalContent')
+        FROM vector_metadata
+        WHERE json_extract(custom_metadata, '$.originalContent') IS NOT NULL
+          AND substr(json_extract(custom_metadata, '$.originalContent'), 1, 7) != 'enc:v1:'
+      `).run();
+
+      logger.info('Memory full-text index created', { indexedMemories: result.changes });
+    }
+  }
+
   /**
    * User Management Methods
    */
@@ -620,8 +866,8 @@ class DatabaseRepository {
   // Insert vector metadata
   async insertVectorMetadata(metadata) {
     const stmt = this.db.prepare(`
-      INSERT INTO vector_metadata (id, dimensions, persona_id, content_type, source, tags, custom_metadata, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO vector_metadata (id, dimensions, persona_id, content_type, source, tags, custom_metadata, collection_id, user_id, api_key_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const now = Date.now();
@@ -632,7 +878,10 @@ class DatabaseRepository {
       metadata.contentType,
       metadata.source,
       JSON.stringify(metadata.tags || []),
-      JSON.stringify(metadata.customMetadata || {}),
+      JSON.stringify(this.sealCustomMetadata(metadata.id, metadata.userId, metadata.customMetadata || {})),
+      metadata.collectionId || null,
+      metadata.userId || null,
+      metadata.apiKeyId || null,
       now,
       now
     );
@@ -645,7 +894,7 @@ class DatabaseRepository {
     
     if (result) {
       result.tags = JSON.parse(result.tags);
-      result.customMetadata = JSON.parse(result.custom_metadata);
+      result.customMetadata = this.openCustomMetadata(result);
     }
     
     return result;
@@ -656,16 +905,30 @@ class DatabaseRepository {
     const fields = [];
     const values = [];
     
+    if (updates.customMetadata) {
+      const owner = this.db.prepare('SELECT user_id FROM vector_metadata WHERE id = ?').get(id);
+      updates = { ...updates, customMetadata: this.sealCustomMetadata(id, owner?.user_id, updates.customMetadata) };
+    }
+    
+    // Callers pass camelCase fields; a missing value clears the column
+    const columns = {
+      personaId: 'persona_id',
+      contentType: 'content_type',
+      source: 'source',
+      tags: 'tags',
+      customMetadata: 'custom_metadata'
+    };
+    
     Object.keys(updates).forEach(key => {
-      if (key !== 'id') {
-        if (key === 'tags' || key === 'customMetadata') {
-          const dbKey = key === 'customMetadata' ? 'custom_metadata' : key;
-          fields.push(`${dbKey} = ?`);
-          values.push(JSON.stringify(updates[key]));
-        } else {
-          fields.push(`${key} = ?`);
-          values.push(updates[key]);
-        }
+      if (!columns[key]) return;
+      
+      fields.push(`${columns[key]} = ?`);
+      if (key === 'tags') {
+        values.push(JSON.stringify(updates.tags || []));
+      } else if (key === 'customMetadata') {
+        values.push(JSON.stringify(updates.customMetadata));
+      } else {
+        values.push(updates[key] ?? null);
       }
     });
     
@@ -685,6 +948,18 @@ class DatabaseRepository {
     return stmt.run(id);
   }
 
+  // Map each vector id in a collection to its owning user (null for the default store)
+  async listVectorOwners(collectionId = null) {
+    const stmt = this.db.prepare('SELECT id, user_id FROM vector_metadata WHERE collection_id IS ?');
+    return new Map(stmt.all(collectionId).map(row => [row.id, row.user_id]));
+  }
+
+  // Delete all vector metadata belonging to a collection
+  async deleteVectorMetadataByCollection(collectionId) {
+    const stmt = this.db.prepare('DELETE FROM vector_metadata WHERE collection_id = ?');
+    return stmt.run(collectionId);
+  }
+
   // Search vector metadata
   async searchVectorMetadata(filters = {}) {
     let query = 'SELECT * FROM vector_metadata WHERE 1=1';
@@ -705,6 +980,17 @@ class DatabaseRepository {
       params.push(filters.source);
     }
 
+    if (filters.userId) {
+      query += ' AND user_id = ?';
+      params.push(filters.userId);
+    }
+
+    // null selects the default vector store
+    if (filters.collectionId !== undefined) {
+      query += ' AND collection_id IS ?';
+      params.push(filters.collectionId);
+    }
+
     // ORDER BY must come before LIMIT in SQL
     query += ' ORDER BY created_at DESC';
 
@@ -719,10 +1005,147 @@ class DatabaseRepository {
     return results.map(result => ({
       ...result,
       tags: JSON.parse(result.tags),
-      customMetadata: JSON.parse(result.custom_metadata)
+      customMetadata: this.openCustomMetadata(result)
+    }));
+  }
+
+  // Rank a persona's memories against a keyword query with BM25
+  // Only memory rows stored under the persona owner count, not anything tagged with the persona
+  async searchMemoryText(personaId, ownerId, text, limit = 10) {
+    const match = this.toFullTextQuery(text);
+    if (!match) {
+      return [];
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT vm.id, vm.user_id, vm.custom_metadata, bm25(memory_fts) AS rank
+      FROM memory_fts
+      JOIN vector_metadata vm ON vm.rowid = memory_fts.rowid
+      WHERE memory_fts MATCH ? AND vm.persona_id = ?
+        AND vm.content_type = 'persona_memory' AND vm.user_id = ?
+      ORDER BY rank
+      LIMIT ?
+    `);
+
+    return stmt.all(match, personaId, ownerId, limit).map(row => ({
+      id: row.id,
+      score: -row.rank, // bm25() is negative; larger is more relevant
+      customMetadata: this.openCustomMetadata(row)
     }));
   }
 
+  // Encrypt the memory content in custom metadata with its owner's data key
+  sealCustomMetadata(id, userId, customMetadata) {
+    if (!this.encryption.enabled || typeof customMetadata.originalContent !== 'string') {
+      return customMetadata;
+    }
+
+    return {
+      ...customMetadata,
+      originalContent: this.encryption.encrypt(userId, customMetadata.originalContent, `vector_metadata:${id}`)
+    };
+  }
+
+  // Parse the custom metadata of a vector_metadata row, decrypting the memory content
+  openCustomMetadata(row) {
+    const customMetadata = JSON.parse(row.custom_metadata);
+
+    if (EncryptionService.isEncrypted(customMetadata.originalContent)) {
+      customMetadata.originalContent = this.encryption.decrypt(
+        row.user_id,
+        customMetadata.originalContent,
+        `vector_metadata:${row.id}`
+      );
+    }
+
+    return customMetadata;
+  }
+
+  // Turn free text into an FTS5 query: every word is a quoted phrase, any may match
+  toFullTextQuery(text) {
+    const terms = String(text)
+      .split(/\s+/)
+      .map(term => term.replace(/"/g, ''))
+      .filter(term => /[\p{L}\p{N}]/u.test(term));
+
+    return terms.map(term => `"${term}"`).join(' OR ');
+  }
+
+  /**
+   * Vector Embedding Methods
+   */
+
+  // Insert or replace a raw embedding vector
+  async upsertVectorEmbedding(embedding) {
+    const stmt = this.db.prepare(`
+      INSERT INTO vector_embeddings (id, dimensions, vector, provider, model, fingerprint, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        dimensions = excluded.dimensions,
+        vector = excluded.vector,
+        provider = excluded.provider,
+        model = excluded.model,
+        fingerprint = excluded.fingerprint,
+        updated_at = excluded.updated_at
+    `);
+
+    const vector = embedding.vector instanceof Float32Array
+      ? embedding.vector
+      : new Float32Array(embedding.vector);
+
+    const now = Date.now();
+    return stmt.run(
+      embedding.id,
+      vector.length,
+      Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength),
+      embedding.provider || null,
+      embedding.model || null,
+      embedding.fingerprint || null,
+      now,
+      now
+    );
+  }
+
+  // Get raw embedding vector
+  async getVectorEmbedding(id) {
+    const stmt = this.db.prepare('SELECT * FROM vector_embeddings WHERE id = ?');
+    const result = stmt.get(id);
+
+    if (result) {
+      // Copy out of the SQLite buffer so the Float32Array is properly aligned
+      const bytes = result.vector.buffer.slice(
+        result.vector.byteOffset,
+        result.vector.byteOffset + result.vector.byteLength
+      );
+      result.vector = new Float32Array(bytes);
+    }
+
+    return result;
+  }
+
+  // Get raw embedding vectors for a set of IDs as Map<id, Float32Array>
+  async getVectorEmbeddingsByIds(ids) {
+    const vectors = new Map();
+    if (ids.length === 0) {
+      return vectors;
+    }
+
+    // Stay well below SQLite's bound parameter limit
+    for (let i = 0; i < ids.length; i += 500) {
+      const chunk = ids.slice(i, i + 500);
+      const stmt = this.db.prepare(
+        `SELECT id, vector FROM vector_embeddings WHERE id IN (${chunk.map(() => '?').join(', ')})`
+      );
+
+      for (const row of stmt.all(...chunk)) {
+        const bytes = row.vector.buffer.slice(row.vector.byteOffset, row.vector.byteOffset + row.vector.byteLength);
+        vectors.set(row.id, new Float32Array(bytes));
+      }
+    }
+
+    return vectors;
+  }
+
   /**
    * Persona Methods
    */
@@ -730,17 +1153,18 @@ class DatabaseRepository {
   // Insert persona
   async insertPersona(personaData) {
     const stmt = this.db.prepare(`
-      INSERT INTO personas (id, user_id, name, description, system_prompt, config, max_memory_size, memory_decay_time, created_at, updated_at, is_active)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO personas (id, user_id, organization_id, name, description, system_prompt, config, max_memory_size, memory_decay_time, created_at, updated_at, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const now = Date.now();
     return stmt.run(
       personaData.id,
       personaData.userId,
+      personaData.organizationId || null,
       personaData.name,
       personaData.description,
-      personaData.systemPrompt,
+      this.encryption.encrypt(personaData.userId, personaData.systemPrompt, `personas:${personaData.id}`),
       JSON.stringify(personaData.config || {}),
       personaData.maxMemorySize || 1000,
       personaData.memoryDecayTime || 604800000,
@@ -759,21 +1183,39 @@ class DatabaseRepository {
       result.config = JSON.parse(result.config);
     }
     
+    if (result) {
+      result.system_prompt = this.openSystemPrompt(result);
+    }
+    
     return result;
   }
 
-  // List user personas
-  async listPersonas(userId, includeInactive = false) {
-    const whereClause = includeInactive ? 'user_id = ?' : 'user_id = ? AND is_active = 1';
+  // List the personas a user owns or shares through organization membership
+  async listPersonas(userId, includeInactive = false, organizationId = null) {
+    const conditions = ['((p.user_id = ? AND p.organization_id IS NULL) OR m.user_id IS NOT NULL)'];
+    const params = [userId, userId];
+
+    if (!includeInactive) {
+      conditions.push('p.is_active = 1');
+    }
+
+    if (organizationId) {
+      conditions.push('p.organization_id = ?');
+      params.push(organizationId);
+    }
+
     const stmt = this.db.prepare(`
-      SELECT * FROM personas 
-      WHERE ${whereClause}
-      ORDER BY created_at DESC
+      SELECT p.*, m.role as organization_role
+      FROM personas p
+      LEFT JOIN organization_members m ON m.organization_id = p.organization_id AND m.user_id = ?
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY p.created_at DESC
     `);
     
-    const results = stmt.all(userId);
+    const results = stmt.all(...params);
     return results.map(persona => ({
       ...persona,
+      system_prompt: this.openSystemPrompt(persona),
       config: JSON.parse(persona.config)
     }));
   }
@@ -798,6 +1240,10 @@ class DatabaseRepository {
         if (key === 'config') {
           fields.push(`${dbField} = ?`);
           values.push(JSON.stringify(updates[key]));
+        } else if (key === 'systemPrompt') {
+          const owner = this.db.prepare('SELECT user_id FROM personas WHERE id = ?').get(id);
+          fields.push(`${dbField} = ?`);
+          values.push(this.encryption.encrypt(owner?.user_id, updates[key], `personas:${id}`));
         } else {
           fields.push(`${dbField} = ?`);
           values.push(updates[key]);
@@ -815,12 +1261,107 @@ class DatabaseRepository {
     return stmt.run(...values);
   }
 
+  // Decrypt the system prompt of a personas row
+  openSystemPrompt(row) {
+    return this.encryption.decrypt(row.user_id, row.system_prompt, `personas:${row.id}`);
+  }
+
   // Delete persona
   async deletePersona(id) {
     const stmt = this.db.prepare('UPDATE personas SET is_active = 0, updated_at = ? WHERE id = ?');
     return stmt.run(Date.now(), id);
   }
 
+  // Get a user's role in an organization (null when not a member)
+  async getOrganizationRole(organizationId, userId) {
+    const stmt = this.db.prepare('SELECT role FROM organization_members WHERE organization_id = ? AND user_id = ?');
+    return stmt.get(organizationId, userId)?.role || null;
+  }
+
+  /**
+   * Vector Collection Methods
+   */
+
+  // Insert new collection
+  async insertCollection(collectionData) {
+    const stmt = this.db.prepare(`
+      INSERT INTO vector_collections (id, user_id, name, description, dimensions, distance_metric, max_memory_mb, index_type, created_at, updated_at, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const now = Date.now();
+    return stmt.run(
+      collectionData.id,
+      collectionData.userId,
+      collectionData.name,
+      collectionData.description || null,
+      collectionData.dimensions,
+      collectionData.distanceMetric || 'cosine',
+      collectionData.maxMemoryMB || null,
+      collectionData.indexType || null,
+      now,
+      now,
+      1
+    );
+  }
+
+  // Get collection by ID
+  async getCollectionById(id) {
+    const stmt = this.db.prepare('SELECT * FROM vector_collections WHERE id = ? AND is_active = 1');
+    return stmt.get(id);
+  }
+
+  // List user collections
+  async listCollections(userId, includeInactive = false) {
+    const whereClause = includeInactive ? 'user_id = ?' : 'user_id = ? AND is_active = 1';
+    const stmt = this.db.prepare(`
+      SELECT * FROM vector_collections 
+      WHERE ${whereClause}
+      ORDER BY created_at DESC
+    `);
+    
+    return stmt.all(userId);
+  }
+
+  // List every active collection (used to load stores at boot)
+  async listActiveCollections() {
+    const stmt = this.db.prepare('SELECT * FROM vector_collections WHERE is_active = 1 ORDER BY created_at ASC');
+    return stmt.all();
+  }
+
+  // Update collection
+  async updateCollection(id, updates) {
+    const fields = [];
+    const values = [];
+    
+    const fieldMapping = {
+      'name': 'name',
+      'description': 'description'
+    };
+    
+    Object.keys(updates).forEach(key => {
+      if (fieldMapping[key] && updates[key] !== undefined) {
+        fields.push(`${fieldMapping[key]} = ?`);
+        values.push(updates[key]);
+      }
+    });
+    
+    if (fields.length === 0) return;
+    
+    fields.push('updated_at = ?');
+    values.push(Date.now());
+    values.push(id);
+    
+    const stmt = this.db.prepare(`UPDATE vector_collections SET ${fields.join(', ')} WHERE id = ?`);
+    return stmt.run(...values);
+  }
+
+  // Delete collection
+  async deleteCollection(id) {
+    const stmt = this.db.prepare('UPDATE vector_collections SET is_active = 0, updated_at = ? WHERE id = ?');
+    return stmt.run(Date.now(), id);
+  }
+
   /**
    * Audit Log Methods
    */
@@ -828,8 +1369,8 @@ class DatabaseRepository {
   // Insert audit log
   async insertAuditLog(logData) {
     const stmt = this.db.prepare(`
-      INSERT INTO audit_logs (id, user_id, api_key_id, action, resource_type, resource_id, details, ip_address, user_agent, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO audit_logs (id, user_id, api_key_id, action, resource_type, resource_id, details, ip_address, user_agent, outcome, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     return stmt.run(
@@ -842,11 +1383,12 @@ class DatabaseRepository {
       JSON.stringify(logData.details || {}),
       logData.ipAddress,
       logData.userAgent,
+      logData.outcome || 'success',
       Date.now()
     );
   }
 
-  // Get audit logs
+  // Get audit logs, newest first. `before` ({ createdAt, id }) continues after a previous page.
   async getAuditLogs(filters = {}) {
     let query = 'SELECT * FROM audit_logs WHERE 1=1';
     const params = [];
@@ -856,9 +1398,15 @@ class DatabaseRepository {
       params.push(filters.userId);
     }
 
+    if (filters.apiKeyId) {
+      query += ' AND api_key_id = ?';
+      params.push(filters.apiKeyId);
+    }
+
     if (filters.action) {
-      query += ' AND action = ?';
-      params.push(filters.action);
+      const actions = Array.isArray(filters.action) ? filters.action : [filters.action];
+      query += ` AND action IN (${actions.map(() => '?').join(', ')})`;
+      params.push(...actions);
     }
 
     if (filters.resourceType) {
@@ -866,6 +1414,16 @@ class DatabaseRepository {
       params.push(filters.resourceType);
     }
 
+    if (filters.resourceId) {
+      query += ' AND resource_id = ?';
+      params.push(filters.resourceId);
+    }
+
+    if (filters.outcome) {
+      query += ' AND outcome = ?';
+      params.push(filters.outcome);
+    }
+
     if (filters.startDate) {
       query += ' AND created_at >= ?';
       params.push(filters.startDate);
@@ -876,7 +1434,12 @@ class DatabaseRepository {
       params.push(filters.endDate);
     }
 
-    query += ' ORDER BY created_at DESC';
+    if (filters.before) {
+      query += ' AND (created_at < ? OR (created_at = ? AND id < ?))';
+      params.push(filters.before.createdAt, filters.before.createdAt, filters.before.id);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC';
 
     if (filters.limit) {
       query += ' LIMIT ?';
@@ -892,6 +1455,86 @@ class DatabaseRepository {
     }));
   }
 
+  /**
+   * Rate Limit Methods
+   */
+
+  // Count a hit for a key, rolling its window forward first; returns the counters after the hit
+  async incrementRateLimit(key, windowMs, now = Date.now()) {
+    const windowStart = now - (now % windowMs);
+
+    // IMMEDIATE so processes sharing the database cannot interleave the read and the write
+    return this.db.transaction(() => {
+      const counters = this.rollRateLimitWindow(
+        this.db.prepare('SELECT * FROM rate_limits WHERE key = ?').get(key),
+        windowMs,
+        windowStart
+      );
+      counters.currentHits++;
+
+      this.db.prepare(`
+        INSERT INTO rate_limits (key, window_ms, window_start, current_hits, previous_hits)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET
+          window_ms = excluded.window_ms,
+          window_start = excluded.window_start,
+          current_hits = excluded.current_hits,
+          previous_hits = excluded.previous_hits
+      `).run(key, windowMs, windowStart, counters.currentHits, counters.previousHits);
+
+      return counters;
+    }).immediate();
+  }
+
+  // Get the counters of a key as of `now` without counting a hit (null when unknown)
+  async getRateLimit(key, windowMs, now = Date.now()) {
+    const row = this.db.prepare('SELECT * FROM rate_limits WHERE key = ?').get(key);
+    return row ? this.rollRateLimitWindow(row, windowMs, now - (now % windowMs)) : null;
+  }
+
+  // Counters of a rate limit row moved to the window starting at windowStart
+  rollRateLimitWindow(row, windowMs, windowStart) {
+    if (row && row.window_ms === windowMs && row.window_start === windowStart) {
+      return { windowStart, currentHits: row.current_hits, previousHits: row.previous_hits };
+    }
+
+    if (row && row.window_ms === windowMs && row.window_start === windowStart - windowMs) {
+      return { windowStart, currentHits: 0, previousHits: row.current_hits };
+    }
+
+    return { windowStart, currentHits: 0, previousHits: 0 };
+  }
+
+  // Take back a hit counted in the window starting at windowStart (e.g. for limiters that skip
+  // successful requests); it is still in previous_hits if the row has rolled on since
+  async decrementRateLimit(key, windowMs, windowStart) {
+    return this.db.prepare(`
+      UPDATE rate_limits SET
+        current_hits = CASE WHEN window_start = ? THEN MAX(current_hits - 1, 0) ELSE current_hits END,
+        previous_hits = CASE WHEN window_start = ? THEN MAX(previous_hits - 1, 0) ELSE previous_hits END
+      WHERE key = ? AND window_ms = ? AND window_start IN (?, ?)
+    `).run(windowStart, windowStart + windowMs, key, windowMs, windowStart, windowStart + windowMs);
+  }
+
+  // Forget the counters of one key
+  async resetRateLimit(key) {
+    return this.db.prepare('DELETE FROM rate_limits WHERE key = ?').run(key);
+  }
+
+  // Forget the counters of every key with a prefix
+  async resetRateLimitsByPrefix(prefix) {
+    return this.db.prepare(`
+      DELETE FROM rate_limits WHERE substr(key, 1, length(?)) = ?
+    `).run(prefix, prefix);
+  }
+
+  // Delete counters whose previous window no longer overlaps the sliding window
+  async pruneRateLimits(now = Date.now()) {
+    return this.db.prepare(`
+      DELETE FROM rate_limits WHERE window_start + 2 * window_ms <= ?
+    `).run(now);
+  }
+
   /**
    * General Database Methods
    */
@@ -900,7 +1543,7 @@ class DatabaseRepository {
   async getStats() {
     const stats = {};
     
-    const tables = ['users', 'api_keys', 'vector_metadata', 'personas', 'refresh_tokens', 'audit_logs'];
+    const tables = ['users', 'api_keys', 'vector_metadata', 'vector_embeddings', 'vector_collections', 'personas', 'organizations', 'refresh_tokens', 'audit_logs'];
     
     for (const table of tables) {
       const stmt = this.db.prepare(`SELECT COUNT(*) as count FROM ${table}`);
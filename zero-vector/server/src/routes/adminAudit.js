@@ -0,0 +1,203 @@
+const express = require('express');
+const { once } = require('events');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const OUTCOMES = ['success', 'failure'];
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 1000;
+const CSV_COLUMNS = [
+  'createdAt', 'id', 'userId', 'apiKeyId', 'action', 'resourceType',
+  'resourceId', 'outcome', 'ipAddress', 'userAgent', 'details'
+];
+
+/**
+ * Parse a time bound given as epoch milliseconds or an ISO 8601 date
+ */
+const parseTime = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new ValidationError(`${name} must be an ISO 8601 date or epoch milliseconds`);
+  }
+
+  return time;
+};
+
+/**
+ * Cursors are opaque tokens for the (created_at, id) of the last entry on a page
+ */
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isFinite(createdAt) && typeof id === 'string') {
+      return { createdAt, id };
+    }
+  } catch (error) {
+    // Fall through to the validation error
+  }
+
+  throw new ValidationError('Invalid cursor');
+};
+
+/**
+ * Read the shared filter query parameters
+ */
+const parseFilters = (query) => {
+  if (query.outcome && !OUTCOMES.includes(query.outcome)) {
+    throw new ValidationError(`Outcome must be one of: ${OUTCOMES.join(', ')}`);
+  }
+
+  return {
+    userId: query.userId,
+    apiKeyId: query.apiKeyId,
+    action: query.action ? query.action.split(',').map(action => action.trim()).filter(Boolean) : undefined,
+    resourceType: query.resourceType,
+    resourceId: query.resourceId,
+    outcome: query.outcome,
+    startDate: parseTime(query.from, 'from'),
+    endDate: parseTime(query.to, 'to')
+  };
+};
+
+const parseLimit = (value, defaultLimit, maxLimit) => {
+  const limit = value === undefined ? defaultLimit : Number(value);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new ValidationError(`Limit must be an integer between 1 and ${maxLimit}`);
+  }
+
+  return limit;
+};
+
+const formatEntry = (row) => ({
+  id: row.id,
+  createdAt: row.created_at,
+  userId: row.user_id,
+  apiKeyId: row.api_key_id,
+  action: row.action,
+  resourceType: row.resource_type,
+  resourceId: row.resource_id,
+  outcome: row.outcome,
+  details: row.details,
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent
+});
+
+/**
+ * Quote a CSV field; a leading formula character is neutralised for spreadsheets
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) => CSV_COLUMNS.map(column => csvField(
+  column === 'createdAt' ? new Date(entry.createdAt).toISOString() : entry[column]
+)).join(',') + '\r\n';
+
+/**
+ * Admin Audit Log Routes
+ * Query the audit trail written by the audit middleware, page through it with
+ * cursors, or export it as CSV / NDJSON. Mounted behind requireRole('admin').
+ */
+const createAdminAuditRoutes = (database) => {
+  const router = express.Router();
+
+  /**
+   * Query audit entries, newest first
+   * GET /admin/audit
+   */
+  router.get('/', asyncHandler(async (req, res) => {
+    const filters = parseFilters(req.query);
+    const limit = parseLimit(req.query.limit, 100, 1000);
+    const before = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+
+    // Fetch one extra row to learn whether another page exists
+    const rows = await database.getAuditLogs({ ...filters, before, limit: limit + 1 });
+    const page = rows.slice(0, limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        entries: page.map(formatEntry),
+        nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+      }
+    });
+  }));
+
+  /**
+   * Export every matching entry as CSV or NDJSON
+   * GET /admin/audit/export?format=csv|ndjson
+   */
+  router.get('/export', asyncHandler(async (req, res) => {
+    const format = req.query.format || 'ndjson';
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const filters = parseFilters(req.query);
+    const maxEntries = req.query.limit === undefined ? Infinity : parseLimit(req.query.limit, 0, 1000000);
+    const filename = `audit-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.write(CSV_COLUMNS.join(',') + '\r\n');
+    }
+
+    // Read in batches so the connection is never held by a long-running iterator
+    let before;
+    let exported = 0;
+
+    while (exported < maxEntries && !res.destroyed) {
+      const rows = await database.getAuditLogs({
+        ...filters,
+        before,
+        limit: Math.min(EXPORT_BATCH_SIZE, maxEntries - exported)
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      const chunk = rows.map(row => {
+        const entry = formatEntry(row);
+        return format === 'csv' ? toCsvRow(entry) : JSON.stringify(entry) + '\n';
+      }).join('');
+
+      exported += rows.length;
+      before = { createdAt: rows[rows.length - 1].created_at, id: rows[rows.length - 1].id };
+
+      if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+
+    res.end();
+
+    logger.info('Audit log exported', {
+      adminId: req.user.id,
+      format,
+      entries: exported
+    });
+  }));
+
+  return router;
+};
+
+module.exports = createAdminAuditRoutes;
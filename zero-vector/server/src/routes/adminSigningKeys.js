@@ -0,0 +1,69 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { audit, setAuditContext } = require('../middleware/audit');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin Signing Key Routes
+ * Inspect and rotate the asymmetric JWT signing keys. Mounted behind
+ * requireRole('admin'); only meaningful when JWT_ALGORITHM is RS256 or ES256.
+ */
+const createAdminSigningKeyRoutes = (jwtService) => {
+  const router = express.Router();
+
+  const requireAsymmetric = (req, res, next) => {
+    if (!jwtService.signingKeys) {
+      return res.status(409).json({
+        status: 'error',
+        error: {
+          code: 'SIGNING_KEYS_DISABLED',
+          message: 'Signing keys are only used when JWT_ALGORITHM is RS256 or ES256'
+        }
+      });
+    }
+
+    next();
+  };
+
+  /**
+   * List signing keys that still verify tokens
+   * GET /admin/signing-keys
+   */
+  router.get('/', requireAsymmetric, asyncHandler(async (req, res) => {
+    res.json({
+      status: 'success',
+      data: {
+        algorithm: jwtService.algorithm,
+        keys: jwtService.signingKeys.listKeys()
+      }
+    });
+  }));
+
+  /**
+   * Rotate now; the previous key keeps verifying until its tokens have expired
+   * POST /admin/signing-keys/rotate
+   */
+  router.post('/rotate', audit('ROTATE_SIGNING_KEY', 'signing_key', { param: null }), requireAsymmetric, asyncHandler(async (req, res) => {
+    const key = jwtService.signingKeys.rotate();
+
+    setAuditContext(res, { resourceId: key.kid });
+
+    logger.info('JWT signing key rotated by admin', {
+      adminId: req.user.id,
+      kid: key.kid
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        kid: key.kid,
+        algorithm: key.algorithm,
+        rotateAt: key.rotateAt
+      }
+    });
+  }));
+
+  return router;
+};
+
+module.exports = createAdminSigningKeyRoutes;
@@ -0,0 +1,338 @@
+const express = require('express');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { audit, setAuditContext } = require('../middleware/audit');
+const UsageService = require('../services/usageService');
+
+const VALID_ROLES = ['admin', 'user', 'readonly'];
+const VALID_STATUSES = ['active', 'inactive', 'locked'];
+
+/**
+ * Admin User Management Routes
+ * Paging, role changes, (de)activation, unlocking, session revocation, two-factor
+ * resets, usage quotas and a view of each user's API keys, personas and usage.
+ * Mounted behind requireRole('admin').
+ */
+const createAdminUserRoutes = (userService, jwtService, apiKeyService, twoFactorService, database, usageService) => {
+  const router = express.Router();
+
+  const userNotFound = (res, userId) => res.status(404).json({
+    status: 'error',
+    error: 'USER_NOT_FOUND',
+    message: `User '${userId}' not found`
+  });
+
+  /**
+   * Load the target user or answer 404
+   */
+  const loadUser = asyncHandler(async (req, res, next) => {
+    const user = await userService.getUserById(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res, req.params.userId);
+    }
+
+    req.targetUser = user;
+    next();
+  });
+
+  /**
+   * Refuse changes that would lock the acting admin out of the admin API
+   */
+  const preventSelfLockout = (req) => {
+    if (req.targetUser.id === req.user.id) {
+      throw new ValidationError('Admins cannot deactivate or demote their own account');
+    }
+  };
+
+  /**
+   * List users
+   * GET /admin/users
+   */
+  router.get('/', asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 50);
+    const { role, status, search } = req.query;
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ValidationError('Page must be a positive integer');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      throw new ValidationError('Limit must be between 1 and 200');
+    }
+
+    if (role && !VALID_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${VALID_ROLES.join(', ')}`);
+    }
+
+    if (status && !VALID_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of: ${VALID_STATUSES.join(', ')}`);
+    }
+
+    const result = await userService.listUsers(page, limit, { role, status, search });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  }));
+
+  /**
+   * Get a user
+   * GET /admin/users/:userId
+   */
+  router.get('/:userId', loadUser, asyncHandler(async (req, res) => {
+    res.json({
+      status: 'success',
+      data: req.targetUser
+    });
+  }));
+
+  /**
+   * Change a user's role
+   * PUT /admin/users/:userId/role
+   */
+  router.put('/:userId/role', audit('ADMIN_UPDATE_ROLE', 'user', { param: 'userId' }), loadUser, asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    if (!VALID_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${VALID_ROLES.join(', ')}`);
+    }
+
+    if (role !== 'admin') {
+      preventSelfLockout(req);
+    }
+
+    await userService.updateUserRole(req.targetUser.id, role);
+
+    // Sessions carry the old role in their tokens; make the user log in again
+    const revokedSessions = await jwtService.revokeAllUserTokens(req.targetUser.id);
+    setAuditContext(res, { details: { previousRole: req.targetUser.role, role, revokedSessions } });
+
+    logger.info('User role changed by admin', {
+      adminId: req.user.id,
+      userId: req.targetUser.id,
+      previousRole: req.targetUser.role,
+      role,
+      revokedSessions
+    });
+
+    res.json({
+      status: 'success',
+      data: await userService.getUserById(req.targetUser.id),
+      message: 'User role updated successfully'
+    });
+  }));
+
+  /**
+   * Deactivate a user and revoke their sessions
+   * POST /admin/users/:userId/deactivate
+   */
+  router.post('/:userId/deactivate', audit('ADMIN_DEACTIVATE_USER', 'user', { param: 'userId' }), loadUser, asyncHandler(async (req, res) => {
+    preventSelfLockout(req);
+
+    await userService.deactivateUser(req.targetUser.id);
+    const revokedSessions = await jwtService.revokeAllUserTokens(req.targetUser.id);
+
+    logger.info('User deactivated by admin', {
+      adminId: req.user.id,
+      userId: req.targetUser.id,
+      revokedSessions
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        user: await userService.getUserById(req.targetUser.id),
+        revokedSessions
+      },
+      message: 'User deactivated successfully'
+    });
+  }));
+
+  /**
+   * Reactivate a user
+   * POST /admin/users/:userId/reactivate
+   */
+  router.post('/:userId/reactivate', audit('ADMIN_REACTIVATE_USER', 'user', { param: 'userId' }), loadUser, asyncHandler(async (req, res) => {
+    await userService.reactivateUser(req.targetUser.id);
+
+    logger.info('User reactivated by admin', {
+      adminId: req.user.id,
+      userId: req.targetUser.id
+    });
+
+    res.json({
+      status: 'success',
+      data: await userService.getUserById(req.targetUser.id),
+      message: 'User reactivated successfully'
+    });
+  }));
+
+  /**
+   * Unlock an account locked by failed logins
+   * POST /admin/users/:userId/unlock
+   */
+  router.post('/:userId/unlock', audit('ADMIN_UNLOCK_USER', 'user', { param: 'userId' }), loadUser, asyncHandler(async (req, res) => {
+    await userService.unlockUser(req.targetUser.id);
+
+    logger.info('User unlocked by admin', {
+      adminId: req.user.id,
+      userId: req.targetUser.id,
+      wasLocked: req.targetUser.isLocked
+    });
+
+    res.json({
+      status: 'success',
+      data: await userService.getUserById(req.targetUser.id),
+      message: 'User account unlocked successfully'
+    });
+  }));
+
+  /**
+   * Revoke every refresh token of a user, forcing them to log in again
+   * POST /admin/users/:userId/revoke-sessions
+   */
+  router.post('/:userId/revoke-sessions', audit('ADMIN_REVOKE_SESSIONS', 'user', { param: 'userId' }), loadUser, asyncHandler(async (req, res) => {
+    const revokedSessions = await jwtService.revokeAllUserTokens(req.targetUser.id);
+
+    logger.info('User sessions revoked by admin', {
+      adminId: req.user.id,
+      userId: req.targetUser.id,
+      revokedSessions
+    });
+
+    res.json({
+      status: 'success',
+      data: { revokedSessions },
+      message: 'User sessions revoked successfully'
+    });
+  }));
+
+  /**
+   * Reset a user's two-factor authentication, e.g. after a lost device
+   * DELETE /admin/users/:userId/2fa
+   */
+  router.delete('/:userId/2fa', audit('ADMIN_RESET_2FA', 'user', { param: 'userId' }), loadUser, asyncHandler(async (req, res) => {
+    const removed = await twoFactorService.disable(req.targetUser.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'TWO_FACTOR_NOT_ENABLED',
+        message: `User '${req.targetUser.id}' has no two-factor configuration`
+      });
+    }
+
+    logger.info('User two-factor reset by admin', {
+      adminId: req.user.id,
+      userId: req.targetUser.id
+    });
+
+    res.json({
+      status: 'success',
+      data: await userService.getUserById(req.targetUser.id),
+      message: 'User two-factor authentication reset successfully'
+    });
+  }));
+
+  /**
+   * Get a user's usage and quotas
+   * GET /admin/users/:userId/usage
+   */
+  router.get('/:userId/usage', loadUser, asyncHandler(async (req, res) => {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > 366) {
+      throw new ValidationError('Days must be an integer between 1 and 366');
+    }
+
+    res.json({
+      status: 'success',
+      data: await usageService.getUsageReport(req.targetUser.id, { days })
+    });
+  }));
+
+  /**
+   * Replace a user's quota overrides; omitted or null quotas use the defaults, 0 is unlimited
+   * PUT /admin/users/:userId/quotas
+   */
+  router.put('/:userId/quotas', audit('ADMIN_UPDATE_QUOTAS', 'user', { param: 'userId' }), loadUser, asyncHandler(async (req, res) => {
+    const quotas = req.body || {};
+
+    for (const [name, value] of Object.entries(quotas)) {
+      if (!UsageService.QUOTA_NAMES.includes(name)) {
+        throw new ValidationError(`Quota must be one of: ${UsageService.QUOTA_NAMES.join(', ')}`);
+      }
+
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new ValidationError(`${name} must be a non-negative integer or null`);
+      }
+    }
+
+    const effective = await usageService.setUserQuotas(req.targetUser.id, quotas);
+    setAuditContext(res, { details: { quotas } });
+
+    logger.info('User quotas changed by admin', {
+      adminId: req.user.id,
+      userId: req.targetUser.id,
+      quotas
+    });
+
+    res.json({
+      status: 'success',
+      data: { quotas: effective },
+      message: 'User quotas updated successfully'
+    });
+  }));
+
+  /**
+   * List a user's API keys
+   * GET /admin/users/:userId/api-keys
+   */
+  router.get('/:userId/api-keys', loadUser, asyncHandler(async (req, res) => {
+    const apiKeys = await apiKeyService.listApiKeys(req.targetUser.id, req.query.include_inactive === 'true');
+
+    res.json({
+      status: 'success',
+      data: {
+        apiKeys,
+        count: apiKeys.length
+      }
+    });
+  }));
+
+  /**
+   * List a user's personas
+   * GET /admin/users/:userId/personas
+   */
+  router.get('/:userId/personas', loadUser, asyncHandler(async (req, res) => {
+    const rows = await database.listPersonas(req.targetUser.id, req.query.include_inactive === 'true');
+
+    const personas = rows.map(persona => ({
+      id: persona.id,
+      organizationId: persona.organization_id,
+      organizationRole: persona.organization_role,
+      name: persona.name,
+      description: persona.description,
+      maxMemorySize: persona.max_memory_size,
+      memoryDecayTime: persona.memory_decay_time,
+      createdAt: persona.created_at,
+      updatedAt: persona.updated_at,
+      isActive: persona.is_active === 1
+    }));
+
+    res.json({
+      status: 'success',
+      data: {
+        personas,
+        count: personas.length
+      }
+    });
+  }));
+
+  return router;
+};
+
+module.exports = createAdminUserRoutes;
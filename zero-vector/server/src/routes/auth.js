@@ -1,8 +1,10 @@
 const express = require('express');
 const joi = require('joi');
+const config = require('../config');
 const { logger } = require('../utils/logger');
 const authenticateJWT = require('../middleware/authenticateJWT');
-const { authRateLimiter } = require('../middleware/rateLimiting');
+const { audit, setAuditContext } = require('../middleware/audit');
+const { authRateLimiter, passwordResetRateLimiter } = require('../middleware/rateLimiting');
 
 const router = express.Router();
 
@@ -10,18 +12,22 @@ const router = express.Router();
  * Authentication Routes
  * Handles user registration, login, logout, and token management
  */
-const createAuthRoutes = (userService, jwtService, apiKeyService) => {
+const createAuthRoutes = (userService, jwtService, apiKeyService, mailService, twoFactorService, usageService, accountDataService) => {
   
+  // Optional label for the device session a login starts, e.g. "Work laptop"
+  const deviceNameSchema = joi.string().trim().max(100).optional();
+
   // Validation schemas
   const registerSchema = joi.object({
     email: joi.string().email().required(),
     password: joi.string().min(8).required(),
-    role: joi.string().valid('user', 'admin').optional()
+    deviceName: deviceNameSchema
   });
 
   const loginSchema = joi.object({
     email: joi.string().email().required(),
-    password: joi.string().required()
+    password: joi.string().required(),
+    deviceName: deviceNameSchema
   });
 
   const refreshTokenSchema = joi.object({
@@ -33,24 +39,95 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
     newPassword: joi.string().min(8).required()
   });
 
+  const twoFactorLoginSchema = joi.object({
+    challengeToken: joi.string().required(),
+    code: joi.string().max(32).required(),
+    deviceName: deviceNameSchema
+  });
+
+  const twoFactorCodeSchema = joi.object({
+    code: joi.string().max(32).required()
+  });
+
+  const disableTwoFactorSchema = joi.object({
+    password: joi.string().required(),
+    code: joi.string().max(32).required()
+  });
+
+  const eraseAccountSchema = joi.object({
+    password: joi.string().required(),
+    code: joi.string().max(32).optional() // Required when two-factor authentication is enabled
+  });
+
+  const forgotPasswordSchema = joi.object({
+    email: joi.string().email().required()
+  });
+
+  const resetPasswordSchema = joi.object({
+    token: joi.string().required(),
+    newPassword: joi.string().min(8).required()
+  });
+
+  const permissionsSchema = joi.array().items(
+    joi.string().valid(
+      'read', 'write', 'delete', 'admin',
+      'vectors:read', 'vectors:write', 'vectors:delete',
+      'personas:read', 'personas:write', 'personas:delete'
+    )
+  ).min(1);
+
+  // Restricts a key to some of the user's personas; null removes the restriction
+  const apiKeyScopeSchema = joi.object({
+    personaIds: joi.array().items(joi.string()).min(1).required(),
+    memoryTypes: joi.array().items(
+      joi.string().valid('conversation', 'fact', 'preference', 'context', 'system')
+    ).min(1).optional(),
+    readOnly: joi.boolean().optional()
+  }).allow(null);
+
+  // Per-key quota overrides; omitted or null quotas use the defaults, 0 is unlimited
+  const quotaSchema = joi.number().integer().min(0).allow(null);
+  const apiKeyQuotasSchema = joi.object({
+    dailyRequests: quotaSchema,
+    monthlyRequests: quotaSchema,
+    monthlyEmbeddingTokens: quotaSchema,
+    maxMemories: quotaSchema
+  }).allow(null);
+
   const createApiKeySchema = joi.object({
     name: joi.string().max(100).required(),
-    permissions: joi.array().items(
-      joi.string().valid(
-        'read', 'write', 'delete', 'admin',
-        'vectors:read', 'vectors:write', 'vectors:delete',
-        'personas:read', 'personas:write', 'personas:delete'
-      )
-    ).min(1).required(),
+    permissions: permissionsSchema.required(),
+    scope: apiKeyScopeSchema.optional(),
     rateLimit: joi.number().integer().min(1).max(10000).optional(),
+    quotas: apiKeyQuotasSchema.optional(),
     expiresInDays: joi.number().integer().min(1).max(365).optional()
   });
 
+  const updateApiKeySchema = joi.object({
+    name: joi.string().max(100).optional(),
+    permissions: permissionsSchema.optional(),
+    scope: apiKeyScopeSchema.optional(),
+    rateLimit: joi.number().integer().min(1).max(10000).optional(),
+    quotas: apiKeyQuotasSchema.optional(),
+    isActive: joi.boolean().optional()
+  }).min(1);
+
+  const rotateApiKeySchema = joi.object({
+    gracePeriodHours: joi.number().min(0).max(720).optional()
+  });
+
+  // Labels stored with a device session
+  const deviceInfo = (req, deviceName) => ({
+    deviceName,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+
   /**
    * POST /auth/register
    * Register a new user
    */
-  router.post('/register', authRateLimiter, async (req, res) => {
+  router.post('/register', audit('REGISTER', 'user'), authRateLimiter, async (req, res) => {
     try {
       // Validate input
       const { error, value } = registerSchema.validate(req.body);
@@ -65,13 +142,15 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
         });
       }
 
-      const { email, password, role } = value;
+      const { email, password, deviceName } = value;
+      setAuditContext(res, { details: { email } });
 
       // Register user
-      const user = await userService.registerUser({ email, password, role });
+      const user = await userService.registerUser({ email, password });
+      setAuditContext(res, { userId: user.id, resourceId: user.id });
 
       // Generate tokens
-      const tokens = await jwtService.generateTokens(user);
+      const tokens = await jwtService.generateTokens(user, deviceInfo(req, deviceName));
 
       logger.info('User registered successfully', {
         userId: user.id,
@@ -122,7 +201,7 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
    * POST /auth/login
    * Authenticate user and return tokens
    */
-  router.post('/login', authRateLimiter, async (req, res) => {
+  router.post('/login', audit('LOGIN', 'user'), authRateLimiter, async (req, res) => {
     try {
       // Validate input
       const { error, value } = loginSchema.validate(req.body);
@@ -137,13 +216,36 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
         });
       }
 
-      const { email, password } = value;
+      const { email, password, deviceName } = value;
+      setAuditContext(res, { details: { email } });
 
       // Authenticate user
       const user = await userService.authenticateUser(email, password);
+      setAuditContext(res, {
+        userId: user.id,
+        resourceId: user.id,
+        details: { twoFactorRequired: user.twoFactorEnabled }
+      });
+
+      // Accounts with two-factor enabled get a challenge instead of tokens
+      if (user.twoFactorEnabled) {
+        const challenge = jwtService.generateTwoFactorChallenge(user);
+
+        logger.info('Two-factor challenge issued', {
+          userId: user.id
+        });
+
+        return res.json({
+          status: 'success',
+          data: {
+            twoFactorRequired: true,
+            ...challenge
+          }
+        });
+      }
 
       // Generate tokens
-      const tokens = await jwtService.generateTokens(user);
+      const tokens = await jwtService.generateTokens(user, deviceInfo(req, deviceName));
 
       logger.info('User logged in successfully', {
         userId: user.id,
@@ -190,11 +292,99 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
     }
   });
 
+  /**
+   * POST /auth/login/2fa
+   * Complete a two-factor login with a TOTP or recovery code
+   */
+  router.post('/login/2fa', audit('LOGIN_2FA', 'user'), authRateLimiter, async (req, res) => {
+    try {
+      // Validate input
+      const { error, value } = twoFactorLoginSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.details[0].message
+          }
+        });
+      }
+
+      const userId = jwtService.verifyTwoFactorChallenge(value.challengeToken);
+      setAuditContext(res, { userId, resourceId: userId });
+      const user = await userService.getUserById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User account is deactivated');
+      }
+
+      if (user.isLocked) {
+        throw new Error(`Account is locked until ${new Date(user.lockedUntil).toISOString()}`);
+      }
+
+      const method = await twoFactorService.verify(userId, value.code);
+      if (!method) {
+        await userService.handleFailedLogin(userId);
+        throw new Error('Invalid two-factor code');
+      }
+
+      setAuditContext(res, { details: { twoFactorMethod: method } });
+      await userService.completeLogin(userId);
+      const tokens = await jwtService.generateTokens(user, deviceInfo(req, value.deviceName));
+
+      logger.info('User logged in successfully', {
+        userId: user.id,
+        email: user.email,
+        twoFactorMethod: method
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            role: user.role
+          },
+          tokens
+        }
+      });
+
+    } catch (error) {
+      logger.error('Two-factor login failed', {
+        error: error.message
+      });
+
+      if (error.message.includes('challenge') ||
+          error.message.includes('Challenge') ||
+          error.message.includes('two-factor code') ||
+          error.message.includes('locked') ||
+          error.message.includes('deactivated')) {
+        return res.status(401).json({
+          status: 'error',
+          error: {
+            code: 'AUTHENTICATION_FAILED',
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'LOGIN_FAILED',
+          message: 'Failed to authenticate user'
+        }
+      });
+    }
+  });
+
   /**
    * POST /auth/refresh
    * Refresh access token using refresh token
    */
-  router.post('/refresh', authRateLimiter, async (req, res) => {
+  router.post('/refresh', audit('REFRESH_TOKEN', 'user'), authRateLimiter, async (req, res) => {
     try {
       // Validate input
       const { error, value } = refreshTokenSchema.validate(req.body);
@@ -211,8 +401,9 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
 
       const { refreshToken } = value;
 
-      // Refresh token
-      const tokens = await jwtService.refreshToken(refreshToken);
+      // Exchange the refresh token; the old one stops working
+      const tokens = await jwtService.refreshToken(refreshToken, deviceInfo(req));
+      setAuditContext(res, { resourceId: tokens.sessionId });
 
       res.json({
         status: 'success',
@@ -248,7 +439,7 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
    * POST /auth/logout
    * Logout user and revoke refresh token
    */
-  router.post('/logout', authenticateJWT(jwtService), async (req, res) => {
+  router.post('/logout', audit('LOGOUT', 'user'), authenticateJWT(jwtService), async (req, res) => {
     try {
       const refreshToken = req.body.refreshToken;
 
@@ -285,7 +476,7 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
    * POST /auth/logout-all
    * Logout user from all devices
    */
-  router.post('/logout-all', authenticateJWT(jwtService), async (req, res) => {
+  router.post('/logout-all', audit('LOGOUT_ALL', 'user'), authenticateJWT(jwtService), async (req, res) => {
     try {
       const revokedCount = await jwtService.revokeAllUserTokens(req.user.id);
 
@@ -318,6 +509,80 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
     }
   });
 
+  /**
+   * GET /auth/sessions
+   * List the user's active device sessions
+   */
+  router.get('/sessions', authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const sessions = await jwtService.listSessions(req.user.id);
+
+      res.json({
+        status: 'success',
+        data: {
+          sessions: sessions.map(session => ({
+            ...session,
+            current: session.id === req.tokenData.sessionId
+          }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('List sessions failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'LIST_SESSIONS_FAILED',
+          message: 'Failed to list sessions'
+        }
+      });
+    }
+  });
+
+  /**
+   * DELETE /auth/sessions/:sessionId
+   * Revoke one device session
+   */
+  router.delete('/sessions/:sessionId', audit('REVOKE_SESSION', 'session', { param: 'sessionId' }), authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const revokedCount = await jwtService.revokeSession(req.user.id, req.params.sessionId);
+
+      if (revokedCount === 0) {
+        return res.status(404).json({
+          status: 'error',
+          error: {
+            code: 'SESSION_NOT_FOUND',
+            message: 'Session not found'
+          }
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'Session revoked successfully'
+      });
+
+    } catch (error) {
+      logger.error('Revoke session failed', {
+        error: error.message,
+        userId: req.user?.id,
+        sessionId: req.params.sessionId
+      });
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'REVOKE_SESSION_FAILED',
+          message: 'Failed to revoke session'
+        }
+      });
+    }
+  });
+
   /**
    * GET /auth/me
    * Get current user information
@@ -345,7 +610,8 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
             role: user.role,
             createdAt: user.createdAt,
             lastLogin: user.lastLogin,
-            isActive: user.isActive
+            isActive: user.isActive,
+            twoFactorEnabled: user.twoFactorEnabled
           }
         }
       });
@@ -367,49 +633,74 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
   });
 
   /**
-   * POST /auth/change-password
-   * Change user password
+   * GET /auth/usage
+   * Usage and quotas of the user and their API keys, with daily history
    */
-  router.post('/change-password', authenticateJWT(jwtService), async (req, res) => {
+  router.get('/usage', authenticateJWT(jwtService), async (req, res) => {
     try {
-      // Validate input
-      const { error, value } = changePasswordSchema.validate(req.body);
-      if (error) {
+      const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+      if (!Number.isInteger(days) || days < 1 || days > 366) {
         return res.status(400).json({
           status: 'error',
           error: {
             code: 'VALIDATION_ERROR',
             message: 'Invalid input data',
-            details: error.details[0].message
+            details: 'days must be an integer between 1 and 366'
           }
         });
       }
 
-      const { currentPassword, newPassword } = value;
+      res.json({
+        status: 'success',
+        data: await usageService.getUsageReport(req.user.id, { days })
+      });
 
-      await userService.changePassword(req.user.id, currentPassword, newPassword);
+    } catch (error) {
+      logger.error('Get usage failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
 
-      logger.info('Password changed successfully', {
-        userId: req.user.id
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'GET_USAGE_FAILED',
+          message: 'Failed to get usage'
+        }
       });
+    }
+  });
 
-      res.json({
-        status: 'success',
-        message: 'Password changed successfully'
+  /**
+   * GET /auth/me/export
+   * Download everything stored about the current user as a JSON archive
+   */
+  router.get('/me/export', audit('EXPORT_ACCOUNT', 'user'), authRateLimiter, authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const archive = await accountDataService.exportAccount(req.user.id);
+
+      setAuditContext(res, {
+        resourceId: req.user.id,
+        details: { personas: archive.personas.length, memories: archive.memories.length }
       });
 
+      const date = archive.exportedAt.slice(0, 10);
+      res.set('Content-Disposition', `attachment; filename="zero-vector-export-${req.user.id}-${date}.json"`);
+      res.json(archive);
+
     } catch (error) {
-      logger.error('Password change failed', {
+      logger.error('Account export failed', {
         error: error.message,
         userId: req.user?.id
       });
 
-      if (error.message.includes('incorrect')) {
-        return res.status(400).json({
+      if (error.message.includes('User not found')) {
+        return res.status(404).json({
           status: 'error',
           error: {
-            code: 'INVALID_CURRENT_PASSWORD',
-            message: 'Current password is incorrect'
+            code: 'USER_NOT_FOUND',
+            message: 'User not found'
           }
         });
       }
@@ -417,58 +708,83 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
       res.status(500).json({
         status: 'error',
         error: {
-          code: 'PASSWORD_CHANGE_FAILED',
-          message: 'Failed to change password'
+          code: 'ACCOUNT_EXPORT_FAILED',
+          message: 'Failed to export account data'
         }
       });
     }
   });
 
   /**
-   * API Key Management Routes
-   */
-
-  /**
-   * GET /auth/api-keys
-   * List user's API keys
+   * POST /auth/me/erase
+   * Permanently delete the current user and all their data, returning a deletion report
    */
-  router.get('/api-keys', authenticateJWT(jwtService), async (req, res) => {
+  router.post('/me/erase', audit('ERASE_ACCOUNT', 'user'), authRateLimiter, authenticateJWT(jwtService), async (req, res) => {
     try {
-      const includeInactive = req.query.include_inactive === 'true';
-      const apiKeys = await apiKeyService.listApiKeys(req.user.id, includeInactive);
+      const { error, value } = eraseAccountSchema.validate(req.body);
+      if (error) {
+        return validationFailed(res, error);
+      }
+
+      if (!await userService.verifyPassword(req.user.id, value.password)) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'INVALID_CURRENT_PASSWORD',
+            message: 'Current password is incorrect'
+          }
+        });
+      }
+
+      if (await twoFactorService.isEnabled(req.user.id) &&
+          !(value.code && await twoFactorService.verify(req.user.id, value.code))) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const report = await accountDataService.eraseAccount(req.user.id);
+
+      // The audit entry outlives the account as proof of the erasure, so it must not identify the user
+      setAuditContext(res, {
+        anonymous: true,
+        resourceId: report.reportId,
+        details: { reportId: report.reportId, digest: report.digest, verified: report.verification.passed }
+      });
 
       res.json({
         status: 'success',
-        data: {
-          apiKeys,
-          count: apiKeys.length
-        }
+        message: 'Account erased',
+        data: { report }
       });
 
     } catch (error) {
-      logger.error('List API keys failed', {
+      logger.error('Account erasure failed', {
         error: error.message,
         userId: req.user?.id
       });
 
-      res.status(500).json({
-        status: 'error',
-        error: {
-          code: 'LIST_API_KEYS_FAILED',
-          message: 'Failed to list API keys'
-        }
-      });
+      if (error.message.includes('last owner')) {
+        return res.status(409).json({
+          status: 'error',
+          error: {
+            code: 'ORGANIZATION_OWNER_REQUIRED',
+            message: 'Make another member an owner of these organizations, or remove their other members, first',
+            organizations: error.organizations
+          }
+        });
+      }
+
+      twoFactorError(res, error, 'ACCOUNT_ERASE_FAILED', 'Failed to erase account');
     }
   });
 
   /**
-   * POST /auth/api-keys
-   * Create new API key
+   * POST /auth/change-password
+   * Change user password
    */
-  router.post('/api-keys', authenticateJWT(jwtService), async (req, res) => {
+  router.post('/change-password', audit('CHANGE_PASSWORD', 'user'), authenticateJWT(jwtService), async (req, res) => {
     try {
       // Validate input
-      const { error, value } = createApiKeySchema.validate(req.body);
+      const { error, value } = changePasswordSchema.validate(req.body);
       if (error) {
         return res.status(400).json({
           status: 'error',
@@ -480,28 +796,517 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
         });
       }
 
-      const apiKey = await apiKeyService.createApiKey(req.user.id, value);
+      const { currentPassword, newPassword } = value;
 
-      logger.info('API key created successfully', {
-        userId: req.user.id,
-        keyId: apiKey.id,
-        name: apiKey.name
+      await userService.changePassword(req.user.id, currentPassword, newPassword);
+
+      logger.info('Password changed successfully', {
+        userId: req.user.id
       });
 
-      res.status(201).json({
+      res.json({
         status: 'success',
-        data: { apiKey },
-        message: 'API key created successfully. Save the key securely as it will not be shown again.'
+        message: 'Password changed successfully'
       });
 
     } catch (error) {
-      logger.error('Create API key failed', {
+      logger.error('Password change failed', {
         error: error.message,
         userId: req.user?.id
       });
 
-      res.status(500).json({
-        status: 'error',
+      if (error.message.includes('incorrect')) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'INVALID_CURRENT_PASSWORD',
+            message: 'Current password is incorrect'
+          }
+        });
+      }
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'PASSWORD_CHANGE_FAILED',
+          message: 'Failed to change password'
+        }
+      });
+    }
+  });
+
+  /**
+   * POST /auth/forgot-password
+   * Email a single-use password reset token. Always answers the same way so the
+   * endpoint cannot be used to find out which emails have accounts.
+   */
+  router.post('/forgot-password', audit('FORGOT_PASSWORD', 'user'), authRateLimiter, passwordResetRateLimiter, async (req, res) => {
+    try {
+      // Validate input
+      const { error, value } = forgotPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.details[0].message
+          }
+        });
+      }
+
+      const user = await userService.getUserByEmail(value.email);
+      setAuditContext(res, {
+        userId: user?.id,
+        resourceId: user?.id,
+        details: { email: value.email }
+      });
+
+      if (user && user.isActive) {
+        const { token, expiresAt } = await jwtService.generatePasswordResetToken(user.id);
+
+        try {
+          await mailService.sendPasswordReset(user, token, expiresAt);
+        } catch (mailError) {
+          // Already logged by the mail service; the response must not differ
+        }
+      } else {
+        logger.info('Password reset requested for unknown or inactive account', {
+          email: value.email
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+
+    } catch (error) {
+      logger.error('Forgot password failed', {
+        error: error.message,
+        email: req.body.email
+      });
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'PASSWORD_RESET_REQUEST_FAILED',
+          message: 'Failed to process password reset request'
+        }
+      });
+    }
+  });
+
+  /**
+   * POST /auth/reset-password
+   * Set a new password with a reset token and sign out every session
+   */
+  router.post('/reset-password', audit('RESET_PASSWORD', 'user'), authRateLimiter, async (req, res) => {
+    try {
+      // Validate input
+      const { error, value } = resetPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.details[0].message
+          }
+        });
+      }
+
+      const { token, newPassword } = value;
+
+      // Check the password before the token is spent
+      try {
+        userService.validatePassword(newPassword);
+      } catch (passwordError) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: passwordError.message
+          }
+        });
+      }
+
+      const userId = await jwtService.consumePasswordResetToken(token);
+      setAuditContext(res, { userId, resourceId: userId });
+      await userService.resetPassword(userId, newPassword);
+      const revokedCount = await jwtService.revokeAllUserTokens(userId);
+
+      logger.info('Password reset completed', {
+        userId,
+        revokedTokens: revokedCount
+      });
+
+      res.json({
+        status: 'success',
+        message: 'Password reset successfully, please log in again',
+        data: {
+          revokedTokens: revokedCount
+        }
+      });
+
+    } catch (error) {
+      logger.error('Password reset failed', {
+        error: error.message
+      });
+
+      if (error.message.includes('reset token') ||
+          error.message.includes('Reset token') ||
+          error.message.includes('not found or deactivated')) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'INVALID_RESET_TOKEN',
+            message: 'Reset token is invalid or has expired'
+          }
+        });
+      }
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'PASSWORD_RESET_FAILED',
+          message: 'Failed to reset password'
+        }
+      });
+    }
+  });
+
+  /**
+   * Two-Factor Authentication Routes
+   */
+
+  // Shared error mapping for the two-factor management routes
+  const twoFactorError = (res, error, fallbackCode, fallbackMessage) => {
+    if (error.message.includes('already enabled')) {
+      return res.status(409).json({
+        status: 'error',
+        error: {
+          code: 'TWO_FACTOR_ALREADY_ENABLED',
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.includes('not been started') || error.message.includes('not enabled')) {
+      return res.status(409).json({
+        status: 'error',
+        error: {
+          code: 'TWO_FACTOR_NOT_ENABLED',
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.includes('Invalid two-factor code')) {
+      return res.status(400).json({
+        status: 'error',
+        error: {
+          code: 'INVALID_TWO_FACTOR_CODE',
+          message: 'Invalid two-factor code'
+        }
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      error: {
+        code: fallbackCode,
+        message: fallbackMessage
+      }
+    });
+  };
+
+  const validationFailed = (res, error) => res.status(400).json({
+    status: 'error',
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid input data',
+      details: error.details[0].message
+    }
+  });
+
+  /**
+   * GET /auth/2fa
+   * Get two-factor status
+   */
+  router.get('/2fa', authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const status = await twoFactorService.getStatus(req.user.id);
+
+      res.json({
+        status: 'success',
+        data: status
+      });
+
+    } catch (error) {
+      logger.error('Get two-factor status failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      twoFactorError(res, error, 'TWO_FACTOR_STATUS_FAILED', 'Failed to get two-factor status');
+    }
+  });
+
+  /**
+   * POST /auth/2fa/setup
+   * Start enrollment and return the TOTP secret and otpauth URI
+   */
+  router.post('/2fa/setup', audit('SETUP_2FA', 'user'), authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+      res.json({
+        status: 'success',
+        data: enrollment,
+        message: 'Add the secret to your authenticator app, then confirm with POST /auth/2fa/enable'
+      });
+
+    } catch (error) {
+      logger.error('Two-factor setup failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      twoFactorError(res, error, 'TWO_FACTOR_SETUP_FAILED', 'Failed to start two-factor setup');
+    }
+  });
+
+  /**
+   * POST /auth/2fa/enable
+   * Confirm enrollment with a code and return the recovery codes
+   */
+  router.post('/2fa/enable', audit('ENABLE_2FA', 'user'), authRateLimiter, authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const { error, value } = twoFactorCodeSchema.validate(req.body);
+      if (error) {
+        return validationFailed(res, error);
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, value.code);
+
+      res.json({
+        status: 'success',
+        data: { recoveryCodes },
+        message: 'Two-factor authentication enabled. Store the recovery codes safely, they will not be shown again'
+      });
+
+    } catch (error) {
+      logger.error('Two-factor enable failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      twoFactorError(res, error, 'TWO_FACTOR_ENABLE_FAILED', 'Failed to enable two-factor authentication');
+    }
+  });
+
+  /**
+   * POST /auth/2fa/recovery-codes
+   * Replace the recovery codes (requires a current code)
+   */
+  router.post('/2fa/recovery-codes', audit('REGENERATE_RECOVERY_CODES', 'user'), authRateLimiter, authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const { error, value } = twoFactorCodeSchema.validate(req.body);
+      if (error) {
+        return validationFailed(res, error);
+      }
+
+      if (!await twoFactorService.isEnabled(req.user.id)) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      if (!await twoFactorService.verify(req.user.id, value.code)) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+      res.json({
+        status: 'success',
+        data: { recoveryCodes },
+        message: 'Recovery codes replaced. Store them safely, they will not be shown again'
+      });
+
+    } catch (error) {
+      logger.error('Recovery code regeneration failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      twoFactorError(res, error, 'RECOVERY_CODES_FAILED', 'Failed to regenerate recovery codes');
+    }
+  });
+
+  /**
+   * POST /auth/2fa/disable
+   * Turn off two-factor authentication (requires password and a current code)
+   */
+  router.post('/2fa/disable', audit('DISABLE_2FA', 'user'), authRateLimiter, authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const { error, value } = disableTwoFactorSchema.validate(req.body);
+      if (error) {
+        return validationFailed(res, error);
+      }
+
+      if (!await twoFactorService.isEnabled(req.user.id)) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      if (!await userService.verifyPassword(req.user.id, value.password)) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'INVALID_CURRENT_PASSWORD',
+            message: 'Current password is incorrect'
+          }
+        });
+      }
+
+      if (!await twoFactorService.verify(req.user.id, value.code)) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      await twoFactorService.disable(req.user.id);
+
+      res.json({
+        status: 'success',
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      logger.error('Two-factor disable failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      twoFactorError(res, error, 'TWO_FACTOR_DISABLE_FAILED', 'Failed to disable two-factor authentication');
+    }
+  });
+
+  /**
+   * Refuse to mint API keys for accounts without two-factor authentication
+   * unless REQUIRE_2FA_FOR_API_KEYS is turned off
+   */
+  const requireTwoFactorForApiKeys = async (req, res, next) => {
+    try {
+      if (!config.auth.requireTwoFactorForApiKeys || await twoFactorService.isEnabled(req.user.id)) {
+        return next();
+      }
+
+      res.status(403).json({
+        status: 'error',
+        error: {
+          code: 'TWO_FACTOR_REQUIRED',
+          message: 'Enable two-factor authentication before creating API keys'
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * API Key Management Routes
+   */
+
+  /**
+   * GET /auth/api-keys
+   * List user's API keys
+   */
+  router.get('/api-keys', authenticateJWT(jwtService), async (req, res) => {
+    try {
+      const includeInactive = req.query.include_inactive === 'true';
+      const apiKeys = await apiKeyService.listApiKeys(req.user.id, includeInactive);
+
+      res.json({
+        status: 'success',
+        data: {
+          apiKeys,
+          count: apiKeys.length,
+          pendingRetirement: apiKeys.filter(key => key.pendingRetirement).map(key => key.id)
+        }
+      });
+
+    } catch (error) {
+      logger.error('List API keys failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'LIST_API_KEYS_FAILED',
+          message: 'Failed to list API keys'
+        }
+      });
+    }
+  });
+
+  /**
+   * POST /auth/api-keys
+   * Create new API key
+   */
+  router.post('/api-keys', audit('CREATE_API_KEY', 'api_key'), authenticateJWT(jwtService), requireTwoFactorForApiKeys, async (req, res) => {
+    try {
+      // Validate input
+      const { error, value } = createApiKeySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.details[0].message
+          }
+        });
+      }
+
+      const apiKey = await apiKeyService.createApiKey(req.user.id, value);
+      setAuditContext(res, {
+        resourceId: apiKey.id,
+        details: { name: apiKey.name, permissions: apiKey.permissions, scope: apiKey.scope, quotas: apiKey.quotas }
+      });
+
+      logger.info('API key created successfully', {
+        userId: req.user.id,
+        keyId: apiKey.id,
+        name: apiKey.name
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: { apiKey },
+        message: 'API key created successfully. Save the key securely as it will not be shown again.'
+      });
+
+    } catch (error) {
+      logger.error('Create API key failed', {
+        error: error.message,
+        userId: req.user?.id
+      });
+
+      if (error.message.startsWith('Invalid scope')) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        status: 'error',
         error: {
           code: 'CREATE_API_KEY_FAILED',
           message: 'Failed to create API key'
@@ -514,11 +1319,24 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
    * PUT /auth/api-keys/:keyId
    * Update API key
    */
-  router.put('/api-keys/:keyId', authenticateJWT(jwtService), async (req, res) => {
+  router.put('/api-keys/:keyId', audit('UPDATE_API_KEY', 'api_key', { param: 'keyId' }), authenticateJWT(jwtService), async (req, res) => {
     try {
       const { keyId } = req.params;
-      const updates = req.body;
 
+      // Validate input
+      const { error, value: updates } = updateApiKeySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.details[0].message
+          }
+        });
+      }
+
+      setAuditContext(res, { details: { fields: Object.keys(updates) } });
       await apiKeyService.updateApiKey(keyId, req.user.id, updates);
 
       logger.info('API key updated successfully', {
@@ -538,6 +1356,17 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
         keyId: req.params.keyId
       });
 
+      if (error.message.startsWith('Invalid scope')) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.message
+          }
+        });
+      }
+
       if (error.message.includes('not found')) {
         return res.status(404).json({
           status: 'error',
@@ -558,11 +1387,87 @@ const createAuthRoutes = (userService, jwtService, apiKeyService) => {
     }
   });
 
+  /**
+   * POST /auth/api-keys/:keyId/rotate
+   * Issue a successor key; the old key keeps working until its grace period ends
+   */
+  router.post('/api-keys/:keyId/rotate', audit('ROTATE_API_KEY', 'api_key', { param: 'keyId' }), authenticateJWT(jwtService), requireTwoFactorForApiKeys, async (req, res) => {
+    try {
+      const { keyId } = req.params;
+
+      // Validate input
+      const { error, value } = rotateApiKeySchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: error.details[0].message
+          }
+        });
+      }
+
+      const rotation = await apiKeyService.rotateApiKey(keyId, req.user.id, value);
+      setAuditContext(res, {
+        details: { successorId: rotation.apiKey.id, retiresAt: rotation.previous.retiresAt }
+      });
+
+      logger.info('API key rotated successfully', {
+        userId: req.user.id,
+        keyId,
+        successorId: rotation.apiKey.id
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: rotation,
+        message: 'API key rotated successfully. Save the new key securely as it will not be shown again; ' +
+          `the previous key stops working at ${new Date(rotation.previous.retiresAt).toISOString()}.`
+      });
+
+    } catch (error) {
+      logger.error('Rotate API key failed', {
+        error: error.message,
+        userId: req.user?.id,
+        keyId: req.params.keyId
+      });
+
+      if (error.message.includes('already been rotated')) {
+        return res.status(409).json({
+          status: 'error',
+          error: {
+            code: 'API_KEY_ALREADY_ROTATED',
+            message: 'API key has already been rotated'
+          }
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          error: {
+            code: 'API_KEY_NOT_FOUND',
+            message: 'API key not found'
+          }
+        });
+      }
+
+      res.status(500).json({
+        status: 'error',
+        error: {
+          code: 'ROTATE_API_KEY_FAILED',
+          message: 'Failed to rotate API key'
+        }
+      });
+    }
+  });
+
   /**
    * DELETE /auth/api-keys/:keyId
    * Delete API key
    */
-  router.delete('/api-keys/:keyId', authenticateJWT(jwtService), async (req, res) => {
+  router.delete('/api-keys/:keyId', audit('DELETE_API_KEY', 'api_key', { param: 'keyId' }), authenticateJWT(jwtService), async (req, res) => {
     try {
       const { keyId } = req.params;
 
@@ -0,0 +1,253 @@
+const express = require('express');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { audit, setAuditContext } = require('../middleware/audit');
+const { requirePermission } = require('../middleware/authorize');
+const { INDEX_TYPES } = require('../algorithms/createIndex');
+const config = require('../config');
+
+const router = express.Router();
+
+/**
+ * Vector Collection Routes
+ * Each collection owns its own vector store with fixed dimensions, distance metric and index type
+ */
+
+const DISTANCE_METRICS = ['cosine', 'euclidean', 'dot'];
+const INDEX_TYPE_NAMES = Object.keys(INDEX_TYPES);
+
+/**
+ * Create a new collection
+ * POST /api/collections
+ */
+router.post('/', audit('CREATE_COLLECTION', 'collection'), requirePermission('vectors:write'), asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    dimensions,
+    distanceMetric = 'cosine',
+    indexType = config.vectorDb.indexType,
+    maxMemoryMB
+  } = req.body;
+
+  // Validate required fields
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    throw new ValidationError('Name is required and must be a non-empty string');
+  }
+
+  if (name.length > 100) {
+    throw new ValidationError('Name cannot exceed 100 characters');
+  }
+
+  if (description && description.length > 500) {
+    throw new ValidationError('Description cannot exceed 500 characters');
+  }
+
+  if (!Number.isInteger(dimensions) || dimensions < 1 || dimensions > 20000) {
+    throw new ValidationError('Dimensions must be an integer between 1 and 20000');
+  }
+
+  if (!DISTANCE_METRICS.includes(distanceMetric)) {
+    throw new ValidationError(`Distance metric must be one of: ${DISTANCE_METRICS.join(', ')}`);
+  }
+
+  if (!INDEX_TYPE_NAMES.includes(indexType)) {
+    throw new ValidationError(`Index type must be one of: ${INDEX_TYPE_NAMES.join(', ')}`);
+  }
+
+  if (maxMemoryMB !== undefined &&
+      (!Number.isInteger(maxMemoryMB) || maxMemoryMB < 16 || maxMemoryMB > config.vectorDb.collectionMaxMemoryMB)) {
+    throw new ValidationError(`Max memory must be an integer between 16 and ${config.vectorDb.collectionMaxMemoryMB} MB`);
+  }
+
+  let collection;
+  try {
+    collection = await req.collectionManager.createCollection(req.user.id, {
+      name: name.trim(),
+      description: description?.trim(),
+      dimensions,
+      distanceMetric,
+      indexType,
+      maxMemoryMB
+    });
+  } catch (error) {
+    if (error.message.includes('limit reached')) {
+      res.status(409).json({
+        status: 'error',
+        error: error.message
+      });
+      return;
+    }
+    if (error.message.includes('budget exhausted')) {
+      res.status(507).json({
+        status: 'error',
+        error: error.message
+      });
+      return;
+    }
+    throw error;
+  }
+  setAuditContext(res, { resourceId: collection.id, details: { name: collection.name } });
+
+  logger.info('Collection created via API', {
+    collectionId: collection.id,
+    userId: req.user.id,
+    name: collection.name
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: collection,
+    message: 'Collection created successfully'
+  });
+}));
+
+/**
+ * List user collections
+ * GET /api/collections
+ */
+router.get('/', requirePermission('vectors:read'), asyncHandler(async (req, res) => {
+  const { include_inactive = false } = req.query;
+
+  const collections = await req.collectionManager.listCollections(
+    req.user.id,
+    include_inactive === 'true'
+  );
+
+  res.json({
+    status: 'success',
+    data: {
+      collections: collections,
+      count: collections.length
+    }
+  });
+}));
+
+/**
+ * Get collection details
+ * GET /api/collections/:id
+ */
+router.get('/:id', requirePermission('vectors:read'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { include_stats = false } = req.query;
+
+  try {
+    let collection = await req.collectionManager.getCollection(id, req.user.id);
+
+    if (include_stats === 'true') {
+      collection = {
+        ...collection,
+        stats: req.collectionManager.getStore(id).getStats()
+      };
+    }
+
+    res.json({
+      status: 'success',
+      data: collection
+    });
+
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('Access denied')) {
+      res.status(404).json({
+        status: 'error',
+        error: 'Collection not found'
+      });
+      return;
+    }
+    throw error;
+  }
+}));
+
+/**
+ * Update collection
+ * PUT /api/collections/:id
+ */
+router.put('/:id', audit('UPDATE_COLLECTION', 'collection'), requirePermission('vectors:write'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  if (updates.dimensions !== undefined || updates.distanceMetric !== undefined || updates.indexType !== undefined) {
+    throw new ValidationError('Dimensions, distance metric and index type cannot be changed after creation');
+  }
+
+  if (updates.name !== undefined) {
+    if (!updates.name || typeof updates.name !== 'string' || updates.name.trim().length === 0) {
+      throw new ValidationError('Name must be a non-empty string');
+    }
+    if (updates.name.length > 100) {
+      throw new ValidationError('Name cannot exceed 100 characters');
+    }
+  }
+
+  if (updates.description !== undefined && updates.description.length > 500) {
+    throw new ValidationError('Description cannot exceed 500 characters');
+  }
+
+  try {
+    const collection = await req.collectionManager.updateCollection(id, req.user.id, {
+      name: updates.name?.trim(),
+      description: updates.description?.trim()
+    });
+
+    logger.info('Collection updated via API', {
+      collectionId: id,
+      userId: req.user.id,
+      updates: Object.keys(updates)
+    });
+
+    res.json({
+      status: 'success',
+      data: collection,
+      message: 'Collection updated successfully'
+    });
+
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('Access denied')) {
+      res.status(404).json({
+        status: 'error',
+        error: 'Collection not found'
+      });
+      return;
+    }
+    throw error;
+  }
+}));
+
+/**
+ * Delete collection and all of its vectors
+ * DELETE /api/collections/:id
+ */
+router.delete('/:id', audit('DELETE_COLLECTION', 'collection'), requirePermission(['vectors:write', 'vectors:delete']), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await req.collectionManager.deleteCollection(id, req.user.id);
+
+    logger.info('Collection deleted via API', {
+      collectionId: id,
+      userId: req.user.id,
+      vectorsDeleted: result.vectorsDeleted
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Collection deleted successfully',
+      data: {
+        id,
+        vectorsDeleted: result.vectorsDeleted
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('Access denied')) {
+      res.status(404).json({
+        status: 'error',
+        error: 'Collection not found'
+      });
+      return;
+    }
+    throw error;
+  }
+}));
+
+module.exports = router;
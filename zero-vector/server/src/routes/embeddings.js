@@ -1,8 +1,13 @@
 const express = require('express');
 const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { validateFilter } = require('../utils/metadataFilter');
 const EmbeddingService = require('../services/embedding/EmbeddingService');
 const LocalTransformersProvider = require('../services/embedding/LocalTransformersProvider');
+const resolveCollection = require('../middleware/resolveCollection');
+const { requireRole, requirePermission } = require('../middleware/authorize');
+const { audit, setAuditContext } = require('../middleware/audit');
+const { canAccessPersona } = require('../utils/personaAccess');
 
 const router = express.Router();
 
@@ -18,7 +23,7 @@ embeddingService.setDefaultProvider('local');
  * Generate embedding for text
  * POST /api/embeddings/generate
  */
-router.post('/generate', asyncHandler(async (req, res) => {
+router.post('/generate', requirePermission('vectors:read'), asyncHandler(async (req, res) => {
   const {
     text,
     provider = 'local',
@@ -83,7 +88,7 @@ router.post('/generate', asyncHandler(async (req, res) => {
  * Generate embeddings for multiple texts
  * POST /api/embeddings/batch
  */
-router.post('/batch', asyncHandler(async (req, res) => {
+router.post('/batch', requirePermission('vectors:read'), asyncHandler(async (req, res) => {
   const {
     texts,
     provider = 'local',
@@ -161,7 +166,7 @@ router.post('/batch', asyncHandler(async (req, res) => {
  * Generate embedding and store as vector
  * POST /api/embeddings/store
  */
-router.post('/store', asyncHandler(async (req, res) => {
+router.post('/store', audit('STORE_EMBEDDING', 'vector'), requirePermission('vectors:write'), resolveCollection, asyncHandler(async (req, res) => {
   const {
     text,
     id = null,
@@ -177,6 +182,17 @@ router.post('/store', asyncHandler(async (req, res) => {
     throw new ValidationError('Text is required and must be a string');
   }
 
+  // A persona-tagged vector shows up among that persona's memories
+  const { personaId } = metadata;
+  if (personaId !== undefined && personaId !== null &&
+      !await canAccessPersona(req.database, personaId, req.user.id, 'write')) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'INVALID_PERSONA_ID',
+      message: `Persona '${personaId}' not found`
+    });
+  }
+
   try {
     // Generate embedding
     const embeddingResult = await embeddingService.generateEmbedding(text, {
@@ -187,13 +203,25 @@ router.post('/store', asyncHandler(async (req, res) => {
       useCache: true
     });
 
+    if (embeddingResult.vector.length !== req.vectorStore.dimensions) {
+      throw new ValidationError(
+        `Embedding has ${embeddingResult.vector.length} dimensions but the target store expects ` +
+        `${req.vectorStore.dimensions}; use a collection created for this provider/model`
+      );
+    }
+
     // Store in vector database
     const vectorId = id || require('uuid').v4();
+    setAuditContext(res, {
+      resourceId: vectorId,
+      details: { collectionId: req.collectionId, provider: embeddingResult.provider }
+    });
     const storeResult = await req.vectorStore.addVector(
       embeddingResult.vector,
       vectorId,
       {
         ...metadata,
+        userId: req.user.id,
         originalText: text,
         embeddingProvider: embeddingResult.provider,
         embeddingModel: embeddingResult.model,
@@ -211,14 +239,29 @@ router.post('/store', asyncHandler(async (req, res) => {
       tags: metadata.tags || [],
       customMetadata: {
         ...metadata,
+        userId: req.user.id,
         originalText: text,
         embeddingProvider: embeddingResult.provider,
         embeddingModel: embeddingResult.model
-      }
+      },
+      collectionId: req.collectionId,
+      userId: req.user.id
     });
 
+    // Quantized stores only keep compressed codes; keep the original for reranking
+    if (req.vectorStore.quantizer) {
+      await req.database.upsertVectorEmbedding({
+        id: vectorId,
+        vector: embeddingResult.vector,
+        provider: embeddingResult.provider,
+        model: embeddingResult.model,
+        fingerprint: embeddingService.getModelFingerprint(embeddingResult.provider, embeddingResult.model)
+      });
+    }
+
     logger.info('Text embedded and stored as vector', {
       id: vectorId,
+      collectionId: req.collectionId,
       provider: embeddingResult.provider,
       model: embeddingResult.model,
       dimensions: embeddingResult.dimensions,
@@ -229,6 +272,7 @@ router.post('/store', asyncHandler(async (req, res) => {
       status: 'success',
       data: {
         id: vectorId,
+        collectionId: req.collectionId,
         dimensions: embeddingResult.dimensions,
         slotIndex: storeResult.slotIndex,
         embedding: {
@@ -250,7 +294,7 @@ router.post('/store', asyncHandler(async (req, res) => {
  * Semantic search using text query
  * POST /api/embeddings/search
  */
-router.post('/search', asyncHandler(async (req, res) => {
+router.post('/search', requirePermission('vectors:read'), resolveCollection, asyncHandler(async (req, res) => {
   const {
     query,
     limit = 10,
@@ -261,7 +305,8 @@ router.post('/search', asyncHandler(async (req, res) => {
     include_metadata = true,
     provider = 'local',
     model = null,
-    useIndex = true
+    useIndex = true,
+    rerank
   } = req.body;
 
   // Validate input
@@ -269,6 +314,15 @@ router.post('/search', asyncHandler(async (req, res) => {
     throw new ValidationError('Query text is required and must be a string');
   }
 
+  if (rerank !== undefined && typeof rerank !== 'boolean') {
+    throw new ValidationError('Rerank must be a boolean');
+  }
+
+  const filterErrors = validateFilter(filters);
+  if (filterErrors.length > 0) {
+    throw new ValidationError('Invalid filters', filterErrors);
+  }
+
   try {
     // Generate query embedding
     const queryEmbedding = await embeddingService.generateEmbedding(query, {
@@ -277,14 +331,22 @@ router.post('/search', asyncHandler(async (req, res) => {
       useCache: true
     });
 
+    if (queryEmbedding.vector.length !== req.vectorStore.dimensions) {
+      throw new ValidationError(
+        `Query embedding has ${queryEmbedding.vector.length} dimensions but the target store expects ` +
+        `${req.vectorStore.dimensions}; use the provider/model the collection was built with`
+      );
+    }
+
     // Perform vector search
-    const searchResults = await req.vectorStore.search(queryEmbedding.vector, {
+    const searchResults = await req.vectorStore.searchWithRerank(queryEmbedding.vector, {
       limit: parseInt(limit),
       threshold: parseFloat(threshold),
       metric,
-      filters,
+      filters: { $and: [{ userId: req.user.id }, filters || {}] },
       includeValues: include_values === true || include_values === 'true',
-      useIndex
+      useIndex,
+      rerank
     });
 
     // Enrich results with database metadata if requested
@@ -318,6 +380,7 @@ router.post('/search', asyncHandler(async (req, res) => {
       data: {
         query: {
           text: query,
+          collectionId: req.collectionId,
           embedding: {
             provider: queryEmbedding.provider,
             model: queryEmbedding.model,
@@ -343,7 +406,7 @@ router.post('/search', asyncHandler(async (req, res) => {
  * Get available embedding providers
  * GET /api/embeddings/providers
  */
-router.get('/providers', asyncHandler(async (req, res) => {
+router.get('/providers', requirePermission('vectors:read'), asyncHandler(async (req, res) => {
   const providers = embeddingService.getAvailableProviders();
   
   res.json({
@@ -359,7 +422,7 @@ router.get('/providers', asyncHandler(async (req, res) => {
  * Get embedding service statistics
  * GET /api/embeddings/stats
  */
-router.get('/stats', asyncHandler(async (req, res) => {
+router.get('/stats', requirePermission('vectors:read'), asyncHandler(async (req, res) => {
   const stats = embeddingService.getStats();
   
   res.json({
@@ -373,7 +436,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
  * Health check for embedding providers
  * GET /api/embeddings/health
  */
-router.get('/health', asyncHandler(async (req, res) => {
+router.get('/health', requirePermission('vectors:read'), asyncHandler(async (req, res) => {
   const healthResults = await embeddingService.healthCheck();
   
   const overallHealthy = Object.values(healthResults).every(
@@ -391,10 +454,10 @@ router.get('/health', asyncHandler(async (req, res) => {
 }));
 
 /**
- * Clear embedding cache
+ * Clear embedding cache (shared by all users, so admin only)
  * POST /api/embeddings/cache/clear
  */
-router.post('/cache/clear', asyncHandler(async (req, res) => {
+router.post('/cache/clear', audit('CLEAR_EMBEDDING_CACHE', 'embedding_cache'), requireRole('admin'), asyncHandler(async (req, res) => {
   embeddingService.clearCache();
   
   logger.info('Embedding cache cleared via API');
@@ -406,10 +469,10 @@ router.post('/cache/clear', asyncHandler(async (req, res) => {
 }));
 
 /**
- * Configure embedding cache
+ * Configure embedding cache (admin only)
  * POST /api/embeddings/cache/configure
  */
-router.post('/cache/configure', asyncHandler(async (req, res) => {
+router.post('/cache/configure', audit('CONFIGURE_EMBEDDING_CACHE', 'embedding_cache'), requireRole('admin'), asyncHandler(async (req, res) => {
   const { maxSize } = req.body;
   
   if (!maxSize || typeof maxSize !== 'number' || maxSize < 100 || maxSize > 100000) {
@@ -0,0 +1,278 @@
+const express = require('express');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/authorize');
+const { audit, setAuditContext } = require('../middleware/audit');
+const { logger } = require('../utils/logger');
+const { ORGANIZATION_ROLES, hasOrganizationRole } = require('../utils/organizationRoles');
+
+// Service errors that describe a state conflict rather than a bad request
+const CONFLICT_MESSAGES = ['already a member', 'at least one owner', 'still owns'];
+
+/**
+ * Organization Routes
+ * Teams whose members share personas. Owners manage the organization and its
+ * members; any member may view it. Personas join an organization when they are
+ * created with an organizationId (see the persona routes).
+ */
+const createOrganizationRoutes = (organizationService) => {
+  const router = express.Router();
+
+  const validateName = (name) => {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      throw new ValidationError('Name is required and must be a non-empty string');
+    }
+
+    if (name.length > 100) {
+      throw new ValidationError('Name cannot exceed 100 characters');
+    }
+  };
+
+  const validateRole = (role) => {
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+    }
+  };
+
+  /**
+   * Load the organization for a member holding at least `requiredRole`.
+   * Non-members get a 404 so organizations cannot be probed.
+   */
+  const loadOrganization = (requiredRole = 'viewer') => asyncHandler(async (req, res, next) => {
+    const organization = await organizationService.getOrganization(req.params.id, req.user.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        error: {
+          code: 'ORGANIZATION_NOT_FOUND',
+          message: 'Organization not found'
+        }
+      });
+    }
+
+    if (!hasOrganizationRole(organization.role, requiredRole)) {
+      return res.status(403).json({
+        status: 'error',
+        error: {
+          code: 'INSUFFICIENT_ORGANIZATION_ROLE',
+          message: `Organization role '${requiredRole}' or higher required`
+        }
+      });
+    }
+
+    req.organization = organization;
+    next();
+  });
+
+  /**
+   * Answer membership errors from the service, rethrowing anything else
+   */
+  const handleMembershipError = (res, error) => {
+    if (error.message === 'User not found' || error.message === 'Member not found') {
+      return res.status(404).json({
+        status: 'error',
+        error: {
+          code: error.message === 'User not found' ? 'USER_NOT_FOUND' : 'MEMBER_NOT_FOUND',
+          message: error.message
+        }
+      });
+    }
+
+    if (CONFLICT_MESSAGES.some(message => error.message.includes(message))) {
+      return res.status(409).json({
+        status: 'error',
+        error: {
+          code: 'ORGANIZATION_CONFLICT',
+          message: error.message
+        }
+      });
+    }
+
+    throw error;
+  };
+
+  /**
+   * Create an organization; the caller becomes its owner
+   * POST /api/organizations
+   */
+  router.post('/', audit('CREATE_ORGANIZATION', 'organization'), requirePermission('write'), asyncHandler(async (req, res) => {
+    validateName(req.body.name);
+
+    const organization = await organizationService.createOrganization(req.user.id, {
+      name: req.body.name.trim()
+    });
+    setAuditContext(res, { resourceId: organization.id, details: { name: organization.name } });
+
+    res.status(201).json({
+      status: 'success',
+      data: organization,
+      message: 'Organization created successfully'
+    });
+  }));
+
+  /**
+   * List the caller's organizations
+   * GET /api/organizations
+   */
+  router.get('/', requirePermission('read'), asyncHandler(async (req, res) => {
+    const organizations = await organizationService.listOrganizations(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        organizations,
+        count: organizations.length
+      }
+    });
+  }));
+
+  /**
+   * Get an organization with its members
+   * GET /api/organizations/:id
+   */
+  router.get('/:id', requirePermission('read'), loadOrganization(), asyncHandler(async (req, res) => {
+    res.json({
+      status: 'success',
+      data: {
+        ...req.organization,
+        members: await organizationService.listMembers(req.organization.id)
+      }
+    });
+  }));
+
+  /**
+   * Rename an organization (owners)
+   * PUT /api/organizations/:id
+   */
+  router.put('/:id', audit('UPDATE_ORGANIZATION', 'organization'), requirePermission('write'), loadOrganization('owner'), asyncHandler(async (req, res) => {
+    validateName(req.body.name);
+
+    await organizationService.updateOrganization(req.organization.id, { name: req.body.name.trim() });
+
+    res.json({
+      status: 'success',
+      data: await organizationService.getOrganization(req.organization.id, req.user.id),
+      message: 'Organization updated successfully'
+    });
+  }));
+
+  /**
+   * Delete an organization that no longer owns active personas (owners)
+   * DELETE /api/organizations/:id
+   */
+  router.delete('/:id', audit('DELETE_ORGANIZATION', 'organization'), requirePermission('delete'), loadOrganization('owner'), asyncHandler(async (req, res) => {
+    try {
+      await organizationService.deleteOrganization(req.organization.id);
+    } catch (error) {
+      return handleMembershipError(res, error);
+    }
+
+    logger.info('Organization deleted via API', {
+      organizationId: req.organization.id,
+      userId: req.user.id
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Organization deleted successfully'
+    });
+  }));
+
+  /**
+   * List members
+   * GET /api/organizations/:id/members
+   */
+  router.get('/:id/members', requirePermission('read'), loadOrganization(), asyncHandler(async (req, res) => {
+    const members = await organizationService.listMembers(req.organization.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        members,
+        count: members.length
+      }
+    });
+  }));
+
+  /**
+   * Add a registered user by email (owners)
+   * POST /api/organizations/:id/members
+   */
+  router.post('/:id/members', audit('ADD_ORGANIZATION_MEMBER', 'organization'), requirePermission('write'), loadOrganization('owner'), asyncHandler(async (req, res) => {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      throw new ValidationError('Email is required');
+    }
+    validateRole(role);
+
+    let member;
+    try {
+      member = await organizationService.addMember(req.organization.id, email, role);
+    } catch (error) {
+      return handleMembershipError(res, error);
+    }
+    setAuditContext(res, { details: { memberId: member.userId, role } });
+
+    res.status(201).json({
+      status: 'success',
+      data: member,
+      message: 'Member added successfully'
+    });
+  }));
+
+  /**
+   * Change a member's role (owners)
+   * PUT /api/organizations/:id/members/:userId
+   */
+  router.put('/:id/members/:userId', audit('UPDATE_ORGANIZATION_MEMBER', 'organization'), requirePermission('write'), loadOrganization('owner'), asyncHandler(async (req, res) => {
+    const { role } = req.body;
+    validateRole(role);
+    setAuditContext(res, { details: { memberId: req.params.userId, role } });
+
+    try {
+      await organizationService.updateMemberRole(req.organization.id, req.params.userId, role);
+    } catch (error) {
+      return handleMembershipError(res, error);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Member role updated successfully'
+    });
+  }));
+
+  /**
+   * Remove a member (owners), or leave the organization (any member removing themselves)
+   * DELETE /api/organizations/:id/members/:userId
+   */
+  router.delete('/:id/members/:userId', audit('REMOVE_ORGANIZATION_MEMBER', 'organization'), requirePermission('write'), loadOrganization(), asyncHandler(async (req, res) => {
+    const leaving = req.params.userId === req.user.id;
+    setAuditContext(res, { details: { memberId: req.params.userId } });
+
+    if (!leaving && req.organization.role !== 'owner') {
+      return res.status(403).json({
+        status: 'error',
+        error: {
+          code: 'INSUFFICIENT_ORGANIZATION_ROLE',
+          message: "Organization role 'owner' or higher required"
+        }
+      });
+    }
+
+    try {
+      await organizationService.removeMember(req.organization.id, req.params.userId);
+    } catch (error) {
+      return handleMembershipError(res, error);
+    }
+
+    res.json({
+      status: 'success',
+      message: leaving ? 'Left organization successfully' : 'Member removed successfully'
+    });
+  }));
+
+  return router;
+};
+
+module.exports = createOrganizationRoutes;
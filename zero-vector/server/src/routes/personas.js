@@ -1,7 +1,16 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const {
+  requirePermission,
+  requirePersonaScope,
+  isPersonaInScope,
+  getScopedMemoryTypes
+} = require('../middleware/authorize');
+const { audit, setAuditContext } = require('../middleware/audit');
 const { logger } = require('../utils/logger');
+const { validateFilter } = require('../utils/metadataFilter');
+const { validateRedactionPolicy } = require('../utils/piiRedaction');
 const PersonaMemoryManager = require('../services/PersonaMemoryManager');
 const EmbeddingService = require('../services/embedding/EmbeddingService');
 const LocalTransformersProvider = require('../services/embedding/LocalTransformersProvider');
@@ -58,11 +67,52 @@ const initializePersonaServices = (req, res, next) => {
 // Apply persona services middleware to all routes
 router.use(initializePersonaServices);
 
+/**
+ * Reject memory types that a persona-scoped API key may not touch
+ */
+const assertMemoryTypesInScope = (req, types) => {
+  const allowedTypes = getScopedMemoryTypes(req);
+  const deniedTypes = allowedTypes ? types.filter(type => !allowedTypes.includes(type)) : [];
+
+  if (deniedTypes.length > 0) {
+    throw new AuthorizationError(`API key does not grant access to memory type(s): ${deniedTypes.join(', ')}`);
+  }
+};
+
+/**
+ * Usage scopes whose stored-memory quotas a new memory counts against
+ */
+const memoryQuotaScopes = (req, persona) => {
+  const scopes = [{ type: 'user', id: persona.userId }];
+
+  if (req.apiKey) {
+    scopes.push({ type: 'api_key', id: req.apiKey.id });
+  }
+
+  return scopes;
+};
+
+/**
+ * Answer a memory refused by the persona's redaction policy. Answered here
+ * rather than by the error handler, which logs the request body and with it
+ * the personal data.
+ */
+const sendPiiRejected = (res, error) => {
+  res.status(422).json({
+    status: 'error',
+    error: {
+      code: error.code,
+      message: error.message,
+      detected: error.detected
+    }
+  });
+};
+
 /**
  * Create a new persona
  * POST /api/personas
  */
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', audit('CREATE_PERSONA', 'persona'), requirePermission('personas:write'), requirePersonaScope('write'), asyncHandler(async (req, res) => {
   const {
     name,
     description,
@@ -73,7 +123,8 @@ router.post('/', asyncHandler(async (req, res) => {
     temperature = 0.7,
     maxTokens = 2048,
     embeddingProvider = 'local',
-    embeddingModel
+    embeddingModel,
+    organizationId
   } = req.body;
 
   // Set appropriate default model based on provider
@@ -104,6 +155,14 @@ router.post('/', asyncHandler(async (req, res) => {
     throw new ValidationError('Memory decay time must be between 1 minute and 1 year');
   }
 
+  if (organizationId !== undefined && (typeof organizationId !== 'string' || organizationId.length === 0)) {
+    throw new ValidationError('Organization ID must be a non-empty string');
+  }
+
+  if (config.redaction !== undefined) {
+    validateRedactionPolicy(config.redaction);
+  }
+
   try {
     const personaData = {
       name: name.trim(),
@@ -117,10 +176,12 @@ router.post('/', asyncHandler(async (req, res) => {
         embeddingModel: defaultEmbeddingModel
       },
       maxMemorySize,
-      memoryDecayTime
+      memoryDecayTime,
+      organizationId
     };
 
     const persona = await req.personaMemoryManager.createPersona(req.user.id, personaData);
+    setAuditContext(res, { resourceId: persona.id, details: { name: persona.name, organizationId: persona.organizationId } });
 
     logger.info('Persona created via API', {
       personaId: persona.id,
@@ -135,22 +196,30 @@ router.post('/', asyncHandler(async (req, res) => {
     });
 
   } catch (error) {
+    if (error.message.includes('Access denied')) {
+      res.status(404).json({
+        status: 'error',
+        error: 'Organization not found'
+      });
+      return;
+    }
     throw error;
   }
 }));
 
 /**
- * List user personas
+ * List user personas, including those shared through organizations
  * GET /api/personas
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const { include_inactive = false } = req.query;
+router.get('/', requirePermission('personas:read'), requirePersonaScope(), asyncHandler(async (req, res) => {
+  const { include_inactive = false, organization_id } = req.query;
 
   try {
-    const personas = await req.personaMemoryManager.listPersonas(
+    const personas = (await req.personaMemoryManager.listPersonas(
       req.user.id,
-      include_inactive === 'true'
-    );
+      include_inactive === 'true',
+      organization_id
+    )).filter(persona => isPersonaInScope(req, persona.id));
 
     res.json({
       status: 'success',
@@ -169,16 +238,18 @@ router.get('/', asyncHandler(async (req, res) => {
  * Get global persona statistics
  * GET /api/personas/_stats
  */
-router.get('/_stats', asyncHandler(async (req, res) => {
+router.get('/_stats', requirePermission('personas:read'), requirePersonaScope(), asyncHandler(async (req, res) => {
   try {
-    // Get all personas for the user
-    const personas = await req.personaMemoryManager.listPersonas(req.user.id, true);
+    // Get all personas for the user (that the API key may see)
+    const personas = (await req.personaMemoryManager.listPersonas(req.user.id, true))
+      .filter(persona => isPersonaInScope(req, persona.id));
     
     // Calculate aggregate statistics
     let totalPersonas = personas.length;
     let activePersonas = personas.filter(p => p.isActive).length;
     let totalMemories = 0;
     let memoryTypeBreakdown = {};
+    let redactions = { total: 0, byType: {} };
     
     // Aggregate stats from all personas
     for (const persona of personas) {
@@ -190,6 +261,13 @@ router.get('/_stats', asyncHandler(async (req, res) => {
         Object.keys(breakdown).forEach(type => {
           memoryTypeBreakdown[type] = (memoryTypeBreakdown[type] || 0) + breakdown[type];
         });
+
+        // Merge redaction counts
+        const redactionCounts = persona.memoryStats.redactions?.byType || {};
+        Object.keys(redactionCounts).forEach(type => {
+          redactions.byType[type] = (redactions.byType[type] || 0) + redactionCounts[type];
+          redactions.total += redactionCounts[type];
+        });
       }
     }
 
@@ -198,6 +276,7 @@ router.get('/_stats', asyncHandler(async (req, res) => {
       activePersonas,
       totalMemories,
       memoryTypeBreakdown,
+      redactions,
       averageMemoriesPerPersona: totalPersonas > 0 ? (totalMemories / totalPersonas).toFixed(1) : 0
     };
 
@@ -215,7 +294,7 @@ router.get('/_stats', asyncHandler(async (req, res) => {
  * Get specific persona
  * GET /api/personas/:id
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', requirePermission('personas:read'), requirePersonaScope(), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { include_stats = true } = req.query;
 
@@ -225,7 +304,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
     let responseData = persona;
 
     if (include_stats === 'true') {
-      const memoryStats = await req.personaMemoryManager.getPersonaMemoryStats(id);
+      const memoryStats = await req.personaMemoryManager.getPersonaMemoryStats(id, persona.userId);
       responseData = {
         ...persona,
         memoryStats
@@ -253,7 +332,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * Update persona
  * PUT /api/personas/:id
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', audit('UPDATE_PERSONA', 'persona'), requirePermission('personas:write'), requirePersonaScope('write'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
 
@@ -281,7 +360,12 @@ router.put('/:id', asyncHandler(async (req, res) => {
     }
   }
 
+  if (updates.config?.redaction !== undefined) {
+    validateRedactionPolicy(updates.config.redaction);
+  }
+
   try {
+    setAuditContext(res, { details: { fields: Object.keys(updates) } });
     const updatedPersona = await req.personaMemoryManager.updatePersona(id, req.user.id, updates);
 
     logger.info('Persona updated via API', {
@@ -312,7 +396,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
  * Delete persona
  * DELETE /api/personas/:id
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', audit('DELETE_PERSONA', 'persona'), requirePermission('personas:delete'), requirePersonaScope('write'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -344,7 +428,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * Add memory to persona
  * POST /api/personas/:id/memories
  */
-router.post('/:id/memories', asyncHandler(async (req, res) => {
+router.post('/:id/memories', audit('ADD_MEMORY', 'persona'), requirePermission('personas:write'), requirePersonaScope('write'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const {
     content,
@@ -373,9 +457,14 @@ router.post('/:id/memories', asyncHandler(async (req, res) => {
     throw new ValidationError(`Type must be one of: ${validTypes.join(', ')}`);
   }
 
+  assertMemoryTypesInScope(req, [type]);
+
   try {
-    // Verify persona ownership
-    await req.personaMemoryManager.getPersona(id, req.user.id);
+    // Verify persona ownership or editor access
+    const persona = await req.personaMemoryManager.getPersona(id, req.user.id, 'write');
+
+    // Memories count against the persona's creator and the API key storing them
+    req.usageService.assertMemoryQuota(memoryQuotaScopes(req, persona), 1);
 
     const memoryContext = {
       ...context,
@@ -385,7 +474,10 @@ router.post('/:id/memories', asyncHandler(async (req, res) => {
       speaker
     };
 
-    const memory = await req.personaMemoryManager.addMemory(id, content.trim(), memoryContext);
+    const memory = await req.personaMemoryManager.addMemory(id, content.trim(), memoryContext, {
+      apiKeyId: req.apiKey?.id
+    });
+    setAuditContext(res, { details: { memoryId: memory.id, memoryType: type, redactions: memory.redactions } });
 
     logger.info('Memory added to persona via API', {
       personaId: id,
@@ -402,6 +494,11 @@ router.post('/:id/memories', asyncHandler(async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'PII_DETECTED') {
+      setAuditContext(res, { details: { detected: error.detected } });
+      sendPiiRejected(res, error);
+      return;
+    }
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       res.status(404).json({
         status: 'error',
@@ -417,7 +514,7 @@ router.post('/:id/memories', asyncHandler(async (req, res) => {
  * Search persona memories
  * POST /api/personas/:id/memories/search
  */
-router.post('/:id/memories/search', asyncHandler(async (req, res) => {
+router.post('/:id/memories/search', requirePermission('personas:read'), requirePersonaScope(), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const {
     query,
@@ -425,7 +522,11 @@ router.post('/:id/memories/search', asyncHandler(async (req, res) => {
     threshold = 0.7,
     memoryTypes,
     maxAge,
-    includeContext = true
+    includeContext = true,
+    filters,
+    mode = 'semantic',
+    mmr = false,
+    mmrLambda = 0.5
   } = req.body;
 
   // Validate input
@@ -433,6 +534,19 @@ router.post('/:id/memories/search', asyncHandler(async (req, res) => {
     throw new ValidationError('Query is required and must be a non-empty string');
   }
 
+  if (!['semantic', 'keyword', 'hybrid'].includes(mode)) {
+    throw new ValidationError('Mode must be one of: semantic, keyword, hybrid');
+  }
+
+  if (mode !== 'semantic' && req.database.encryption.enabled) {
+    throw new ValidationError(`Search mode '${mode}' is unavailable while encryption at rest is enabled`);
+  }
+
+  const filterErrors = validateFilter(filters);
+  if (filterErrors.length > 0) {
+    throw new ValidationError('Invalid filters', filterErrors);
+  }
+
   if (limit < 1 || limit > 50) {
     throw new ValidationError('Limit must be between 1 and 50');
   }
@@ -441,6 +555,20 @@ router.post('/:id/memories/search', asyncHandler(async (req, res) => {
     throw new ValidationError('Threshold must be between 0 and 1');
   }
 
+  if (typeof mmr !== 'boolean') {
+    throw new ValidationError('MMR must be a boolean');
+  }
+
+  if (typeof mmrLambda !== 'number' || mmrLambda < 0 || mmrLambda > 1) {
+    throw new ValidationError('MMR lambda must be a number between 0 and 1');
+  }
+
+  // Scoped keys search only the memory types they were issued for
+  const scopedMemoryTypes = getScopedMemoryTypes(req);
+  if (Array.isArray(memoryTypes)) {
+    assertMemoryTypesInScope(req, memoryTypes);
+  }
+
   try {
     // Verify persona ownership
     await req.personaMemoryManager.getPersona(id, req.user.id);
@@ -450,7 +578,13 @@ router.post('/:id/memories/search', asyncHandler(async (req, res) => {
       threshold: parseFloat(threshold),
       memoryTypes,
       maxAge,
-      includeContext: includeContext === true || includeContext === 'true'
+      includeContext: includeContext === true || includeContext === 'true',
+      filters: scopedMemoryTypes
+        ? { $and: [{ memoryType: { $in: scopedMemoryTypes } }, filters || {}] }
+        : filters,
+      mode,
+      mmr,
+      mmrLambda
     };
 
     logger.info('About to call retrieveRelevantMemories from API route', {
@@ -483,6 +617,8 @@ router.post('/:id/memories/search', asyncHandler(async (req, res) => {
       resultCount: memories.length
     });
 
+    const scored = memories.filter(m => typeof m.similarity === 'number');
+
     res.json({
       status: 'success',
       data: {
@@ -491,8 +627,9 @@ router.post('/:id/memories/search', asyncHandler(async (req, res) => {
         options: searchOptions,
         meta: {
           count: memories.length,
-          avgSimilarity: memories.length > 0 
-            ? (memories.reduce((sum, m) => sum + m.similarity, 0) / memories.length).toFixed(3)
+          mode,
+          avgSimilarity: scored.length > 0 
+            ? (scored.reduce((sum, m) => sum + m.similarity, 0) / scored.length).toFixed(3)
             : 0
         }
       }
@@ -514,7 +651,7 @@ router.post('/:id/memories/search', asyncHandler(async (req, res) => {
  * Add conversation exchange
  * POST /api/personas/:id/conversations
  */
-router.post('/:id/conversations', asyncHandler(async (req, res) => {
+router.post('/:id/conversations', audit('ADD_CONVERSATION', 'persona'), requirePermission('personas:write'), requirePersonaScope('write'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const {
     userMessage,
@@ -539,16 +676,29 @@ router.post('/:id/conversations', asyncHandler(async (req, res) => {
     throw new ValidationError('Assistant response cannot exceed 10,000 characters');
   }
 
+  assertMemoryTypesInScope(req, ['conversation']);
+
   try {
-    // Verify persona ownership
-    await req.personaMemoryManager.getPersona(id, req.user.id);
+    // Verify persona ownership or editor access
+    const persona = await req.personaMemoryManager.getPersona(id, req.user.id, 'write');
+    req.usageService.assertMemoryQuota(memoryQuotaScopes(req, persona), 2);
 
     const exchange = await req.personaMemoryManager.addConversationExchange(
       id,
       userMessage.trim(),
       assistantResponse.trim(),
-      conversationId
+      conversationId,
+      { apiKeyId: req.apiKey?.id }
     );
+    setAuditContext(res, {
+      details: {
+        conversationId: exchange.conversationId,
+        redactions: {
+          user: exchange.userMemory.redactions,
+          assistant: exchange.assistantMemory.redactions
+        }
+      }
+    });
 
     logger.info('Conversation exchange added via API', {
       personaId: id,
@@ -565,6 +715,11 @@ router.post('/:id/conversations', asyncHandler(async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'PII_DETECTED') {
+      setAuditContext(res, { details: { detected: error.detected } });
+      sendPiiRejected(res, error);
+      return;
+    }
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       res.status(404).json({
         status: 'error',
@@ -580,10 +735,12 @@ router.post('/:id/conversations', asyncHandler(async (req, res) => {
  * Get conversation history
  * GET /api/personas/:id/conversations/:conversationId
  */
-router.get('/:id/conversations/:conversationId', asyncHandler(async (req, res) => {
+router.get('/:id/conversations/:conversationId', requirePermission('personas:read'), requirePersonaScope(), asyncHandler(async (req, res) => {
   const { id, conversationId } = req.params;
   const { limit = 20 } = req.query;
 
+  assertMemoryTypesInScope(req, ['conversation']);
+
   try {
     // Verify persona ownership
     await req.personaMemoryManager.getPersona(id, req.user.id);
@@ -619,14 +776,14 @@ router.get('/:id/conversations/:conversationId', asyncHandler(async (req, res) =
  * Get persona memory statistics
  * GET /api/personas/:id/stats
  */
-router.get('/:id/stats', asyncHandler(async (req, res) => {
+router.get('/:id/stats', requirePermission('personas:read'), requirePersonaScope(), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   try {
     // Verify persona ownership
-    await req.personaMemoryManager.getPersona(id, req.user.id);
+    const persona = await req.personaMemoryManager.getPersona(id, req.user.id);
 
-    const stats = await req.personaMemoryManager.getPersonaMemoryStats(id);
+    const stats = await req.personaMemoryManager.getPersonaMemoryStats(id, persona.userId);
 
     res.json({
       status: 'success',
@@ -649,12 +806,12 @@ router.get('/:id/stats', asyncHandler(async (req, res) => {
  * Cleanup expired memories for a persona
  * POST /api/personas/:id/cleanup
  */
-router.post('/:id/cleanup', asyncHandler(async (req, res) => {
+router.post('/:id/cleanup', audit('CLEANUP_MEMORIES', 'persona'), requirePermission('personas:write'), requirePersonaScope('write'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Verify persona ownership
-    await req.personaMemoryManager.getPersona(id, req.user.id);
+    // Verify persona ownership or editor access
+    await req.personaMemoryManager.getPersona(id, req.user.id, 'write');
 
     // Enforce memory limits (which includes cleanup)
     await req.personaMemoryManager.enforceMemoryLimits(id);
@@ -685,7 +842,7 @@ router.post('/:id/cleanup', asyncHandler(async (req, res) => {
  * Global memory cleanup (admin only)
  * POST /api/personas/_cleanup
  */
-router.post('/_cleanup', asyncHandler(async (req, res) => {
+router.post('/_cleanup', audit('CLEANUP_EXPIRED_MEMORIES', 'persona', { param: null }), requirePersonaScope('write'), asyncHandler(async (req, res) => {
   // Check if user has admin permissions
   if (!req.user.permissions.includes('admin')) {
     res.status(403).json({
@@ -2,20 +2,58 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { validateFilter } = require('../utils/metadataFilter');
+const resolveCollection = require('../middleware/resolveCollection');
+const { requirePermission } = require('../middleware/authorize');
+const { audit, setAuditContext } = require('../middleware/audit');
+const { canAccessPersona } = require('../utils/personaAccess');
 
 const router = express.Router();
 
 /**
  * Vector Operations Routes
  * Handles all vector CRUD operations and similarity search
+ * Every route accepts an optional collectionId to target a collection's store
+ * Vectors belong to the authenticated user and are invisible to everyone else
  */
 
+/**
+ * Rejection of a client-chosen ID that is already taken. IDs are unique across
+ * all users, so it reads the same whoever holds the ID and never confirms that
+ * a vector exists.
+ */
+const unusableIdMessage = (id) => `Vector id '${id}' cannot be used; choose another or omit it to have one generated`;
+
+const rejectVectorId = (res, id) => res.status(400).json({
+  status: 'error',
+  error: 'INVALID_VECTOR_ID',
+  message: unusableIdMessage(id)
+});
+
+/**
+ * A vector may only be tagged with a persona its owner can write to; otherwise
+ * it would show up among that persona's memories. Unknown and foreign personas
+ * are refused alike.
+ */
+const unusablePersonaMessage = (personaId) => `Persona '${personaId}' not found`;
+
+const isUsablePersona = (req, personaId) => (
+  personaId === undefined || personaId === null || canAccessPersona(req.database, personaId, req.user.id, 'write')
+);
+
+const rejectPersonaId = (res, personaId) => res.status(400).json({
+  status: 'error',
+  error: 'INVALID_PERSONA_ID',
+  message: unusablePersonaMessage(personaId)
+});
+
 /**
  * Insert a single vector
  * POST /api/vectors
  */
-router.post('/', asyncHandler(async (req, res) => {
-  const { id, vector, metadata = {} } = req.body;
+router.post('/', audit('CREATE_VECTOR', 'vector'), requirePermission('vectors:write'), resolveCollection, asyncHandler(async (req, res) => {
+  const { id, vector } = req.body;
+  const metadata = { ...req.body.metadata, userId: req.user.id };
 
   // Validate required fields
   if (!vector || !Array.isArray(vector)) {
@@ -28,6 +66,16 @@ router.post('/', asyncHandler(async (req, res) => {
 
   // Generate ID if not provided
   const vectorId = id || uuidv4();
+  setAuditContext(res, { resourceId: vectorId, details: { collectionId: req.collectionId } });
+
+  // Vector IDs are unique across all users and collections
+  if (id && await req.database.getVectorMetadata(id)) {
+    return rejectVectorId(res, id);
+  }
+
+  if (!await isUsablePersona(req, metadata.personaId)) {
+    return rejectPersonaId(res, metadata.personaId);
+  }
 
   // Validate vector dimensions
   const expectedDimensions = req.vectorStore.dimensions;
@@ -56,11 +104,19 @@ router.post('/', asyncHandler(async (req, res) => {
       contentType: metadata.contentType || null,
       source: metadata.source || null,
       tags: metadata.tags || [],
-      customMetadata: metadata
+      customMetadata: metadata,
+      collectionId: req.collectionId,
+      userId: req.user.id
     });
 
+    // Quantized stores only keep compressed codes; keep the original for reranking
+    if (req.vectorStore.quantizer) {
+      await req.database.upsertVectorEmbedding({ id: vectorId, vector });
+    }
+
     logger.info('Vector inserted successfully', {
       id: vectorId,
+      collectionId: req.collectionId,
       dimensions: vector.length,
       slotIndex: result.slotIndex
     });
@@ -69,6 +125,7 @@ router.post('/', asyncHandler(async (req, res) => {
       status: 'success',
       data: {
         id: vectorId,
+        collectionId: req.collectionId,
         dimensions: vector.length,
         slotIndex: result.slotIndex,
         metadata: metadata
@@ -78,11 +135,7 @@ router.post('/', asyncHandler(async (req, res) => {
 
   } catch (error) {
     if (error.message.includes('already exists')) {
-      return res.status(409).json({
-        status: 'error',
-        error: 'VECTOR_EXISTS',
-        message: `Vector with id '${vectorId}' already exists`
-      });
+      return rejectVectorId(res, vectorId);
     }
     throw error;
   }
@@ -92,7 +145,7 @@ router.post('/', asyncHandler(async (req, res) => {
  * Get a vector by ID
  * GET /api/vectors/:id
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', requirePermission('vectors:read'), resolveCollection, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { include_metadata = false, include_values = false } = req.query;
 
@@ -136,9 +189,10 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * Update a vector
  * PUT /api/vectors/:id
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', audit('UPDATE_VECTOR', 'vector'), requirePermission('vectors:write'), resolveCollection, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { vector, metadata = {} } = req.body;
+  const { vector } = req.body;
+  const metadata = { ...req.body.metadata, userId: req.user.id };
 
   if (!vector || !Array.isArray(vector)) {
     throw new ValidationError('Vector array is required');
@@ -152,6 +206,10 @@ router.put('/:id', asyncHandler(async (req, res) => {
     );
   }
 
+  if (!await isUsablePersona(req, metadata.personaId)) {
+    return rejectPersonaId(res, metadata.personaId);
+  }
+
   try {
     const success = req.vectorStore.updateVector(id, vector, metadata);
     
@@ -172,6 +230,10 @@ router.put('/:id', asyncHandler(async (req, res) => {
       customMetadata: metadata
     });
 
+    if (req.vectorStore.quantizer) {
+      await req.database.upsertVectorEmbedding({ id, vector });
+    }
+
     logger.info('Vector updated successfully', { id, dimensions: vector.length });
 
     res.json({
@@ -193,7 +255,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
  * Delete a vector
  * DELETE /api/vectors/:id
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', audit('DELETE_VECTOR', 'vector'), requirePermission(['vectors:write', 'vectors:delete']), resolveCollection, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const success = req.vectorStore.deleteVector(id);
@@ -226,7 +288,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * Similarity search
  * POST /api/vectors/search
  */
-router.post('/search', asyncHandler(async (req, res) => {
+router.post('/search', requirePermission('vectors:read'), resolveCollection, asyncHandler(async (req, res) => {
   const {
     query,
     limit = 10,
@@ -234,7 +296,8 @@ router.post('/search', asyncHandler(async (req, res) => {
     metric = 'cosine',
     filters = {},
     include_values = false,
-    include_metadata = true
+    include_metadata = true,
+    rerank
   } = req.body;
 
   if (!query || !Array.isArray(query)) {
@@ -262,16 +325,26 @@ router.post('/search', asyncHandler(async (req, res) => {
     throw new ValidationError('Metric must be one of: cosine, euclidean, dot');
   }
 
+  if (rerank !== undefined && typeof rerank !== 'boolean') {
+    throw new ValidationError('Rerank must be a boolean');
+  }
+
+  const filterErrors = validateFilter(filters);
+  if (filterErrors.length > 0) {
+    throw new ValidationError('Invalid filters', filterErrors);
+  }
+
   try {
     const startTime = Date.now();
 
-    // Perform similarity search
-    const results = req.vectorStore.search(query, {
+    // Perform similarity search (quantized stores rerank with full-precision vectors)
+    const results = await req.vectorStore.searchWithRerank(query, {
       limit: parseInt(limit),
       threshold: parseFloat(threshold),
       metric: metric,
-      filters: filters,
-      includeValues: include_values === true || include_values === 'true'
+      filters: { $and: [{ userId: req.user.id }, filters || {}] },
+      includeValues: include_values === true || include_values === 'true',
+      rerank
     });
 
     // Enrich results with database metadata if requested
@@ -306,6 +379,7 @@ router.post('/search', asyncHandler(async (req, res) => {
       data: {
         matches: results,
         query: {
+          collectionId: req.collectionId,
           dimensions: query.length,
           metric: metric,
           threshold: threshold,
@@ -328,7 +402,7 @@ router.post('/search', asyncHandler(async (req, res) => {
  * Batch insert vectors
  * POST /api/vectors/batch
  */
-router.post('/batch', asyncHandler(async (req, res) => {
+router.post('/batch', audit('BATCH_INSERT_VECTORS', 'vector'), requirePermission('vectors:write'), resolveCollection, asyncHandler(async (req, res) => {
   const { vectors } = req.body;
 
   if (!vectors || !Array.isArray(vectors)) {
@@ -363,15 +437,39 @@ router.post('/batch', asyncHandler(async (req, res) => {
     vectorsToInsert.push({
       id: vectorData.id || uuidv4(),
       vector: vectorData.vector,
-      metadata: vectorData.metadata || {}
+      metadata: { ...vectorData.metadata, userId: req.user.id }
     });
   }
 
   try {
     const startTime = Date.now();
 
+    // Taken IDs and unusable personas are left out and reported like any other failed vector
+    const rejected = [];
+    const accepted = [];
+    for (const vectorData of vectorsToInsert) {
+      if (await req.database.getVectorMetadata(vectorData.id)) {
+        rejected.push({ id: vectorData.id, error: unusableIdMessage(vectorData.id) });
+      } else if (!await isUsablePersona(req, vectorData.metadata.personaId)) {
+        rejected.push({ id: vectorData.id, error: unusablePersonaMessage(vectorData.metadata.personaId) });
+      } else {
+        accepted.push(vectorData);
+      }
+    }
+
     // Perform batch insert
-    const result = await req.vectorStore.batchInsert(vectorsToInsert);
+    const result = await req.vectorStore.batchInsert(accepted);
+    result.errors = [
+      ...rejected,
+      ...result.errors.map(error => (error.error.includes('already exists')
+        ? { id: error.id, error: unusableIdMessage(error.id) }
+        : error))
+    ];
+    result.summary = {
+      total: vectorsToInsert.length,
+      successful: result.successful.length,
+      failed: result.errors.length
+    };
 
     // Insert successful metadata into database
     const metadataPromises = result.successful.map(async (successResult) => {
@@ -385,8 +483,14 @@ router.post('/batch', asyncHandler(async (req, res) => {
             contentType: vectorData.metadata.contentType || null,
             source: vectorData.metadata.source || null,
             tags: vectorData.metadata.tags || [],
-            customMetadata: vectorData.metadata
+            customMetadata: vectorData.metadata,
+            collectionId: req.collectionId,
+            userId: req.user.id
           });
+
+          if (req.vectorStore.quantizer) {
+            await req.database.upsertVectorEmbedding({ id: successResult.id, vector: vectorData.vector });
+          }
         } catch (error) {
           logger.warn('Failed to insert metadata for batch vector', {
             id: successResult.id,
@@ -400,6 +504,14 @@ router.post('/batch', asyncHandler(async (req, res) => {
 
     const duration = Date.now() - startTime;
 
+    setAuditContext(res, {
+      details: {
+        collectionId: req.collectionId,
+        requested: vectors.length,
+        inserted: result.successful.length
+      }
+    });
+
     logger.info('Batch insert completed', {
       totalVectors: vectors.length,
       successful: result.successful.length,
@@ -429,7 +541,7 @@ router.post('/batch', asyncHandler(async (req, res) => {
  * Get vector store statistics
  * GET /api/vectors/stats
  */
-router.get('/_stats', asyncHandler(async (req, res) => {
+router.get('/_stats', requirePermission('vectors:read'), resolveCollection, asyncHandler(async (req, res) => {
   const stats = req.vectorStore.getStats();
   
   res.json({
@@ -443,7 +555,7 @@ router.get('/_stats', asyncHandler(async (req, res) => {
  * List vector IDs with optional filtering
  * GET /api/vectors
  */
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', requirePermission('vectors:read'), resolveCollection, asyncHandler(async (req, res) => {
   const {
     limit = 100,
     offset = 0,
@@ -455,12 +567,13 @@ router.get('/', asyncHandler(async (req, res) => {
   } = req.query;
 
   // Build filters
-  const filters = {};
+  const filters = { userId: req.user.id };
   if (persona_id) filters.personaId = persona_id;
   if (content_type) filters.contentType = content_type;
   if (source) filters.source = source;
   if (created_after) filters.createdAfter = parseInt(created_after);
   if (created_before) filters.createdBefore = parseInt(created_before);
+  if (req.collectionId) filters.collectionId = req.collectionId;
 
   try {
     // Get vector metadata from database
@@ -0,0 +1,26 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Well-Known Routes
+ * Public metadata other services use to verify our tokens. Mounted without auth.
+ */
+const createWellKnownRoutes = (jwtService) => {
+  const router = express.Router();
+
+  /**
+   * Public signing keys as a JSON Web Key Set (empty while tokens use HS256)
+   * GET /.well-known/jwks.json
+   */
+  router.get('/jwks.json', asyncHandler(async (req, res) => {
+    const jwks = jwtService.signingKeys ? jwtService.signingKeys.getJwks() : { keys: [] };
+
+    // Short cache so verifiers pick up a rotated key quickly
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  }));
+
+  return router;
+};
+
+module.exports = createWellKnownRoutes;
@@ -7,25 +7,42 @@ const config = require('./config');
 const { logger, logApiRequest, logError } = require('./utils/logger');
 const DatabaseRepository = require('./repositories/database');
 const IndexedVectorStore = require('./services/IndexedVectorStore');
+const CollectionManager = require('./services/CollectionManager');
 
 // Import services
 const UserService = require('./services/userService');
 const ApiKeyService = require('./services/apiKeyService');
 const JwtService = require('./services/jwtService');
+const TwoFactorService = require('./services/twoFactorService');
+const OrganizationService = require('./services/organizationService');
+const UsageService = require('./services/usageService');
+const AccountDataService = require('./services/accountDataService');
+const MailService = require('./services/mail/MailService');
+const ConsoleTransport = require('./services/mail/ConsoleTransport');
+const FileTransport = require('./services/mail/FileTransport');
 
 // Import middleware
 const performanceMiddleware = require('./middleware/performance');
 const { errorHandler } = require('./middleware/errorHandler');
-const { globalRateLimiter } = require('./middleware/rateLimiting');
+const { globalRateLimiter, setRateLimitDatabase } = require('./middleware/rateLimiting');
 const authenticateApiKey = require('./middleware/authenticateApiKey');
 const authenticateJWT = require('./middleware/authenticateJWT');
+const authenticate = require('./middleware/authenticate');
+const meterUsage = require('./middleware/meterUsage');
+const { requireRole, requirePermission } = require('./middleware/authorize');
 
 // Import routes
 const vectorRoutes = require('./routes/vectors');
 const embeddingRoutes = require('./routes/embeddings');
 const personaRoutes = require('./routes/personas');
+const collectionRoutes = require('./routes/collections');
 const healthRoutes = require('./routes/health');
 const createAuthRoutes = require('./routes/auth');
+const createAdminUserRoutes = require('./routes/adminUsers');
+const createAdminAuditRoutes = require('./routes/adminAudit');
+const createOrganizationRoutes = require('./routes/organizations');
+const createAdminSigningKeyRoutes = require('./routes/adminSigningKeys');
+const createWellKnownRoutes = require('./routes/wellKnown');
 
 // Import memory management services
 const EmbeddingService = require('./services/embedding/EmbeddingService');
@@ -42,9 +59,11 @@ class ZeroVectorServer {
     this.server = null;
     this.database = null;
     this.vectorStore = null;
+    this.collectionManager = null;
     this.userService = null;
     this.apiKeyService = null;
     this.jwtService = null;
+    this.snapshotTimer = null;
     this.isShuttingDown = false;
   }
 
@@ -93,6 +112,10 @@ class ZeroVectorServer {
     
     // Make database available to routes via app context
     this.app.set('database', this.database);
+
+    // Rate limit counters live in SQLite unless RATE_LIMIT_STORE says otherwise
+    setRateLimitDatabase(this.database);
+    this.startRateLimitPruning();
     
     logger.info('Database initialized successfully');
   }
@@ -101,8 +124,8 @@ class ZeroVectorServer {
    * Initialize authentication services
    */
   async initializeAuthServices() {
-    // Initialize JWT service
-    this.jwtService = new JwtService();
+    // Initialize JWT service (refresh tokens live in SQLite)
+    this.jwtService = new JwtService(this.database.db);
 
     // Initialize user service
     this.userService = new UserService(this.database);
@@ -110,6 +133,24 @@ class ZeroVectorServer {
     // Initialize API key service
     this.apiKeyService = new ApiKeyService(this.database);
 
+    // Initialize two-factor service (TOTP and recovery codes)
+    this.twoFactorService = new TwoFactorService(this.database);
+
+    // Initialize organization service (teams sharing personas)
+    this.organizationService = new OrganizationService(this.database);
+
+    // Initialize usage service (metering and quotas)
+    this.usageService = new UsageService(this.database);
+
+    // Initialize mail service (password reset emails)
+    this.mailService = new MailService({
+      from: config.mail.from,
+      passwordResetUrl: config.mail.passwordResetUrl
+    });
+    this.mailService.registerTransport('console', new ConsoleTransport());
+    this.mailService.registerTransport('file', new FileTransport({ filePath: config.mail.filePath }));
+    this.mailService.setDefaultTransport(config.mail.transport);
+
     // Make auth services available to routes via app context
     this.app.set('userService', this.userService);
     this.app.set('apiKeyService', this.apiKeyService);
@@ -122,25 +163,85 @@ class ZeroVectorServer {
    * Initialize vector store
    */
   async initializeVectorStore() {
+    const indexOptions = {
+      indexType: config.vectorDb.indexType,
+      M: 16,
+      efConstruction: 200,
+      efSearch: 50,
+      numTables: config.vectorDb.lsh.numTables,
+      numBits: config.vectorDb.lsh.numBits,
+      quantization: config.vectorDb.quantization,
+      distanceFunction: 'cosine',
+      indexThreshold: 100
+    };
+
     this.vectorStore = new IndexedVectorStore(
       config.vectorDb.maxMemoryMB,
       config.vectorDb.defaultDimensions,
-      {
-        M: 16,
-        efConstruction: 200,
-        efSearch: 50,
-        distanceFunction: 'cosine',
-        indexThreshold: 100
-      }
+      indexOptions
     );
 
+    // Collections each get their own store; the default store backs un-scoped requests
+    this.collectionManager = new CollectionManager(this.database, this.vectorStore, {
+      maxMemoryMB: config.vectorDb.collectionMaxMemoryMB,
+      memoryBudgetMB: config.vectorDb.collectionsMemoryBudgetMB,
+      maxCollectionsPerUser: config.vectorDb.maxCollectionsPerUser,
+      indexOptions,
+      snapshotPath: config.vectorDb.snapshotPath,
+      walEnabled: config.vectorDb.walEnabled,
+      walPath: config.vectorDb.walPath,
+      walSync: config.vectorDb.walSync
+    });
+
+    // Account export and erasure reach into every store
+    this.accountDataService = new AccountDataService(this.database, this.collectionManager);
+
     // Make vector store available to routes via app context
     this.app.set('vectorStore', this.vectorStore);
+    this.app.set('collectionManager', this.collectionManager);
 
     logger.info('Vector store initialized successfully');
 
-    // Reload existing memories from database
+    // Restore index snapshots and journals, then reload anything still missing from the database
+    await this.collectionManager.initialize();
     await this.reloadExistingMemories();
+
+    this.startSnapshotSchedule();
+  }
+
+  /**
+   * Periodically delete expired rate limit counters (SQLite store only)
+   */
+  startRateLimitPruning() {
+    if (config.security.rateLimitStore !== 'sqlite') {
+      return;
+    }
+
+    this.rateLimitPruneTimer = setInterval(() => {
+      this.database.pruneRateLimits().catch(error => {
+        logError(error, { operation: 'pruneRateLimits' });
+      });
+    }, config.security.rateLimitPruneIntervalMs);
+    this.rateLimitPruneTimer.unref();
+  }
+
+  /**
+   * Start periodic index snapshots
+   */
+  startSnapshotSchedule() {
+    const interval = config.vectorDb.snapshotIntervalMs;
+
+    if (!interval) {
+      logger.info('Periodic index snapshots disabled');
+      return;
+    }
+
+    this.snapshotTimer = setInterval(() => {
+      this.collectionManager.snapshotAll();
+    }, interval);
+    this.snapshotTimer.unref();
+
+    logger.info('Periodic index snapshots enabled', { intervalMs: interval });
   }
 
   /**
@@ -169,9 +270,12 @@ class ZeroVectorServer {
       // Reload memories from database
       const reloadResult = await memoryManager.reloadMemoriesFromDatabase();
 
-      if (reloadResult.reloaded > 0) {
+      if (reloadResult.reloaded > 0 || reloadResult.alreadyLoaded > 0) {
         logger.info('Memory reload completed successfully', {
           reloaded: reloadResult.reloaded,
+          restored: reloadResult.restored,
+          reembedded: reloadResult.reembedded,
+          alreadyLoaded: reloadResult.alreadyLoaded,
           errors: reloadResult.errors,
           vectorStoreCount: this.vectorStore.vectorCount
         });
@@ -240,10 +344,12 @@ class ZeroVectorServer {
     // Add server context to requests
     this.app.use((req, res, next) => {
       req.vectorStore = this.vectorStore;
+      req.collectionManager = this.collectionManager;
       req.database = this.database;
       req.userService = this.userService;
       req.apiKeyService = this.apiKeyService;
       req.jwtService = this.jwtService;
+      req.usageService = this.usageService;
       next();
     });
 
@@ -260,14 +366,63 @@ class ZeroVectorServer {
     // Health check routes (no auth required)
     this.app.use('/health', healthRoutes);
 
+    // Public key discovery (no auth required)
+    this.app.use('/.well-known', createWellKnownRoutes(this.jwtService));
+
     // Authentication routes
-    const authRoutes = createAuthRoutes(this.userService, this.jwtService, this.apiKeyService);
+    const authRoutes = createAuthRoutes(
+      this.userService,
+      this.jwtService,
+      this.apiKeyService,
+      this.mailService,
+      this.twoFactorService,
+      this.usageService,
+      this.accountDataService
+    );
     this.app.use('/auth', authRoutes);
 
-    // Protected API routes
-    this.app.use('/api/vectors', vectorRoutes);
-    this.app.use('/api/embeddings', embeddingRoutes);
-    this.app.use('/api/personas', authenticateApiKey(this.apiKeyService), personaRoutes);
+    // Protected API routes (metered and subject to usage quotas)
+    const metered = meterUsage(this.usageService);
+    this.app.use('/api/vectors', authenticate(this.apiKeyService, this.jwtService), metered, vectorRoutes);
+    this.app.use('/api/embeddings', authenticate(this.apiKeyService, this.jwtService), metered, embeddingRoutes);
+    this.app.use('/api/collections', authenticateApiKey(this.apiKeyService), metered, collectionRoutes);
+    this.app.use('/api/personas', authenticateApiKey(this.apiKeyService), metered, personaRoutes);
+    this.app.use(
+      '/api/organizations',
+      authenticate(this.apiKeyService, this.jwtService),
+      metered,
+      createOrganizationRoutes(this.organizationService)
+    );
+
+    // Admin routes (admin role; API keys also need the admin permission)
+    this.app.use(
+      '/admin/users',
+      authenticate(this.apiKeyService, this.jwtService),
+      requireRole('admin'),
+      requirePermission('admin'),
+      createAdminUserRoutes(
+        this.userService,
+        this.jwtService,
+        this.apiKeyService,
+        this.twoFactorService,
+        this.database,
+        this.usageService
+      )
+    );
+    this.app.use(
+      '/admin/audit',
+      authenticate(this.apiKeyService, this.jwtService),
+      requireRole('admin'),
+      requirePermission('admin'),
+      createAdminAuditRoutes(this.database)
+    );
+    this.app.use(
+      '/admin/signing-keys',
+      authenticate(this.apiKeyService, this.jwtService),
+      requireRole('admin'),
+      requirePermission('admin'),
+      createAdminSigningKeyRoutes(this.jwtService)
+    );
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -279,7 +434,13 @@ class ZeroVectorServer {
         endpoints: {
           health: '/health',
           auth: '/auth',
-          vectors: '/api/vectors'
+          vectors: '/api/vectors',
+          collections: '/api/collections',
+          organizations: '/api/organizations',
+          admin: '/admin/users',
+          audit: '/admin/audit',
+          signingKeys: '/admin/signing-keys',
+          jwks: '/.well-known/jwks.json'
         }
       });
     });
@@ -409,6 +570,21 @@ class ZeroVectorServer {
         });
       }
 
+      if (this.rateLimitPruneTimer) {
+        clearInterval(this.rateLimitPruneTimer);
+        this.rateLimitPruneTimer = null;
+      }
+
+      // Persist the index before anything is torn down
+      if (this.snapshotTimer) {
+        clearInterval(this.snapshotTimer);
+        this.snapshotTimer = null;
+      }
+      if (this.collectionManager) {
+        await this.collectionManager.snapshotAll();
+        this.collectionManager.close();
+      }
+
       // Close database connection
       if (this.database) {
         await this.database.close();
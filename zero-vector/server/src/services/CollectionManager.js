@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const IndexedVectorStore = require('./IndexedVectorStore');
+const VectorWriteAheadLog = require('./VectorWriteAheadLog');
+const { logger, logError } = require('../utils/logger');
+
+/**
+ * Collection Manager
+ * Owns the default vector store plus one IndexedVectorStore per vector collection,
+ * each with its own dimensions, distance metric, snapshot file and write-ahead log
+ */
+class CollectionManager {
+  constructor(database, defaultStore, options = {}) {
+    this.database = database;
+    this.defaultStore = defaultStore;
+    this.stores = new Map();           // Map<collectionId, IndexedVectorStore>
+    this.wals = new Map();             // Map<collectionId|null, VectorWriteAheadLog>
+
+    this.options = {
+      maxMemoryMB: options.maxMemoryMB || 256,
+      memoryBudgetMB: options.memoryBudgetMB || 1024,
+      maxCollectionsPerUser: options.maxCollectionsPerUser || 10,
+      indexOptions: options.indexOptions || {},
+      snapshotPath: options.snapshotPath,
+      walEnabled: options.walEnabled !== false,
+      walPath: options.walPath,
+      walSync: options.walSync !== false
+    };
+  }
+
+  /**
+   * Restore the default store and every active collection
+   */
+  async initialize() {
+    this.attachFullPrecisionSource(this.defaultStore);
+    await this.restoreStore(this.defaultStore, null);
+
+    const collections = await this.database.listActiveCollections();
+    for (const collection of collections) {
+      try {
+        await this.openCollection(collection);
+      } catch (error) {
+        logError(error, { operation: 'openCollection', collectionId: collection.id });
+      }
+    }
+
+    logger.info('Vector collections loaded', { collections: this.stores.size });
+  }
+
+  /**
+   * Create a new collection
+   * Refused when the user has reached the collection limit, or when its store
+   * would not fit in what is left of the collection memory budget
+   */
+  async createCollection(userId, collectionData) {
+    try {
+      const existing = await this.database.listCollections(userId);
+      if (existing.length >= this.options.maxCollectionsPerUser) {
+        throw new Error(`Collection limit reached (${this.options.maxCollectionsPerUser} per user)`);
+      }
+
+      // Stores allocate their whole buffer up front
+      const maxMemoryMB = collectionData.maxMemoryMB || this.options.maxMemoryMB;
+      const availableMB = this.options.memoryBudgetMB - this.getAllocatedMemoryMB();
+      if (maxMemoryMB > availableMB) {
+        throw new Error(`Collection memory budget exhausted (${Math.max(availableMB, 0)} MB available)`);
+      }
+
+      const collectionId = uuidv4();
+
+      await this.database.insertCollection({
+        id: collectionId,
+        userId,
+        name: collectionData.name,
+        description: collectionData.description,
+        dimensions: collectionData.dimensions,
+        distanceMetric: collectionData.distanceMetric || 'cosine',
+        maxMemoryMB: collectionData.maxMemoryMB,
+        indexType: collectionData.indexType
+      });
+
+      const collection = await this.database.getCollectionById(collectionId);
+      await this.openCollection(collection);
+
+      logger.info('Vector collection created', {
+        collectionId,
+        userId,
+        name: collection.name,
+        dimensions: collection.dimensions,
+        distanceMetric: collection.distance_metric,
+        indexType: this.getIndexType(collection)
+      });
+
+      return this.formatCollectionResponse(collection);
+
+    } catch (error) {
+      logError(error, {
+        operation: 'createCollection',
+        userId,
+        collectionData: { name: collectionData.name }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get collection by ID, optionally checking ownership
+   */
+  async getCollection(collectionId, userId = null) {
+    const collection = await this.database.getCollectionById(collectionId);
+    if (!collection) {
+      throw new Error('Collection not found');
+    }
+
+    if (userId && collection.user_id !== userId) {
+      throw new Error('Access denied to collection');
+    }
+
+    return this.formatCollectionResponse(collection);
+  }
+
+  /**
+   * List user collections
+   */
+  async listCollections(userId, includeInactive = false) {
+    const collections = await this.database.listCollections(userId, includeInactive);
+    return collections.map(collection => this.formatCollectionResponse(collection));
+  }
+
+  /**
+   * Update collection name/description (dimensions and metric are fixed at creation)
+   */
+  async updateCollection(collectionId, userId, updates) {
+    await this.getCollection(collectionId, userId);
+
+    await this.database.updateCollection(collectionId, updates);
+
+    return this.getCollection(collectionId, userId);
+  }
+
+  /**
+   * Delete a collection along with its vectors, snapshot and write-ahead log
+   */
+  async deleteCollection(collectionId, userId) {
+    const collection = await this.getCollection(collectionId, userId);
+
+    await this.database.deleteCollection(collectionId);
+    const deleted = await this.database.deleteVectorMetadataByCollection(collectionId);
+
+    const wal = this.wals.get(collectionId);
+    if (wal) {
+      wal.close();
+      this.wals.delete(collectionId);
+    }
+    this.stores.delete(collectionId);
+
+    for (const filePath of [this.getSnapshotPath(collectionId), this.getWalPath(collectionId)]) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+
+    logger.info('Vector collection deleted', {
+      collectionId,
+      userId,
+      vectorsDeleted: deleted.changes
+    });
+
+    return { ...collection, vectorsDeleted: deleted.changes };
+  }
+
+  /**
+   * Resolve the vector store for a collection (the default store when no id is given)
+   */
+  getStore(collectionId = null) {
+    if (!collectionId) {
+      return this.defaultStore;
+    }
+
+    const store = this.stores.get(collectionId);
+    if (!store) {
+      throw new Error('Collection not found');
+    }
+
+    return store;
+  }
+
+  /**
+   * Memory reserved by the open collection stores, in MB
+   */
+  getAllocatedMemoryMB() {
+    let bytes = 0;
+    for (const store of this.stores.values()) {
+      bytes += store.maxMemoryBytes;
+    }
+
+    return bytes / (1024 * 1024);
+  }
+
+  /**
+   * Create the store for a collection and restore its persisted state
+   */
+  async openCollection(collection) {
+    const store = new IndexedVectorStore(
+      collection.max_memory_mb || this.options.maxMemoryMB,
+      collection.dimensions,
+      {
+        ...this.options.indexOptions,
+        indexType: this.getIndexType(collection),
+        distanceFunction: collection.distance_metric || 'cosine'
+      }
+    );
+
+    this.attachFullPrecisionSource(store);
+    await this.restoreStore(store, collection.id);
+    this.stores.set(collection.id, store);
+
+    return store;
+  }
+
+  /**
+   * Restore vectors and the index from the last snapshot, replay the
+   * write-ahead log on top of it and reconcile the result with SQLite metadata.
+   * Falls back to a full reload when the snapshot is missing or invalid.
+   */
+  async restoreStore(store, collectionId) {
+    const snapshotPath = this.getSnapshotPath(collectionId);
+    let walSequence = 0;
+
+    try {
+      const result = await store.loadSnapshot(snapshotPath);
+
+      if (!result) {
+        logger.info('No index snapshot found, vectors will be reloaded from database', { snapshotPath });
+      } else {
+        walSequence = result.walSequence;
+
+        logger.info('Index snapshot restored', {
+          snapshotPath,
+          nodeCount: result.nodeCount,
+          walSequence,
+          bytes: result.bytes,
+          duration: result.duration
+        });
+      }
+
+    } catch (error) {
+      logError(error, { operation: 'restoreVectorSnapshot', snapshotPath });
+      logger.warn('Index snapshot could not be restored, rebuilding from database');
+
+      // Start over from an empty store so the reload sees a consistent state
+      for (const id of Array.from(store.metadata.keys())) {
+        store.deleteVector(id);
+      }
+      store.index.clear();
+    }
+
+    let wal = null;
+    if (this.options.walEnabled) {
+      wal = new VectorWriteAheadLog(this.getWalPath(collectionId), {
+        syncWrites: this.options.walSync
+      });
+
+      // Replay mutations made after the snapshot was taken
+      const entries = wal.readEntries(walSequence);
+      if (entries.length > 0) {
+        const replay = store.replayWriteAheadLog(entries);
+
+        logger.info('Write-ahead log replayed', {
+          walPath: wal.filePath,
+          entries: entries.length,
+          applied: replay.applied,
+          failed: replay.failed
+        });
+      }
+
+      wal.open(walSequence);
+      this.wals.set(collectionId, wal);
+    }
+
+    await this.reconcileStore(store, collectionId);
+
+    // Journal every mutation from here on
+    if (wal) {
+      store.setWriteAheadLog(wal);
+    }
+  }
+
+  /**
+   * Let quantized stores rerank search results with the raw vectors kept in SQLite
+   */
+  attachFullPrecisionSource(store) {
+    if (store.quantizer) {
+      store.setFullPrecisionSource(ids => this.database.getVectorEmbeddingsByIds(ids));
+    }
+  }
+
+  /**
+   * Drop restored vectors whose metadata never made it into (or was removed from) SQLite,
+   * and stamp the owning user onto the rest so searches can be scoped per tenant
+   */
+  async reconcileStore(store, collectionId) {
+    if (store.vectorCount === 0) {
+      return;
+    }
+
+    const owners = await this.database.listVectorOwners(collectionId);
+    let removed = 0;
+
+    for (const [id, metadata] of Array.from(store.metadata.entries())) {
+      if (!owners.has(id)) {
+        store.deleteVector(id);
+        removed++;
+      } else if (owners.get(id)) {
+        metadata.userId = owners.get(id);
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('Removed vectors without database metadata', { collectionId, removed });
+    }
+  }
+
+  /**
+   * Save snapshots for every store that changed since its last snapshot
+   */
+  async snapshotAll(force = false) {
+    const results = [];
+    const entries = [[null, this.defaultStore], ...this.stores];
+
+    for (const [collectionId, store] of entries) {
+      if (!force && store.mutationsSinceSnapshot === 0) {
+        continue;
+      }
+
+      try {
+        const result = await store.saveSnapshot(this.getSnapshotPath(collectionId));
+
+        logger.info('Index snapshot saved', {
+          collectionId,
+          snapshotPath: result.path,
+          nodeCount: result.nodeCount,
+          bytes: result.bytes,
+          duration: result.duration
+        });
+
+        results.push(result);
+
+      } catch (error) {
+        logError(error, { operation: 'snapshotVectorStore', collectionId });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Close every write-ahead log
+   */
+  close() {
+    for (const wal of this.wals.values()) {
+      wal.close();
+    }
+    this.wals.clear();
+  }
+
+  /**
+   * Index type of a collection; collections created without one follow the server default
+   */
+  getIndexType(collection) {
+    return collection.index_type || this.options.indexOptions.indexType || 'hnsw';
+  }
+
+  /**
+   * Snapshot file for a collection; collections live next to the default snapshot
+   */
+  getSnapshotPath(collectionId = null) {
+    if (!collectionId) {
+      return this.options.snapshotPath;
+    }
+    return path.join(path.dirname(this.options.snapshotPath), 'collections', `${collectionId}.snapshot`);
+  }
+
+  /**
+   * Write-ahead log file for a collection
+   */
+  getWalPath(collectionId = null) {
+    if (!collectionId) {
+      return this.options.walPath;
+    }
+    return path.join(path.dirname(this.options.walPath), 'collections', `${collectionId}.wal`);
+  }
+
+  /**
+   * Format collection for API response
+   */
+  formatCollectionResponse(collection) {
+    const store = this.stores.get(collection.id);
+
+    return {
+      id: collection.id,
+      userId: collection.user_id,
+      name: collection.name,
+      description: collection.description,
+      dimensions: collection.dimensions,
+      distanceMetric: collection.distance_metric,
+      indexType: this.getIndexType(collection),
+      maxMemoryMB: collection.max_memory_mb || this.options.maxMemoryMB,
+      vectorCount: store ? store.vectorCount : 0,
+      createdAt: collection.created_at,
+      updatedAt: collection.updated_at,
+      isActive: Boolean(collection.is_active)
+    };
+  }
+}
+
+module.exports = CollectionManager;
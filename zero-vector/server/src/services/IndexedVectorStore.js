@@ -1,40 +1,56 @@
 const MemoryEfficientVectorStore = require('./memoryEfficientVectorStore');
-const HNSWIndex = require('../algorithms/HNSWIndex');
-const { logVectorOperation, logError } = require('../utils/logger');
+const { createIndex } = require('../algorithms/createIndex');
+const { compileFilter } = require('../utils/metadataFilter');
+const { logger, logVectorOperation, logError } = require('../utils/logger');
 
 /**
  * Indexed Vector Store
- * Combines memory-efficient storage with HNSW indexing for high-performance search
+ * Combines memory-efficient storage with a pluggable ANN index (HNSW, LSH or flat)
+ * selected through indexOptions.indexType. With indexOptions.quantization the index
+ * searches over the same compressed codes as the store, optionally reranking the
+ * best candidates with full-precision vectors from an external source.
  */
 class IndexedVectorStore extends MemoryEfficientVectorStore {
   constructor(maxMemoryMB = 2048, dimensions = 1536, indexOptions = {}) {
-    super(maxMemoryMB, dimensions);
+    super(maxMemoryMB, dimensions, indexOptions.quantization || {});
     
-    // Initialize HNSW index
-    this.hnswIndex = new HNSWIndex({
+    // Initialize the configured index
+    this.index = createIndex(indexOptions.indexType || 'hnsw', {
       M: indexOptions.M || 16,
       efConstruction: indexOptions.efConstruction || 200,
       efSearch: indexOptions.efSearch || 50,
       distanceFunction: indexOptions.distanceFunction || 'cosine',
-      ...indexOptions
+      dimensions,
+      ...indexOptions,
+      quantizer: this.quantizer
     });
     
     // Index configuration
     this.indexEnabled = true;
     this.autoIndex = indexOptions.autoIndex !== false; // Default to true
     this.indexThreshold = indexOptions.indexThreshold || 100; // Build index after 100 vectors
+    this.linearFallbackLimit = indexOptions.linearFallbackLimit || 10000; // Largest store a failed index search may scan
+    
+    // Full-precision rerank of quantized search results
+    this.rerankEnabled = indexOptions.quantization?.rerank !== false;
+    this.rerankCandidates = indexOptions.quantization?.rerankCandidates || 4;
+    this.fullPrecisionSource = null;
+    
+    // Snapshot tracking
+    this.mutationsSinceSnapshot = 0;
+    this.lastSnapshotAt = null;
     
     // Performance tracking
     this.searchStats = {
-      hnswSearches: 0,
+      indexSearches: 0,
       linearSearches: 0,
-      hnswTime: 0,
+      indexTime: 0,
       linearTime: 0,
-      avgHnswTime: 0,
+      avgIndexTime: 0,
       avgLinearTime: 0
     };
     
-    console.log(`IndexedVectorStore initialized with HNSW: ${maxMemoryMB}MB, ${dimensions}D, M=${this.hnswIndex.M}`);
+    console.log(`IndexedVectorStore initialized with ${this.index.type.toUpperCase()}: ${maxMemoryMB}MB, ${dimensions}D`);
   }
 
   /**
@@ -46,14 +62,15 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
     try {
       // Add to base vector store
       const result = super.addVector(vector, id, metadata);
+      this.mutationsSinceSnapshot++;
       
-      // Add to HNSW index if enabled
+      // Add to index if enabled
       if (this.indexEnabled && this.autoIndex) {
         try {
-          this.hnswIndex.insert(vector, id, metadata);
+          this.index.insert(vector, id, metadata);
         } catch (indexError) {
           // Log index error but don't fail the operation
-          logError(indexError, { operation: 'hnswInsert', id });
+          logError(indexError, { operation: 'indexInsert', indexType: this.index.type, id });
         }
       }
       
@@ -72,7 +89,7 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
   }
 
   /**
-   * Enhanced search with HNSW index
+   * Enhanced search using the configured index
    */
   search(queryVector, options = {}) {
     const startTime = Date.now();
@@ -94,22 +111,17 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
       let results = [];
       let searchMethod = 'linear';
       
-      // Use HNSW index if enabled and sufficient vectors
-      if (useIndex && this.indexEnabled && this.hnswIndex.nodeCount >= this.indexThreshold) {
+      // Use the index if enabled and sufficient vectors
+      if (useIndex && this.indexEnabled && this.index.nodeCount >= this.indexThreshold) {
         try {
-          searchMethod = 'hnsw';
-          const hnswResults = this.hnswIndex.search(queryVector, limit * 2, ef); // Get more candidates
+          searchMethod = this.index.type;
           
-          // Filter and convert HNSW results
-          results = hnswResults
-            .filter(result => {
-              // Apply threshold
-              if (result.similarity < threshold) return false;
-              
-              // Apply metadata filters
-              const vectorMeta = this.metadata.get(result.id);
-              return vectorMeta && this.matchesFilters(vectorMeta, filters);
-            })
+          // Metadata filters are applied during traversal rather than afterwards
+          const indexResults = this.index.search(queryVector, limit, ef, this.createIndexFilter(filters));
+          
+          // Apply threshold and convert index results
+          results = indexResults
+            .filter(result => result.similarity >= threshold && this.metadata.has(result.id))
             .slice(0, limit)
             .map(result => {
               const vectorMeta = this.metadata.get(result.id);
@@ -126,22 +138,32 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
               return formattedResult;
             });
           
-          // Update HNSW stats
-          this.searchStats.hnswSearches++;
-          const hnswDuration = Date.now() - startTime;
-          this.searchStats.hnswTime += hnswDuration;
-          this.searchStats.avgHnswTime = this.searchStats.hnswTime / this.searchStats.hnswSearches;
+          // Update index stats
+          this.searchStats.indexSearches++;
+          const indexDuration = Date.now() - startTime;
+          this.searchStats.indexTime += indexDuration;
+          this.searchStats.avgIndexTime = this.searchStats.indexTime / this.searchStats.indexSearches;
           
-        } catch (hnswError) {
-          logError(hnswError, { operation: 'hnswSearch' });
-          // Fall back to linear search
+        } catch (indexError) {
+          logError(indexError, { operation: 'indexSearch', indexType: this.index.type });
+
+          // A linear scan is O(n): only small stores fall back to one
+          if (this.vectorCount > this.linearFallbackLimit) {
+            throw indexError;
+          }
+
+          logger.warn('Index search failed, falling back to a linear scan', {
+            indexType: this.index.type,
+            vectorCount: this.vectorCount
+          });
           searchMethod = 'linear_fallback';
         }
       }
       
-      // Fall back to linear search if HNSW failed or not available
-      if (results.length === 0 || searchMethod !== 'hnsw') {
-        searchMethod = searchMethod === 'hnsw' ? 'linear_fallback' : 'linear';
+      // Linear search if the index failed or is not in use yet. An empty index
+      // result stands: filtered traversal keeps going until it finds `limit`
+      // matches or runs out of graph, so a rescan would find nothing more.
+      if (searchMethod !== this.index.type) {
         results = super.search(queryVector, options);
         
         // Update linear search stats
@@ -158,7 +180,8 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
         threshold,
         metric,
         useIndex: useIndex && this.indexEnabled,
-        indexSize: this.hnswIndex.nodeCount
+        indexType: this.index.type,
+        indexSize: this.index.nodeCount
       });
       
       return results;
@@ -169,17 +192,119 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
     }
   }
 
+  /**
+   * Turn metadata filters into a node predicate for the index (null when unfiltered)
+   */
+  createIndexFilter(filters) {
+    if (!filters || Object.keys(filters).length === 0) {
+      return null;
+    }
+
+    const matches = compileFilter(filters);
+    return nodeId => {
+      const vectorMeta = this.metadata.get(nodeId);
+      return vectorMeta !== undefined && matches(vectorMeta);
+    };
+  }
+
+  /**
+   * Search, then rescore the best candidates with full-precision vectors
+   * Only applies when the store is quantized and a full-precision source is attached;
+   * otherwise this is a plain search. Candidates the source cannot provide keep
+   * their approximate similarity.
+   */
+  async searchWithRerank(queryVector, options = {}) {
+    const {
+      limit = 10,
+      threshold = 0.0,
+      metric = 'cosine',
+      includeValues = false,
+      rerank = this.rerankEnabled
+    } = options;
+    
+    if (!rerank || !this.quantizer?.trained || !this.fullPrecisionSource) {
+      return this.search(queryVector, options);
+    }
+    
+    const startTime = Date.now();
+    
+    // Widen the candidate pool; the threshold is applied to the exact scores
+    const candidates = this.search(queryVector, {
+      ...options,
+      limit: limit * this.rerankCandidates,
+      threshold: -Infinity
+    });
+    
+    const fullVectors = await this.fullPrecisionSource(candidates.map(candidate => candidate.id));
+    const queryArray = queryVector instanceof Float32Array ? queryVector : new Float32Array(queryVector);
+    let reranked = 0;
+    
+    const results = candidates
+      .map(candidate => {
+        const vector = fullVectors.get(candidate.id);
+        if (!vector || vector.length !== this.dimensions) {
+          return candidate;
+        }
+        
+        reranked++;
+        const result = {
+          ...candidate,
+          similarity: this.similarity.calculateSimilarity(queryArray, vector, metric)
+        };
+        
+        if (includeValues) {
+          result.vector = Array.from(vector);
+        }
+        
+        return result;
+      })
+      .filter(result => result.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+    
+    logVectorOperation('rerank_search', results.length, this.dimensions, Date.now() - startTime, {
+      candidates: candidates.length,
+      reranked,
+      quantization: this.quantizer.type
+    });
+    
+    return results;
+  }
+
+  /**
+   * Provide full-precision vectors for reranking: async (ids) => Map<id, Float32Array>
+   */
+  setFullPrecisionSource(source) {
+    this.fullPrecisionSource = source;
+  }
+
+  /**
+   * Compress the index once the store's quantizer has been trained
+   */
+  onQuantizerTrained() {
+    const compressed = this.index.compressNodes();
+    
+    logVectorOperation('compress_index', compressed, this.dimensions, 0, {
+      indexType: this.index.type,
+      quantization: this.quantizer.type
+    });
+  }
+
   /**
    * Delete vector from both store and index
    */
   deleteVector(id) {
     const success = super.deleteVector(id);
     
+    if (success) {
+      this.mutationsSinceSnapshot++;
+    }
+    
     if (success && this.indexEnabled) {
       try {
-        this.hnswIndex.remove(id);
+        this.index.remove(id);
       } catch (indexError) {
-        logError(indexError, { operation: 'hnswRemove', id });
+        logError(indexError, { operation: 'indexRemove', indexType: this.index.type, id });
       }
     }
     
@@ -192,14 +317,18 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
   updateVector(id, vector, metadata = {}) {
     const success = super.updateVector(id, vector, metadata);
     
+    if (success) {
+      this.mutationsSinceSnapshot++;
+    }
+    
     if (success && this.indexEnabled) {
       try {
         // Remove old version from index
-        this.hnswIndex.remove(id);
+        this.index.remove(id);
         // Add updated version
-        this.hnswIndex.insert(vector, id, metadata);
+        this.index.insert(vector, id, metadata);
       } catch (indexError) {
-        logError(indexError, { operation: 'hnswUpdate', id });
+        logError(indexError, { operation: 'indexUpdate', indexType: this.index.type, id });
       }
     }
     
@@ -207,16 +336,37 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
   }
 
   /**
-   * Rebuild the HNSW index from scratch
+   * Update metadata in both store and index
+   */
+  updateMetadata(id, changes) {
+    const success = super.updateMetadata(id, changes);
+    
+    if (success) {
+      this.mutationsSinceSnapshot++;
+      this.index.updateMetadata(id, changes);
+    }
+    
+    return success;
+  }
+
+  /**
+   * Check whether the index holds a vector
+   */
+  isIndexed(id) {
+    return this.index.has(id);
+  }
+
+  /**
+   * Rebuild the index from scratch
    */
   rebuildIndex() {
     const startTime = Date.now();
     
     try {
-      console.log('Rebuilding HNSW index...');
+      console.log(`Rebuilding ${this.index.type.toUpperCase()} index...`);
       
       // Clear existing index
-      this.hnswIndex.clear();
+      this.index.clear();
       
       let indexed = 0;
       const total = this.vectorCount;
@@ -225,7 +375,7 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
       for (const [id, meta] of this.metadata) {
         try {
           const vector = this.getVector(id);
-          this.hnswIndex.insert(vector, id, meta);
+          this.index.insert(vector, id, meta);
           indexed++;
           
           if (indexed % 1000 === 0) {
@@ -250,7 +400,7 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
         indexed,
         total,
         duration,
-        stats: this.hnswIndex.getStats()
+        stats: this.index.getStats()
       };
       
     } catch (error) {
@@ -259,20 +409,93 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
     }
   }
 
+  /**
+   * Save the index (including vectors and metadata) to a snapshot file
+   * The write-ahead log is compacted up to the sequence the snapshot covers
+   */
+  async saveSnapshot(filePath) {
+    const pendingMutations = this.mutationsSinceSnapshot;
+    const walSequence = this.wal ? this.wal.sequence : 0;
+    const result = await this.index.save(filePath, { walSequence });
+    
+    this.mutationsSinceSnapshot = Math.max(0, this.mutationsSinceSnapshot - pendingMutations);
+    this.lastSnapshotAt = Date.now();
+    
+    if (this.wal) {
+      this.wal.compact(walSequence);
+    }
+    
+    logVectorOperation('save_snapshot', result.nodeCount, this.dimensions, result.duration, {
+      path: filePath,
+      bytes: result.bytes,
+      walSequence
+    });
+    
+    return { ...result, walSequence };
+  }
+
+  /**
+   * Restore the store from a snapshot file
+   * The index structure is reused when the snapshot was written by the same index
+   * type with the same build parameters, otherwise it is rebuilt from the stored vectors.
+   * Returns null when no snapshot exists. Must be called on an empty store.
+   */
+  async loadSnapshot(filePath) {
+    if (this.vectorCount > 0) {
+      throw new Error('Snapshots can only be loaded into an empty vector store');
+    }
+    
+    const result = await this.index.load(filePath, this.dimensions);
+    if (!result) {
+      return null;
+    }
+    
+    // Populate the vector buffer directly from the restored nodes
+    for (const [id, node] of this.index.nodes) {
+      const slotIndex = this.allocateSlot();
+      this.metadata.set(id, {
+        slotIndex,
+        dimensions: this.dimensions,
+        timestamp: node.insertTime,
+        ...node.metadata
+      });
+      this.vectorCount++;
+      
+      if (node.code) {
+        // Codes from a snapshot written with the same (now restored) quantizer
+        this.vectors.set(node.code, slotIndex * this.slotLength);
+      } else {
+        this.writeSlot(id, slotIndex, node.vector);
+      }
+    }
+    
+    this.mutationsSinceSnapshot = 0;
+    this.lastSnapshotAt = result.createdAt;
+    
+    logVectorOperation('load_snapshot', result.nodeCount, this.dimensions, result.duration, {
+      path: filePath,
+      bytes: result.bytes,
+      indexType: this.index.type,
+      rebuilt: result.rebuilt
+    });
+    
+    return { ...result, walSequence: result.extra.walSequence || 0 };
+  }
+
   /**
    * Enable or disable indexing
    */
   setIndexEnabled(enabled) {
     this.indexEnabled = enabled;
-    console.log(`HNSW indexing ${enabled ? 'enabled' : 'disabled'}`);
+    console.log(`${this.index.type.toUpperCase()} indexing ${enabled ? 'enabled' : 'disabled'}`);
   }
 
   /**
-   * Configure HNSW search parameters
+   * Configure HNSW search parameters (ignored by other index types)
    */
   configureSearch(efSearch) {
-    this.hnswIndex.efSearch = efSearch;
-    console.log(`HNSW efSearch updated to ${efSearch}`);
+    this.index.efSearch = efSearch;
+    console.log(`${this.index.type.toUpperCase()} efSearch updated to ${efSearch}`);
   }
 
   /**
@@ -280,7 +503,7 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
    */
   getStats() {
     const baseStats = super.getStats();
-    const hnswStats = this.hnswIndex.getStats();
+    const indexStats = this.index.getStats();
     
     return {
       ...baseStats,
@@ -288,12 +511,17 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
         enabled: this.indexEnabled,
         autoIndex: this.autoIndex,
         threshold: this.indexThreshold,
-        ...hnswStats
+        ...indexStats
+      },
+      snapshot: {
+        lastSnapshotAt: this.lastSnapshotAt,
+        mutationsSinceSnapshot: this.mutationsSinceSnapshot
       },
+      wal: this.wal ? this.wal.getStats() : null,
       searchPerformance: {
         ...this.searchStats,
-        hnswSpeedup: this.searchStats.avgLinearTime > 0 && this.searchStats.avgHnswTime > 0 
-          ? (this.searchStats.avgLinearTime / this.searchStats.avgHnswTime).toFixed(2) + 'x'
+        indexSpeedup: this.searchStats.avgLinearTime > 0 && this.searchStats.avgIndexTime > 0 
+          ? (this.searchStats.avgLinearTime / this.searchStats.avgIndexTime).toFixed(2) + 'x'
           : 'N/A'
       }
     };
@@ -322,7 +550,7 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
           try {
             const vectorData = vectors.find(v => v.id === successResult.id);
             if (vectorData) {
-              this.hnswIndex.insert(vectorData.vector, successResult.id, vectorData.metadata || {});
+              this.index.insert(vectorData.vector, successResult.id, vectorData.metadata || {});
               indexed++;
             }
           } catch (indexError) {
@@ -359,23 +587,23 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
     const {
       limit = 10,
       threshold = 0.0,
-      hnswCandidates = limit * 3,
+      indexCandidates = limit * 3,
       linearBackup = false,
       ...otherOptions
     } = options;
     
     let results = [];
     
-    // Primary HNSW search
-    if (this.indexEnabled && this.hnswIndex.nodeCount >= this.indexThreshold) {
-      const hnswResults = this.search(queryVector, {
+    // Primary index search
+    if (this.indexEnabled && this.index.nodeCount >= this.indexThreshold) {
+      const indexResults = this.search(queryVector, {
         ...otherOptions,
-        limit: hnswCandidates,
+        limit: indexCandidates,
         threshold: threshold * 0.8, // Lower threshold for candidates
         useIndex: true
       });
       
-      results = hnswResults.slice(0, limit);
+      results = indexResults.slice(0, limit);
     }
     
     // Linear search backup if not enough results
@@ -403,9 +631,9 @@ class IndexedVectorStore extends MemoryEfficientVectorStore {
   cleanup() {
     super.cleanup();
     
-    // HNSW index doesn't need regular cleanup, but we can log stats
-    const indexStats = this.hnswIndex.getStats();
-    console.log(`HNSW Index: ${indexStats.nodeCount} nodes, ${indexStats.layerCount} layers`);
+    // Indexes don't need regular cleanup, but we can log stats
+    const indexStats = this.index.getStats();
+    console.log(`${indexStats.type.toUpperCase()} Index: ${indexStats.nodeCount} nodes`);
   }
 }
 
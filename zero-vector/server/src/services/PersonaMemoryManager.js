@@ -1,9 +1,20 @@
 const { v4: uuidv4 } = require('uuid');
 const { logger, logError } = require('../utils/logger');
+const { compileFilter } = require('../utils/metadataFilter');
+const { PERSONA_ACCESS_ROLES, hasOrganizationRole } = require('../utils/organizationRoles');
+const { AuthorizationError } = require('../middleware/errorHandler');
+const { recordMemoriesStored } = require('../utils/usageContext');
+const { resolveRedactionPolicy, redactPii } = require('../utils/piiRedaction');
+
+const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+const RRF_K = 60; // Reciprocal rank fusion damping constant
 
 /**
  * Persona Memory Manager
  * Handles AI persona memory storage, retrieval, and lifecycle management
+ *
+ * A persona belongs to the user who created it, or to an organization when
+ * organization_id is set; then members' roles decide what they may do with it.
  */
 class PersonaMemoryManager {
   constructor(database, vectorStore, embeddingService) {
@@ -24,6 +35,10 @@ class PersonaMemoryManager {
    */
   async createPersona(userId, personaData) {
     try {
+      if (personaData.organizationId) {
+        await this.assertOrganizationRole(personaData.organizationId, userId, PERSONA_ACCESS_ROLES.write);
+      }
+
       const personaId = uuidv4();
       
       // Validate numeric inputs
@@ -36,6 +51,7 @@ class PersonaMemoryManager {
       const persona = {
         id: personaId,
         userId: userId,
+        organizationId: personaData.organizationId || null,
         name: personaData.name,
         description: personaData.description || '',
         systemPrompt: personaData.systemPrompt || '',
@@ -55,23 +71,10 @@ class PersonaMemoryManager {
       // Insert persona into database
       await this.database.insertPersona(persona);
 
-      // Log persona creation (temporarily disabled to fix timestamp issue)
-      // await this.database.insertAuditLog({
-      //   id: uuidv4(),
-      //   userId: userId,
-      //   action: 'CREATE_PERSONA',
-      //   resourceType: 'persona',
-      //   resourceId: personaId,
-      //   details: {
-      //     name: persona.name,
-      //     maxMemorySize: persona.maxMemorySize,
-      //     memoryDecayTime: persona.memoryDecayTime
-      //   }
-      // });
-
       logger.info('Persona created successfully', {
         personaId,
         userId,
+        organizationId: persona.organizationId,
         name: persona.name,
         maxMemorySize: persona.maxMemorySize
       });
@@ -90,8 +93,9 @@ class PersonaMemoryManager {
 
   /**
    * Get persona by ID
+   * With a userId, checks that the user may access it: 'read', 'write' or 'manage'
    */
-  async getPersona(personaId, userId = null) {
+  async getPersona(personaId, userId = null, access = 'read') {
     try {
       const persona = await this.database.getPersonaById(personaId);
       
@@ -99,9 +103,8 @@ class PersonaMemoryManager {
         throw new Error('Persona not found');
       }
 
-      // Verify ownership if userId provided
-      if (userId && persona.user_id !== userId) {
-        throw new Error('Access denied: Persona does not belong to user');
+      if (userId) {
+        await this.assertPersonaAccess(persona, userId, access);
       }
 
       return this.formatPersonaResponse(persona);
@@ -117,17 +120,51 @@ class PersonaMemoryManager {
   }
 
   /**
-   * List user personas
+   * Verify a user may access a persona row
+   * Personal personas admit only their creator; organization personas admit members
+   * whose role covers the access ('Access denied' reads as not found to callers)
+   */
+  async assertPersonaAccess(persona, userId, access = 'read') {
+    if (!persona.organization_id) {
+      if (persona.user_id !== userId) {
+        throw new Error('Access denied: Persona does not belong to user');
+      }
+      return;
+    }
+
+    await this.assertOrganizationRole(persona.organization_id, userId, PERSONA_ACCESS_ROLES[access]);
+  }
+
+  /**
+   * Verify a user holds at least the required role in an organization
    */
-  async listPersonas(userId, includeInactive = false) {
+  async assertOrganizationRole(organizationId, userId, requiredRole) {
+    const role = await this.database.getOrganizationRole(organizationId, userId);
+
+    if (!role) {
+      throw new Error('Access denied: Not a member of the organization');
+    }
+
+    if (!hasOrganizationRole(role, requiredRole)) {
+      throw new AuthorizationError(`Organization role '${requiredRole}' or higher required`);
+    }
+
+    return role;
+  }
+
+  /**
+   * List the personas a user owns or shares through an organization
+   */
+  async listPersonas(userId, includeInactive = false, organizationId = null) {
     try {
-      const personas = await this.database.listPersonas(userId, includeInactive);
+      const personas = await this.database.listPersonas(userId, includeInactive, organizationId);
       
       const formattedPersonas = await Promise.all(
         personas.map(async (persona) => {
-          const stats = await this.getPersonaMemoryStats(persona.id);
+          const stats = await this.getPersonaMemoryStats(persona.id, persona.user_id);
           return {
             ...this.formatPersonaResponse(persona),
+            organizationRole: persona.organization_role,
             memoryStats: stats
           };
         })
@@ -149,8 +186,8 @@ class PersonaMemoryManager {
    */
   async updatePersona(personaId, userId, updates) {
     try {
-      // Verify ownership
-      const existingPersona = await this.getPersona(personaId, userId);
+      // Verify ownership or editor access
+      const existingPersona = await this.getPersona(personaId, userId, 'write');
       
       const allowedUpdates = {
         name: updates.name,
@@ -179,16 +216,6 @@ class PersonaMemoryManager {
       // Update in database
       await this.database.updatePersona(personaId, allowedUpdates);
 
-      // Log update
-      await this.database.insertAuditLog({
-        id: uuidv4(),
-        userId: userId,
-        action: 'UPDATE_PERSONA',
-        resourceType: 'persona',
-        resourceId: personaId,
-        details: allowedUpdates
-      });
-
       logger.info('Persona updated successfully', {
         personaId,
         userId,
@@ -212,24 +239,15 @@ class PersonaMemoryManager {
    */
   async deletePersona(personaId, userId) {
     try {
-      // Verify ownership
-      await this.getPersona(personaId, userId);
+      // Verify ownership (organization personas need an owner)
+      await this.getPersona(personaId, userId, 'manage');
+      const persona = await this.database.getPersonaById(personaId);
 
       // Soft delete persona
       await this.database.deletePersona(personaId);
 
       // Clean up all memories for this persona
-      await this.cleanupPersonaMemories(personaId);
-
-      // Log deletion
-      await this.database.insertAuditLog({
-        id: uuidv4(),
-        userId: userId,
-        action: 'DELETE_PERSONA',
-        resourceType: 'persona',
-        resourceId: personaId,
-        details: { action: 'soft_delete' }
-      });
+      await this.cleanupPersonaMemories(persona);
 
       logger.info('Persona deleted successfully', { personaId, userId });
 
@@ -243,16 +261,51 @@ class PersonaMemoryManager {
     }
   }
 
+  /**
+   * Metadata kept with a memory's vector. With encryption at rest the content
+   * stays out of the vector store (and so out of its write-ahead log and index
+   * snapshots) and is read from the database instead.
+   */
+  toVectorStoreMetadata(metadata) {
+    if (!this.database.encryption.enabled) {
+      return metadata;
+    }
+
+    const { originalContent, ...rest } = metadata;
+    return rest;
+  }
+
+  /**
+   * Database filters selecting a persona's memories
+   * Any stored vector may carry a persona id, so memories are also matched on
+   * their content type and on the persona owner they are stored under
+   */
+  memoryRowFilters(personaId, ownerId, limit) {
+    return {
+      personaId: personaId,
+      contentType: 'persona_memory',
+      userId: ownerId,
+      limit
+    };
+  }
+
   /**
    * Add memory to persona
+   * options.apiKeyId records the API key storing it, for the key's memory quota
+   *
+   * Personal data is redacted following the persona's policy before the
+   * content is embedded or stored; the response counts the redactions.
    */
-  async addMemory(personaId, content, context = {}) {
+  async addMemory(personaId, content, context = {}, options = {}) {
     try {
       const persona = await this.database.getPersonaById(personaId);
       if (!persona) {
         throw new Error('Persona not found');
       }
 
+      const { text, redactions } = redactPii(content, resolveRedactionPolicy(persona.config));
+      content = text;
+
       // Generate embedding for the content
       const provider = persona.config.embeddingProvider || 'local';
       const model = persona.config.embeddingModel || (provider === 'openai' ? 'text-embedding-3-small' : 'all-MiniLM-L6-v2');
@@ -268,6 +321,7 @@ class PersonaMemoryManager {
       const timestamp = Date.now();
       const memoryMetadata = {
         personaId: personaId,
+        userId: persona.user_id,
         originalContent: content,
         memoryType: context.type || this.memoryTypes.CONVERSATION,
         importance: typeof context.importance === 'number' ? context.importance : 0.5,
@@ -276,6 +330,7 @@ class PersonaMemoryManager {
         timestamp: timestamp,
         embeddingProvider: embeddingResult.provider,
         embeddingModel: embeddingResult.model,
+        redactions: redactions,
         context: context
       };
 
@@ -283,7 +338,7 @@ class PersonaMemoryManager {
       const storeResult = await this.vectorStore.addVector(
         embeddingResult.vector,
         memoryId,
-        memoryMetadata
+        this.toVectorStoreMetadata(memoryMetadata)
       );
 
       // Store metadata in database
@@ -294,9 +349,22 @@ class PersonaMemoryManager {
         contentType: 'persona_memory',
         source: 'memory_manager',
         tags: [context.type || this.memoryTypes.CONVERSATION],
-        customMetadata: memoryMetadata
+        customMetadata: memoryMetadata,
+        userId: persona.user_id,
+        apiKeyId: options.apiKeyId
+      });
+
+      // Persist the raw vector so restarts can reload it without re-embedding
+      await this.database.upsertVectorEmbedding({
+        id: memoryId,
+        vector: embeddingResult.vector,
+        provider: embeddingResult.provider,
+        model: embeddingResult.model,
+        fingerprint: this.embeddingService.getModelFingerprint(embeddingResult.provider, embeddingResult.model)
       });
 
+      recordMemoriesStored(1);
+
       // Check memory limits and cleanup if necessary
       await this.enforceMemoryLimits(personaId);
 
@@ -304,7 +372,8 @@ class PersonaMemoryManager {
         personaId,
         memoryId,
         memoryType: memoryMetadata.memoryType,
-        contentLength: content.length
+        contentLength: content.length,
+        redactions
       });
 
       return {
@@ -312,7 +381,8 @@ class PersonaMemoryManager {
         content: content,
         type: memoryMetadata.memoryType,
         timestamp: memoryMetadata.timestamp,
-        slotIndex: storeResult.slotIndex
+        slotIndex: storeResult.slotIndex,
+        redactions: redactions
       };
 
     } catch (error) {
@@ -327,6 +397,11 @@ class PersonaMemoryManager {
 
   /**
    * Retrieve relevant memories for a query
+   * `mode` picks the ranking: 'semantic' (embedding similarity), 'keyword' (BM25
+   * over memory content) or 'hybrid' (both lists fused with reciprocal rank fusion).
+   * With `mmr`, the final list is picked by maximal marginal relevance so that
+   * near-duplicate memories do not crowd out the rest; `mmrLambda` (0-1) weighs
+   * relevance against redundancy.
    */
   async retrieveRelevantMemories(personaId, query, options = {}) {
     try {
@@ -341,34 +416,70 @@ class PersonaMemoryManager {
         threshold = 0.7,
         memoryTypes = null,
         maxAge = null,
-        includeContext = true
+        includeContext = true,
+        filters = null,
+        mode = 'semantic',
+        mmr = false,
+        mmrLambda = 0.5
       } = options;
 
+      if (!SEARCH_MODES.includes(mode)) {
+        throw new Error(`Unknown search mode '${mode}' (expected one of: ${SEARCH_MODES.join(', ')})`);
+      }
+
+      // Encrypted memories never reach the full-text index, so a keyword ranking would silently miss them
+      if (mode !== 'semantic' && this.database.encryption.enabled) {
+        throw new Error(`Search mode '${mode}' is unavailable while encryption at rest is enabled`);
+      }
+
+      if (mmr && !(mmrLambda >= 0 && mmrLambda <= 1)) {
+        throw new Error('MMR lambda must be between 0 and 1');
+      }
+
+      // MMR needs a wider pool of candidates to choose from
+      const candidateCount = limit * (mmr ? 4 : 2);
+
       const persona = await this.database.getPersonaById(personaId);
       if (!persona) {
         throw new Error('Persona not found');
       }
 
-      // Generate query embedding
-      const provider = persona.config.embeddingProvider || 'local';
-      const model = persona.config.embeddingModel || (provider === 'openai' ? 'text-embedding-3-small' : 'all-MiniLM-L6-v2');
-      
-      const queryEmbedding = await this.embeddingService.generateEmbedding(query, {
-        provider: provider,
-        model: model,
-        useCache: true
-      });
+      // Vectors tagged with the persona by anyone but its owner are not memories
+      const personaFilter = { personaId: personaId, userId: persona.user_id };
+      const memoryFilters = filters ? { $and: [personaFilter, filters] } : personaFilter;
+      let searchResults = [];
+      let queryVector = null;
 
-      // Search for similar memories
-      const searchResults = await this.vectorStore.search(queryEmbedding.vector, {
-        limit: limit * 2, // Get more to filter
-        threshold: threshold,
-        metric: 'cosine',
-        filters: { personaId: personaId },
-        includeValues: false,
-        includeMetadata: true,
-        useIndex: true
-      });
+      if (mode !== 'keyword') {
+        // Generate query embedding
+        const provider = persona.config.embeddingProvider || 'local';
+        const model = persona.config.embeddingModel || (provider === 'openai' ? 'text-embedding-3-small' : 'all-MiniLM-L6-v2');
+        
+        const queryEmbedding = await this.embeddingService.generateEmbedding(query, {
+          provider: provider,
+          model: model,
+          useCache: true
+        });
+        queryVector = queryEmbedding.vector;
+
+        // Search for similar memories
+        searchResults = await this.vectorStore.searchWithRerank(queryVector, {
+          limit: candidateCount, // Get more to filter
+          threshold: threshold,
+          metric: 'cosine',
+          filters: memoryFilters,
+          includeValues: false,
+          includeMetadata: true,
+          useIndex: true
+        });
+      }
+
+      if (mode !== 'semantic') {
+        const keywordResults = await this.searchMemoryKeywords(persona, query, candidateCount, memoryFilters);
+        searchResults = mode === 'keyword'
+          ? keywordResults.map(result => ({ ...result, score: result.keywordScore }))
+          : this.fuseRankings(searchResults, keywordResults, queryVector);
+      }
 
       // Filter and enrich results
       let filteredResults = searchResults;
@@ -388,15 +499,21 @@ class PersonaMemoryManager {
         );
       }
 
-      // Sort by relevance and recency
-      filteredResults.sort((a, b) => {
-        const scoreA = a.similarity + (a.metadata.importance || 0.5) * 0.1;
-        const scoreB = b.similarity + (b.metadata.importance || 0.5) * 0.1;
-        return scoreB - scoreA;
-      });
+      // Sort by relevance and recency (keyword and hybrid results keep their fused ranking)
+      if (mode === 'semantic') {
+        filteredResults.sort((a, b) => {
+          const scoreA = a.similarity + (a.metadata.importance || 0.5) * 0.1;
+          const scoreB = b.similarity + (b.metadata.importance || 0.5) * 0.1;
+          return scoreB - scoreA;
+        });
+      } else {
+        filteredResults.sort((a, b) => b.score - a.score);
+      }
 
       // Limit final results
-      filteredResults = filteredResults.slice(0, limit);
+      filteredResults = mmr
+        ? this.selectMaximalMarginalRelevance(filteredResults, limit, mmrLambda, mode)
+        : filteredResults.slice(0, limit);
 
       // Debug: Log what we got from vector search before enrichment
       logger.info('Vector search results before enrichment', {
@@ -413,8 +530,8 @@ class PersonaMemoryManager {
         }))
       });
 
-      // Enrich with database metadata if needed
-      if (includeContext) {
+      // Enrich with database metadata if needed (always when encrypted content is kept out of the vector store)
+      if (includeContext || this.database.encryption.enabled) {
         for (const result of filteredResults) {
           try {
             // First check if originalContent is already available from vector store
@@ -478,12 +595,14 @@ class PersonaMemoryManager {
         }))
       });
 
+      const scored = filteredResults.filter(r => typeof r.similarity === 'number');
       logger.info('Retrieved relevant memories', {
         personaId,
         query: query.substring(0, 100),
+        mode,
         resultCount: filteredResults.length,
-        avgSimilarity: filteredResults.length > 0 
-          ? (filteredResults.reduce((sum, r) => sum + r.similarity, 0) / filteredResults.length).toFixed(3)
+        avgSimilarity: scored.length > 0 
+          ? (scored.reduce((sum, r) => sum + r.similarity, 0) / scored.length).toFixed(3)
           : 0
       });
 
@@ -499,14 +618,117 @@ class PersonaMemoryManager {
     }
   }
 
+  /**
+   * Keyword (BM25) search over a persona's memory content
+   */
+  async searchMemoryKeywords(persona, query, limit, filters) {
+    const matches = compileFilter(filters);
+    const hits = await this.database.searchMemoryText(persona.id, persona.user_id, query, limit);
+
+    return hits
+      .map(hit => ({
+        id: hit.id,
+        similarity: null,
+        keywordScore: hit.score,
+        metadata: this.vectorStore.getMetadata(hit.id) || { ...hit.customMetadata }
+      }))
+      .filter(result => matches(result.metadata));
+  }
+
+  /**
+   * Merge semantic and keyword rankings with reciprocal rank fusion
+   * Keyword-only hits are scored against the query vector so every result carries
+   * a similarity.
+   */
+  fuseRankings(semanticResults, keywordResults, queryVector) {
+    const fused = new Map();
+
+    const addRanking = (results, field) => {
+      results.forEach((result, rank) => {
+        const entry = fused.get(result.id) || { ...result, score: 0 };
+        entry[field] = result[field];
+        entry.score += 1 / (RRF_K + rank + 1);
+        fused.set(result.id, entry);
+      });
+    };
+
+    addRanking(semanticResults, 'similarity');
+    addRanking(keywordResults, 'keywordScore');
+
+    for (const entry of fused.values()) {
+      if (entry.similarity === null) {
+        const vector = this.vectorStore.getVector(entry.id);
+        entry.similarity = vector
+          ? this.vectorStore.similarity.calculateSimilarity(queryVector, vector, 'cosine')
+          : null;
+      }
+    }
+
+    return Array.from(fused.values());
+  }
+
+  /**
+   * Greedy maximal marginal relevance selection over ranked results
+   * Each pick maximizes lambda * relevance - (1 - lambda) * (highest cosine
+   * similarity to an already picked memory), using the stored memory vectors.
+   * Relevance is the query similarity in semantic mode and the fused/keyword
+   * score scaled to 0-1 otherwise.
+   */
+  selectMaximalMarginalRelevance(results, limit, lambda, mode) {
+    const topScore = results.length > 0 ? results[0].score : 0;
+    const candidates = results.map(result => ({
+      result,
+      relevance: mode === 'semantic' ? result.similarity : (topScore > 0 ? result.score / topScore : 0),
+      vector: this.vectorStore.getVector(result.id),
+      redundancy: 0
+    }));
+
+    const selected = [];
+    while (selected.length < limit && candidates.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+
+      candidates.forEach((candidate, i) => {
+        const score = lambda * candidate.relevance - (1 - lambda) * candidate.redundancy;
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = i;
+        }
+      });
+
+      const [picked] = candidates.splice(bestIndex, 1);
+      selected.push(picked.result);
+
+      // Track each remaining candidate's closest match among the picks
+      if (picked.vector) {
+        for (const candidate of candidates) {
+          if (!candidate.vector) continue;
+          const similarity = this.vectorStore.similarity.calculateSimilarity(picked.vector, candidate.vector, 'cosine');
+          candidate.redundancy = Math.max(candidate.redundancy, similarity);
+        }
+      }
+    }
+
+    return selected;
+  }
+
   /**
    * Add conversation exchange to memory
    */
-  async addConversationExchange(personaId, userMessage, assistantResponse, conversationId = null) {
+  async addConversationExchange(personaId, userMessage, assistantResponse, conversationId = null, options = {}) {
     try {
       const convId = conversationId || uuidv4();
       const timestamp = Date.now();
 
+      // Apply a rejecting redaction policy to both messages up front, so a
+      // rejected response does not leave the user message stored on its own
+      const persona = await this.database.getPersonaById(personaId);
+      if (persona) {
+        const policy = resolveRedactionPolicy(persona.config);
+        redactPii(userMessage, policy);
+        redactPii(assistantResponse, policy);
+      }
+
       // Add user message memory
       const userMemory = await this.addMemory(personaId, userMessage, {
         type: this.memoryTypes.CONVERSATION,
@@ -514,7 +736,7 @@ class PersonaMemoryManager {
         speaker: 'user',
         importance: 0.6,
         exchange_type: 'user_input'
-      });
+      }, options);
 
       // Add assistant response memory
       const assistantMemory = await this.addMemory(personaId, assistantResponse, {
@@ -523,7 +745,7 @@ class PersonaMemoryManager {
         speaker: 'assistant',
         importance: 0.5,
         exchange_type: 'assistant_response'
-      });
+      }, options);
 
       logger.info('Conversation exchange added to memory', {
         personaId,
@@ -554,11 +776,15 @@ class PersonaMemoryManager {
    */
   async getConversationHistory(personaId, conversationId, limit = 20) {
     try {
+      const persona = await this.database.getPersonaById(personaId);
+      if (!persona) {
+        throw new Error('Persona not found');
+      }
+
       // Search for memories with the specific conversation ID
-      const memories = await this.database.searchVectorMetadata({
-        personaId: personaId,
-        limit: limit * 2 // Get more to sort properly
-      });
+      const memories = await this.database.searchVectorMetadata(
+        this.memoryRowFilters(persona.id, persona.user_id, limit * 2) // Get more to sort properly
+      );
 
       // Filter by conversation ID and sort by timestamp with null checks
       const conversationMemories = memories
@@ -603,13 +829,13 @@ class PersonaMemoryManager {
 
   /**
    * Get persona memory statistics
+   * ownerId is the persona's user_id, which its memories are stored under
    */
-  async getPersonaMemoryStats(personaId) {
+  async getPersonaMemoryStats(personaId, ownerId) {
     try {
-      const memories = await this.database.searchVectorMetadata({
-        personaId: personaId,
-        limit: 10000 // Get all for counting
-      });
+      const memories = await this.database.searchVectorMetadata(
+        this.memoryRowFilters(personaId, ownerId, 10000) // Get all for counting
+      );
 
       const stats = {
         totalMemories: memories.length,
@@ -617,7 +843,8 @@ class PersonaMemoryManager {
         oldestMemory: null,
         newestMemory: null,
         averageImportance: 0,
-        conversationCount: 0
+        conversationCount: 0,
+        redactions: { total: 0, byType: {} }
       };
 
       if (memories.length > 0) {
@@ -656,6 +883,15 @@ class PersonaMemoryManager {
             .filter(id => id && typeof id === 'string')
         );
         stats.conversationCount = conversationIds.size;
+
+        // Sum the personal data redacted from the stored memories
+        memories.forEach(memory => {
+          const redactions = (memory.customMetadata || {}).redactions || {};
+          Object.entries(redactions).forEach(([type, count]) => {
+            stats.redactions.byType[type] = (stats.redactions.byType[type] || 0) + count;
+            stats.redactions.total += count;
+          });
+        });
       }
 
       return stats;
@@ -671,7 +907,8 @@ class PersonaMemoryManager {
         oldestMemory: null,
         newestMemory: null,
         averageImportance: 0,
-        conversationCount: 0
+        conversationCount: 0,
+        redactions: { total: 0, byType: {} }
       };
     }
   }
@@ -684,10 +921,7 @@ class PersonaMemoryManager {
       const persona = await this.database.getPersonaById(personaId);
       if (!persona) return;
 
-      const memories = await this.database.searchVectorMetadata({
-        personaId: personaId,
-        limit: 10000
-      });
+      const memories = await this.database.searchVectorMetadata(this.memoryRowFilters(persona.id, persona.user_id, 10000));
 
       if (memories.length <= persona.max_memory_size) return;
 
@@ -732,18 +966,20 @@ class PersonaMemoryManager {
 
   /**
    * Reload all existing memories from database into vector store
-   * This is essential for server restart scenarios
+   * This is essential for server restart scenarios. Persisted vectors are
+   * loaded directly; memories are only re-embedded when no vector was stored
+   * or its provider/model fingerprint no longer matches the persona config.
    */
   async reloadMemoriesFromDatabase() {
     try {
       logger.info('Starting memory reload from database...');
       
-      // Get all vector metadata from database
-      const allMemories = await this.database.searchVectorMetadata({ limit: 50000 });
+      // Get all vector metadata for the default store from database
+      const allMemories = await this.database.searchVectorMetadata({ collectionId: null, limit: 50000 });
       
       if (!allMemories || allMemories.length === 0) {
         logger.info('No existing memories found in database');
-        return { reloaded: 0, errors: 0 };
+        return { reloaded: 0, restored: 0, reembedded: 0, alreadyLoaded: 0, errors: 0 };
       }
       
       logger.info('Found memories in database, starting reload process', {
@@ -751,12 +987,17 @@ class PersonaMemoryManager {
       });
       
       let reloadedCount = 0;
+      let restoredCount = 0;
+      let reembeddedCount = 0;
+      let alreadyLoadedCount = 0;
       let errorCount = 0;
+      const personaCache = new Map();
       
       // Process memories in batches to avoid overwhelming the system
       const batchSize = 50;
       for (let i = 0; i < allMemories.length; i += batchSize) {
         const batch = allMemories.slice(i, i + batchSize);
+        let batchReembedded = 0;
         
         logger.info(`Processing memory batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(allMemories.length/batchSize)}`, {
           batchStart: i,
@@ -765,9 +1006,50 @@ class PersonaMemoryManager {
         
         for (const memoryRecord of batch) {
           try {
-            const customMeta = memoryRecord.customMetadata || {};
-            const originalContent = customMeta.originalContent;
+            // Already restored from an index snapshot
+            if (this.vectorStore.hasVector(memoryRecord.id)) {
+              alreadyLoadedCount++;
+              continue;
+            }
+            
+            // Older memories carry their owner only in the user_id column
+            const customMeta = { ...memoryRecord.customMetadata, userId: memoryRecord.user_id };
+            
+            // Get persona to determine embedding configuration
+            if (!personaCache.has(memoryRecord.persona_id)) {
+              personaCache.set(memoryRecord.persona_id, await this.database.getPersonaById(memoryRecord.persona_id));
+            }
+            const persona = personaCache.get(memoryRecord.persona_id);
+            if (!persona) {
+              logger.warn('Persona not found for memory, skipping', {
+                memoryId: memoryRecord.id,
+                personaId: memoryRecord.persona_id
+              });
+              errorCount++;
+              continue;
+            }
             
+            const provider = persona.config.embeddingProvider || 'local';
+            const model = persona.config.embeddingModel;
+            const expectedFingerprint = this.embeddingService.getModelFingerprint(provider, model);
+            
+            // Prefer the persisted vector when it was produced by the current model
+            const storedEmbedding = await this.database.getVectorEmbedding(memoryRecord.id);
+            if (storedEmbedding &&
+                storedEmbedding.fingerprint === expectedFingerprint &&
+                storedEmbedding.dimensions === this.vectorStore.dimensions) {
+              await this.vectorStore.addVector(
+                storedEmbedding.vector,
+                memoryRecord.id,
+                this.toVectorStoreMetadata(customMeta)
+              );
+              
+              restoredCount++;
+              reloadedCount++;
+              continue;
+            }
+            
+            const originalContent = customMeta.originalContent;
             if (!originalContent) {
               logger.warn('Memory missing originalContent, skipping', {
                 memoryId: memoryRecord.id,
@@ -777,21 +1059,18 @@ class PersonaMemoryManager {
               continue;
             }
             
-            // Get persona to determine embedding configuration
-            const persona = await this.database.getPersonaById(memoryRecord.persona_id);
-            if (!persona) {
-              logger.warn('Persona not found for memory, skipping', {
+            if (storedEmbedding) {
+              logger.info('Persisted embedding is stale, re-embedding memory', {
                 memoryId: memoryRecord.id,
-                personaId: memoryRecord.persona_id
+                storedFingerprint: storedEmbedding.fingerprint,
+                expectedFingerprint
               });
-              errorCount++;
-              continue;
             }
             
             // Generate embedding for the content
             const embeddingResult = await this.embeddingService.generateEmbedding(originalContent, {
-              provider: persona.config.embeddingProvider || 'local',
-              model: persona.config.embeddingModel,
+              provider: provider,
+              model: model,
               useCache: false // Don't use cache during reload
             });
             
@@ -799,13 +1078,24 @@ class PersonaMemoryManager {
             await this.vectorStore.addVector(
               embeddingResult.vector,
               memoryRecord.id,
-              customMeta
+              this.toVectorStoreMetadata(customMeta)
             );
             
+            // Persist the fresh vector so the next restart can skip embedding
+            await this.database.upsertVectorEmbedding({
+              id: memoryRecord.id,
+              vector: embeddingResult.vector,
+              provider: embeddingResult.provider,
+              model: embeddingResult.model,
+              fingerprint: this.embeddingService.getModelFingerprint(embeddingResult.provider, embeddingResult.model)
+            });
+            
+            reembeddedCount++;
+            batchReembedded++;
             reloadedCount++;
             
-            if (reloadedCount % 10 === 0) {
-              logger.info(`Reloaded ${reloadedCount}/${allMemories.length} memories...`);
+            if (reembeddedCount % 10 === 0) {
+              logger.info(`Re-embedded ${reembeddedCount} memories (${reloadedCount}/${allMemories.length} reloaded)...`);
             }
             
           } catch (error) {
@@ -817,8 +1107,8 @@ class PersonaMemoryManager {
           }
         }
         
-        // Small delay between batches to prevent overwhelming
-        if (i + batchSize < allMemories.length) {
+        // Small delay between batches that hit the embedding provider
+        if (batchReembedded > 0 && i + batchSize < allMemories.length) {
           await new Promise(resolve => setTimeout(resolve, 100));
         }
       }
@@ -826,11 +1116,20 @@ class PersonaMemoryManager {
       logger.info('Memory reload from database completed', {
         totalFound: allMemories.length,
         reloaded: reloadedCount,
+        restored: restoredCount,
+        reembedded: reembeddedCount,
+        alreadyLoaded: alreadyLoadedCount,
         errors: errorCount,
         vectorStoreCount: this.vectorStore.vectorCount
       });
       
-      return { reloaded: reloadedCount, errors: errorCount };
+      return {
+        reloaded: reloadedCount,
+        restored: restoredCount,
+        reembedded: reembeddedCount,
+        alreadyLoaded: alreadyLoadedCount,
+        errors: errorCount
+      };
       
     } catch (error) {
       logError(error, { operation: 'reloadMemoriesFromDatabase' });
@@ -859,10 +1158,7 @@ class PersonaMemoryManager {
           if (!persona) continue;
 
           const expiredTime = Date.now() - persona.memory_decay_time;
-          const memories = await this.database.searchVectorMetadata({
-            personaId: personaId,
-            limit: 10000
-          });
+          const memories = await this.database.searchVectorMetadata(this.memoryRowFilters(persona.id, persona.user_id, 10000));
 
           const expiredMemories = memories.filter(
             memory => {
@@ -923,14 +1219,13 @@ class PersonaMemoryManager {
   }
 
   /**
-   * Clean up all memories for a persona
+   * Clean up all memories for a persona row
    */
-  async cleanupPersonaMemories(personaId) {
+  async cleanupPersonaMemories(persona) {
+    const personaId = persona.id;
+
     try {
-      const memories = await this.database.searchVectorMetadata({
-        personaId: personaId,
-        limit: 10000
-      });
+      const memories = await this.database.searchVectorMetadata(this.memoryRowFilters(persona.id, persona.user_id, 10000));
 
       for (const memory of memories) {
         await this.removeMemory(memory.id);
@@ -960,6 +1255,7 @@ class PersonaMemoryManager {
     return {
       id: persona.id,
       userId: persona.user_id,
+      organizationId: persona.organization_id || null,
       name: persona.name,
       description: persona.description,
       systemPrompt: persona.system_prompt,
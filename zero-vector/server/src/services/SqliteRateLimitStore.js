@@ -0,0 +1,112 @@
+/**
+ * SQLite Rate Limit Store
+ * express-rate-limit store keeping its counters in the rate_limits table, so
+ * limits survive restarts and hold across server processes sharing one
+ * database.
+ *
+ * Counting uses a sliding window: hits are kept for the current and the
+ * previous fixed window, and the previous window's hits are weighted by how
+ * much of it the sliding window still covers. A client at the limit is let
+ * back in gradually instead of all at once when a fixed window ends.
+ *
+ * A decrement takes the hit back from the window it was counted in, which the
+ * store remembers per key for the last hit it counted; once that window has
+ * rolled out of the sliding window there is nothing left to take back.
+ *
+ * Limiters are created when their module loads, before the database is open,
+ * so the store resolves the database through `getDatabase` on every call.
+ */
+class SqliteRateLimitStore {
+  constructor(options = {}) {
+    this.getDatabase = options.getDatabase;
+    this.prefix = options.prefix || 'rl:';
+    this.localKeys = false;
+    this.windowMs = null;
+
+    // Window start of the last hit counted by this process, per key
+    this.hitWindows = new Map();
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter's options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  get database() {
+    const database = this.getDatabase();
+
+    if (!database) {
+      throw new Error('Rate limit store used before the database was initialized');
+    }
+
+    return database;
+  }
+
+  /**
+   * Hits inside the sliding window ending now, and when the current window ends
+   */
+  toClientInfo(counters, now) {
+    const previousWeight = (this.windowMs - (now - counters.windowStart)) / this.windowMs;
+
+    return {
+      totalHits: counters.currentHits + Math.floor(counters.previousHits * previousWeight),
+      resetTime: new Date(counters.windowStart + this.windowMs)
+    };
+  }
+
+  async get(key) {
+    const now = Date.now();
+    const counters = await this.database.getRateLimit(this.prefix + key, this.windowMs, now);
+
+    return counters ? this.toClientInfo(counters, now) : undefined;
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    const counters = await this.database.incrementRateLimit(this.prefix + key, this.windowMs, now);
+    this.rememberHitWindow(key, counters.windowStart, now);
+
+    return this.toClientInfo(counters, now);
+  }
+
+  async decrement(key) {
+    const windowStart = this.hitWindows.get(key);
+
+    if (windowStart !== undefined && windowStart + 2 * this.windowMs > Date.now()) {
+      await this.database.decrementRateLimit(this.prefix + key, this.windowMs, windowStart);
+    }
+  }
+
+  async resetKey(key) {
+    this.hitWindows.delete(key);
+    await this.database.resetRateLimit(this.prefix + key);
+  }
+
+  async resetAll() {
+    this.hitWindows.clear();
+    await this.database.resetRateLimitsByPrefix(this.prefix);
+  }
+
+  /**
+   * Record the window a hit was counted in, forgetting keys whose last hit
+   * no longer counts once per window
+   */
+  rememberHitWindow(key, windowStart, now) {
+    this.hitWindows.set(key, windowStart);
+
+    if (now - this.lastSweep >= this.windowMs) {
+      this.lastSweep = now;
+
+      for (const [hitKey, hitWindowStart] of this.hitWindows) {
+        if (hitWindowStart + 2 * this.windowMs <= now) {
+          this.hitWindows.delete(hitKey);
+        }
+      }
+    }
+  }
+}
+
+module.exports = SqliteRateLimitStore;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { logger, logError } = require('../utils/logger');
+const { syncDirectory, writeFileSynced } = require('../utils/durableFiles');
+
+/**
+ * Vector Write-Ahead Log
+ * Append-only journal of vector store mutations, one JSON entry per line.
+ * Entries are replayed on boot on top of the last index snapshot and
+ * compacted away once a newer snapshot has been written.
+ */
+class VectorWriteAheadLog {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.syncWrites = options.syncWrites !== false; // fdatasync after every append
+    this.fd = null;
+    this.sequence = 0;
+
+    this.stats = {
+      appended: 0,
+      compactions: 0,
+      lastCompactedAt: null
+    };
+  }
+
+  /**
+   * Open the log for appending and recover the last sequence number
+   * `minSequence` is the sequence covered by the last snapshot, so numbering
+   * keeps increasing even when compaction left the log empty
+   */
+  open(minSequence = 0) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const entries = this.readEntries();
+    this.sequence = Math.max(this.sequence, minSequence);
+    if (entries.length > 0) {
+      this.sequence = Math.max(this.sequence, entries[entries.length - 1].seq);
+    }
+
+    this.fd = fs.openSync(this.filePath, 'a');
+
+    logger.info('Vector write-ahead log opened', {
+      path: this.filePath,
+      entries: entries.length,
+      sequence: this.sequence
+    });
+
+    return this;
+  }
+
+  /**
+   * Append a mutation to the log
+   * Vectors are stored as base64-encoded Float32 bytes to keep entries compact
+   */
+  append(op, id, vector = null, metadata = null) {
+    if (this.fd === null) {
+      throw new Error('Write-ahead log is not open');
+    }
+
+    const entry = {
+      seq: ++this.sequence,
+      op,
+      id,
+      ts: Date.now()
+    };
+
+    if (vector) {
+      const vectorArray = vector instanceof Float32Array ? vector : new Float32Array(vector);
+      entry.vector = Buffer.from(vectorArray.buffer, vectorArray.byteOffset, vectorArray.byteLength).toString('base64');
+    }
+
+    if (metadata) {
+      entry.metadata = metadata;
+    }
+
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    if (this.syncWrites) {
+      fs.fdatasyncSync(this.fd);
+    }
+
+    this.stats.appended++;
+    return entry.seq;
+  }
+
+  /**
+   * Read all complete entries, optionally only those after a sequence number
+   * A torn final line (crash mid-write) is ignored
+   */
+  readEntries(afterSequence = 0) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    const entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (i >= lines.length - 2) {
+          logger.warn('Ignoring torn write at end of write-ahead log', { path: this.filePath, line: i + 1 });
+          break;
+        }
+        throw new Error(`Corrupt write-ahead log entry at line ${i + 1}`);
+      }
+
+      if (entry.vector) {
+        const bytes = Buffer.from(entry.vector, 'base64');
+        entry.vector = new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+      }
+
+      if (entry.seq > afterSequence) {
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Drop every entry covered by a snapshot (seq <= upToSequence)
+   */
+  compact(upToSequence) {
+    try {
+      const remaining = fs.existsSync(this.filePath)
+        ? fs.readFileSync(this.filePath, 'utf8')
+          .split('\n')
+          .filter(line => {
+            if (!line) return false;
+            try {
+              return JSON.parse(line).seq > upToSequence;
+            } catch (error) {
+              return false;
+            }
+          })
+        : [];
+
+      // Flushed before and after the rename, so a power loss leaves either the
+      // old log or the complete compacted one
+      const tempPath = `${this.filePath}.tmp`;
+      writeFileSynced(tempPath, remaining.length > 0 ? remaining.join('\n') + '\n' : '');
+
+      if (this.fd !== null) {
+        fs.closeSync(this.fd);
+      }
+      fs.renameSync(tempPath, this.filePath);
+      syncDirectory(path.dirname(this.filePath));
+      this.fd = fs.openSync(this.filePath, 'a');
+
+      this.stats.compactions++;
+      this.stats.lastCompactedAt = Date.now();
+
+      return { remaining: remaining.length, upToSequence };
+
+    } catch (error) {
+      logError(error, { operation: 'compactWriteAheadLog', path: this.filePath });
+      throw error;
+    }
+  }
+
+  /**
+   * Get log statistics
+   */
+  getStats() {
+    let sizeBytes = 0;
+    if (fs.existsSync(this.filePath)) {
+      sizeBytes = fs.statSync(this.filePath).size;
+    }
+
+    return {
+      path: this.filePath,
+      sequence: this.sequence,
+      sizeBytes,
+      syncWrites: this.syncWrites,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Close the log file
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = VectorWriteAheadLog;
@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('../utils/logger');
+
+const EXPORT_FORMAT = 'zero-vector-account-export';
+const EXPORT_VERSION = 1;
+
+// Rate limiters key their counters by user id, API key id or email after a prefix
+const RATE_LIMIT_KEY_SUFFIX = "substr(key, -length(?) - 1) = ':' || ?";
+
+// JSON with object keys sorted, so the same report always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Account Data Service
+ * Export and erasure of everything a user has stored: the account, API keys,
+ * personas and their memories, vector collections, usage and audit entries.
+ *
+ * Erasure deletes the user's rows from SQLite, their vectors from the vector
+ * stores and indexes, then vacuums the database and rewrites the index
+ * snapshots and write-ahead logs so no copy is left on disk. Deleting the user also deletes their data key, so
+ * encrypted content that survives in backups can no longer be read. The
+ * report returned lists what was deleted and the result of re-checking every
+ * location afterwards, with a digest the audit log keeps for later comparison.
+ *
+ * Organization personas the user created are shared data: they stay with the
+ * organization and pass to one of its other owners. A user who is the last
+ * owner of an organization with other members must hand it over first.
+ */
+class AccountDataService {
+  constructor(database, collectionManager) {
+    this.database = database;
+    this.db = database.db; // Access the underlying SQLite connection
+    this.collectionManager = collectionManager;
+  }
+
+  /**
+   * Everything stored about a user, as a JSON-serializable archive.
+   * Memory content and system prompts are decrypted; secrets (password and
+   * key hashes, TOTP secrets, data keys) and raw embeddings are left out.
+   */
+  async exportAccount(userId) {
+    const user = this.db.prepare(`
+      SELECT id, email, role, created_at, updated_at, last_login, is_active, quotas
+      FROM users WHERE id = ?
+    `).get(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const apiKeyRows = this.db.prepare(`
+      SELECT id, name, permissions, scope, rate_limit, quotas, rotated_from, rotated_to, retires_at,
+             created_at, updated_at, expires_at, last_used, is_active, usage_count
+      FROM api_keys WHERE user_id = ? ORDER BY created_at
+    `).all(userId);
+
+    const personaRows = this.db.prepare(`
+      SELECT * FROM personas WHERE user_id = ? ORDER BY created_at
+    `).all(userId);
+
+    const memoryRows = this.db.prepare(`
+      SELECT * FROM vector_metadata
+      WHERE user_id = ? OR persona_id IN (SELECT id FROM personas WHERE user_id = ?)
+      ORDER BY created_at
+    `).all(userId, userId);
+
+    const apiKeyIds = apiKeyRows.map(key => key.id);
+
+    const archive = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      account: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        createdAt: user.created_at,
+        updatedAt: user.updated_at,
+        lastLogin: user.last_login,
+        isActive: Boolean(user.is_active),
+        quotas: user.quotas ? JSON.parse(user.quotas) : null,
+        twoFactorEnabled: Boolean(
+          this.db.prepare('SELECT enabled FROM user_two_factor WHERE user_id = ?').get(userId)?.enabled
+        ),
+        organizations: this.db.prepare(`
+          SELECT o.id, o.name, m.role, m.created_at as joinedAt
+          FROM organization_members m
+          JOIN organizations o ON o.id = m.organization_id
+          WHERE m.user_id = ?
+          ORDER BY m.created_at
+        `).all(userId),
+        sessions: this.db.prepare(`
+          SELECT family_id as id, device_name as deviceName, user_agent as userAgent,
+                 ip_address as ipAddress, MIN(created_at) as createdAt, MAX(last_used) as lastUsed
+          FROM refresh_tokens WHERE user_id = ?
+          GROUP BY family_id
+          ORDER BY createdAt
+        `).all(userId)
+      },
+      apiKeys: apiKeyRows.map(key => ({
+        id: key.id,
+        name: key.name,
+        permissions: JSON.parse(key.permissions),
+        scope: key.scope ? JSON.parse(key.scope) : null,
+        rateLimit: key.rate_limit,
+        quotas: key.quotas ? JSON.parse(key.quotas) : null,
+        rotatedFrom: key.rotated_from,
+        rotatedTo: key.rotated_to,
+        retiresAt: key.retires_at,
+        createdAt: key.created_at,
+        updatedAt: key.updated_at,
+        expiresAt: key.expires_at,
+        lastUsed: key.last_used,
+        isActive: Boolean(key.is_active),
+        usageCount: key.usage_count
+      })),
+      personas: personaRows.map(persona => ({
+        id: persona.id,
+        organizationId: persona.organization_id,
+        name: persona.name,
+        description: persona.description,
+        systemPrompt: this.database.openSystemPrompt(persona),
+        config: JSON.parse(persona.config || '{}'),
+        maxMemorySize: persona.max_memory_size,
+        memoryDecayTime: persona.memory_decay_time,
+        createdAt: persona.created_at,
+        updatedAt: persona.updated_at,
+        isActive: Boolean(persona.is_active)
+      })),
+      memories: memoryRows.map(row => ({
+        id: row.id,
+        personaId: row.persona_id,
+        collectionId: row.collection_id,
+        apiKeyId: row.api_key_id,
+        contentType: row.content_type,
+        source: row.source,
+        dimensions: row.dimensions,
+        tags: JSON.parse(row.tags || '[]'),
+        metadata: this.database.openCustomMetadata(row),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      })),
+      collections: this.db.prepare(`
+        SELECT id, name, description, dimensions, distance_metric as distanceMetric,
+               index_type as indexType, created_at as createdAt, updated_at as updatedAt, is_active as isActive
+        FROM vector_collections WHERE user_id = ? ORDER BY created_at
+      `).all(userId).map(collection => ({ ...collection, isActive: Boolean(collection.isActive) })),
+      usage: this.db.prepare(`
+        SELECT scope_type as scopeType, scope_id as scopeId, day, requests,
+               embedding_tokens as embeddingTokens, estimated_cost as estimatedCost,
+               memories_stored as memoriesStored
+        FROM usage_daily
+        WHERE (scope_type = 'user' AND scope_id = ?)
+           OR (scope_type = 'api_key' AND scope_id IN (${placeholders(apiKeyIds) || 'NULL'}))
+        ORDER BY day, scope_type
+      `).all(userId, ...apiKeyIds),
+      auditLog: this.db.prepare(`
+        SELECT id, api_key_id as apiKeyId, action, resource_type as resourceType, resource_id as resourceId,
+               details, ip_address as ipAddress, user_agent as userAgent, outcome, created_at as createdAt
+        FROM audit_logs
+        WHERE user_id = ? OR api_key_id IN (${placeholders(apiKeyIds) || 'NULL'})
+        ORDER BY created_at
+      `).all(userId, ...apiKeyIds).map(entry => ({ ...entry, details: JSON.parse(entry.details || '{}') }))
+    };
+
+    logger.info('Account exported', {
+      userId,
+      personas: archive.personas.length,
+      memories: archive.memories.length,
+      auditEntries: archive.auditLog.length
+    });
+
+    return archive;
+  }
+
+  /**
+   * Organizations of a user, split by what erasing the user does to them:
+   * deleted (no other members), kept (the user's personas pass to the
+   * longest-standing other owner) or blocking (the user is the last owner and
+   * others remain)
+   */
+  planOrganizations(userId) {
+    const memberships = this.db.prepare(`
+      SELECT m.organization_id as id, o.name, m.role,
+             (SELECT COUNT(*) FROM organization_members c WHERE c.organization_id = m.organization_id) as memberCount,
+             (SELECT c.user_id FROM organization_members c
+              WHERE c.organization_id = m.organization_id AND c.role = 'owner' AND c.user_id != m.user_id
+              ORDER BY c.created_at LIMIT 1) as successorId
+      FROM organization_members m
+      JOIN organizations o ON o.id = m.organization_id
+      WHERE m.user_id = ?
+    `).all(userId);
+
+    return {
+      deleted: memberships.filter(org => org.memberCount === 1),
+      kept: memberships.filter(org => org.memberCount > 1 && org.successorId),
+      blocking: memberships.filter(org => org.memberCount > 1 && !org.successorId)
+    };
+  }
+
+  /**
+   * Hand the user's personas in an organization, and their memories, to
+   * another member, re-encrypting what was sealed with the user's data key
+   */
+  transferOrganizationPersonas(userId, organizationId, successorId) {
+    const { encryption } = this.database;
+    const now = Date.now();
+
+    const personas = this.db.prepare(`
+      SELECT * FROM personas WHERE user_id = ? AND organization_id = ?
+    `).all(userId, organizationId);
+
+    const updatePersona = this.db.prepare(`
+      UPDATE personas SET user_id = ?, system_prompt = ?, updated_at = ? WHERE id = ?
+    `);
+    const updateMemory = this.db.prepare(`
+      UPDATE vector_metadata SET user_id = ?, api_key_id = NULL, custom_metadata = ?, updated_at = ? WHERE id = ?
+    `);
+
+    let memories = 0;
+
+    for (const persona of personas) {
+      const systemPrompt = this.database.openSystemPrompt(persona);
+      updatePersona.run(successorId, encryption.encrypt(successorId, systemPrompt, `personas:${persona.id}`), now, persona.id);
+
+      const rows = this.db.prepare('SELECT * FROM vector_metadata WHERE persona_id = ?').all(persona.id);
+      for (const row of rows) {
+        const customMetadata = { ...this.database.openCustomMetadata(row), userId: successorId };
+        updateMemory.run(
+          successorId,
+          JSON.stringify(this.database.sealCustomMetadata(row.id, successorId, customMetadata)),
+          now,
+          row.id
+        );
+
+        // The in-memory copy reaches the next snapshot
+        this.collectionManager.defaultStore.updateMetadata(row.id, { userId: successorId });
+
+        memories++;
+      }
+    }
+
+    return { organizationId, successorId, personaIds: personas.map(persona => persona.id), memories };
+  }
+
+  /**
+   * Permanently delete a user and everything they stored, and return a
+   * deletion report. Throws when the user is the last owner of an
+   * organization that has other members.
+   */
+  async eraseAccount(userId) {
+    const user = this.db.prepare('SELECT id, email FROM users WHERE id = ?').get(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const organizations = this.planOrganizations(userId);
+
+    if (organizations.blocking.length > 0) {
+      const error = new Error('User is the last owner of organizations with other members');
+      error.organizations = organizations.blocking.map(org => ({ id: org.id, name: org.name }));
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const deletedOrganizationIds = organizations.deleted.map(org => org.id);
+
+    // Shared personas first, while the user's data key can still decrypt them
+    const transferred = [];
+    this.db.transaction(() => {
+      for (const org of organizations.kept) {
+        const result = this.transferOrganizationPersonas(userId, org.id, org.successorId);
+        if (result.personaIds.length > 0) {
+          transferred.push(result);
+        }
+      }
+    })();
+
+    const personaIds = this.db.prepare('SELECT id FROM personas WHERE user_id = ?').all(userId).map(row => row.id);
+    const apiKeyIds = this.db.prepare('SELECT id FROM api_keys WHERE user_id = ?').all(userId).map(row => row.id);
+    const collectionIds = this.db.prepare('SELECT id FROM vector_collections WHERE user_id = ?').all(userId).map(row => row.id);
+
+    const vectorRows = this.db.prepare(`
+      SELECT id, rowid, collection_id FROM vector_metadata
+      WHERE user_id = ? OR persona_id IN (${placeholders(personaIds) || 'NULL'})
+         OR collection_id IN (${placeholders(collectionIds) || 'NULL'})
+    `).all(userId, ...personaIds, ...collectionIds);
+    const vectorIds = vectorRows.map(row => row.id);
+
+    // Vector stores and indexes; a deleted collection takes its whole store along
+    for (const row of vectorRows) {
+      if (!row.collection_id || !collectionIds.includes(row.collection_id)) {
+        this.storeFor(row.collection_id)?.deleteVector(row.id);
+      }
+    }
+
+    for (const collectionId of collectionIds) {
+      if (this.collectionManager.stores.has(collectionId)) {
+        await this.collectionManager.deleteCollection(collectionId, userId);
+      } else {
+        for (const filePath of [this.collectionManager.getSnapshotPath(collectionId), this.collectionManager.getWalPath(collectionId)]) {
+          await fs.promises.rm(filePath, { force: true });
+        }
+      }
+    }
+
+    const count = (sql, ...params) => this.db.prepare(sql).get(...params).count;
+    const rateLimitKeys = [...new Set([userId, ...apiKeyIds, user.email, user.email.toLowerCase()])];
+    const keyScope = placeholders(apiKeyIds) || 'NULL';
+    const deleted = {
+      user: 1,
+      apiKeys: apiKeyIds.length,
+      sessions: count('SELECT COUNT(*) as count FROM refresh_tokens WHERE user_id = ?', userId),
+      personas: personaIds.length,
+      vectors: vectorIds.length, // Persona memories and collection vectors
+      collections: collectionIds.length,
+      organizations: deletedOrganizationIds.length,
+      organizationMemberships: count('SELECT COUNT(*) as count FROM organization_members WHERE user_id = ?', userId),
+      usageRecords: 0,
+      auditEntries: 0,
+      rateLimitCounters: 0,
+      dataKeys: count('SELECT COUNT(*) as count FROM data_keys WHERE user_id = ?', userId)
+    };
+
+    this.db.transaction(() => {
+      const deleteVector = this.db.prepare('DELETE FROM vector_metadata WHERE id = ?');
+      for (const id of vectorIds) {
+        deleteVector.run(id); // Embeddings cascade; the trigger drops the full-text entry
+      }
+
+      for (const organizationId of deletedOrganizationIds) {
+        this.db.prepare('DELETE FROM organizations WHERE id = ?').run(organizationId);
+      }
+
+      deleted.usageRecords = this.db.prepare(`
+        DELETE FROM usage_daily
+        WHERE (scope_type = 'user' AND scope_id = ?) OR (scope_type = 'api_key' AND scope_id IN (${keyScope}))
+      `).run(userId, ...apiKeyIds).changes;
+
+      deleted.auditEntries = this.db.prepare(`
+        DELETE FROM audit_logs WHERE user_id = ? OR api_key_id IN (${keyScope})
+      `).run(userId, ...apiKeyIds).changes;
+
+      for (const key of rateLimitKeys) {
+        deleted.rateLimitCounters += this.db.prepare(`DELETE FROM rate_limits WHERE ${RATE_LIMIT_KEY_SUFFIX}`).run(key, key).changes;
+      }
+
+      // Keys, sessions, two-factor secrets, memberships, personas,
+      // collections and the data key cascade from the user
+      this.db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+    })();
+
+    // Merge the full-text segments still listing deleted terms, rebuild the
+    // file so freed pages holding old copies of the rows are dropped, and
+    // empty the database's write-ahead log
+    this.db.prepare("INSERT INTO memory_fts (memory_fts) VALUES ('optimize')").run();
+    this.db.exec('VACUUM');
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+
+    this.database.encryption.discardDataKey(userId);
+
+    // Rewrite snapshots and compact the vector write-ahead logs still holding the vectors
+    await this.collectionManager.snapshotAll(true);
+
+    const report = {
+      reportId: crypto.randomUUID(),
+      userId,
+      erasedAt: new Date().toISOString(),
+      deleted,
+      deletedIds: {
+        apiKeys: apiKeyIds,
+        personas: personaIds,
+        vectors: vectorIds,
+        collections: collectionIds,
+        organizations: deletedOrganizationIds
+      },
+      transferred,
+      verification: this.verifyErasure(userId, {
+        apiKeyIds,
+        personaIds,
+        vectorRows,
+        collectionIds,
+        deletedOrganizationIds,
+        rateLimitKeys
+      })
+    };
+    report.digest = crypto.createHash('sha256').update(canonicalJson(report)).digest('hex');
+
+    logger.info('Account erased', {
+      userId,
+      reportId: report.reportId,
+      vectors: deleted.vectors,
+      personas: deleted.personas,
+      transferredPersonas: transferred.reduce((sum, entry) => sum + entry.personaIds.length, 0),
+      verified: report.verification.passed,
+      duration: Date.now() - startTime
+    });
+
+    return report;
+  }
+
+  /**
+   * Re-check every place the user's data was kept; each count must be zero
+   */
+  verifyErasure(userId, { apiKeyIds, personaIds, vectorRows, collectionIds, deletedOrganizationIds, rateLimitKeys }) {
+    // Rows of `table` whose `column` is one of `ids`
+    const count = (table, column, ids) => (ids.length === 0 ? 0 : this.db.prepare(
+      `SELECT COUNT(*) as count FROM ${table} WHERE ${column} IN (${placeholders(ids)})`
+    ).get(...ids).count);
+    const vectorIds = vectorRows.map(row => row.id);
+    const defaultStore = this.collectionManager.defaultStore;
+
+    const remaining = {
+      sqlite: {
+        users: count('users', 'id', [userId]),
+        apiKeys: count('api_keys', 'id', apiKeyIds) + count('api_keys', 'user_id', [userId]),
+        sessions: count('refresh_tokens', 'user_id', [userId]),
+        twoFactor: count('user_two_factor', 'user_id', [userId]),
+        personas: count('personas', 'id', personaIds) + count('personas', 'user_id', [userId]),
+        vectorMetadata: count('vector_metadata', 'id', vectorIds) + count('vector_metadata', 'user_id', [userId]),
+        vectorEmbeddings: count('vector_embeddings', 'id', vectorIds),
+        fullTextEntries: count('memory_fts', 'rowid', vectorRows.map(row => row.rowid)),
+        collections: count('vector_collections', 'id', collectionIds) + count('vector_collections', 'user_id', [userId]),
+        organizations: count('organizations', 'id', deletedOrganizationIds),
+        organizationMemberships: count('organization_members', 'user_id', [userId]),
+        usageRecords: count('usage_daily', 'scope_id', [userId, ...apiKeyIds]),
+        auditEntries: count('audit_logs', 'user_id', [userId]) + count('audit_logs', 'api_key_id', apiKeyIds),
+        rateLimitCounters: rateLimitKeys.reduce((sum, key) => sum + this.db.prepare(
+          `SELECT COUNT(*) as count FROM rate_limits WHERE ${RATE_LIMIT_KEY_SUFFIX}`
+        ).get(key, key).count, 0),
+        dataKeys: count('data_keys', 'user_id', [userId])
+      },
+      vectorStore: {
+        vectors: vectorIds.filter(id => defaultStore.hasVector(id)).length,
+        collectionStores: collectionIds.filter(id => this.collectionManager.stores.has(id)).length
+      },
+      index: {
+        nodes: vectorIds.filter(id => defaultStore.isIndexed(id)).length
+      },
+      files: {
+        collectionSnapshots: collectionIds.filter(id => fs.existsSync(this.collectionManager.getSnapshotPath(id))).length,
+        collectionWriteAheadLogs: collectionIds.filter(id => fs.existsSync(this.collectionManager.getWalPath(id))).length
+      }
+    };
+
+    const passed = Object.values(remaining).every(group => Object.values(group).every(value => value === 0));
+
+    return { remaining, passed };
+  }
+
+  /**
+   * Store holding a vector, or null when its collection is not open
+   */
+  storeFor(collectionId) {
+    try {
+      return this.collectionManager.getStore(collectionId);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = AccountDataService;
@@ -2,10 +2,18 @@ const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const config = require('../config');
 const { logger } = require('../utils/logger');
+const { PERSONA_ACCESS_ROLES, hasOrganizationRole } = require('../utils/organizationRoles');
+const UsageService = require('./usageService');
+
+const MEMORY_TYPES = ['conversation', 'fact', 'preference', 'context', 'system'];
 
 /**
  * API Key Service
  * Handles API key generation, validation, and management
+ *
+ * A key may carry a persona scope limiting it to some of the owner's personas:
+ *   { personaIds: ['...'], memoryTypes: ['fact'], readOnly: true }
+ * memoryTypes and readOnly are optional; keys without a scope cover every persona.
  */
 class ApiKeyService {
   constructor(database) {
@@ -22,11 +30,16 @@ class ApiKeyService {
         name = 'Default API Key',
         permissions = ['read'],
         rateLimit = 1000,
-        expiresInDays = 365
+        quotas = null,
+        expiresInDays = 365,
+        expiresAt: fixedExpiresAt = null, // Takes precedence over expiresInDays
+        scope = null,
+        rotatedFrom = null
       } = keyData;
 
       // Validate permissions
       this.validatePermissions(permissions);
+      const normalizedScope = await this.validateScope(scope, userId);
 
       // Generate cryptographically secure key
       const rawKey = crypto.randomBytes(32).toString('hex');
@@ -40,15 +53,16 @@ class ApiKeyService {
       const keyId = crypto.randomUUID();
 
       // Calculate expiration
-      const expiresAt = Date.now() + (expiresInDays * 24 * 60 * 60 * 1000);
+      const expiresAt = fixedExpiresAt || Date.now() + (expiresInDays * 24 * 60 * 60 * 1000);
+      const storedQuotas = UsageService.serializeQuotas(quotas);
 
       // Create API key record
       const stmt = this.db.prepare(`
         INSERT INTO api_keys (
-          id, user_id, key_hash, name, permissions, rate_limit, 
+          id, user_id, key_hash, name, permissions, scope, rotated_from, rate_limit, quotas,
           expires_at, created_at, last_used, is_active, usage_count
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const now = Date.now();
@@ -58,7 +72,10 @@ class ApiKeyService {
         hashedKey,
         name,
         JSON.stringify(permissions),
+        normalizedScope ? JSON.stringify(normalizedScope) : null,
+        rotatedFrom,
         rateLimit,
+        storedQuotas,
         expiresAt,
         now,
         null,
@@ -71,6 +88,7 @@ class ApiKeyService {
         userId,
         name,
         permissions,
+        scope: normalizedScope,
         rateLimit,
         expiresAt
       });
@@ -80,7 +98,10 @@ class ApiKeyService {
         key: fullKey, // Only returned once at creation
         name,
         permissions,
+        scope: normalizedScope,
+        rotatedFrom,
         rateLimit,
+        quotas: storedQuotas ? JSON.parse(storedQuotas) : null,
         expiresAt,
         createdAt: now
       };
@@ -115,8 +136,8 @@ class ApiKeyService {
       const keys = stmt.all();
 
       for (const keyRecord of keys) {
-        // Check expiration
-        if (keyRecord.expires_at < Date.now()) {
+        // Check expiration (rotated keys retire when their grace period ends)
+        if (keyRecord.expires_at < Date.now() || (keyRecord.retires_at && keyRecord.retires_at < Date.now())) {
           await this.deactivateApiKey(keyRecord.id);
           continue;
         }
@@ -142,6 +163,7 @@ class ApiKeyService {
             userId: keyRecord.user_id,
             name: keyRecord.name,
             permissions: JSON.parse(keyRecord.permissions),
+            scope: keyRecord.scope ? JSON.parse(keyRecord.scope) : null,
             rateLimit: keyRecord.rate_limit,
             user: {
               id: keyRecord.user_id,
@@ -172,26 +194,33 @@ class ApiKeyService {
         : 'WHERE user_id = ? AND is_active = 1';
 
       const stmt = this.db.prepare(`
-        SELECT id, name, permissions, rate_limit, expires_at, created_at, 
-               last_used, is_active, usage_count
+        SELECT id, name, permissions, scope, rotated_from, rotated_to, retires_at,
+               rate_limit, quotas, expires_at, created_at, last_used, is_active, usage_count
         FROM api_keys 
         ${whereClause}
         ORDER BY created_at DESC
       `);
 
       const rows = stmt.all(userId);
+      const now = Date.now();
 
       const keys = rows.map(row => ({
         id: row.id,
         name: row.name,
         permissions: JSON.parse(row.permissions),
+        scope: row.scope ? JSON.parse(row.scope) : null,
+        rotatedFrom: row.rotated_from,
+        rotatedTo: row.rotated_to,
+        retiresAt: row.retires_at,
+        pendingRetirement: row.is_active === 1 && row.retires_at !== null && row.retires_at > now,
         rateLimit: row.rate_limit,
+        quotas: row.quotas ? JSON.parse(row.quotas) : null,
         expiresAt: row.expires_at,
         createdAt: row.created_at,
         lastUsed: row.last_used,
         isActive: row.is_active === 1,
         usageCount: row.usage_count,
-        isExpired: row.expires_at < Date.now()
+        isExpired: row.expires_at < now
       }));
 
       return keys;
@@ -213,7 +242,9 @@ class ApiKeyService {
       const {
         name,
         permissions,
+        scope,
         rateLimit,
+        quotas,
         isActive
       } = updates;
 
@@ -236,11 +267,24 @@ class ApiKeyService {
         values.push(JSON.stringify(permissions));
       }
 
+      // null removes the scope so the key covers every persona again
+      if (scope !== undefined) {
+        const normalizedScope = await this.validateScope(scope, userId);
+        updateFields.push('scope = ?');
+        values.push(normalizedScope ? JSON.stringify(normalizedScope) : null);
+      }
+
       if (rateLimit !== undefined) {
         updateFields.push('rate_limit = ?');
         values.push(rateLimit);
       }
 
+      // Replaces all overrides; null restores the configured defaults
+      if (quotas !== undefined) {
+        updateFields.push('quotas = ?');
+        values.push(UsageService.serializeQuotas(quotas));
+      }
+
       if (isActive !== undefined) {
         updateFields.push('is_active = ?');
         values.push(isActive ? 1 : 0);
@@ -286,6 +330,78 @@ class ApiKeyService {
     }
   }
 
+  /**
+   * Rotate an API key: issue a successor with the same settings and keep the
+   * old key valid for a grace period so clients can switch without an outage
+   */
+  async rotateApiKey(keyId, userId, options = {}) {
+    try {
+      const { gracePeriodHours = config.security.apiKeyRotationGraceHours } = options;
+
+      const key = this.db.prepare(`
+        SELECT * FROM api_keys 
+        WHERE id = ? AND user_id = ? AND is_active = 1
+      `).get(keyId, userId);
+
+      if (!key || key.expires_at < Date.now()) {
+        throw new Error('API key not found or not owned by user');
+      }
+
+      if (key.rotated_to) {
+        throw new Error('API key has already been rotated');
+      }
+
+      const successor = await this.createApiKey(userId, {
+        name: key.name,
+        permissions: JSON.parse(key.permissions),
+        scope: key.scope ? JSON.parse(key.scope) : null,
+        rateLimit: key.rate_limit,
+        quotas: key.quotas ? JSON.parse(key.quotas) : null,
+        // Rotation replaces the secret, it does not extend the key's lifetime
+        expiresAt: key.expires_at,
+        rotatedFrom: keyId
+      });
+
+      const now = Date.now();
+      const retiresAt = Math.min(key.expires_at, now + gracePeriodHours * 60 * 60 * 1000);
+
+      // Guard against a concurrent rotation of the same key
+      const result = this.db.prepare(`
+        UPDATE api_keys 
+        SET rotated_to = ?, retires_at = ?, updated_at = ?
+        WHERE id = ? AND rotated_to IS NULL
+      `).run(successor.id, retiresAt, now, keyId);
+
+      if (result.changes === 0) {
+        this.db.prepare('DELETE FROM api_keys WHERE id = ?').run(successor.id);
+        throw new Error('API key has already been rotated');
+      }
+
+      logger.info('API key rotated', {
+        keyId,
+        successorId: successor.id,
+        userId,
+        retiresAt
+      });
+
+      return {
+        apiKey: successor,
+        previous: {
+          id: keyId,
+          retiresAt
+        }
+      };
+
+    } catch (error) {
+      logger.error('Failed to rotate API key', {
+        error: error.message,
+        keyId,
+        userId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Delete an API key
    */
@@ -371,11 +487,11 @@ class ApiKeyService {
       const stmt = this.db.prepare(`
         UPDATE api_keys 
         SET is_active = 0, updated_at = ?
-        WHERE expires_at < ? AND is_active = 1
+        WHERE (expires_at < ? OR retires_at < ?) AND is_active = 1
       `);
 
       const now = Date.now();
-      const result = stmt.run(now, now);
+      const result = stmt.run(now, now, now);
 
       if (result.changes > 0) {
         logger.info('Expired API keys cleaned up', {
@@ -455,6 +571,63 @@ class ApiKeyService {
     }
   }
 
+  /**
+   * Validate a persona scope against the personas the key owner may use
+   * Organization personas need membership, and an editor role unless the scope is read-only.
+   * Returns the normalized scope, or null for an unscoped key
+   */
+  async validateScope(scope, userId) {
+    if (scope === null || scope === undefined) {
+      return null;
+    }
+
+    const { personaIds, memoryTypes, readOnly = false } = scope;
+
+    if (!Array.isArray(personaIds) || personaIds.length === 0) {
+      throw new Error('Invalid scope: personaIds must be a non-empty array');
+    }
+
+    for (const personaId of personaIds) {
+      const persona = await this.database.getPersonaById(personaId);
+      if (!persona || (!persona.organization_id && persona.user_id !== userId)) {
+        throw new Error(`Invalid scope: persona '${personaId}' not found`);
+      }
+
+      if (persona.organization_id) {
+        const role = await this.database.getOrganizationRole(persona.organization_id, userId);
+        if (!role) {
+          throw new Error(`Invalid scope: persona '${personaId}' not found`);
+        }
+
+        const requiredRole = readOnly === true ? PERSONA_ACCESS_ROLES.read : PERSONA_ACCESS_ROLES.write;
+        if (!hasOrganizationRole(role, requiredRole)) {
+          throw new Error(`Invalid scope: persona '${personaId}' is read-only for your organization role`);
+        }
+      }
+    }
+
+    if (memoryTypes !== undefined && memoryTypes !== null) {
+      if (!Array.isArray(memoryTypes) || memoryTypes.length === 0) {
+        throw new Error('Invalid scope: memoryTypes must be a non-empty array');
+      }
+
+      const invalidType = memoryTypes.find(type => !MEMORY_TYPES.includes(type));
+      if (invalidType) {
+        throw new Error(`Invalid scope: unknown memory type '${invalidType}'`);
+      }
+    }
+
+    if (typeof readOnly !== 'boolean') {
+      throw new Error('Invalid scope: readOnly must be a boolean');
+    }
+
+    return {
+      personaIds: [...new Set(personaIds)],
+      memoryTypes: memoryTypes ? [...new Set(memoryTypes)] : null,
+      readOnly
+    };
+  }
+
   /**
    * Check if API key has specific permission
    */
@@ -1,4 +1,5 @@
 const { logger, logError } = require('../../utils/logger');
+const { assertEmbeddingAllowed, recordEmbeddingUsage } = require('../../utils/usageContext');
 
 /**
  * Embedding Service
@@ -90,6 +91,9 @@ class EmbeddingService {
 
       this.stats.cacheMisses++;
 
+      // Cache hits are free; provider calls count against the embedding token quota
+      assertEmbeddingAllowed();
+
       // Generate embedding using provider
       const providerInstance = this.providers.get(provider);
       const embedding = await providerInstance.generateEmbedding(text, {
@@ -98,6 +102,8 @@ class EmbeddingService {
         normalize
       });
 
+      this.recordProviderUsage(providerInstance, embedding);
+
       // Validate embedding result
       if (!embedding || !Array.isArray(embedding.vector)) {
         throw new Error('Invalid embedding result from provider');
@@ -152,6 +158,21 @@ class EmbeddingService {
     }
   }
 
+  /**
+   * Meter the tokens and estimated cost of one provider result
+   */
+  recordProviderUsage(providerInstance, embedding) {
+    const tokens = embedding.usage?.totalTokens || 0;
+    let estimatedCost = embedding.metadata?.estimatedCost;
+
+    // Batch results carry no cost of their own
+    if (estimatedCost === undefined && typeof providerInstance.estimateCost === 'function') {
+      estimatedCost = providerInstance.estimateCost(tokens, embedding.model);
+    }
+
+    recordEmbeddingUsage({ tokens, estimatedCost: estimatedCost || 0 });
+  }
+
   /**
    * Generate embeddings for multiple texts in batch
    */
@@ -181,7 +202,9 @@ class EmbeddingService {
         const providerInstance = this.providers.get(provider);
         if (providerInstance.generateBatchEmbeddings) {
           try {
+            assertEmbeddingAllowed();
             const batchResults = await providerInstance.generateBatchEmbeddings(batch, embeddingOptions);
+            batchResults.forEach(result => this.recordProviderUsage(providerInstance, result));
             results.push(...batchResults);
           } catch (batchError) {
             // Fall back to individual processing
@@ -259,6 +282,28 @@ class EmbeddingService {
     return providers;
   }
 
+  /**
+   * Get the provider:model fingerprint an embedding would be generated with
+   * Used to detect persisted vectors that are stale after a model change
+   */
+  getModelFingerprint(provider = this.defaultProvider, model = null) {
+    const providerInstance = this.providers.get(provider);
+
+    if (!providerInstance) {
+      return `${provider}:${model || 'default'}`;
+    }
+
+    const supportedModels = providerInstance.getSupportedModels
+      ? providerInstance.getSupportedModels().map(m => (typeof m === 'string' ? m : m.name))
+      : [];
+
+    const resolvedModel = model && supportedModels.includes(model)
+      ? model
+      : (providerInstance.model || model || 'default');
+
+    return `${provider}:${resolvedModel}`;
+  }
+
   /**
    * Get service statistics
    */
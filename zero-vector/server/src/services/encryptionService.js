@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const CIPHER = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+// Short, stable identifier of a master key, stored next to the data keys it wraps
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+};
+
+const open = (key, sealed, aad) => {
+  const [iv, tag, ciphertext] = sealed.split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Encryption Service
+ * Envelope encryption of memory content and persona system prompts.
+ *
+ * Every user gets a random data key the first time something of theirs is
+ * encrypted. Data keys are stored in the data_keys table wrapped (AES-256-GCM)
+ * with the master key from the environment, so the database alone never holds
+ * enough to read the content. Rotating the master key only re-wraps the data
+ * keys; the content itself is not re-encrypted.
+ *
+ * Encrypted values are strings of the form `enc:v1:<iv>:<tag>:<ciphertext>`,
+ * bound to the record they belong to, so a value copied to another row fails
+ * to decrypt. Values without the prefix are plaintext written before
+ * encryption was enabled and are returned unchanged.
+ */
+class EncryptionService {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.masterKeys = new Map();
+    this.currentKeyId = null;
+    this.dataKeys = new Map(); // userId -> unwrapped data key
+
+    if (options.masterKey) {
+      const masterKey = Buffer.from(options.masterKey, 'base64');
+      this.currentKeyId = keyId(masterKey);
+      this.masterKeys.set(this.currentKeyId, masterKey);
+    }
+
+    // Previous master keys still unwrap data keys until they are re-wrapped
+    for (const previous of options.previousMasterKeys || []) {
+      const masterKey = Buffer.from(previous, 'base64');
+      this.masterKeys.set(keyId(masterKey), masterKey);
+    }
+  }
+
+  get enabled() {
+    return this.currentKeyId !== null;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  /**
+   * Encrypt a value with the data key of the user owning it. `context`
+   * identifies the record and must be given again to decrypt.
+   * Returns the value unchanged when encryption is disabled.
+   */
+  encrypt(userId, value, context) {
+    if (!this.enabled || typeof value !== 'string' || EncryptionService.isEncrypted(value)) {
+      return value;
+    }
+
+    if (!userId) {
+      throw new Error('Cannot encrypt data without an owning user');
+    }
+
+    return PREFIX + seal(this.getDataKey(userId), Buffer.from(value, 'utf8'), context);
+  }
+
+  /**
+   * Decrypt a value written by encrypt(); plaintext values pass through
+   */
+  decrypt(userId, value, context) {
+    if (!EncryptionService.isEncrypted(value)) {
+      return value;
+    }
+
+    if (!this.enabled) {
+      throw new Error('Encrypted data found but no ENCRYPTION_MASTER_KEY is configured');
+    }
+
+    const dataKey = this.getDataKey(userId, { create: false });
+    if (!dataKey) {
+      throw new Error(`No data key for user ${userId}; the encrypted data cannot be read`);
+    }
+
+    return open(dataKey, value.slice(PREFIX.length), context).toString('utf8');
+  }
+
+  /**
+   * Unwrapped data key of a user, created on first use
+   */
+  getDataKey(userId, { create = true } = {}) {
+    if (this.dataKeys.has(userId)) {
+      return this.dataKeys.get(userId);
+    }
+
+    let row = this.db.prepare('SELECT wrapped_key, master_key_id FROM data_keys WHERE user_id = ?').get(userId);
+
+    if (!row) {
+      if (!create) {
+        return null;
+      }
+
+      // Another process may create the same user's key concurrently; the first insert wins
+      this.db.prepare(`
+        INSERT OR IGNORE INTO data_keys (user_id, wrapped_key, master_key_id, created_at)
+        VALUES (?, ?, ?, ?)
+      `).run(userId, this.wrap(userId, crypto.randomBytes(32)), this.currentKeyId, Date.now());
+
+      row = this.db.prepare('SELECT wrapped_key, master_key_id FROM data_keys WHERE user_id = ?').get(userId);
+      logger.info('Data key created', { userId });
+    }
+
+    const dataKey = this.unwrap(userId, row);
+    this.dataKeys.set(userId, dataKey);
+
+    return dataKey;
+  }
+
+  /**
+   * Drop a user's cached data key once the stored key has been deleted
+   */
+  discardDataKey(userId) {
+    this.dataKeys.delete(userId);
+  }
+
+  wrap(userId, dataKey) {
+    return seal(this.masterKeys.get(this.currentKeyId), dataKey, `data_keys:${userId}`);
+  }
+
+  unwrap(userId, row) {
+    const masterKey = this.masterKeys.get(row.master_key_id);
+
+    if (!masterKey) {
+      throw new Error(
+        `Data key of user ${userId} is wrapped with unknown master key ${row.master_key_id}; ` +
+        'add it to ENCRYPTION_PREVIOUS_MASTER_KEYS'
+      );
+    }
+
+    return open(masterKey, row.wrapped_key, `data_keys:${userId}`);
+  }
+
+  /**
+   * Re-wrap every data key not yet wrapped with the current master key
+   */
+  rewrapDataKeys() {
+    if (!this.enabled) {
+      throw new Error('ENCRYPTION_MASTER_KEY is not configured');
+    }
+
+    const rows = this.db.prepare(`
+      SELECT user_id, wrapped_key, master_key_id FROM data_keys WHERE master_key_id != ?
+    `).all(this.currentKeyId);
+
+    const update = this.db.prepare(`
+      UPDATE data_keys SET wrapped_key = ?, master_key_id = ?, rotated_at = ? WHERE user_id = ?
+    `);
+
+    const now = Date.now();
+    this.db.transaction(() => {
+      for (const row of rows) {
+        update.run(this.wrap(row.user_id, this.unwrap(row.user_id, row)), this.currentKeyId, now, row.user_id);
+      }
+    })();
+
+    const total = this.db.prepare('SELECT COUNT(*) as count FROM data_keys').get().count;
+
+    logger.info('Data keys re-wrapped', { rewrapped: rows.length, total, masterKeyId: this.currentKeyId });
+
+    return { rewrapped: rows.length, total, masterKeyId: this.currentKeyId };
+  }
+
+  /**
+   * Generate a new random master key (base64)
+   */
+  static generateMasterKey() {
+    return crypto.randomBytes(32).toString('base64');
+  }
+}
+
+EncryptionService.PREFIX = PREFIX;
+
+module.exports = EncryptionService;
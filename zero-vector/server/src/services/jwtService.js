@@ -2,67 +2,81 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const config = require('../config');
 const { logger } = require('../utils/logger');
+const SigningKeyService = require('./signingKeyService');
 
 /**
  * JWT Service
  * Handles JWT token generation, validation, and refresh token management
+ *
+ * Tokens are signed with the shared JWT_SECRET (HS256) or, when JWT_ALGORITHM is
+ * RS256/ES256, with rotating key pairs from the SigningKeyService.
  */
 class JwtService {
   constructor(database) {
     this.db = database;
     this.jwtSecret = config.security.jwtSecret;
+    this.algorithm = config.auth.jwtAlgorithm;
     this.accessTokenExpiry = config.auth.accessTokenExpiry;
     this.refreshTokenExpiry = config.auth.refreshTokenExpiry;
+    this.sessionIdleTimeoutMs = this.parseExpiryToMilliseconds(config.auth.sessionIdleTimeout);
+    this.passwordResetTokenTtlMs = config.auth.passwordResetTokenTtlMinutes * 60 * 1000;
+    this.twoFactorChallengeExpiry = config.auth.twoFactorChallengeExpiry;
+
+    // Superseded keys must outlive every token they signed, refresh tokens included
+    this.signingKeys = this.algorithm === 'HS256' ? null : new SigningKeyService(database, {
+      algorithm: this.algorithm,
+      rotationDays: config.auth.jwtKeyRotationDays,
+      retentionMs: this.parseExpiryToMilliseconds(this.refreshTokenExpiry)
+    });
   }
 
   /**
-   * Generate access and refresh tokens for a user
+   * Sign a token with the shared secret or the current signing key
    */
-  async generateTokens(user) {
-    try {
-      const payload = {
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      };
+  signToken(payload, options = {}) {
+    if (!this.signingKeys) {
+      return jwt.sign(payload, this.jwtSecret, { ...options, algorithm: 'HS256' });
+    }
 
-      // Generate access token
-      const accessToken = jwt.sign(payload, this.jwtSecret, {
-        expiresIn: this.accessTokenExpiry,
-        issuer: 'zero-vector-server',
-        audience: 'zero-vector-client'
-      });
+    const key = this.signingKeys.getCurrentKey();
+    return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.algorithm, keyid: key.kid });
+  }
 
-      // Generate refresh token
-      const refreshTokenId = crypto.randomUUID();
-      const refreshToken = jwt.sign(
-        { 
-          ...payload, 
-          tokenId: refreshTokenId,
-          type: 'refresh'
-        },
-        this.jwtSecret,
-        {
-          expiresIn: this.refreshTokenExpiry,
-          issuer: 'zero-vector-server',
-          audience: 'zero-vector-client'
-        }
-      );
+  /**
+   * Verify a token against the shared secret or the non-retired key named by its kid
+   */
+  verifyToken(token, options = {}) {
+    if (!this.signingKeys) {
+      return jwt.verify(token, this.jwtSecret, { ...options, algorithms: ['HS256'] });
+    }
+
+    const kid = jwt.decode(token, { complete: true })?.header?.kid;
+    const key = kid && this.signingKeys.getVerificationKey(kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('unknown or retired signing key');
+    }
 
-      // Store refresh token in database
-      await this.storeRefreshToken(refreshTokenId, user.id, refreshToken);
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+  }
+
+  /**
+   * Generate access and refresh tokens for a user, starting a new device session.
+   * `device` labels the session: { deviceName, userAgent, ipAddress }
+   */
+  async generateTokens(user, device = {}) {
+    try {
+      const sessionId = crypto.randomUUID();
+      const expiresAt = Date.now() + this.parseExpiryToMilliseconds(this.refreshTokenExpiry);
+
+      const tokens = await this.issueSessionTokens(user, sessionId, expiresAt, device);
 
       logger.info('Tokens generated successfully', {
         userId: user.id,
-        refreshTokenId
+        sessionId
       });
 
-      return {
-        accessToken,
-        refreshToken,
-        tokenType: 'Bearer',
-        expiresIn: this.parseExpiryToSeconds(this.accessTokenExpiry)
-      };
+      return tokens;
 
     } catch (error) {
       logger.error('Token generation failed', {
@@ -73,12 +87,59 @@ class JwtService {
     }
   }
 
+  /**
+   * Sign an access token and the next refresh token of a session, storing the latter.
+   * Refresh tokens of a session all share its absolute expiry.
+   */
+  async issueSessionTokens(user, sessionId, expiresAt, device) {
+    const payload = {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId
+    };
+
+    const accessToken = this.signToken(payload, {
+      expiresIn: this.accessTokenExpiry,
+      issuer: 'zero-vector-server',
+      audience: 'zero-vector-client'
+    });
+
+    const refreshTokenId = crypto.randomUUID();
+    const refreshToken = this.signToken(
+      {
+        ...payload,
+        tokenId: refreshTokenId,
+        type: 'refresh',
+        exp: Math.floor(expiresAt / 1000)
+      },
+      {
+        issuer: 'zero-vector-server',
+        audience: 'zero-vector-client'
+      }
+    );
+
+    await this.storeRefreshToken(refreshTokenId, user.id, refreshToken, {
+      ...device,
+      sessionId,
+      expiresAt
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.parseExpiryToSeconds(this.accessTokenExpiry),
+      sessionId
+    };
+  }
+
   /**
    * Verify and decode an access token
    */
   async verifyAccessToken(token) {
     try {
-      const decoded = jwt.verify(token, this.jwtSecret, {
+      const decoded = this.verifyToken(token, {
         issuer: 'zero-vector-server',
         audience: 'zero-vector-client'
       });
@@ -96,6 +157,7 @@ class JwtService {
         userId: decoded.userId,
         email: decoded.email,
         role: decoded.role,
+        sessionId: decoded.sid || null,
         iat: decoded.iat,
         exp: decoded.exp
       };
@@ -117,12 +179,16 @@ class JwtService {
   }
 
   /**
-   * Refresh an access token using a refresh token
+   * Exchange a refresh token for new access and refresh tokens.
+   *
+   * Each refresh token works once. Presenting one that was already exchanged
+   * means it was copied, so the whole session is revoked. Sessions unused for
+   * longer than the idle timeout are revoked as well.
    */
-  async refreshToken(refreshToken) {
+  async refreshToken(refreshToken, device = {}) {
     try {
       // Verify refresh token
-      const decoded = jwt.verify(refreshToken, this.jwtSecret, {
+      const decoded = this.verifyToken(refreshToken, {
         issuer: 'zero-vector-server',
         audience: 'zero-vector-client'
       });
@@ -137,46 +203,52 @@ class JwtService {
         throw new Error('Invalid refresh token');
       }
 
+      const now = Date.now();
+
       // Check if token is expired
-      if (storedToken.expiresAt < Date.now()) {
-        await this.deleteRefreshToken(decoded.tokenId);
+      if (storedToken.expiresAt < now) {
+        await this.revokeSession(storedToken.userId, storedToken.sessionId);
         throw new Error('Refresh token expired');
       }
 
-      // Generate new access token
-      const user = {
-        id: decoded.userId,
-        email: decoded.email,
-        role: decoded.role
-      };
+      if (storedToken.lastUsed + this.sessionIdleTimeoutMs < now) {
+        await this.revokeSession(storedToken.userId, storedToken.sessionId);
+        throw new Error('Session expired due to inactivity');
+      }
 
-      const accessToken = jwt.sign(
-        {
-          userId: user.id,
-          email: user.email,
-          role: user.role
-        },
-        this.jwtSecret,
-        {
-          expiresIn: this.accessTokenExpiry,
-          issuer: 'zero-vector-server',
-          audience: 'zero-vector-client'
-        }
-      );
+      // Spend the token; the guard makes a concurrent second use count as reuse
+      if (storedToken.usedAt || !(await this.markRefreshTokenUsed(storedToken.id))) {
+        const revokedCount = await this.revokeSession(storedToken.userId, storedToken.sessionId);
 
-      // Update refresh token last used
-      await this.updateRefreshTokenUsage(decoded.tokenId);
+        logger.warn('Refresh token reuse detected, session revoked', {
+          userId: storedToken.userId,
+          sessionId: storedToken.sessionId,
+          tokenId: storedToken.id,
+          revokedCount
+        });
+
+        throw new Error('Invalid refresh token: reuse detected, session revoked');
+      }
+
+      // The role and status may have changed since login; the old token's claims are not trusted
+      const user = this.db.prepare('SELECT id, email, role, is_active FROM users WHERE id = ?').get(storedToken.userId);
+      if (!user || !user.is_active) {
+        await this.revokeSession(storedToken.userId, storedToken.sessionId);
+        throw new Error('Invalid refresh token: account is no longer active');
+      }
+
+      const tokens = await this.issueSessionTokens(user, storedToken.sessionId, storedToken.expiresAt, {
+        deviceName: storedToken.deviceName,
+        userAgent: device.userAgent || storedToken.userAgent,
+        ipAddress: device.ipAddress || storedToken.ipAddress
+      });
 
       logger.info('Token refreshed successfully', {
         userId: decoded.userId,
-        tokenId: decoded.tokenId
+        sessionId: storedToken.sessionId
       });
 
-      return {
-        accessToken,
-        tokenType: 'Bearer',
-        expiresIn: this.parseExpiryToSeconds(this.accessTokenExpiry)
-      };
+      return tokens;
 
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -199,7 +271,7 @@ class JwtService {
    */
   async revokeRefreshToken(refreshToken) {
     try {
-      const decoded = jwt.verify(refreshToken, this.jwtSecret, {
+      const decoded = this.verifyToken(refreshToken, {
         ignoreExpiration: true // Allow revocation of expired tokens
       });
 
@@ -207,11 +279,15 @@ class JwtService {
         throw new Error('Invalid token type');
       }
 
-      await this.deleteRefreshToken(decoded.tokenId);
+      // Logging out ends the whole session, not just this token
+      const storedToken = await this.getRefreshToken(decoded.tokenId);
+      if (storedToken) {
+        await this.revokeSession(storedToken.userId, storedToken.sessionId);
+      }
 
       logger.info('Refresh token revoked successfully', {
         userId: decoded.userId,
-        tokenId: decoded.tokenId
+        sessionId: storedToken?.sessionId
       });
 
       return true;
@@ -224,6 +300,73 @@ class JwtService {
     }
   }
 
+  /**
+   * List a user's active sessions, most recently used first
+   */
+  async listSessions(userId) {
+    try {
+      const now = Date.now();
+
+      // The unspent token of each session carries its latest activity
+      const rows = this.db.prepare(`
+        SELECT t.family_id, t.device_name, t.user_agent, t.ip_address, t.expires_at, t.last_used,
+               (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = t.family_id) as session_created_at
+        FROM refresh_tokens t
+        WHERE t.user_id = ? AND t.used_at IS NULL AND t.expires_at > ? AND t.last_used > ?
+        ORDER BY t.last_used DESC
+      `).all(userId, now, now - this.sessionIdleTimeoutMs);
+
+      return rows.map(row => ({
+        id: row.family_id,
+        deviceName: row.device_name,
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
+        createdAt: row.session_created_at,
+        lastUsed: row.last_used,
+        expiresAt: row.expires_at,
+        idleExpiresAt: Math.min(row.last_used + this.sessionIdleTimeoutMs, row.expires_at)
+      }));
+
+    } catch (error) {
+      logger.error('Failed to list sessions', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every refresh token of one session.
+   * Returns the number of tokens removed (0 when the session does not exist).
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const result = this.db.prepare(`
+        DELETE FROM refresh_tokens
+        WHERE user_id = ? AND family_id = ?
+      `).run(userId, sessionId);
+
+      if (result.changes > 0) {
+        logger.info('Session revoked', {
+          userId,
+          sessionId,
+          revokedCount: result.changes
+        });
+      }
+
+      return result.changes;
+
+    } catch (error) {
+      logger.error('Failed to revoke session', {
+        error: error.message,
+        userId,
+        sessionId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Revoke all refresh tokens for a user
    */
@@ -255,17 +398,29 @@ class JwtService {
   /**
    * Store refresh token in database
    */
-  async storeRefreshToken(tokenId, userId, token) {
+  async storeRefreshToken(tokenId, userId, token, session) {
     try {
-      const expiresAt = Date.now() + this.parseExpiryToMilliseconds(this.refreshTokenExpiry);
-
       const stmt = this.db.prepare(`
-        INSERT INTO refresh_tokens (id, user_id, token, expires_at, created_at, last_used)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO refresh_tokens (
+          id, user_id, token, family_id, device_name, user_agent, ip_address,
+          expires_at, created_at, last_used
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const now = Date.now();
-      stmt.run(tokenId, userId, token, expiresAt, now, now);
+      stmt.run(
+        tokenId,
+        userId,
+        token,
+        session.sessionId,
+        session.deviceName || null,
+        session.userAgent ? session.userAgent.substring(0, 512) : null,
+        session.ipAddress || null,
+        session.expiresAt,
+        now,
+        now
+      );
 
     } catch (error) {
       logger.error('Failed to store refresh token', {
@@ -283,7 +438,8 @@ class JwtService {
   async getRefreshToken(tokenId) {
     try {
       const stmt = this.db.prepare(`
-        SELECT id, user_id, token, expires_at, created_at, last_used
+        SELECT id, user_id, token, family_id, device_name, user_agent, ip_address,
+               expires_at, created_at, last_used, used_at
         FROM refresh_tokens 
         WHERE id = ?
       `);
@@ -295,9 +451,14 @@ class JwtService {
         id: row.id,
         userId: row.user_id,
         token: row.token,
+        sessionId: row.family_id,
+        deviceName: row.device_name,
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
         expiresAt: row.expires_at,
         createdAt: row.created_at,
-        lastUsed: row.last_used
+        lastUsed: row.last_used,
+        usedAt: row.used_at
       };
 
     } catch (error) {
@@ -310,23 +471,26 @@ class JwtService {
   }
 
   /**
-   * Update refresh token usage
+   * Mark a refresh token as exchanged.
+   * Returns false when it had already been used.
    */
-  async updateRefreshTokenUsage(tokenId) {
+  async markRefreshTokenUsed(tokenId) {
     try {
+      const now = Date.now();
       const stmt = this.db.prepare(`
         UPDATE refresh_tokens 
-        SET last_used = ?
-        WHERE id = ?
+        SET used_at = ?, last_used = ?
+        WHERE id = ? AND used_at IS NULL
       `);
 
-      stmt.run(Date.now(), tokenId);
+      return stmt.run(now, now, tokenId).changes > 0;
 
     } catch (error) {
-      logger.error('Failed to update refresh token usage', {
+      logger.error('Failed to mark refresh token used', {
         error: error.message,
         tokenId
       });
+      throw error;
     }
   }
 
@@ -352,16 +516,21 @@ class JwtService {
   }
 
   /**
-   * Clean up expired refresh tokens
+   * Clean up expired refresh tokens and idle sessions
    */
   async cleanupExpiredTokens() {
     try {
       const stmt = this.db.prepare(`
         DELETE FROM refresh_tokens 
-        WHERE expires_at < ?
+        WHERE expires_at < ? OR family_id IN (
+          SELECT family_id FROM refresh_tokens
+          GROUP BY family_id
+          HAVING MAX(last_used) < ?
+        )
       `);
 
-      const result = stmt.run(Date.now());
+      const now = Date.now();
+      const result = stmt.run(now, now - this.sessionIdleTimeoutMs);
 
       if (result.changes > 0) {
         logger.info('Expired refresh tokens cleaned up', {
@@ -390,7 +559,7 @@ class JwtService {
       const stmt = this.db.prepare(`
         SELECT 
           COUNT(*) as total,
-          SUM(CASE WHEN expires_at > ? THEN 1 ELSE 0 END) as active,
+          SUM(CASE WHEN expires_at > ? AND used_at IS NULL THEN 1 ELSE 0 END) as active,
           SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) as expired
         FROM refresh_tokens 
         ${whereClause}
@@ -442,26 +611,73 @@ class JwtService {
   }
 
   /**
-   * Generate a password reset token
+   * Generate the short-lived challenge token handed out after the password step
+   * of a two-factor login. Its audience keeps it from working as an access token.
+   */
+  generateTwoFactorChallenge(user) {
+    return {
+      challengeToken: this.signToken(
+        { userId: user.id, type: '2fa_challenge' },
+        {
+          expiresIn: this.twoFactorChallengeExpiry,
+          issuer: 'zero-vector-server',
+          audience: 'zero-vector-2fa'
+        }
+      ),
+      expiresIn: this.parseExpiryToSeconds(this.twoFactorChallengeExpiry)
+    };
+  }
+
+  /**
+   * Verify a two-factor challenge token and return its user id
+   */
+  verifyTwoFactorChallenge(token) {
+    try {
+      const decoded = this.verifyToken(token, {
+        issuer: 'zero-vector-server',
+        audience: 'zero-vector-2fa'
+      });
+
+      if (decoded.type !== '2fa_challenge') {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded.userId;
+
+    } catch (error) {
+      logger.warn('Two-factor challenge verification failed', { error: error.message });
+      throw new Error(error.name === 'TokenExpiredError' ? 'Challenge expired' : 'Invalid challenge');
+    }
+  }
+
+  /**
+   * Hash a password reset token; only the hash is stored
+   */
+  hashPasswordResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Generate a password reset token, replacing any outstanding one for the user
    */
   async generatePasswordResetToken(userId) {
     try {
       const token = crypto.randomBytes(32).toString('hex');
-      const expiresAt = Date.now() + (60 * 60 * 1000); // 1 hour
+      const expiresAt = Date.now() + this.passwordResetTokenTtlMs;
 
       const stmt = this.db.prepare(`
         INSERT OR REPLACE INTO password_reset_tokens (user_id, token, expires_at, created_at)
         VALUES (?, ?, ?, ?)
       `);
 
-      stmt.run(userId, token, expiresAt, Date.now());
+      stmt.run(userId, this.hashPasswordResetToken(token), expiresAt, Date.now());
 
       logger.info('Password reset token generated', {
         userId,
         expiresAt
       });
 
-      return token;
+      return { token, expiresAt };
 
     } catch (error) {
       logger.error('Failed to generate password reset token', {
@@ -483,7 +699,7 @@ class JwtService {
         WHERE token = ?
       `);
 
-      const row = stmt.get(token);
+      const row = stmt.get(this.hashPasswordResetToken(token));
       if (!row) {
         throw new Error('Invalid reset token');
       }
@@ -504,6 +720,28 @@ class JwtService {
     }
   }
 
+  /**
+   * Verify and delete a password reset token in one step so it can only be used once
+   */
+  async consumePasswordResetToken(token) {
+    const row = this.db.prepare(`
+      DELETE FROM password_reset_tokens
+      WHERE token = ?
+      RETURNING user_id, expires_at
+    `).get(this.hashPasswordResetToken(token));
+
+    if (!row) {
+      throw new Error('Invalid reset token');
+    }
+
+    if (row.expires_at < Date.now()) {
+      throw new Error('Reset token expired');
+    }
+
+    logger.info('Password reset token consumed', { userId: row.user_id });
+    return row.user_id;
+  }
+
   /**
    * Delete password reset token
    */
@@ -514,7 +752,7 @@ class JwtService {
         WHERE token = ?
       `);
 
-      stmt.run(token);
+      stmt.run(this.hashPasswordResetToken(token));
 
     } catch (error) {
       logger.error('Failed to delete password reset token', {
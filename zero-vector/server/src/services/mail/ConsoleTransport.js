@@ -0,0 +1,19 @@
+const { logger } = require('../../utils/logger');
+
+/**
+ * Console Mail Transport
+ * Writes messages to the server log instead of delivering them. For local
+ * development only: reset tokens end up in the logs.
+ */
+class ConsoleTransport {
+  async send(message) {
+    logger.info('Outgoing mail (console transport)', {
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+}
+
+module.exports = ConsoleTransport;
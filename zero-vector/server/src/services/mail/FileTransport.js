@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Mail Transport
+ * Appends each message as one JSON line to a file, for local development
+ * or for scripts that need to read back the reset token.
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.filePath = options.filePath || './data/mail.log';
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify(message) + '\n', { mode: 0o600 });
+  }
+}
+
+module.exports = FileTransport;
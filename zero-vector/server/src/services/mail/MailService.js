@@ -0,0 +1,111 @@
+const { logger, logError } = require('../../utils/logger');
+
+/**
+ * Mail Service
+ * Sends account emails (password resets) through a pluggable transport.
+ * A transport is any object with an async send(message) method; the console and
+ * file transports stand in for a real mailer during local development.
+ */
+class MailService {
+  constructor(options = {}) {
+    this.from = options.from || 'no-reply@zero-vector.local';
+    this.passwordResetUrl = options.passwordResetUrl || '';
+    this.transports = new Map();
+    this.defaultTransport = null;
+  }
+
+  /**
+   * Register a mail transport
+   */
+  registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Transport must implement send method');
+    }
+
+    this.transports.set(name, transport);
+
+    // Set as default if none exists
+    if (!this.defaultTransport) {
+      this.defaultTransport = name;
+    }
+
+    logger.info(`Mail transport registered: ${name}`);
+  }
+
+  /**
+   * Set the default transport
+   */
+  setDefaultTransport(transportName) {
+    if (!this.transports.has(transportName)) {
+      throw new Error(`Mail transport '${transportName}' not found`);
+    }
+
+    this.defaultTransport = transportName;
+    logger.info(`Default mail transport set to: ${transportName}`);
+  }
+
+  /**
+   * Send a message ({ to, subject, text }) through the default transport
+   */
+  async send(message) {
+    const transport = this.transports.get(this.defaultTransport);
+    if (!transport) {
+      throw new Error('No mail transport configured');
+    }
+
+    try {
+      await transport.send({
+        from: this.from,
+        ...message,
+        date: new Date().toISOString()
+      });
+
+      logger.info('Mail sent', {
+        transport: this.defaultTransport,
+        to: message.to,
+        subject: message.subject
+      });
+
+    } catch (error) {
+      logError(error, {
+        operation: 'sendMail',
+        transport: this.defaultTransport,
+        to: message.to
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset email carrying a single-use token
+   */
+  async sendPasswordReset(user, token, expiresAt) {
+    const expiry = new Date(expiresAt).toISOString();
+    const instructions = this.passwordResetUrl
+      ? `Open the following link to choose a new password:\n\n${this.buildResetLink(token)}`
+      : `Send this token with your new password to POST /auth/reset-password:\n\n${token}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Reset your Zero-Vector password',
+      text: [
+        'A password reset was requested for your Zero-Vector account.',
+        '',
+        instructions,
+        '',
+        `The token can be used once and expires at ${expiry}.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Append the token to the configured reset URL
+   */
+  buildResetLink(token) {
+    const separator = this.passwordResetUrl.includes('?') ? '&' : '?';
+    return `${this.passwordResetUrl}${separator}token=${encodeURIComponent(token)}`;
+  }
+}
+
+module.exports = MailService;
@@ -1,20 +1,32 @@
 const VectorSimilarity = require('../utils/vectorSimilarity');
-const { logVectorOperation, logMemoryUsage, logError } = require('../utils/logger');
+const { createQuantizer } = require('../algorithms/createQuantizer');
+const { compileFilter, matchesFilter } = require('../utils/metadataFilter');
+const { logger, logVectorOperation, logMemoryUsage, logError } = require('../utils/logger');
 
 /**
  * Memory-Efficient Vector Store
- * Optimized for 2GB memory usage with high-performance vector operations
+ * Optimized for 2GB memory usage with high-performance vector operations.
+ * With quantization enabled ('int8' or 'pq'), slots hold compressed codes instead
+ * of float32 vectors; the first `trainingSize` vectors are kept in full precision
+ * until the quantizer has been trained on them.
  */
 class MemoryEfficientVectorStore {
-  constructor(maxMemoryMB = 2048, dimensions = 1536) {
+  constructor(maxMemoryMB = 2048, dimensions = 1536, quantization = {}) {
     this.maxMemoryBytes = maxMemoryMB * 1024 * 1024;
     this.dimensions = dimensions;
-    this.vectorSize = dimensions * 4; // 4 bytes per float32
+    
+    // Optional vector compression
+    this.quantizer = createQuantizer(quantization.type, dimensions, quantization);
+    this.quantizationTrainingSize = quantization.trainingSize || 1000;
+    this.trainingVectors = new Map(); // Full-precision vectors awaiting quantizer training
+    
+    this.vectorSize = this.quantizer ? this.quantizer.codeSize : dimensions * 4; // 4 bytes per float32
+    this.slotLength = this.quantizer ? this.quantizer.codeSize : dimensions; // Array elements per slot
     this.maxVectors = Math.floor(this.maxMemoryBytes / this.vectorSize);
     
     // Initialize the main vector storage buffer
     this.buffer = new ArrayBuffer(this.maxMemoryBytes);
-    this.vectors = new Float32Array(this.buffer);
+    this.vectors = this.quantizer ? new Uint8Array(this.buffer) : new Float32Array(this.buffer);
     
     // Vector metadata and management
     this.metadata = new Map();
@@ -25,6 +37,9 @@ class MemoryEfficientVectorStore {
     // Performance utilities
     this.similarity = new VectorSimilarity();
     
+    // Optional write-ahead log for crash recovery
+    this.wal = null;
+    
     // Performance tracking
     this.stats = {
       insertions: 0,
@@ -33,7 +48,8 @@ class MemoryEfficientVectorStore {
       lastCleanup: Date.now()
     };
 
-    console.log(`Initialized VectorStore: ${maxMemoryMB}MB, ${this.maxVectors} max vectors, ${dimensions}D`);
+    console.log(`Initialized VectorStore: ${maxMemoryMB}MB, ${this.maxVectors} max vectors, ${dimensions}D` +
+      (this.quantizer ? `, ${this.quantizer.type} quantization` : ''));
   }
 
   /**
@@ -51,18 +67,12 @@ class MemoryEfficientVectorStore {
         throw new Error(`Vector with id '${id}' already exists`);
       }
       
+      // Journal before mutating so a crash can never lose an acknowledged write
+      this.journal('add', id, vector, metadata);
+      
       // Get available slot
       const slotIndex = this.allocateSlot();
       
-      // Convert to Float32Array if needed
-      const vectorArray = vector instanceof Float32Array ? vector : new Float32Array(vector);
-      
-      // Copy vector data to buffer
-      const startIndex = slotIndex * this.dimensions;
-      for (let i = 0; i < this.dimensions; i++) {
-        this.vectors[startIndex + i] = vectorArray[i];
-      }
-      
       // Store metadata
       this.metadata.set(id, {
         slotIndex,
@@ -72,6 +82,9 @@ class MemoryEfficientVectorStore {
       });
       
       this.vectorCount++;
+      
+      // Copy vector data to buffer
+      this.writeSlot(id, slotIndex, vector);
       this.stats.insertions++;
       
       const duration = Date.now() - startTime;
@@ -98,9 +111,7 @@ class MemoryEfficientVectorStore {
       return null;
     }
     
-    const startIndex = vectorMeta.slotIndex * this.dimensions;
-    const endIndex = startIndex + this.dimensions;
-    const vector = this.vectors.slice(startIndex, endIndex);
+    const vector = this.readSlot(id, vectorMeta.slotIndex);
     
     if (includeMetadata) {
       return {
@@ -113,6 +124,40 @@ class MemoryEfficientVectorStore {
     return vector;
   }
 
+  /**
+   * Check whether a vector is stored
+   */
+  hasVector(id) {
+    return this.metadata.has(id);
+  }
+
+  /**
+   * Get a copy of a vector's metadata, or null
+   */
+  getMetadata(id) {
+    const vectorMeta = this.metadata.get(id);
+    return vectorMeta ? { ...vectorMeta } : null;
+  }
+
+  /**
+   * Merge fields into a vector's metadata, leaving the vector untouched
+   * Not journaled: the change reaches disk with the next snapshot
+   */
+  updateMetadata(id, changes) {
+    const vectorMeta = this.metadata.get(id);
+    if (!vectorMeta) {
+      return false;
+    }
+    
+    this.metadata.set(id, {
+      ...vectorMeta,
+      ...changes,
+      updatedAt: Date.now()
+    });
+    
+    return true;
+  }
+
   /**
    * Delete a vector by ID
    */
@@ -122,14 +167,13 @@ class MemoryEfficientVectorStore {
       return false;
     }
     
+    this.journal('delete', id);
+    
     // Mark slot as free
     this.freeSlots.push(vectorMeta.slotIndex);
     
     // Clear vector data (optional, for security)
-    const startIndex = vectorMeta.slotIndex * this.dimensions;
-    for (let i = 0; i < this.dimensions; i++) {
-      this.vectors[startIndex + i] = 0;
-    }
+    this.clearSlot(id, vectorMeta.slotIndex);
     
     // Remove metadata
     this.metadata.delete(id);
@@ -157,13 +201,10 @@ class MemoryEfficientVectorStore {
     // Validate new vector
     this.validateVector(vector, id);
     
-    // Update vector data
-    const vectorArray = vector instanceof Float32Array ? vector : new Float32Array(vector);
-    const startIndex = existingMeta.slotIndex * this.dimensions;
+    this.journal('update', id, vector, metadata);
     
-    for (let i = 0; i < this.dimensions; i++) {
-      this.vectors[startIndex + i] = vectorArray[i];
-    }
+    // Update vector data
+    this.writeSlot(id, existingMeta.slotIndex, vector);
     
     // Update metadata
     this.metadata.set(id, {
@@ -199,12 +240,13 @@ class MemoryEfficientVectorStore {
       this.validateVector(queryVector, 'query');
       
       const queryArray = queryVector instanceof Float32Array ? queryVector : new Float32Array(queryVector);
+      const matches = compileFilter(filters);
       const results = [];
       
       // Search through all vectors
       for (const [id, meta] of this.metadata) {
         // Apply filters
-        if (!this.matchesFilters(meta, filters)) {
+        if (!matches(meta)) {
           continue;
         }
         
@@ -301,9 +343,10 @@ class MemoryEfficientVectorStore {
    */
   getAllIds(filters = {}) {
     const ids = [];
+    const matches = compileFilter(filters);
     
     for (const [id, meta] of this.metadata) {
-      if (this.matchesFilters(meta, filters)) {
+      if (matches(meta)) {
         ids.push(id);
       }
     }
@@ -331,6 +374,13 @@ class MemoryEfficientVectorStore {
       maxVectors: this.maxVectors,
       dimensions: this.dimensions,
       freeSlots: this.freeSlots.length,
+      quantization: this.quantizer
+        ? {
+          ...this.quantizer.getStats(),
+          trainingSize: this.quantizationTrainingSize,
+          pendingTraining: this.trainingVectors.size
+        }
+        : { type: 'none' },
       
       // Performance statistics
       operations: { ...this.stats },
@@ -345,6 +395,97 @@ class MemoryEfficientVectorStore {
     return stats;
   }
 
+  /**
+   * Train the quantizer on the full-precision vectors collected so far and
+   * compress them into their slots. Runs automatically once `trainingSize`
+   * vectors have been added; can be called earlier to compress a smaller store.
+   */
+  trainQuantizer() {
+    if (!this.quantizer || this.quantizer.trained || this.trainingVectors.size === 0) {
+      return false;
+    }
+    
+    const startTime = Date.now();
+    
+    this.quantizer.train(Array.from(this.trainingVectors.values()));
+    
+    for (const [id, vector] of this.trainingVectors) {
+      const slotStart = this.metadata.get(id).slotIndex * this.slotLength;
+      this.vectors.set(this.quantizer.encode(vector), slotStart);
+    }
+    
+    const trained = this.trainingVectors.size;
+    this.trainingVectors.clear();
+    
+    // Cached magnitudes belong to the full-precision vectors
+    this.similarity.clearCache();
+    
+    this.onQuantizerTrained();
+    
+    const duration = Date.now() - startTime;
+    logger.info('Vector quantizer trained', {
+      type: this.quantizer.type,
+      samples: trained,
+      codeSize: this.quantizer.codeSize,
+      duration
+    });
+    logVectorOperation('train_quantizer', trained, this.dimensions, duration, { type: this.quantizer.type });
+    
+    return true;
+  }
+
+  /**
+   * Hook for subclasses that keep their own copy of the vectors
+   */
+  onQuantizerTrained() {}
+
+  /**
+   * Attach a write-ahead log; every subsequent mutation is journaled
+   */
+  setWriteAheadLog(wal) {
+    this.wal = wal;
+  }
+
+  /**
+   * Replay journaled mutations on top of the current state
+   * Adds and updates are applied as upserts so replaying an entry twice is harmless
+   */
+  replayWriteAheadLog(entries) {
+    const startTime = Date.now();
+    const wal = this.wal;
+    const result = { applied: 0, failed: 0 };
+    
+    // Don't journal the replay itself
+    this.wal = null;
+    
+    try {
+      for (const entry of entries) {
+        try {
+          if (entry.op === 'delete') {
+            this.deleteVector(entry.id);
+          } else if (this.metadata.has(entry.id)) {
+            this.updateVector(entry.id, entry.vector, entry.metadata || {});
+          } else {
+            this.addVector(entry.vector, entry.id, entry.metadata || {});
+          }
+          result.applied++;
+        } catch (error) {
+          logError(error, { operation: 'replayWriteAheadLog', seq: entry.seq, id: entry.id });
+          result.failed++;
+        }
+      }
+    } finally {
+      this.wal = wal;
+    }
+    
+    logVectorOperation('wal_replay', result.applied, this.dimensions, Date.now() - startTime, {
+      entries: entries.length,
+      failed: result.failed
+    });
+    
+    return result;
+  }
+
   /**
    * Cleanup and maintenance operations
    */
@@ -367,6 +508,12 @@ class MemoryEfficientVectorStore {
 
   // Private helper methods
 
+  journal(op, id, vector = null, metadata = null) {
+    if (this.wal) {
+      this.wal.append(op, id, vector, metadata);
+    }
+  }
+
   validateVector(vector, id) {
     if (!vector || !Array.isArray(vector) && !(vector instanceof Float32Array)) {
       throw new Error(`Invalid vector format for ${id}`);
@@ -384,6 +531,44 @@ class MemoryEfficientVectorStore {
     }
   }
 
+  writeSlot(id, slotIndex, vector) {
+    const vectorArray = vector instanceof Float32Array ? vector : new Float32Array(vector);
+    const slotStart = slotIndex * this.slotLength;
+    
+    if (!this.quantizer) {
+      this.vectors.set(vectorArray, slotStart);
+    } else if (this.quantizer.trained) {
+      this.vectors.set(this.quantizer.encode(vectorArray), slotStart);
+    } else {
+      // Keep full precision until there are enough samples to train on
+      this.trainingVectors.set(id, Float32Array.from(vectorArray));
+      if (this.trainingVectors.size >= this.quantizationTrainingSize) {
+        this.trainQuantizer();
+      }
+    }
+  }
+
+  readSlot(id, slotIndex) {
+    const slotStart = slotIndex * this.slotLength;
+    
+    if (!this.quantizer) {
+      return this.vectors.slice(slotStart, slotStart + this.slotLength);
+    }
+    
+    const pending = this.trainingVectors.get(id);
+    if (pending) {
+      return pending.slice();
+    }
+    
+    return this.quantizer.decode(this.vectors.subarray(slotStart, slotStart + this.slotLength));
+  }
+
+  clearSlot(id, slotIndex) {
+    const slotStart = slotIndex * this.slotLength;
+    this.vectors.fill(0, slotStart, slotStart + this.slotLength);
+    this.trainingVectors.delete(id);
+  }
+
   allocateSlot() {
     let slotIndex;
     
@@ -398,24 +583,11 @@ class MemoryEfficientVectorStore {
     return slotIndex;
   }
 
+  /**
+   * Check metadata against a filter (see utils/metadataFilter for the syntax)
+   */
   matchesFilters(metadata, filters) {
-    for (const [key, value] of Object.entries(filters)) {
-      if (key === 'timestamp') {
-        // Handle timestamp range queries
-        if (typeof value === 'object' && value !== null) {
-          if (value.$gte && metadata.timestamp < value.$gte) return false;
-          if (value.$lte && metadata.timestamp > value.$lte) return false;
-          if (value.$lt && metadata.timestamp >= value.$lt) return false;
-          if (value.$gt && metadata.timestamp <= value.$gt) return false;
-        } else {
-          if (metadata.timestamp !== value) return false;
-        }
-      } else {
-        // Direct equality check
-        if (metadata[key] !== value) return false;
-      }
-    }
-    return true;
+    return matchesFilter(metadata, filters);
   }
 }
 
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { ORGANIZATION_ROLES } = require('../utils/organizationRoles');
+
+/**
+ * Organization Service
+ * Teams that share personas, and their owner / editor / viewer memberships
+ *
+ * Every organization keeps at least one owner: the last owner can neither be
+ * demoted nor removed, and organizations that still own active personas cannot
+ * be deleted.
+ */
+class OrganizationService {
+  constructor(database) {
+    this.database = database;
+    this.db = database.db; // Access the underlying SQLite connection
+  }
+
+  /**
+   * Create an organization with the creating user as its owner
+   */
+  async createOrganization(userId, { name }) {
+    try {
+      const organizationId = crypto.randomUUID();
+      const now = Date.now();
+
+      this.db.transaction(() => {
+        this.db.prepare(`
+          INSERT INTO organizations (id, name, created_by, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(organizationId, name, userId, now, now);
+
+        this.db.prepare(`
+          INSERT INTO organization_members (organization_id, user_id, role, created_at, updated_at)
+          VALUES (?, ?, 'owner', ?, ?)
+        `).run(organizationId, userId, now, now);
+      })();
+
+      logger.info('Organization created', { organizationId, userId, name });
+
+      return this.getOrganization(organizationId, userId);
+
+    } catch (error) {
+      logger.error('Failed to create organization', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List the organizations a user belongs to, with their role in each
+   */
+  async listOrganizations(userId) {
+    const rows = this.db.prepare(`
+      SELECT o.id, o.name, o.created_by, o.created_at, o.updated_at, m.role,
+             (SELECT COUNT(*) FROM organization_members c WHERE c.organization_id = o.id) as member_count
+      FROM organizations o
+      JOIN organization_members m ON m.organization_id = o.id
+      WHERE m.user_id = ?
+      ORDER BY o.created_at DESC
+    `).all(userId);
+
+    return rows.map(row => this.formatOrganization(row));
+  }
+
+  /**
+   * Get an organization as seen by a member, or null when it does not exist
+   * or the user is not a member
+   */
+  async getOrganization(organizationId, userId) {
+    const row = this.db.prepare(`
+      SELECT o.id, o.name, o.created_by, o.created_at, o.updated_at, m.role,
+             (SELECT COUNT(*) FROM organization_members c WHERE c.organization_id = o.id) as member_count
+      FROM organizations o
+      JOIN organization_members m ON m.organization_id = o.id
+      WHERE o.id = ? AND m.user_id = ?
+    `).get(organizationId, userId);
+
+    return row ? this.formatOrganization(row) : null;
+  }
+
+  /**
+   * Rename an organization
+   */
+  async updateOrganization(organizationId, { name }) {
+    this.db.prepare(`
+      UPDATE organizations SET name = ?, updated_at = ? WHERE id = ?
+    `).run(name, Date.now(), organizationId);
+
+    logger.info('Organization updated', { organizationId });
+  }
+
+  /**
+   * Delete an organization and its memberships
+   */
+  async deleteOrganization(organizationId) {
+    const { count } = this.db.prepare(`
+      SELECT COUNT(*) as count FROM personas WHERE organization_id = ? AND is_active = 1
+    `).get(organizationId);
+
+    if (count > 0) {
+      throw new Error(`Organization still owns ${count} active persona(s)`);
+    }
+
+    this.db.prepare('DELETE FROM organizations WHERE id = ?').run(organizationId);
+
+    logger.info('Organization deleted', { organizationId });
+  }
+
+  /**
+   * List an organization's members
+   */
+  async listMembers(organizationId) {
+    const rows = this.db.prepare(`
+      SELECT m.user_id, u.email, m.role, m.created_at, m.updated_at
+      FROM organization_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.organization_id = ?
+      ORDER BY m.created_at ASC
+    `).all(organizationId);
+
+    return rows.map(row => ({
+      userId: row.user_id,
+      email: row.email,
+      role: row.role,
+      joinedAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Add an active user, found by email, to an organization
+   */
+  async addMember(organizationId, email, role) {
+    this.validateRole(role);
+
+    const user = this.db.prepare(`
+      SELECT id FROM users WHERE email = ? AND is_active = 1
+    `).get(email.toLowerCase());
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (await this.database.getOrganizationRole(organizationId, user.id)) {
+      throw new Error('User is already a member of the organization');
+    }
+
+    const now = Date.now();
+    this.db.prepare(`
+      INSERT INTO organization_members (organization_id, user_id, role, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(organizationId, user.id, role, now, now);
+
+    logger.info('Organization member added', { organizationId, userId: user.id, role });
+
+    return { userId: user.id, email: email.toLowerCase(), role, joinedAt: now, updatedAt: now };
+  }
+
+  /**
+   * Change a member's role
+   */
+  async updateMemberRole(organizationId, userId, role) {
+    this.validateRole(role);
+
+    this.db.transaction(() => {
+      this.assertMember(organizationId, userId);
+
+      if (role !== 'owner') {
+        this.assertNotLastOwner(organizationId, userId);
+      }
+
+      this.db.prepare(`
+        UPDATE organization_members SET role = ?, updated_at = ?
+        WHERE organization_id = ? AND user_id = ?
+      `).run(role, Date.now(), organizationId, userId);
+    })();
+
+    logger.info('Organization member role changed', { organizationId, userId, role });
+  }
+
+  /**
+   * Remove a member from an organization
+   */
+  async removeMember(organizationId, userId) {
+    this.db.transaction(() => {
+      this.assertMember(organizationId, userId);
+      this.assertNotLastOwner(organizationId, userId);
+
+      this.db.prepare(`
+        DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?
+      `).run(organizationId, userId);
+    })();
+
+    logger.info('Organization member removed', { organizationId, userId });
+  }
+
+  validateRole(role) {
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      throw new Error(`Invalid role: must be one of ${ORGANIZATION_ROLES.join(', ')}`);
+    }
+  }
+
+  assertMember(organizationId, userId) {
+    const member = this.db.prepare(`
+      SELECT 1 FROM organization_members WHERE organization_id = ? AND user_id = ?
+    `).get(organizationId, userId);
+
+    if (!member) {
+      throw new Error('Member not found');
+    }
+  }
+
+  /**
+   * Refuse to demote or remove the only remaining owner
+   */
+  assertNotLastOwner(organizationId, userId) {
+    const owners = this.db.prepare(`
+      SELECT user_id FROM organization_members WHERE organization_id = ? AND role = 'owner'
+    `).all(organizationId);
+
+    if (owners.length === 1 && owners[0].user_id === userId) {
+      throw new Error('Organization must keep at least one owner');
+    }
+  }
+
+  formatOrganization(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      role: row.role,
+      memberCount: row.member_count
+    };
+  }
+}
+
+module.exports = OrganizationService;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * Signing Key Service
+ * Manages the asymmetric (RS256 / ES256) key pairs that sign JWTs.
+ *
+ * Exactly one key signs new tokens; it is identified by the `kid` header. When
+ * it reaches its rotation date a fresh key takes over and the old one keeps
+ * verifying tokens for `retentionMs` (the longest token lifetime) before it is
+ * retired and deleted. Public keys are published as a JWKS so other services
+ * can verify our tokens.
+ */
+class SigningKeyService {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.algorithm = options.algorithm;
+    this.rotationMs = options.rotationDays * 24 * 60 * 60 * 1000;
+    this.retentionMs = options.retentionMs;
+    this.currentKey = null;
+    this.verificationKeys = new Map();
+
+    if (!ASYMMETRIC_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Signing keys require one of: ${ASYMMETRIC_ALGORITHMS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Key used to sign new tokens, rotating it first when it is due
+   */
+  getCurrentKey() {
+    if (!this.currentKey || this.currentKey.rotateAt <= Date.now()) {
+      // Another process may already have rotated; only rotate if still due
+      this.loadKeys();
+
+      if (!this.currentKey || this.currentKey.rotateAt <= Date.now()) {
+        this.rotate();
+      }
+    }
+
+    return this.currentKey;
+  }
+
+  /**
+   * Key for verifying a token with the given kid, or null when unknown or retired
+   */
+  getVerificationKey(kid) {
+    let key = this.verificationKeys.get(kid);
+
+    if (!key) {
+      // The key may have been created by another process since the last load
+      this.loadKeys();
+      key = this.verificationKeys.get(kid);
+    }
+
+    if (!key || (key.retiresAt && key.retiresAt <= Date.now())) {
+      return null;
+    }
+
+    return key;
+  }
+
+  /**
+   * Generate a new signing key and schedule the retirement of the previous ones
+   */
+  rotate() {
+    const { privateKey, publicKey } = this.algorithm === 'ES256'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const kid = crypto.randomBytes(12).toString('base64url');
+    const now = Date.now();
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE jwt_signing_keys
+        SET retires_at = ?
+        WHERE retires_at IS NULL
+      `).run(now + this.retentionMs);
+
+      this.db.prepare(`
+        INSERT INTO jwt_signing_keys (kid, algorithm, private_key, public_key, created_at, rotate_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        kid,
+        this.algorithm,
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        publicKey.export({ type: 'spki', format: 'pem' }),
+        now,
+        now + this.rotationMs
+      );
+    })();
+
+    this.cleanupRetiredKeys();
+    this.loadKeys();
+
+    logger.info('JWT signing key rotated', {
+      kid,
+      algorithm: this.algorithm,
+      rotateAt: new Date(now + this.rotationMs).toISOString()
+    });
+
+    return this.currentKey;
+  }
+
+  /**
+   * Delete keys whose retention period is over
+   */
+  cleanupRetiredKeys() {
+    const result = this.db.prepare(`
+      DELETE FROM jwt_signing_keys
+      WHERE retires_at IS NOT NULL AND retires_at <= ?
+    `).run(Date.now());
+
+    if (result.changes > 0) {
+      logger.info('Retired JWT signing keys deleted', { deletedCount: result.changes });
+    }
+
+    return result.changes;
+  }
+
+  /**
+   * Reload keys from the database into the in-memory caches
+   */
+  loadKeys() {
+    const rows = this.db.prepare(`
+      SELECT kid, algorithm, private_key, public_key, created_at, rotate_at, retires_at
+      FROM jwt_signing_keys
+      WHERE retires_at IS NULL OR retires_at > ?
+      ORDER BY created_at DESC
+    `).all(Date.now());
+
+    this.verificationKeys = new Map(rows.map(row => [row.kid, {
+      kid: row.kid,
+      algorithm: row.algorithm,
+      publicKey: crypto.createPublicKey(row.public_key),
+      createdAt: row.created_at,
+      rotateAt: row.rotate_at,
+      retiresAt: row.retires_at
+    }]));
+
+    // A key of another algorithm (after JWT_ALGORITHM changed) never signs
+    const current = rows.find(row => row.retires_at === null && row.algorithm === this.algorithm);
+
+    this.currentKey = current ? {
+      kid: current.kid,
+      algorithm: current.algorithm,
+      privateKey: crypto.createPrivateKey(current.private_key),
+      rotateAt: current.rotate_at
+    } : null;
+  }
+
+  /**
+   * Key metadata for administration (never includes private keys)
+   */
+  listKeys() {
+    this.loadKeys();
+
+    return Array.from(this.verificationKeys.values()).map(key => ({
+      kid: key.kid,
+      algorithm: key.algorithm,
+      current: key.kid === this.currentKey?.kid,
+      createdAt: key.createdAt,
+      rotateAt: key.rotateAt,
+      retiresAt: key.retiresAt
+    }));
+  }
+
+  /**
+   * Public keys of every non-retired key as a JSON Web Key Set
+   */
+  getJwks() {
+    this.getCurrentKey();
+    const now = Date.now();
+
+    return {
+      keys: Array.from(this.verificationKeys.values())
+        .filter(key => !key.retiresAt || key.retiresAt > now)
+        .map(key => ({
+          ...key.publicKey.export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig'
+        }))
+    };
+  }
+}
+
+module.exports = SigningKeyService;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment and verification plus single-use recovery codes
+ *
+ * Enrollment stores a pending secret that only becomes active once the user
+ * proves their authenticator app produces matching codes. Each accepted TOTP
+ * time step is remembered so a code cannot be replayed.
+ */
+class TwoFactorService {
+  constructor(database) {
+    this.database = database;
+    this.db = database.db; // Access the underlying SQLite connection
+    this.issuer = config.auth.twoFactorIssuer;
+    this.recoveryCodeCount = config.auth.twoFactorRecoveryCodes;
+  }
+
+  /**
+   * Get a user's two-factor status
+   */
+  async getStatus(userId) {
+    const row = this.db.prepare(`
+      SELECT enabled, created_at, enabled_at
+      FROM user_two_factor
+      WHERE user_id = ?
+    `).get(userId);
+
+    const { remaining } = this.db.prepare(`
+      SELECT COUNT(*) as remaining
+      FROM two_factor_recovery_codes
+      WHERE user_id = ? AND used_at IS NULL
+    `).get(userId);
+
+    return {
+      enabled: row?.enabled === 1,
+      pending: !!row && row.enabled !== 1,
+      enabledAt: row?.enabled_at || null,
+      recoveryCodesRemaining: remaining
+    };
+  }
+
+  /**
+   * Check whether a user has two-factor authentication enabled
+   */
+  async isEnabled(userId) {
+    const row = this.db.prepare(`
+      SELECT enabled FROM user_two_factor WHERE user_id = ?
+    `).get(userId);
+
+    return row?.enabled === 1;
+  }
+
+  /**
+   * Start enrollment: store a pending secret and return it with its otpauth URI
+   */
+  async beginEnrollment(user) {
+    try {
+      if (await this.isEnabled(user.id)) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO user_two_factor (user_id, secret, enabled, last_used_step, created_at, enabled_at)
+        VALUES (?, ?, 0, NULL, ?, NULL)
+      `).run(user.id, secret, Date.now());
+
+      logger.info('Two-factor enrollment started', { userId: user.id });
+
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: this.issuer
+        })
+      };
+
+    } catch (error) {
+      logger.error('Failed to start two-factor enrollment', {
+        error: error.message,
+        userId: user.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app.
+   * Returns the plaintext recovery codes, which are only shown this once.
+   */
+  async confirmEnrollment(userId, code) {
+    try {
+      const row = this.db.prepare(`
+        SELECT secret, enabled FROM user_two_factor WHERE user_id = ?
+      `).get(userId);
+
+      if (!row) {
+        throw new Error('Two-factor enrollment has not been started');
+      }
+
+      if (row.enabled === 1) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const step = totp.verifyCode(row.secret, code);
+      if (step === null) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      this.db.prepare(`
+        UPDATE user_two_factor
+        SET enabled = 1, enabled_at = ?, last_used_step = ?
+        WHERE user_id = ?
+      `).run(Date.now(), step, userId);
+
+      const recoveryCodes = await this.regenerateRecoveryCodes(userId);
+
+      logger.info('Two-factor authentication enabled', { userId });
+      return recoveryCodes;
+
+    } catch (error) {
+      logger.error('Failed to confirm two-factor enrollment', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a TOTP code or an unused recovery code for an enabled user.
+   * Returns 'totp' or 'recovery_code' on success and null otherwise.
+   */
+  async verify(userId, code) {
+    const row = this.db.prepare(`
+      SELECT secret, last_used_step FROM user_two_factor WHERE user_id = ? AND enabled = 1
+    `).get(userId);
+
+    if (!row || !code) {
+      return null;
+    }
+
+    const step = totp.verifyCode(row.secret, code);
+    if (step !== null) {
+      // Guarded update so two requests cannot both spend the same time step
+      const result = this.db.prepare(`
+        UPDATE user_two_factor
+        SET last_used_step = ?
+        WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)
+      `).run(step, userId, step);
+
+      if (result.changes === 0) {
+        logger.warn('Replayed two-factor code rejected', { userId });
+        return null;
+      }
+
+      return 'totp';
+    }
+
+    const result = this.db.prepare(`
+      UPDATE two_factor_recovery_codes
+      SET used_at = ?
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(Date.now(), userId, this.hashRecoveryCode(code));
+
+    if (result.changes > 0) {
+      logger.info('Two-factor recovery code used', { userId });
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace a user's recovery codes, returning the new plaintext codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => this.generateRecoveryCode());
+    const now = Date.now();
+
+    const insert = this.db.prepare(`
+      INSERT INTO two_factor_recovery_codes (id, user_id, code_hash, created_at)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM two_factor_recovery_codes WHERE user_id = ?').run(userId);
+      for (const code of codes) {
+        insert.run(crypto.randomUUID(), userId, this.hashRecoveryCode(code), now);
+      }
+    })();
+
+    logger.info('Two-factor recovery codes generated', {
+      userId,
+      count: codes.length
+    });
+
+    return codes;
+  }
+
+  /**
+   * Remove a user's two-factor configuration and recovery codes
+   */
+  async disable(userId) {
+    const removed = this.db.transaction(() => {
+      const result = this.db.prepare('DELETE FROM user_two_factor WHERE user_id = ?').run(userId);
+      this.db.prepare('DELETE FROM two_factor_recovery_codes WHERE user_id = ?').run(userId);
+      return result.changes > 0;
+    })();
+
+    if (removed) {
+      logger.info('Two-factor authentication disabled', { userId });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Generate a recovery code such as "k3m9p-x7tq2"
+   */
+  generateRecoveryCode() {
+    const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  }
+
+  /**
+   * Hash a recovery code, ignoring case, spaces and dashes
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,271 @@
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const QUOTA_NAMES = ['dailyRequests', 'monthlyRequests', 'monthlyEmbeddingTokens', 'maxMemories'];
+
+// UTC day that usage is counted under (YYYY-MM-DD)
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+const nextDayStart = (time) => {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+const nextMonthStart = (time) => {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+};
+
+/**
+ * Usage Service
+ * Day-bucketed usage counters and quotas for users and API keys.
+ *
+ * Every metered request counts against its user and, when it authenticated
+ * with one, its API key. Counters are kept per UTC day: requests, embedding
+ * tokens with their estimated provider cost, and persona memories stored.
+ * Quotas come from the configured defaults, overridden per user (by admins)
+ * or per API key; a limit of 0 means unlimited.
+ */
+class UsageService {
+  constructor(database) {
+    this.database = database;
+    this.db = database.db; // Access the underlying SQLite connection
+  }
+
+  /**
+   * Scopes a request is metered under: its user and, if any, its API key
+   */
+  getScopes(req) {
+    const scopes = [{ type: 'user', id: req.user.id }];
+
+    if (req.apiKey) {
+      scopes.push({ type: 'api_key', id: req.apiKey.id });
+    }
+
+    return scopes;
+  }
+
+  /**
+   * Effective quotas of a scope: its overrides on top of the configured defaults
+   */
+  getQuotas(scope) {
+    const row = scope.type === 'user'
+      ? this.db.prepare('SELECT quotas FROM users WHERE id = ?').get(scope.id)
+      : this.db.prepare('SELECT quotas FROM api_keys WHERE id = ?').get(scope.id);
+
+    const overrides = row?.quotas ? JSON.parse(row.quotas) : {};
+    const defaults = scope.type === 'user' ? config.quotas.user : config.quotas.apiKey;
+
+    return Object.fromEntries(QUOTA_NAMES.map(name => [
+      name,
+      overrides[name] !== undefined && overrides[name] !== null ? overrides[name] : defaults[name]
+    ]));
+  }
+
+  /**
+   * Replace a user's quota overrides; null or an empty object restores the defaults
+   */
+  async setUserQuotas(userId, quotas) {
+    this.db.prepare(`
+      UPDATE users SET quotas = ?, updated_at = ? WHERE id = ?
+    `).run(UsageService.serializeQuotas(quotas), Date.now(), userId);
+
+    logger.info('User quotas updated', { userId, quotas });
+
+    return this.getQuotas({ type: 'user', id: userId });
+  }
+
+  /**
+   * Summed counters of a scope between two days, inclusive
+   */
+  sumUsage(scope, fromDay, toDay) {
+    const row = this.db.prepare(`
+      SELECT COALESCE(SUM(requests), 0) as requests,
+             COALESCE(SUM(embedding_tokens), 0) as embedding_tokens,
+             COALESCE(SUM(estimated_cost), 0) as estimated_cost,
+             COALESCE(SUM(memories_stored), 0) as memories_stored
+      FROM usage_daily
+      WHERE scope_type = ? AND scope_id = ? AND day BETWEEN ? AND ?
+    `).get(scope.type, scope.id, fromDay, toDay);
+
+    return {
+      requests: row.requests,
+      embeddingTokens: row.embedding_tokens,
+      estimatedCost: row.estimated_cost,
+      memoriesStored: row.memories_stored
+    };
+  }
+
+  /**
+   * Usage of a scope today and in the current month
+   */
+  getPeriodUsage(scope, now = Date.now()) {
+    const today = dayOf(now);
+
+    return {
+      today: this.sumUsage(scope, today, today),
+      month: this.sumUsage(scope, `${today.slice(0, 8)}01`, today)
+    };
+  }
+
+  /**
+   * Persona memories currently stored by a user (in personas they created) or an API key
+   */
+  countStoredMemories(scope) {
+    const column = scope.type === 'user' ? 'user_id' : 'api_key_id';
+
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM vector_metadata
+      WHERE ${column} = ? AND content_type = 'persona_memory'
+    `).get(scope.id).count;
+  }
+
+  /**
+   * Check the request quotas of every scope before a request is served.
+   * Returns the first exceeded quota (or null) and the embedding tokens the
+   * request may still spend (null when unlimited).
+   */
+  checkQuotas(scopes, now = Date.now()) {
+    let embeddingTokensRemaining = null;
+
+    for (const scope of scopes) {
+      const quotas = this.getQuotas(scope);
+      const usage = this.getPeriodUsage(scope, now);
+
+      if (quotas.dailyRequests && usage.today.requests >= quotas.dailyRequests) {
+        return {
+          exceeded: { scope, quota: 'dailyRequests', limit: quotas.dailyRequests, resetsAt: nextDayStart(now) },
+          embeddingTokensRemaining
+        };
+      }
+
+      if (quotas.monthlyRequests && usage.month.requests >= quotas.monthlyRequests) {
+        return {
+          exceeded: { scope, quota: 'monthlyRequests', limit: quotas.monthlyRequests, resetsAt: nextMonthStart(now) },
+          embeddingTokensRemaining
+        };
+      }
+
+      if (quotas.monthlyEmbeddingTokens) {
+        const remaining = Math.max(0, quotas.monthlyEmbeddingTokens - usage.month.embeddingTokens);
+        embeddingTokensRemaining = embeddingTokensRemaining === null ? remaining : Math.min(embeddingTokensRemaining, remaining);
+      }
+    }
+
+    return { exceeded: null, embeddingTokensRemaining };
+  }
+
+  /**
+   * Refuse to store `count` more memories past a stored-memory quota
+   */
+  assertMemoryQuota(scopes, count = 1) {
+    for (const scope of scopes) {
+      const { maxMemories } = this.getQuotas(scope);
+      if (!maxMemories) {
+        continue;
+      }
+
+      const stored = this.countStoredMemories(scope);
+      if (stored + count > maxMemories) {
+        const owner = scope.type === 'user' ? 'User' : 'API key';
+        throw new AppError(
+          `${owner} memory quota exceeded: ${stored} of ${maxMemories} memories stored`,
+          402,
+          'MEMORY_QUOTA_EXCEEDED'
+        );
+      }
+    }
+  }
+
+  /**
+   * Add to today's counters of every scope
+   */
+  recordUsage(scopes, { requests = 0, embeddingTokens = 0, estimatedCost = 0, memoriesStored = 0 }, now = Date.now()) {
+    const stmt = this.db.prepare(`
+      INSERT INTO usage_daily (scope_type, scope_id, day, requests, embedding_tokens, estimated_cost, memories_stored, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (scope_type, scope_id, day) DO UPDATE SET
+        requests = requests + excluded.requests,
+        embedding_tokens = embedding_tokens + excluded.embedding_tokens,
+        estimated_cost = estimated_cost + excluded.estimated_cost,
+        memories_stored = memories_stored + excluded.memories_stored,
+        updated_at = excluded.updated_at
+    `);
+
+    const day = dayOf(now);
+
+    this.db.transaction(() => {
+      for (const scope of scopes) {
+        stmt.run(scope.type, scope.id, day, requests, embeddingTokens, estimatedCost, memoriesStored, now);
+      }
+    })();
+  }
+
+  /**
+   * Usage report for a user: quotas and current usage of the user and each of
+   * their active API keys, plus the user's daily history for the last `days` days
+   */
+  async getUsageReport(userId, { days = 30 } = {}) {
+    const now = Date.now();
+    const userScope = { type: 'user', id: userId };
+
+    const describe = (scope) => ({
+      quotas: this.getQuotas(scope),
+      ...this.getPeriodUsage(scope, now),
+      storedMemories: this.countStoredMemories(scope)
+    });
+
+    const apiKeys = this.db.prepare(`
+      SELECT id, name FROM api_keys WHERE user_id = ? AND is_active = 1 ORDER BY created_at DESC
+    `).all(userId);
+
+    const history = this.db.prepare(`
+      SELECT day, requests, embedding_tokens, estimated_cost, memories_stored
+      FROM usage_daily
+      WHERE scope_type = 'user' AND scope_id = ? AND day >= ?
+      ORDER BY day DESC
+    `).all(userId, dayOf(now - (days - 1) * 24 * 60 * 60 * 1000));
+
+    return {
+      period: {
+        day: dayOf(now),
+        month: dayOf(now).slice(0, 7),
+        dayResetsAt: nextDayStart(now),
+        monthResetsAt: nextMonthStart(now)
+      },
+      user: describe(userScope),
+      apiKeys: apiKeys.map(key => ({
+        id: key.id,
+        name: key.name,
+        ...describe({ type: 'api_key', id: key.id })
+      })),
+      history: history.map(row => ({
+        day: row.day,
+        requests: row.requests,
+        embeddingTokens: row.embedding_tokens,
+        estimatedCost: row.estimated_cost,
+        memoriesStored: row.memories_stored
+      }))
+    };
+  }
+
+  /**
+   * Quota overrides as stored in a quotas column (null when there are none)
+   */
+  static serializeQuotas(quotas) {
+    if (!quotas) {
+      return null;
+    }
+
+    const overrides = Object.fromEntries(
+      QUOTA_NAMES.filter(name => quotas[name] !== undefined && quotas[name] !== null).map(name => [name, quotas[name]])
+    );
+
+    return Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null;
+  }
+}
+
+UsageService.QUOTA_NAMES = QUOTA_NAMES;
+
+module.exports = UsageService;
@@ -97,22 +97,24 @@ class UserService {
         throw new Error('Invalid credentials');
       }
 
-      // Reset failed login attempts on successful login
-      await this.resetFailedLoginAttempts(user.id);
-
-      // Update last login timestamp
-      await this.updateLastLogin(user.id);
+      // With two-factor enabled the login only completes after the second step,
+      // so failed code attempts keep counting towards the lockout
+      if (!user.twoFactorEnabled) {
+        await this.completeLogin(user.id);
+      }
 
       logger.info('User authenticated successfully', {
         userId: user.id,
-        email: user.email
+        email: user.email,
+        twoFactorPending: user.twoFactorEnabled
       });
 
       return {
         id: user.id,
         email: user.email,
         role: user.role,
-        isActive: user.isActive
+        isActive: user.isActive,
+        twoFactorEnabled: user.twoFactorEnabled
       };
 
     } catch (error) {
@@ -131,7 +133,8 @@ class UserService {
     try {
       const stmt = this.db.prepare(`
         SELECT id, email, password_hash, role, created_at, updated_at, last_login, 
-               is_active, failed_login_attempts, locked_until
+               is_active, failed_login_attempts, locked_until,
+               EXISTS (SELECT 1 FROM user_two_factor WHERE user_id = users.id AND enabled = 1) AS two_factor_enabled
         FROM users 
         WHERE email = ?
       `);
@@ -149,7 +152,8 @@ class UserService {
         lastLogin: row.last_login,
         isActive: row.is_active === 1,
         failedLoginAttempts: row.failed_login_attempts,
-        lockedUntil: row.locked_until
+        lockedUntil: row.locked_until,
+        twoFactorEnabled: row.two_factor_enabled === 1
       };
 
     } catch (error) {
@@ -167,7 +171,9 @@ class UserService {
   async getUserById(userId) {
     try {
       const stmt = this.db.prepare(`
-        SELECT id, email, role, created_at, updated_at, last_login, is_active
+        SELECT id, email, role, created_at, updated_at, last_login, is_active,
+               failed_login_attempts, locked_until,
+               EXISTS (SELECT 1 FROM user_two_factor WHERE user_id = users.id AND enabled = 1) AS two_factor_enabled
         FROM users 
         WHERE id = ?
       `);
@@ -182,7 +188,11 @@ class UserService {
         createdAt: row.created_at,
         updatedAt: row.updated_at,
         lastLogin: row.last_login,
-        isActive: row.is_active === 1
+        isActive: row.is_active === 1,
+        failedLoginAttempts: row.failed_login_attempts || 0,
+        lockedUntil: row.locked_until,
+        isLocked: !!row.locked_until && row.locked_until > Date.now(),
+        twoFactorEnabled: row.two_factor_enabled === 1
       };
 
     } catch (error) {
@@ -261,24 +271,109 @@ class UserService {
     }
   }
 
+  /**
+   * Reactivate a deactivated user account
+   */
+  async reactivateUser(userId) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE users 
+        SET is_active = 1, updated_at = ?
+        WHERE id = ?
+      `);
+
+      const result = stmt.run(Date.now(), userId);
+      
+      if (result.changes === 0) {
+        throw new Error('User not found');
+      }
+
+      logger.info('User reactivated', { userId });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to reactivate user', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock an account locked by failed login attempts
+   */
+  async unlockUser(userId) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE users 
+        SET failed_login_attempts = 0, locked_until = NULL, updated_at = ?
+        WHERE id = ?
+      `);
+
+      const result = stmt.run(Date.now(), userId);
+      
+      if (result.changes === 0) {
+        throw new Error('User not found');
+      }
+
+      logger.info('User account unlocked', { userId });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to unlock user', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+
   /**
    * List all users (admin only, with pagination)
+   * Optional filters: role, status ('active', 'inactive' or 'locked') and an email search
    */
-  async listUsers(page = 1, limit = 50) {
+  async listUsers(page = 1, limit = 50, filters = {}) {
     try {
       const offset = (page - 1) * limit;
+      const conditions = [];
+      const params = [];
 
-      const countStmt = this.db.prepare('SELECT COUNT(*) as total FROM users');
-      const { total } = countStmt.get();
+      if (filters.role) {
+        conditions.push('role = ?');
+        params.push(filters.role);
+      }
+
+      if (filters.status === 'active') {
+        conditions.push('is_active = 1');
+      } else if (filters.status === 'inactive') {
+        conditions.push('is_active = 0');
+      } else if (filters.status === 'locked') {
+        conditions.push('locked_until > ?');
+        params.push(Date.now());
+      }
+
+      if (filters.search) {
+        conditions.push('email LIKE ?');
+        params.push(`%${filters.search.toLowerCase()}%`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countStmt = this.db.prepare(`SELECT COUNT(*) as total FROM users ${whereClause}`);
+      const { total } = countStmt.get(...params);
 
       const stmt = this.db.prepare(`
-        SELECT id, email, role, created_at, last_login, is_active
+        SELECT id, email, role, created_at, last_login, is_active, failed_login_attempts, locked_until,
+               EXISTS (SELECT 1 FROM user_two_factor WHERE user_id = users.id AND enabled = 1) AS two_factor_enabled
         FROM users 
+        ${whereClause}
         ORDER BY created_at DESC
         LIMIT ? OFFSET ?
       `);
 
-      const rows = stmt.all(limit, offset);
+      const rows = stmt.all(...params, limit, offset);
+      const now = Date.now();
 
       const users = rows.map(row => ({
         id: row.id,
@@ -286,7 +381,11 @@ class UserService {
         role: row.role,
         createdAt: row.created_at,
         lastLogin: row.last_login,
-        isActive: row.is_active === 1
+        isActive: row.is_active === 1,
+        failedLoginAttempts: row.failed_login_attempts || 0,
+        lockedUntil: row.locked_until,
+        isLocked: !!row.locked_until && row.locked_until > now,
+        twoFactorEnabled: row.two_factor_enabled === 1
       }));
 
       return {
@@ -309,6 +408,22 @@ class UserService {
     }
   }
 
+  /**
+   * Record a completed login: clear failed attempts and update last login
+   */
+  async completeLogin(userId) {
+    await this.resetFailedLoginAttempts(userId);
+    await this.updateLastLogin(userId);
+  }
+
+  /**
+   * Check a user's password without touching login state
+   */
+  async verifyPassword(userId, password) {
+    const row = this.db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+    return !!row && await bcrypt.compare(password, row.password_hash);
+  }
+
   /**
    * Handle failed login attempt
    */
@@ -396,6 +511,17 @@ class UserService {
       throw new Error('Valid email is required');
     }
 
+    this.validatePassword(password);
+
+    if (role && !['admin', 'user', 'readonly'].includes(role)) {
+      throw new Error('Role must be one of: admin, user, readonly');
+    }
+  }
+
+  /**
+   * Validate password strength
+   */
+  validatePassword(password) {
     if (!password || password.length < 8) {
       throw new Error('Password must be at least 8 characters long');
     }
@@ -403,15 +529,10 @@ class UserService {
     if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
       throw new Error('Password must contain at least one lowercase letter, one uppercase letter, and one number');
     }
-
-    if (role && !['admin', 'user', 'readonly'].includes(role)) {
-      throw new Error('Role must be one of: admin, user, readonly');
-    }
   }
 
   /**
    * Change user password
-   */
   async changePassword(userId, currentPassword, newPassword) {
     try {
       const user = await this.getUserById(userId);
@@ -454,6 +575,40 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Set a new password after a verified reset; also clears any login lockout
+   */
+  async resetPassword(userId, newPassword) {
+    try {
+      const user = await this.getUserById(userId);
+      if (!user || !user.isActive) {
+        throw new Error('User not found or deactivated');
+      }
+
+      this.validatePassword(newPassword);
+
+      const newPasswordHash = await bcrypt.hash(newPassword, config.auth.bcryptRounds);
+
+      const stmt = this.db.prepare(`
+        UPDATE users 
+        SET password_hash = ?, failed_login_attempts = 0, locked_until = NULL, updated_at = ?
+        WHERE id = ?
+      `);
+
+      stmt.run(newPasswordHash, Date.now(), userId);
+
+      logger.info('Password reset successfully', { userId });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to reset password', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
 }
 
 module.exports = UserService;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+
+/**
+ * Durable File Replacement
+ * Snapshots and the compacted write-ahead log replace their file through a
+ * temporary file and a rename. A rename is atomic but not durable by itself:
+ * after a power loss the directory may still point at the old file, or at a
+ * new one whose contents never reached the disk. The temporary file is
+ * flushed before the rename and the directory entry after it.
+ */
+
+// Errors from platforms that cannot open or sync a directory (Windows)
+const UNSUPPORTED_DIRECTORY_SYNC = ['EISDIR', 'EPERM', 'EINVAL'];
+
+/**
+ * Flush a directory's entries (renames, creations) to disk
+ */
+function syncDirectory(dirPath) {
+  let fd = null;
+
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    if (!UNSUPPORTED_DIRECTORY_SYNC.includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Write a file and flush its contents to disk
+ */
+function writeFileSynced(filePath, data) {
+  const fd = fs.openSync(filePath, 'w');
+
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write a file and flush its contents to disk, without blocking
+ */
+async function writeFileSyncedAsync(filePath, data) {
+  const handle = await fs.promises.open(filePath, 'w');
+
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  syncDirectory,
+  writeFileSynced,
+  writeFileSyncedAsync
+};
@@ -4,7 +4,7 @@ const config = require('../config');
 
 // Ensure logs directory exists
 const fs = require('fs');
-const logsDir = path.join(__dirname, '../../logs');
+const logsDir = config.monitoring.logDir;
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
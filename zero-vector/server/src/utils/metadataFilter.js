@@ -0,0 +1,276 @@
+/**
+ * Metadata Filter Language
+ * Mongo-style filters evaluated against vector metadata during search.
+ *
+ * A filter is an object whose keys are field paths (dot notation reaches into
+ * nested objects) or logical operators; all keys must match:
+ *
+ *   { personaId: 'p1', importance: { $gte: 0.5 }, tags: { $contains: 'work' },
+ *     $or: [{ memoryType: 'fact' }, { speaker: { $exists: true } }] }
+ *
+ * Logical operators: $and, $or (arrays of filters), $not (a filter).
+ * Field operators: $eq, $ne, $in, $nin, $exists, $gt, $gte, $lt, $lte,
+ * $contains (array fields; an array operand requires every element) and
+ * $not (negates an operator object). A plain value is an equality match.
+ */
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$not'];
+const FIELD_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$exists', '$gt', '$gte', '$lt', '$lte', '$contains', '$not'];
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const MAX_DEPTH = 16;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function detail(path, message, value) {
+  return { path, message, context: { value } };
+}
+
+/**
+ * Validate a filter, returning ValidationError details (empty when valid)
+ */
+function validateFilter(filter, path = ['filters'], depth = 0) {
+  if ((filter === undefined || filter === null) && depth === 0) {
+    return [];
+  }
+
+  if (!isPlainObject(filter)) {
+    return [detail(path, 'Filter must be an object', filter)];
+  }
+
+  if (depth > MAX_DEPTH) {
+    return [detail(path, `Filter is nested more than ${MAX_DEPTH} levels deep`)];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(filter)) {
+    const keyPath = [...path, key];
+
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(detail(keyPath, `${key} must be a non-empty array of filters`, value));
+        continue;
+      }
+      value.forEach((clause, i) => {
+        errors.push(...validateFilter(clause, [...keyPath, String(i)], depth + 1));
+      });
+    } else if (key === '$not') {
+      errors.push(...validateFilter(value, keyPath, depth + 1));
+    } else if (key.startsWith('$')) {
+      errors.push(detail(keyPath, `Unknown logical operator '${key}' (expected one of: ${LOGICAL_OPERATORS.join(', ')})`));
+    } else if (key.length === 0 || key.split('.').some(segment => segment.length === 0)) {
+      errors.push(detail(keyPath, 'Field path must not be empty or contain empty segments'));
+    } else {
+      errors.push(...validateCondition(value, keyPath, depth + 1));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the condition applied to a single field
+ */
+function validateCondition(condition, path, depth) {
+  if (!isPlainObject(condition)) {
+    return [];
+  }
+
+  const keys = Object.keys(condition);
+  const operators = keys.filter(key => key.startsWith('$'));
+
+  if (operators.length === 0) {
+    return []; // Nested object equality
+  }
+
+  if (operators.length !== keys.length) {
+    return [detail(path, 'Operators cannot be mixed with plain fields', condition)];
+  }
+
+  if (depth > MAX_DEPTH) {
+    return [detail(path, `Filter is nested more than ${MAX_DEPTH} levels deep`)];
+  }
+
+  const errors = [];
+
+  for (const [operator, operand] of Object.entries(condition)) {
+    const operatorPath = [...path, operator];
+
+    if (!FIELD_OPERATORS.includes(operator)) {
+      errors.push(detail(operatorPath, `Unknown operator '${operator}' (expected one of: ${FIELD_OPERATORS.join(', ')})`));
+    } else if (operator === '$in' || operator === '$nin') {
+      if (!Array.isArray(operand)) {
+        errors.push(detail(operatorPath, `${operator} requires an array`, operand));
+      }
+    } else if (operator === '$exists') {
+      if (typeof operand !== 'boolean') {
+        errors.push(detail(operatorPath, '$exists requires a boolean', operand));
+      }
+    } else if (RANGE_OPERATORS.includes(operator)) {
+      if (!(typeof operand === 'number' && Number.isFinite(operand)) && typeof operand !== 'string') {
+        errors.push(detail(operatorPath, `${operator} requires a finite number or a string`, operand));
+      }
+    } else if (operator === '$contains') {
+      const values = Array.isArray(operand) ? operand : [operand];
+      if (values.length === 0 || !values.every(isScalar)) {
+        errors.push(detail(operatorPath, '$contains requires a scalar or a non-empty array of scalars', operand));
+      }
+    } else if (operator === '$not') {
+      if (!isOperatorObject(operand)) {
+        errors.push(detail(operatorPath, '$not on a field requires an operator object', operand));
+      } else {
+        errors.push(...validateCondition(operand, operatorPath, depth + 1));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a dot-notation path; returns undefined when any segment is missing
+ */
+function getFieldValue(metadata, field) {
+  if (!field.includes('.')) {
+    return metadata[field];
+  }
+
+  let value = metadata;
+  for (const segment of field.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Equality that also matches an element of an array field, like MongoDB
+ */
+function valueEquals(fieldValue, expected) {
+  if (deepEqual(fieldValue, expected)) {
+    return true;
+  }
+  return Array.isArray(fieldValue) && !Array.isArray(expected) && fieldValue.some(item => deepEqual(item, expected));
+}
+
+/**
+ * Range comparison between values of the same type (numbers or strings)
+ */
+function compare(operator, fieldValue, operand) {
+  if (typeof fieldValue !== typeof operand || (typeof fieldValue !== 'number' && typeof fieldValue !== 'string')) {
+    return false;
+  }
+
+  switch (operator) {
+    case '$gt': return fieldValue > operand;
+    case '$gte': return fieldValue >= operand;
+    case '$lt': return fieldValue < operand;
+    default: return fieldValue <= operand;
+  }
+}
+
+function compileCondition(field, condition) {
+  if (!isOperatorObject(condition)) {
+    return metadata => valueEquals(getFieldValue(metadata, field), condition);
+  }
+
+  const tests = Object.entries(condition).map(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return value => valueEquals(value, operand);
+      case '$ne':
+        return value => !valueEquals(value, operand);
+      case '$in':
+        return value => operand.some(candidate => valueEquals(value, candidate));
+      case '$nin':
+        return value => !operand.some(candidate => valueEquals(value, candidate));
+      case '$exists':
+        return value => (value !== undefined) === operand;
+      case '$contains': {
+        const required = Array.isArray(operand) ? operand : [operand];
+        return value => Array.isArray(value) && required.every(item => value.includes(item));
+      }
+      case '$not': {
+        const negated = compileCondition(field, operand);
+        return (value, metadata) => !negated(metadata);
+      }
+      default:
+        return value => compare(operator, value, operand);
+    }
+  });
+
+  return metadata => {
+    const value = getFieldValue(metadata, field);
+    return tests.every(test => test(value, metadata));
+  };
+}
+
+/**
+ * Compile a validated filter into a predicate over metadata objects
+ */
+function compileFilter(filter) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return () => true;
+  }
+
+  const clauses = Object.entries(filter).map(([key, value]) => {
+    if (key === '$and') {
+      const predicates = value.map(compileFilter);
+      return metadata => predicates.every(predicate => predicate(metadata));
+    }
+    if (key === '$or') {
+      const predicates = value.map(compileFilter);
+      return metadata => predicates.some(predicate => predicate(metadata));
+    }
+    if (key === '$not') {
+      const predicate = compileFilter(value);
+      return metadata => !predicate(metadata);
+    }
+    return compileCondition(key, value);
+  });
+
+  return metadata => clauses.every(clause => clause(metadata || {}));
+}
+
+/**
+ * Evaluate a filter against a single metadata object
+ */
+function matchesFilter(metadata, filter) {
+  return compileFilter(filter)(metadata);
+}
+
+module.exports = {
+  FIELD_OPERATORS,
+  LOGICAL_OPERATORS,
+  validateFilter,
+  compileFilter,
+  matchesFilter
+};
@@ -0,0 +1,29 @@
+/**
+ * Organization Roles
+ * Members of an organization are owners, editors or viewers, in decreasing order
+ * of privilege. Owners manage the organization and its members and may delete
+ * its personas, editors curate personas and their memories, viewers read them.
+ */
+
+const ORGANIZATION_ROLES = ['owner', 'editor', 'viewer'];
+
+// Least privileged role allowed each kind of access to an organization's personas
+const PERSONA_ACCESS_ROLES = {
+  read: 'viewer',
+  write: 'editor',
+  manage: 'owner'
+};
+
+/**
+ * Check whether a member's role is at least the required role
+ */
+function hasOrganizationRole(role, requiredRole) {
+  const rank = ORGANIZATION_ROLES.indexOf(role);
+  return rank !== -1 && rank <= ORGANIZATION_ROLES.indexOf(requiredRole);
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  PERSONA_ACCESS_ROLES,
+  hasOrganizationRole
+};
@@ -0,0 +1,34 @@
+const { PERSONA_ACCESS_ROLES, hasOrganizationRole } = require('./organizationRoles');
+
+/**
+ * Persona Access
+ * Access check for routes that tag their data with a persona id without going
+ * through the persona memory manager. Follows the manager's rules: personal
+ * personas admit only their creator, organization personas admit members whose
+ * role covers the access.
+ */
+
+/**
+ * Check whether a user may access a persona; unknown personas are refused too
+ */
+async function canAccessPersona(database, personaId, userId, access = 'read') {
+  if (typeof personaId !== 'string') {
+    return false;
+  }
+
+  const persona = await database.getPersonaById(personaId);
+  if (!persona) {
+    return false;
+  }
+
+  if (!persona.organization_id) {
+    return persona.user_id === userId;
+  }
+
+  const role = await database.getOrganizationRole(persona.organization_id, userId);
+  return hasOrganizationRole(role, PERSONA_ACCESS_ROLES[access]);
+}
+
+module.exports = {
+  canAccessPersona
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { AppError, ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * PII Redaction
+ * Finds personal data and secrets in memory content before it is embedded and
+ * stored, and masks, hashes or rejects it according to the persona's policy.
+ *
+ * Detectors are regular expressions, narrowed by a checksum where the format
+ * has one (Luhn for card numbers, mod 97 for IBANs). They run in the order
+ * below on the original text and earlier detectors win overlapping matches,
+ * so an API token containing digits is not also counted as a phone number.
+ */
+
+const REDACTION_MODES = ['off', 'mask', 'hash', 'reject'];
+
+// Luhn checksum of a card number
+const isLuhnValid = (digits) => {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+// ISO 13616 check digits: the rearranged IBAN, letters as numbers, mod 97 is 1
+const isIbanValid = (iban) => {
+  const rearranged = (iban.slice(4) + iban.slice(0, 4))
+    .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+  let remainder = 0;
+  for (const digit of rearranged) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+
+  return remainder === 1;
+};
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+const DETECTORS = [
+  {
+    type: 'api_token',
+    pattern: /\b(?:sk-(?:proj-)?[A-Za-z0-9_-]{20,}|sk_(?:live|test)_[A-Za-z0-9]{16,}|vdb_[a-f0-9]{64}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+)/g,
+    normalize: value => value
+  },
+  {
+    type: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    normalize: value => value.toLowerCase()
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    normalize: value => value.replace(/ /g, ''),
+    validate: value => {
+      const iban = value.replace(/ /g, '');
+      return iban.length >= 15 && iban.length <= 34 && isIbanValid(iban);
+    }
+  },
+  {
+    type: 'credit_card',
+    pattern: /(?<![\w+])\d(?:[ -]?\d){12,18}\b/g, // Not an international phone number
+    normalize: digitsOf,
+    validate: value => isLuhnValid(digitsOf(value))
+  },
+  {
+    type: 'phone',
+    // Only numbers that look like one: an international +prefix, an area code
+    // in parentheses or 3-3-4 grouping. Other digit runs (dates, versions, IP
+    // addresses, reference numbers) are too easily mistaken for phone numbers.
+    pattern: /(?<![\w+]|\d[ .-])(?:\+\d{1,3}(?:[ .-]?\(\d{1,4}\))?(?:[ .-]?\d{2,4}){1,5}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{4}|\d{3}([ .-])\d{3}\1\d{4})(?!\w|[ .-]\d)/g,
+    normalize: digitsOf,
+    validate: value => {
+      const digits = digitsOf(value).length;
+      return digits <= 15 && (digits >= 10 || (value.startsWith('+') && digits >= 8));
+    }
+  }
+];
+
+const DETECTOR_TYPES = DETECTORS.map(detector => detector.type);
+
+/**
+ * Effective redaction policy of a persona: its `config.redaction` on top of
+ * the configured defaults
+ */
+const resolveRedactionPolicy = (personaConfig = {}) => {
+  const policy = personaConfig.redaction || {};
+
+  return {
+    mode: policy.mode || config.redaction.mode,
+    detectors: policy.detectors || config.redaction.detectors
+  };
+};
+
+/**
+ * Check a redaction policy given through the API
+ */
+const validateRedactionPolicy = (policy) => {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    throw new ValidationError('Redaction policy must be an object');
+  }
+
+  if (policy.mode !== undefined && !REDACTION_MODES.includes(policy.mode)) {
+    throw new ValidationError(`Redaction mode must be one of: ${REDACTION_MODES.join(', ')}`);
+  }
+
+  if (policy.mode === 'hash' && !config.redaction.hashSecret) {
+    throw new ValidationError('Redaction mode hash requires PII_REDACTION_HASH_SECRET to be set on the server');
+  }
+
+  if (policy.detectors !== undefined &&
+      (!Array.isArray(policy.detectors) || !policy.detectors.every(type => DETECTOR_TYPES.includes(type)))) {
+    throw new ValidationError(`Redaction detectors must be an array of: ${DETECTOR_TYPES.join(', ')}`);
+  }
+};
+
+/**
+ * Find the personal data in a text, in order of appearance
+ */
+const detectPii = (text, detectorTypes = DETECTOR_TYPES) => {
+  const matches = [];
+
+  for (const detector of DETECTORS) {
+    if (!detectorTypes.includes(detector.type)) {
+      continue;
+    }
+
+    for (const match of text.matchAll(detector.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+
+      if (detector.validate && !detector.validate(match[0])) {
+        continue;
+      }
+
+      if (matches.some(other => start < other.end && other.start < end)) {
+        continue;
+      }
+
+      matches.push({ type: detector.type, detector, start, end, value: match[0] });
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Stand-in for a hashed value: the same value always gives the same token, so
+ * memories mentioning it can still be related without storing it
+ */
+const hashToken = (match) => {
+  // A dedicated secret: tokens must not be tied to, or leak anything about, the JWT key
+  if (!config.redaction.hashSecret) {
+    throw new Error('PII_REDACTION_HASH_SECRET is not set');
+  }
+
+  const digest = crypto.createHmac('sha256', config.redaction.hashSecret)
+    .update(`${match.type}:${match.detector.normalize(match.value)}`)
+    .digest('hex')
+    .slice(0, 12);
+
+  return `[${match.type.toUpperCase()}_${digest}]`;
+};
+
+/**
+ * Apply a redaction policy to a text. Returns the redacted text and the number
+ * of redactions per detector type; in reject mode, throws a 422 PII_DETECTED
+ * error when anything is found.
+ */
+const redactPii = (text, policy) => {
+  if (policy.mode === 'off') {
+    return { text, redactions: {} };
+  }
+
+  const matches = detectPii(text, policy.detectors);
+  const redactions = {};
+
+  for (const match of matches) {
+    redactions[match.type] = (redactions[match.type] || 0) + 1;
+  }
+
+  if (matches.length === 0) {
+    return { text, redactions };
+  }
+
+  if (policy.mode === 'reject') {
+    const error = new AppError(
+      `Content contains personal data: ${Object.keys(redactions).join(', ')}`,
+      422,
+      'PII_DETECTED'
+    );
+    error.detected = redactions;
+    throw error;
+  }
+
+  let redacted = '';
+  let position = 0;
+
+  for (const match of matches) {
+    const replacement = policy.mode === 'hash' ? hashToken(match) : `[REDACTED_${match.type.toUpperCase()}]`;
+    redacted += text.slice(position, match.start) + replacement;
+    position = match.end;
+  }
+
+  return { text: redacted + text.slice(position), redactions };
+};
+
+module.exports = {
+  REDACTION_MODES,
+  DETECTOR_TYPES,
+  resolveRedactionPolicy,
+  validateRedactionPolicy,
+  detectPii,
+  redactPii
+};
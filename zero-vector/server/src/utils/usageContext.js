@@ -0,0 +1,61 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Usage Context
+ * Per-request usage meter. The meterUsage middleware runs the rest of the
+ * request inside a meter; code deep in the services (the embedding service,
+ * the memory manager) adds to whichever meter is current without the request
+ * being threaded through every call. Outside a metered request these calls do
+ * nothing.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `meter` as the current usage meter
+ */
+function runWithUsageMeter(meter, fn) {
+  return storage.run(meter, fn);
+}
+
+/**
+ * Refuse to spend more embedding tokens once the request's allowance is used up
+ */
+function assertEmbeddingAllowed() {
+  const meter = storage.getStore();
+
+  if (meter && meter.embeddingTokensRemaining !== null && meter.embeddingTokens >= meter.embeddingTokensRemaining) {
+    throw new AppError('Monthly embedding token quota exceeded', 402, 'EMBEDDING_QUOTA_EXCEEDED');
+  }
+}
+
+/**
+ * Add the tokens and estimated cost of a provider call
+ */
+function recordEmbeddingUsage({ tokens = 0, estimatedCost = 0 } = {}) {
+  const meter = storage.getStore();
+
+  if (meter) {
+    meter.embeddingTokens += tokens;
+    meter.estimatedCost += estimatedCost;
+  }
+}
+
+/**
+ * Count persona memories written by the request
+ */
+function recordMemoriesStored(count = 1) {
+  const meter = storage.getStore();
+
+  if (meter) {
+    meter.memoriesStored += count;
+  }
+}
+
+module.exports = {
+  runWithUsageMeter,
+  assertEmbeddingAllowed,
+  recordEmbeddingUsage,
+  recordMemoriesStored
+};
@@ -0,0 +1,108 @@
+const HNSWIndex = require('../../src/algorithms/HNSWIndex');
+const { randomVectors, recallAt } = require('../helpers/vectors');
+
+const DIMENSIONS = 16;
+
+describe('HNSWIndex', () => {
+  const vectors = randomVectors(500, DIMENSIONS, 1);
+  const queries = randomVectors(20, DIMENSIONS, 2);
+  let index;
+
+  const searchIds = (searchIndex) => (query) => searchIndex.search(query, 10).map(result => result.id);
+
+  beforeAll(() => {
+    index = new HNSWIndex({ M: 16, efConstruction: 200, efSearch: 50 });
+    vectors.forEach((vector, i) => index.insert(vector, i, { group: i % 2 === 0 ? 'even' : 'odd' }));
+  });
+
+  it('finds most of the exact nearest neighbours', () => {
+    expect(recallAt(vectors, queries, 10, searchIds(index))).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('returns results by decreasing similarity', () => {
+    const similarities = index.search(queries[0], 10).map(result => result.similarity);
+
+    expect(similarities).toEqual([...similarities].sort((a, b) => b - a));
+  });
+
+  describe('filtered search', () => {
+    // One vector in twenty matches, like one persona in a shared store
+    const inPersona = id => id % 20 === 0;
+    const personaVectors = vectors.filter((vector, i) => inPersona(i));
+
+    it('returns k matching results for a selective filter', () => {
+      for (const query of queries) {
+        const ids = index.search(query, 10, null, inPersona).map(result => result.id);
+
+        expect(ids).toHaveLength(10);
+        expect(ids.every(inPersona)).toBe(true);
+      }
+    });
+
+    it('finds the nearest matching neighbours', () => {
+      const recall = recallAt(personaVectors, queries, 10, query =>
+        index.search(query, 10, null, inPersona).map(result => result.id / 20));
+
+      expect(recall).toBeGreaterThanOrEqual(0.9);
+    });
+
+    it('records filter selectivity', () => {
+      const filtered = new HNSWIndex();
+      vectors.slice(0, 100).forEach((vector, i) => filtered.insert(vector, i));
+
+      filtered.search(queries[0], 5, null, inPersona);
+
+      expect(filtered.getStats().filtering.filteredSearches).toBe(1);
+      expect(filtered.getStats().filtering.avgSelectivity).toBeLessThan(0.5);
+    });
+  });
+
+  describe('snapshots', () => {
+    it('restores the same graph instead of rebuilding it', () => {
+      const restored = new HNSWIndex({ M: 16, efConstruction: 200, efSearch: 50 });
+
+      const result = restored.deserialize(index.serialize({ walSequence: 7 }), DIMENSIONS);
+
+      expect(result).toMatchObject({ nodeCount: 500, rebuilt: false, extra: { walSequence: 7 } });
+      expect(restored.entryPoint).toEqual(index.entryPoint);
+      for (const query of queries) {
+        expect(restored.search(query, 10)).toEqual(index.search(query, 10));
+      }
+    });
+
+    it('keeps node metadata', () => {
+      const restored = new HNSWIndex();
+      restored.deserialize(index.serialize());
+
+      expect(restored.nodes.get(3).metadata).toEqual({ group: 'odd' });
+    });
+
+    it('rebuilds the graph when the build parameters changed', () => {
+      const restored = new HNSWIndex({ M: 8 });
+
+      const result = restored.deserialize(index.serialize());
+
+      expect(result.rebuilt).toBe(true);
+      expect(restored.nodeCount).toBe(500);
+      expect(recallAt(vectors, queries, 10, searchIds(restored))).toBeGreaterThanOrEqual(0.85);
+    });
+
+    it('rejects a snapshot with another dimension count', () => {
+      expect(() => new HNSWIndex().deserialize(index.serialize(), DIMENSIONS * 2))
+        .toThrow(`Snapshot has ${DIMENSIONS} dimensions, expected ${DIMENSIONS * 2}`);
+    });
+
+    it('rejects a corrupted snapshot', () => {
+      const data = index.serialize();
+      data[100] ^= 0xff;
+
+      expect(() => new HNSWIndex().deserialize(data)).toThrow('Index snapshot checksum mismatch');
+    });
+
+    it('rejects a truncated snapshot', () => {
+      const data = index.serialize();
+
+      expect(() => new HNSWIndex().deserialize(data.subarray(0, 20))).toThrow('Index snapshot is truncated');
+    });
+  });
+});
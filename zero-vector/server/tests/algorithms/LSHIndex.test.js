@@ -0,0 +1,81 @@
+const LSHIndex = require('../../src/algorithms/LSHIndex');
+const FlatIndex = require('../../src/algorithms/FlatIndex');
+const { createIndex } = require('../../src/algorithms/createIndex');
+const { randomVectors, exactNeighbors, recallAt } = require('../helpers/vectors');
+
+const DIMENSIONS = 16;
+
+describe('LSH and flat indexes', () => {
+  const vectors = randomVectors(500, DIMENSIONS, 1);
+  const queries = randomVectors(20, DIMENSIONS, 2);
+
+  const fillIndex = (index) => {
+    vectors.forEach((vector, i) => index.insert(vector, i));
+    return index;
+  };
+
+  const searchIds = (index) => (query) => index.search(query, 10).map(result => result.id);
+
+  describe('LSHIndex', () => {
+    let index;
+
+    beforeAll(() => {
+      index = fillIndex(new LSHIndex({ numTables: 16, numBits: 8 }));
+    });
+
+    it('finds most of the exact nearest neighbours', () => {
+      expect(recallAt(vectors, queries, 10, searchIds(index))).toBeGreaterThanOrEqual(0.8);
+    });
+
+    it('no longer returns a removed vector', () => {
+      const nearest = exactNeighbors(vectors, queries[0], 1)[0];
+      const copy = fillIndex(new LSHIndex({ numTables: 16, numBits: 8 }));
+
+      expect(copy.remove(nearest)).toBe(true);
+      expect(searchIds(copy)(queries[0])).not.toContain(nearest);
+      expect(copy.nodeCount).toBe(499);
+    });
+
+    it('restores the same buckets from a snapshot', () => {
+      const restored = new LSHIndex({ numTables: 16, numBits: 8 });
+
+      const result = restored.deserialize(index.serialize(), DIMENSIONS);
+
+      expect(result).toMatchObject({ nodeCount: 500, rebuilt: false });
+      for (const query of queries) {
+        expect(restored.search(query, 10)).toEqual(index.search(query, 10));
+      }
+    });
+  });
+
+  describe('FlatIndex', () => {
+    it('returns the exact nearest neighbours', () => {
+      const index = fillIndex(new FlatIndex());
+
+      for (const query of queries) {
+        expect(searchIds(index)(query)).toEqual(exactNeighbors(vectors, query, 10));
+      }
+    });
+
+    it('only returns vectors the filter accepts', () => {
+      const index = fillIndex(new FlatIndex());
+
+      const ids = index.search(queries[0], 10, null, id => id % 5 === 0).map(result => result.id);
+
+      expect(ids).toHaveLength(10);
+      expect(ids.every(id => id % 5 === 0)).toBe(true);
+    });
+  });
+
+  describe('createIndex', () => {
+    it('builds the configured index type', () => {
+      expect(createIndex('lsh')).toBeInstanceOf(LSHIndex);
+      expect(createIndex('flat')).toBeInstanceOf(FlatIndex);
+      expect(createIndex('flat').getStats().type).toBe('flat');
+    });
+
+    it('rejects an unknown index type', () => {
+      expect(() => createIndex('ivf')).toThrow("Unknown index type 'ivf'");
+    });
+  });
+});
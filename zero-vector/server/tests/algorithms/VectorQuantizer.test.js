@@ -0,0 +1,81 @@
+const ScalarQuantizer = require('../../src/algorithms/ScalarQuantizer');
+const ProductQuantizer = require('../../src/algorithms/ProductQuantizer');
+const { createQuantizer } = require('../../src/algorithms/createQuantizer');
+const { randomVectors } = require('../helpers/vectors');
+
+const DIMENSIONS = 16;
+
+describe('Vector quantizers', () => {
+  const vectors = randomVectors(600, DIMENSIONS, 5);
+
+  // Largest absolute difference between a vector and its decoded code
+  const maxError = (quantizer, vector) => {
+    const decoded = quantizer.decode(quantizer.encode(vector));
+    return Math.max(...vector.map((value, i) => Math.abs(value - decoded[i])));
+  };
+
+  describe('ScalarQuantizer', () => {
+    let quantizer;
+
+    beforeAll(() => {
+      quantizer = new ScalarQuantizer(DIMENSIONS);
+      quantizer.train(vectors);
+    });
+
+    it('stores one byte per dimension', () => {
+      expect(quantizer.encode(vectors[0])).toHaveLength(DIMENSIONS);
+    });
+
+    it('decodes within half a level of the original', () => {
+      // Levels are 2/255 apart for components in [-1, 1)
+      for (const vector of vectors.slice(0, 50)) {
+        expect(maxError(quantizer, vector)).toBeLessThanOrEqual(1 / 255 + 1e-6);
+      }
+    });
+
+    it('clamps values outside the trained range', () => {
+      const decoded = quantizer.decode(quantizer.encode(new Array(DIMENSIONS).fill(5)));
+
+      expect(Math.max(...decoded)).toBeLessThanOrEqual(1);
+    });
+
+    it('refuses to train without samples', () => {
+      expect(() => new ScalarQuantizer(DIMENSIONS).train([])).toThrow('Cannot train quantizer without sample vectors');
+    });
+  });
+
+  describe('ProductQuantizer', () => {
+    let quantizer;
+
+    beforeAll(() => {
+      quantizer = new ProductQuantizer(DIMENSIONS);
+      quantizer.train(vectors);
+    });
+
+    it('stores one byte per four-dimension slice', () => {
+      expect(quantizer.subvectors).toBe(4);
+      expect(quantizer.encode(vectors[0])).toHaveLength(4);
+    });
+
+    it('decodes close to the original', () => {
+      const errors = vectors.slice(0, 50).map(vector => maxError(quantizer, vector));
+      const meanError = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+
+      expect(meanError).toBeLessThan(0.3);
+    });
+
+    it('falls back to smaller slices when dimensions are not divisible by four', () => {
+      expect(new ProductQuantizer(6).subvectors).toBe(3);
+    });
+  });
+
+  describe('createQuantizer', () => {
+    it('returns null when quantization is disabled', () => {
+      expect(createQuantizer('none', DIMENSIONS)).toBeNull();
+    });
+
+    it('rejects an unknown quantization type', () => {
+      expect(() => createQuantizer('int4', DIMENSIONS)).toThrow("Unknown quantization type 'int4'");
+    });
+  });
+});
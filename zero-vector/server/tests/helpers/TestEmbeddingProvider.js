@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+/**
+ * Test Embedding Provider
+ * Deterministic stand-in for an embedding API: a hashed bag of words, so
+ * texts sharing words are similar. Counts its calls so tests can tell when
+ * something was re-embedded.
+ *
+ * Route tests swap it in for the server's embedding provider with
+ * jest.mock('../../src/services/embedding/LocalTransformersProvider', () => require('../helpers/TestEmbeddingProvider'));
+ */
+class TestEmbeddingProvider {
+  constructor(dimensions = Number(process.env.DEFAULT_DIMENSIONS)) {
+    this.dimensions = dimensions;
+    this.model = 'test-model';
+    this.calls = 0;
+  }
+
+  async generateEmbedding(text) {
+    this.calls++;
+
+    const words = text.toLowerCase().match(/\w+/g) || [];
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const word of words) {
+      vector[crypto.createHash('sha256').update(word).digest().readUInt32BE(0) % this.dimensions] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+    return {
+      vector: norm > 0 ? vector.map(value => value / norm) : vector.map((_, i) => (i === 0 ? 1 : 0)),
+      model: this.model,
+      usage: { totalTokens: words.length }
+    };
+  }
+
+  getSupportedModels() {
+    return [this.model];
+  }
+}
+
+module.exports = TestEmbeddingProvider;
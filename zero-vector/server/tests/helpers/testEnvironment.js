@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test Environment
+ * Points the configuration at a throwaway data directory. Call it at the top
+ * of a test file, before anything from src/ is required: the configuration
+ * is read from the environment when it is first loaded.
+ */
+const useTestEnvironment = (env = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zero-vector-test-'));
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    DB_PATH: path.join(dataDir, 'vectordb.sqlite'),
+    INDEX_SNAPSHOT_PATH: path.join(dataDir, 'index.snapshot'),
+    INDEX_SNAPSHOT_INTERVAL_MS: '0',
+    WAL_PATH: path.join(dataDir, 'vector-store.wal'),
+    MAIL_FILE_PATH: path.join(dataDir, 'mail.log'),
+    LOG_DIR: path.join(dataDir, 'logs'),
+    DEFAULT_DIMENSIONS: '4',
+    MAX_MEMORY_MB: '64',
+    COLLECTION_MAX_MEMORY_MB: '16',
+    JWT_SECRET: 'test-jwt-secret',
+    BCRYPT_ROUNDS: '4',
+    API_KEY_SALT_ROUNDS: '4',
+    OPENAI_API_KEY: 'test-openai-key',
+    REQUIRE_2FA_FOR_API_KEYS: 'false', // Route tests mint keys for fresh accounts
+    ...env
+  });
+
+  return dataDir;
+};
+
+/**
+ * Delete a data directory created by useTestEnvironment()
+ */
+const removeDataDir = (dataDir) => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+};
+
+module.exports = {
+  useTestEnvironment,
+  removeDataDir
+};
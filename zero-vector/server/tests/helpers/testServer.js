@@ -0,0 +1,59 @@
+const request = require('supertest');
+
+/**
+ * Test Server
+ * Boots the full application (without listening on a port) for route tests.
+ * Call useTestEnvironment() before requiring this module.
+ */
+
+const PASSWORD = 'Passw0rd!Strong';
+
+const startTestServer = async () => {
+  const server = require('../../src/server');
+  await server.initialize();
+  return server;
+};
+
+const stopTestServer = async (server) => {
+  server.collectionManager.close();
+  server.vectorStore.cleanup();
+  await server.database.close();
+};
+
+/**
+ * Register a user; returns its id and tokens
+ */
+const registerUser = async (app, email) => {
+  const res = await request(app)
+    .post('/auth/register')
+    .send({ email, password: PASSWORD })
+    .expect(201);
+
+  return {
+    id: res.body.data.user.id,
+    email,
+    accessToken: res.body.data.tokens.accessToken,
+    refreshToken: res.body.data.tokens.refreshToken
+  };
+};
+
+/**
+ * Create an API key for a user; returns the key record including the raw `key`
+ */
+const createApiKey = async (app, user, keyData = {}) => {
+  const res = await request(app)
+    .post('/auth/api-keys')
+    .set('Authorization', `Bearer ${user.accessToken}`)
+    .send({ name: 'Test key', permissions: ['read', 'write', 'delete'], ...keyData })
+    .expect(201);
+
+  return res.body.data.apiKey;
+};
+
+module.exports = {
+  PASSWORD,
+  startTestServer,
+  stopTestServer,
+  registerUser,
+  createApiKey
+};
@@ -0,0 +1,72 @@
+/**
+ * Vector Fixtures
+ * Seeded random vectors and exact nearest neighbours to measure index recall against
+ */
+
+// Small seeded PRNG (mulberry32) so every run sees the same data
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * `count` random vectors with components in [-1, 1)
+ */
+const randomVectors = (count, dimensions, seed = 1) => {
+  const random = createRandom(seed);
+
+  return Array.from({ length: count }, () =>
+    Array.from({ length: dimensions }, () => random() * 2 - 1));
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Indices of the k vectors most similar to the query, by brute force
+ */
+const exactNeighbors = (vectors, query, k) => vectors
+  .map((vector, index) => ({ index, similarity: cosineSimilarity(vector, query) }))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, k)
+  .map(result => result.index);
+
+/**
+ * Mean share of the exact top-k that `search(query)` returned, over all queries
+ * `search` returns result indices
+ */
+const recallAt = (vectors, queries, k, search) => {
+  let found = 0;
+
+  for (const query of queries) {
+    const expected = new Set(exactNeighbors(vectors, query, k));
+    found += search(query).filter(index => expected.has(index)).length;
+  }
+
+  return found / (queries.length * k);
+};
+
+module.exports = {
+  randomVectors,
+  cosineSimilarity,
+  exactNeighbors,
+  recallAt
+};
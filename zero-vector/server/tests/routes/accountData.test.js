@@ -0,0 +1,175 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+jest.mock('../../src/services/embedding/LocalTransformersProvider', () => require('../helpers/TestEmbeddingProvider'));
+
+const dataDir = useTestEnvironment({ DEFAULT_DIMENSIONS: '32' });
+
+const { PASSWORD, startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+describe('Account export and erasure', () => {
+  let server;
+  let app;
+  let user;
+  let userKey;
+  let teammate;
+  let teammateKey;
+  let organizationId;
+  let personalPersonaId;
+  let sharedPersonaId;
+  let memoryIds;
+
+  const asUser = (req) => req.set('X-API-Key', userKey);
+
+  const erase = (password = PASSWORD) => request(app)
+    .post('/auth/me/erase')
+    .set('Authorization', `Bearer ${user.accessToken}`)
+    .send({ password });
+
+  const addMemory = async (personaId, content) => {
+    const res = await asUser(request(app).post(`/api/personas/${personaId}/memories`))
+      .send({ content, type: 'fact' })
+      .expect(201);
+    return res.body.data.id;
+  };
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    const permissions = ['read', 'write', 'personas:read', 'personas:write'];
+
+    user = await registerUser(app, 'leaving@example.com');
+    userKey = (await createApiKey(app, user, { permissions })).key;
+    teammate = await registerUser(app, 'teammate@example.com');
+    teammateKey = (await createApiKey(app, teammate, { permissions })).key;
+
+    const organization = await asUser(request(app).post('/api/organizations')).send({ name: 'Team' }).expect(201);
+    organizationId = organization.body.data.id;
+    await asUser(request(app).post(`/api/organizations/${organizationId}/members`))
+      .send({ email: teammate.email, role: 'viewer' })
+      .expect(201);
+
+    personalPersonaId = (await asUser(request(app).post('/api/personas'))
+      .send({ name: 'Personal', systemPrompt: 'Private assistant' })
+      .expect(201)).body.data.id;
+    sharedPersonaId = (await asUser(request(app).post('/api/personas'))
+      .send({ name: 'Shared', organizationId })
+      .expect(201)).body.data.id;
+
+    memoryIds = [
+      await addMemory(personalPersonaId, 'my dentist appointment is on tuesday'),
+      await addMemory(personalPersonaId, 'my locker code is private')
+    ];
+    await addMemory(sharedPersonaId, 'the team standup is at ten');
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('exports everything stored about the user without secrets', async () => {
+    const res = await request(app)
+      .get('/auth/me/export')
+      .set('Authorization', `Bearer ${user.accessToken}`)
+      .expect(200);
+
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="zero-vector-export-/);
+
+    const archive = res.body;
+    expect(archive).toMatchObject({ format: 'zero-vector-account-export', version: 1 });
+    expect(archive.account).toMatchObject({ email: user.email, organizations: [{ id: organizationId, role: 'owner' }] });
+    expect(archive.apiKeys).toHaveLength(1);
+    expect(archive.personas.map(persona => persona.systemPrompt)).toContain('Private assistant');
+    expect(archive.memories.map(memory => memory.metadata.originalContent))
+      .toEqual(expect.arrayContaining(['my dentist appointment is on tuesday', 'the team standup is at ten']));
+
+    const text = JSON.stringify(archive);
+    expect(text).not.toMatch(/password_hash|key_hash|\$2[ab]\$/);
+  });
+
+  it('requires the current password', async () => {
+    const res = await erase('wrong-password').expect(400);
+
+    expect(res.body.error.code).toBe('INVALID_CURRENT_PASSWORD');
+    await asUser(request(app).get(`/api/personas/${personalPersonaId}`)).expect(200);
+  });
+
+  it('refuses while the user is the last owner of an organization with other members', async () => {
+    const res = await erase().expect(409);
+
+    expect(res.body.error).toMatchObject({
+      code: 'ORGANIZATION_OWNER_REQUIRED',
+      organizations: [{ id: organizationId, name: 'Team' }]
+    });
+  });
+
+  describe('erasure', () => {
+    let report;
+
+    beforeAll(async () => {
+      await asUser(request(app).put(`/api/organizations/${organizationId}/members/${teammate.id}`))
+        .send({ role: 'owner' })
+        .expect(200);
+
+      report = (await erase().expect(200)).body.data.report;
+    });
+
+    it('reports what was deleted and verifies that nothing is left', () => {
+      expect(report.deleted).toMatchObject({
+        user: 1,
+        apiKeys: 1,
+        personas: 1,
+        vectors: 2,
+        organizationMemberships: 1
+      });
+      expect(report.deletedIds.vectors.sort()).toEqual([...memoryIds].sort());
+      expect(report.verification.passed).toBe(true);
+      expect(report.digest).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('removes the vectors from the vector store', () => {
+      expect(memoryIds.some(id => server.vectorStore.hasVector(id))).toBe(false);
+    });
+
+    it('revokes the user\'s credentials', async () => {
+      await asUser(request(app).get('/api/personas')).expect(401);
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: user.refreshToken })
+        .expect(401);
+    });
+
+    it('hands shared personas to another owner', async () => {
+      expect(report.transferred).toEqual([
+        { organizationId, successorId: teammate.id, personaIds: [sharedPersonaId], memories: 1 }
+      ]);
+
+      const res = await request(app)
+        .post(`/api/personas/${sharedPersonaId}/memories/search`)
+        .set('X-API-Key', teammateKey)
+        .send({ query: 'team standup', threshold: 0 })
+        .expect(200);
+
+      expect(res.body.data.memories[0].metadata.originalContent).toBe('the team standup is at ten');
+    });
+
+    it('keeps an audit entry that does not identify the user', () => {
+      const entry = server.database.db.prepare(
+        "SELECT * FROM audit_logs WHERE action = 'ERASE_ACCOUNT' AND outcome = 'success'"
+      ).get();
+
+      expect(entry).toMatchObject({
+        user_id: null,
+        api_key_id: null,
+        ip_address: null,
+        user_agent: null,
+        resource_id: report.reportId
+      });
+      expect(JSON.parse(entry.details)).toMatchObject({ reportId: report.reportId, digest: report.digest, verified: true });
+      expect(entry.details).not.toContain(user.id);
+      expect(entry.details).not.toContain(user.email);
+    });
+  });
+});
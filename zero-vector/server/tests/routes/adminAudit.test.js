@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const { PASSWORD, startTestServer, stopTestServer, registerUser } = require('../helpers/testServer');
+
+describe('Admin audit routes', () => {
+  let server;
+  let app;
+  let admin;
+  let member;
+
+  const asAdmin = (url) => request(app).get(url).set('Authorization', `Bearer ${admin.accessToken}`);
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    const seeded = await registerUser(app, 'admin@example.com');
+    server.database.db.prepare("UPDATE users SET role = 'admin' WHERE id = ?").run(seeded.id);
+    const login = await request(app).post('/auth/login').send({ email: seeded.email, password: PASSWORD }).expect(200);
+    admin = { ...seeded, accessToken: login.body.data.tokens.accessToken };
+
+    member = await registerUser(app, 'member@example.com');
+    await request(app).post('/auth/login').send({ email: member.email, password: 'wrong password' }).expect(401);
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('is closed to self-registered users', async () => {
+    // Registration cannot ask for the admin role either
+    await request(app)
+      .post('/auth/register')
+      .send({ email: 'self-admin@example.com', password: PASSWORD, role: 'admin' })
+      .expect(400);
+
+    await request(app).get('/admin/audit').set('Authorization', `Bearer ${member.accessToken}`).expect(403);
+    await request(app).get('/admin/audit/export').set('Authorization', `Bearer ${member.accessToken}`).expect(403);
+    await request(app).get('/admin/audit').expect(401);
+  });
+
+  it('filters entries by user, action and outcome', async () => {
+    const res = await asAdmin(`/admin/audit?userId=${member.id}&action=REGISTER,LOGIN`).expect(200);
+
+    expect(res.body.data.entries.map(entry => [entry.action, entry.outcome])).toEqual([['REGISTER', 'success']]);
+
+    const failures = await asAdmin('/admin/audit?action=LOGIN&outcome=failure').expect(200);
+    expect(failures.body.data.entries).toHaveLength(1);
+    expect(failures.body.data.entries[0].details.statusCode).toBe(401);
+  });
+
+  it('pages through entries with a cursor', async () => {
+    const all = (await asAdmin('/admin/audit').expect(200)).body.data.entries;
+    const first = await asAdmin('/admin/audit?limit=2').expect(200);
+    const second = await asAdmin(`/admin/audit?limit=2&cursor=${first.body.data.nextCursor}`).expect(200);
+
+    expect([...first.body.data.entries, ...second.body.data.entries].map(entry => entry.id))
+      .toEqual(all.slice(0, 4).map(entry => entry.id));
+  });
+
+  it('rejects invalid query parameters', async () => {
+    await asAdmin('/admin/audit?outcome=maybe').expect(400);
+    await asAdmin('/admin/audit?cursor=not-a-cursor').expect(400);
+    await asAdmin('/admin/audit?from=yesterday').expect(400);
+    await asAdmin('/admin/audit?limit=0').expect(400);
+  });
+
+  it('exports entries as CSV', async () => {
+    const res = await asAdmin(`/admin/audit/export?format=csv&userId=${member.id}`).expect(200);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(lines[0]).toBe('createdAt,id,userId,apiKeyId,action,resourceType,resourceId,outcome,ipAddress,userAgent,details');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain(`,${member.id},,REGISTER,user,`);
+  });
+
+  it('exports entries as NDJSON', async () => {
+    const res = await asAdmin('/admin/audit/export?limit=2').buffer(true).parse((response, callback) => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => callback(null, body));
+    }).expect(200);
+
+    const entries = res.body.trim().split('\n').map(line => JSON.parse(line));
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toHaveProperty('action');
+  });
+});
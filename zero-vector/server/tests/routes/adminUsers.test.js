@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const { PASSWORD, startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+describe('Admin user routes', () => {
+  let server;
+  let app;
+  let admin;
+  let member;
+
+  const login = async (email) => {
+    const res = await request(app).post('/auth/login').send({ email, password: PASSWORD }).expect(200);
+    return res.body.data.tokens;
+  };
+
+  const refresh = (refreshToken) => request(app).post('/auth/refresh').send({ refreshToken });
+
+  // Admins are seeded by editing the database, the way an operator creates the first one
+  const setRole = (userId, role) => server.database.db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, userId);
+
+  const asAdmin = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${admin.accessToken}`);
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    admin = await registerUser(app, 'admin@example.com');
+    setRole(admin.id, 'admin');
+    admin = { ...admin, ...(await login(admin.email)) };
+
+    member = await registerUser(app, 'member@example.com');
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('does not let registration choose a role', async () => {
+    await request(app)
+      .post('/auth/register')
+      .send({ email: 'sneaky@example.com', password: PASSWORD, role: 'admin' })
+      .expect(400);
+  });
+
+  it('refuses users without the admin role', async () => {
+    await request(app).get('/admin/users').set('Authorization', `Bearer ${member.accessToken}`).expect(403);
+    await request(app)
+      .put(`/admin/users/${member.id}/role`)
+      .set('Authorization', `Bearer ${member.accessToken}`)
+      .send({ role: 'admin' })
+      .expect(403);
+  });
+
+  it("refuses an admin's API key without the admin permission", async () => {
+    const key = (await createApiKey(app, admin, { permissions: ['read', 'write'] })).key;
+
+    await request(app).get('/admin/users').set('X-API-Key', key).expect(403);
+  });
+
+  it('lists users for an admin', async () => {
+    const res = await asAdmin('get', '/admin/users').expect(200);
+
+    expect(res.body.data.users.map(user => user.email)).toEqual(expect.arrayContaining([admin.email, member.email]));
+  });
+
+  it('does not let an admin demote themselves', async () => {
+    await asAdmin('put', `/admin/users/${admin.id}/role`).send({ role: 'user' }).expect(400);
+  });
+
+  describe('role changes', () => {
+    it('revoke the sessions of a demoted admin', async () => {
+      const deputy = await registerUser(app, 'deputy@example.com');
+      setRole(deputy.id, 'admin');
+      const tokens = await login(deputy.email);
+
+      await asAdmin('put', `/admin/users/${deputy.id}/role`).send({ role: 'user' }).expect(200);
+
+      await refresh(tokens.refreshToken).expect(401);
+    });
+
+    it('grant admin rights at the next refresh', async () => {
+      const deputy = await registerUser(app, 'promoted@example.com');
+      setRole(deputy.id, 'admin');
+
+      const res = await refresh(deputy.refreshToken).expect(200);
+
+      await request(app)
+        .get('/admin/users')
+        .set('Authorization', `Bearer ${res.body.data.tokens.accessToken}`)
+        .expect(200);
+    });
+
+    it('take admin rights away at the next refresh', async () => {
+      const deputy = await registerUser(app, 'demoted@example.com');
+      setRole(deputy.id, 'admin');
+      const tokens = await login(deputy.email);
+      setRole(deputy.id, 'user');
+
+      const res = await refresh(tokens.refreshToken).expect(200);
+
+      await request(app)
+        .get('/admin/users')
+        .set('Authorization', `Bearer ${res.body.data.tokens.accessToken}`)
+        .expect(403);
+    });
+  });
+
+  it('answers 404 for an unknown user', async () => {
+    const res = await asAdmin('get', '/admin/users/no-such-user').expect(404);
+
+    expect(res.body.error).toBe('USER_NOT_FOUND');
+  });
+});
@@ -0,0 +1,58 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+// Check the default, not the opt-out the other route tests use
+delete process.env.REQUIRE_2FA_FOR_API_KEYS;
+
+const totp = require('../../src/utils/totp');
+const { startTestServer, stopTestServer, registerUser } = require('../helpers/testServer');
+
+describe('Two-factor authentication for API keys', () => {
+  let server;
+  let app;
+  let user;
+  let keyId;
+
+  const asUser = (req) => req.set('Authorization', `Bearer ${user.accessToken}`);
+
+  const createKey = () => asUser(request(app).post('/auth/api-keys')).send({ name: 'MCP', permissions: ['read'] });
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+    user = await registerUser(app, 'keys@example.com');
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('refuses to create keys for an account without 2FA by default', async () => {
+    const res = await createKey().expect(403);
+
+    expect(res.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+  });
+
+  it('creates and rotates keys once 2FA is enabled', async () => {
+    const setup = await asUser(request(app).post('/auth/2fa/setup')).expect(200);
+    await asUser(request(app).post('/auth/2fa/enable'))
+      .send({ code: totp.generateCode(setup.body.data.secret) })
+      .expect(200);
+
+    keyId = (await createKey().expect(201)).body.data.apiKey.id;
+
+    await asUser(request(app).post(`/auth/api-keys/${keyId}/rotate`)).send({}).expect(201);
+  });
+
+  it('refuses to rotate keys once 2FA is disabled again', async () => {
+    // As an admin reset would leave it
+    server.database.db.prepare('DELETE FROM user_two_factor WHERE user_id = ?').run(user.id);
+
+    const res = await asUser(request(app).post(`/auth/api-keys/${keyId}/rotate`)).send({}).expect(403);
+
+    expect(res.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+  });
+});
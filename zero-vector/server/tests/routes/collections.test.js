@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment({
+  COLLECTIONS_MEMORY_BUDGET_MB: '48',
+  MAX_COLLECTIONS_PER_USER: '2'
+});
+
+const { startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+describe('Collection routes', () => {
+  let server;
+  let app;
+  let owner;
+  let ownerKey;
+  let collectionId;
+
+  const createCollection = (key, body = {}) => request(app)
+    .post('/api/collections')
+    .set('X-API-Key', key)
+    .send({ name: 'docs', dimensions: 3, ...body });
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    owner = await registerUser(app, 'owner@example.com');
+    ownerKey = (await createApiKey(app, owner, { permissions: ['read', 'write', 'delete'] })).key;
+
+    const res = await createCollection(ownerKey).expect(201);
+    collectionId = res.body.data.id;
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('stores vectors in the collection with its own dimensions', async () => {
+    await request(app)
+      .post('/api/vectors')
+      .set('X-API-Key', ownerKey)
+      .send({ id: 'doc-1', vector: [1, 0, 0], collectionId })
+      .expect(201);
+
+    const res = await request(app)
+      .post('/api/vectors/search')
+      .set('X-API-Key', ownerKey)
+      .send({ query: [1, 0, 0], collectionId, limit: 1 })
+      .expect(200);
+
+    expect(res.body.data.matches[0].id).toBe('doc-1');
+
+    // The default store has other dimensions
+    await request(app)
+      .post('/api/vectors')
+      .set('X-API-Key', ownerKey)
+      .send({ vector: [1, 0, 0] })
+      .expect(400);
+  });
+
+  it('hides collections from other users', async () => {
+    const other = await registerUser(app, 'other@example.com');
+    const otherKey = (await createApiKey(app, other)).key;
+
+    await request(app).get(`/api/collections/${collectionId}`).set('X-API-Key', otherKey).expect(404);
+    await request(app).delete(`/api/collections/${collectionId}`).set('X-API-Key', otherKey).expect(404);
+
+    const res = await request(app).get('/api/collections').set('X-API-Key', otherKey).expect(200);
+    expect(res.body.data.collections).toEqual([]);
+  });
+
+  describe('permissions', () => {
+    let readOnlyKey;
+
+    beforeAll(async () => {
+      readOnlyKey = (await createApiKey(app, owner, { permissions: ['vectors:read'] })).key;
+    });
+
+    it('lets a read-only key list and read collections', async () => {
+      await request(app).get('/api/collections').set('X-API-Key', readOnlyKey).expect(200);
+      await request(app).get(`/api/collections/${collectionId}`).set('X-API-Key', readOnlyKey).expect(200);
+    });
+
+    it('refuses changes with a read-only key', async () => {
+      await createCollection(readOnlyKey).expect(403);
+      await request(app)
+        .put(`/api/collections/${collectionId}`)
+        .set('X-API-Key', readOnlyKey)
+        .send({ description: 'changed' })
+        .expect(403);
+      await request(app).delete(`/api/collections/${collectionId}`).set('X-API-Key', readOnlyKey).expect(403);
+
+      await request(app).get(`/api/collections/${collectionId}`).set('X-API-Key', ownerKey).expect(200);
+    });
+  });
+
+  describe('limits', () => {
+    it('refuses a buffer above COLLECTION_MAX_MEMORY_MB', async () => {
+      await createCollection(ownerKey, { maxMemoryMB: 64 }).expect(400);
+    });
+
+    it('limits the number of collections per user', async () => {
+      await createCollection(ownerKey, { name: 'second' }).expect(201);
+
+      const res = await createCollection(ownerKey, { name: 'third' }).expect(409);
+      expect(res.body.error).toBe('Collection limit reached (2 per user)');
+    });
+
+    it('refuses new collections once the memory budget is used up', async () => {
+      const user = await registerUser(app, 'budget@example.com');
+      const key = (await createApiKey(app, user)).key;
+
+      await createCollection(key).expect(201);
+
+      const res = await createCollection(key, { name: 'over budget' }).expect(507);
+      expect(res.body.error).toBe('Collection memory budget exhausted (0 MB available)');
+    });
+  });
+});
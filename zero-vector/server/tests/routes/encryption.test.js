@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+jest.mock('../../src/services/embedding/LocalTransformersProvider', () => require('../helpers/TestEmbeddingProvider'));
+
+const dataDir = useTestEnvironment({
+  DEFAULT_DIMENSIONS: '32',
+  ENCRYPTION_MASTER_KEY: crypto.randomBytes(32).toString('base64')
+});
+
+const EncryptionService = require('../../src/services/encryptionService');
+const { startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+describe('Encryption at rest', () => {
+  let server;
+  let app;
+  let key;
+  let personaId;
+  let memoryId;
+
+  const searchMemories = (mode) => request(app)
+    .post(`/api/personas/${personaId}/memories/search`)
+    .set('X-API-Key', key)
+    .send({ query: 'green tea', mode, threshold: 0 });
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    const user = await registerUser(app, 'owner@example.com');
+    key = (await createApiKey(app, user, { permissions: ['read', 'write', 'personas:read', 'personas:write'] })).key;
+
+    const persona = await request(app)
+      .post('/api/personas')
+      .set('X-API-Key', key)
+      .send({ name: 'Assistant', systemPrompt: 'You are a careful tea sommelier' })
+      .expect(201);
+    personaId = persona.body.data.id;
+
+    const memory = await request(app)
+      .post(`/api/personas/${personaId}/memories`)
+      .set('X-API-Key', key)
+      .send({ content: 'the user likes green tea', type: 'preference' })
+      .expect(201);
+    memoryId = memory.body.data.id;
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('stores memory content and system prompts encrypted', () => {
+    const db = server.database.db;
+
+    const { custom_metadata: customMetadata } = db.prepare('SELECT custom_metadata FROM vector_metadata WHERE id = ?').get(memoryId);
+    expect(JSON.parse(customMetadata).originalContent.startsWith(EncryptionService.PREFIX)).toBe(true);
+    expect(customMetadata).not.toContain('green tea');
+
+    const { system_prompt: systemPrompt } = db.prepare('SELECT system_prompt FROM personas WHERE id = ?').get(personaId);
+    expect(systemPrompt.startsWith(EncryptionService.PREFIX)).toBe(true);
+  });
+
+  it('keeps the content out of the full-text index and the vector store', () => {
+    expect(server.database.db.prepare('SELECT COUNT(*) as count FROM memory_fts').get().count).toBe(0);
+    expect(server.vectorStore.getMetadata(memoryId).originalContent).toBeUndefined();
+  });
+
+  it('decrypts transparently through the API', async () => {
+    const persona = await request(app).get(`/api/personas/${personaId}`).set('X-API-Key', key).expect(200);
+    expect(persona.body.data.systemPrompt).toBe('You are a careful tea sommelier');
+
+    const res = await searchMemories('semantic').expect(200);
+    expect(res.body.data.memories[0].metadata.originalContent).toBe('the user likes green tea');
+  });
+
+  it.each(['keyword', 'hybrid'])('rejects %s search instead of missing encrypted memories', async (mode) => {
+    const res = await searchMemories(mode).expect(400);
+
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
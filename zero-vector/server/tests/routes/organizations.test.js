@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+jest.mock('../../src/services/embedding/LocalTransformersProvider', () => require('../helpers/TestEmbeddingProvider'));
+
+const dataDir = useTestEnvironment({ DEFAULT_DIMENSIONS: '32' });
+
+const { startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+describe('Organizations and shared personas', () => {
+  let server;
+  let app;
+  let organizationId;
+  let personaId;
+  const members = {};
+
+  const api = (member) => ({
+    get: (url) => request(app).get(url).set('X-API-Key', member.key),
+    post: (url) => request(app).post(url).set('X-API-Key', member.key),
+    put: (url) => request(app).put(url).set('X-API-Key', member.key),
+    delete: (url) => request(app).delete(url).set('X-API-Key', member.key)
+  });
+
+  const addMemory = (member, content) => api(member)
+    .post(`/api/personas/${personaId}/memories`)
+    .send({ content, type: 'fact' });
+
+  const searchMemories = (member) => api(member)
+    .post(`/api/personas/${personaId}/memories/search`)
+    .send({ query: 'release checklist', threshold: 0 });
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    for (const name of ['owner', 'editor', 'viewer', 'outsider']) {
+      const user = await registerUser(app, `${name}@example.com`);
+      const key = (await createApiKey(app, user, {
+        permissions: ['read', 'write', 'delete', 'personas:read', 'personas:write', 'personas:delete']
+      })).key;
+      members[name] = { ...user, key };
+    }
+
+    const organization = await api(members.owner).post('/api/organizations').send({ name: 'Platform team' }).expect(201);
+    organizationId = organization.body.data.id;
+
+    await api(members.owner).post(`/api/organizations/${organizationId}/members`).send({ email: members.editor.email, role: 'editor' }).expect(201);
+    await api(members.owner).post(`/api/organizations/${organizationId}/members`).send({ email: members.viewer.email, role: 'viewer' }).expect(201);
+
+    const persona = await api(members.owner).post('/api/personas').send({ name: 'Release bot', organizationId }).expect(201);
+    personaId = persona.body.data.id;
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('lets editors curate the shared persona', async () => {
+    await addMemory(members.editor, 'the release checklist lives in the wiki').expect(201);
+
+    const res = await searchMemories(members.owner).expect(200);
+    expect(res.body.data.memories.map(memory => memory.metadata.originalContent))
+      .toContain('the release checklist lives in the wiki');
+  });
+
+  it('lets viewers read but not write', async () => {
+    const res = await searchMemories(members.viewer).expect(200);
+    expect(res.body.data.memories.length).toBeGreaterThan(0);
+
+    await addMemory(members.viewer, 'viewers should not write this').expect(403);
+    await api(members.viewer).put(`/api/personas/${personaId}`).send({ description: 'changed' }).expect(403);
+  });
+
+  it('only lets owners delete the persona', async () => {
+    await api(members.editor).delete(`/api/personas/${personaId}`).expect(403);
+  });
+
+  it('hides the organization and its personas from non-members', async () => {
+    await api(members.outsider).get(`/api/organizations/${organizationId}`).expect(404);
+    await api(members.outsider).get(`/api/personas/${personaId}`).expect(404);
+    await searchMemories(members.outsider).expect(404);
+    await addMemory(members.outsider, 'planted memory').expect(404);
+  });
+
+  it('does not let non-owners manage members', async () => {
+    const res = await api(members.editor)
+      .post(`/api/organizations/${organizationId}/members`)
+      .send({ email: members.outsider.email, role: 'owner' })
+      .expect(403);
+
+    expect(res.body.error.code).toBe('INSUFFICIENT_ORGANIZATION_ROLE');
+    await api(members.editor).put(`/api/organizations/${organizationId}/members/${members.editor.id}`).send({ role: 'owner' }).expect(403);
+  });
+
+  it('applies a role change immediately', async () => {
+    await api(members.owner).put(`/api/organizations/${organizationId}/members/${members.editor.id}`).send({ role: 'viewer' }).expect(200);
+
+    await addMemory(members.editor, 'written after the demotion').expect(403);
+
+    await api(members.owner).put(`/api/organizations/${organizationId}/members/${members.editor.id}`).send({ role: 'editor' }).expect(200);
+  });
+
+  it('cuts off members who leave', async () => {
+    await api(members.viewer).delete(`/api/organizations/${organizationId}/members/${members.viewer.id}`).expect(200);
+
+    await searchMemories(members.viewer).expect(404);
+  });
+
+  it('keeps at least one owner', async () => {
+    await api(members.owner).delete(`/api/organizations/${organizationId}/members/${members.owner.id}`).expect(409);
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment({ MAIL_TRANSPORT: 'file' });
+
+const { PASSWORD, startTestServer, stopTestServer, registerUser } = require('../helpers/testServer');
+
+const NEW_PASSWORD = 'N3w!Passw0rdStrong';
+
+describe('Password reset routes', () => {
+  let server;
+  let app;
+
+  const forgotPassword = (email) => request(app).post('/auth/forgot-password').send({ email });
+
+  const resetPassword = (token, newPassword = NEW_PASSWORD) => request(app)
+    .post('/auth/reset-password')
+    .send({ token, newPassword });
+
+  // The file transport writes one JSON message per line
+  const sentMail = () => {
+    if (!fs.existsSync(process.env.MAIL_FILE_PATH)) return [];
+    return fs.readFileSync(process.env.MAIL_FILE_PATH, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  };
+
+  const lastResetToken = (email) => {
+    const message = sentMail().filter(mail => mail.to === email).pop();
+    return message.text.match(/POST \/auth\/reset-password:\n\n(\S+)/)[1];
+  };
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('resets the password once and signs out every session', async () => {
+    const user = await registerUser(app, 'reset@example.com');
+
+    await forgotPassword(user.email).expect(200);
+    const token = lastResetToken(user.email);
+
+    const res = await resetPassword(token).expect(200);
+    expect(res.body.data.revokedTokens).toBeGreaterThan(0);
+
+    await request(app).post('/auth/refresh').send({ refreshToken: user.refreshToken }).expect(401);
+    await request(app).post('/auth/login').send({ email: user.email, password: PASSWORD }).expect(401);
+    await request(app).post('/auth/login').send({ email: user.email, password: NEW_PASSWORD }).expect(200);
+
+    // Single use
+    const reused = await resetPassword(token, 'An0ther!Passw0rd').expect(400);
+    expect(reused.body.error.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  it('answers the same for unknown accounts without sending mail', async () => {
+    const before = sentMail().length;
+
+    const known = await forgotPassword('reset@example.com').expect(200);
+    const unknown = await forgotPassword('nobody@example.com').expect(200);
+
+    expect(unknown.body).toEqual(known.body);
+    expect(sentMail()).toHaveLength(before + 1);
+  });
+
+  it('rejects an unknown token', async () => {
+    const res = await resetPassword('not-a-reset-token').expect(400);
+
+    expect(res.body.error.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  it('keeps the token when the new password is too weak', async () => {
+    const user = await registerUser(app, 'weak@example.com');
+    await forgotPassword(user.email).expect(200);
+    const token = lastResetToken(user.email);
+
+    await resetPassword(token, 'password').expect(400);
+    await resetPassword(token).expect(200);
+  });
+
+  it('limits reset requests per email', async () => {
+    const email = 'limited@example.com';
+    await registerUser(app, email);
+
+    for (let i = 0; i < 3; i++) {
+      await forgotPassword(email).expect(200);
+    }
+
+    const res = await forgotPassword(email).expect(429);
+    expect(res.body.error.code).toBe('PASSWORD_RESET_RATE_LIMIT_EXCEEDED');
+  });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+jest.mock('../../src/services/embedding/LocalTransformersProvider', () => require('../helpers/TestEmbeddingProvider'));
+
+const dataDir = useTestEnvironment({ DEFAULT_DIMENSIONS: '32' });
+
+const { startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+describe('Persona routes', () => {
+  let server;
+  let app;
+  let owner;
+  let ownerKey;
+  let workPersona;
+  let homePersona;
+
+  const createPersona = async (name) => {
+    const res = await request(app).post('/api/personas').set('X-API-Key', ownerKey).send({ name }).expect(201);
+    return res.body.data.id;
+  };
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    owner = await registerUser(app, 'owner@example.com');
+    ownerKey = (await createApiKey(app, owner, { permissions: ['personas:read', 'personas:write', 'personas:delete'] })).key;
+
+    workPersona = await createPersona('Work');
+    homePersona = await createPersona('Home');
+
+    await request(app)
+      .post(`/api/personas/${homePersona}/memories`)
+      .set('X-API-Key', ownerKey)
+      .send({ content: 'the spare key is under the mat', type: 'fact' })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('hides personas from other users', async () => {
+    const other = await registerUser(app, 'other@example.com');
+    const otherKey = (await createApiKey(app, other, { permissions: ['personas:read', 'personas:write'] })).key;
+
+    await request(app).get(`/api/personas/${homePersona}`).set('X-API-Key', otherKey).expect(404);
+    await request(app)
+      .post(`/api/personas/${homePersona}/memories/search`)
+      .set('X-API-Key', otherKey)
+      .send({ query: 'spare key' })
+      .expect(404);
+  });
+
+  describe('persona-scoped keys', () => {
+    let scopedKey;
+
+    beforeAll(async () => {
+      scopedKey = (await createApiKey(app, owner, {
+        permissions: ['personas:read', 'personas:write', 'vectors:read'],
+        scope: { personaIds: [workPersona], memoryTypes: ['conversation', 'fact'] }
+      })).key;
+    });
+
+    it('only lists the personas in scope', async () => {
+      const res = await request(app).get('/api/personas').set('X-API-Key', scopedKey).expect(200);
+
+      expect(res.body.data.personas.map(persona => persona.id)).toEqual([workPersona]);
+    });
+
+    it('refuses personas outside the scope', async () => {
+      const res = await request(app).get(`/api/personas/${homePersona}`).set('X-API-Key', scopedKey).expect(403);
+      expect(res.body.error.code).toBe('API_KEY_SCOPE_VIOLATION');
+
+      await request(app)
+        .post(`/api/personas/${homePersona}/memories/search`)
+        .set('X-API-Key', scopedKey)
+        .send({ query: 'spare key' })
+        .expect(403);
+      await request(app)
+        .post(`/api/personas/${homePersona}/memories`)
+        .set('X-API-Key', scopedKey)
+        .send({ content: 'planted memory' })
+        .expect(403);
+    });
+
+    it('refuses creating personas', async () => {
+      await request(app).post('/api/personas').set('X-API-Key', scopedKey).send({ name: 'New' }).expect(403);
+    });
+
+    it('works with the persona in scope', async () => {
+      await request(app)
+        .post(`/api/personas/${workPersona}/memories`)
+        .set('X-API-Key', scopedKey)
+        .send({ content: 'standup is at ten', type: 'fact' })
+        .expect(201);
+
+      const res = await request(app)
+        .post(`/api/personas/${workPersona}/memories/search`)
+        .set('X-API-Key', scopedKey)
+        .send({ query: 'when is standup', threshold: 0 })
+        .expect(200);
+
+      expect(res.body.data.memories.map(memory => memory.metadata.originalContent)).toEqual(['standup is at ten']);
+    });
+
+    it('only writes the memory types in scope', async () => {
+      const res = await request(app)
+        .post(`/api/personas/${workPersona}/memories`)
+        .set('X-API-Key', scopedKey)
+        .send({ content: 'prefers dark mode', type: 'preference' })
+        .expect(403);
+
+      expect(res.body.error.message).toBe('API key does not grant access to memory type(s): preference');
+    });
+
+    it('does not reach vectors or collections', async () => {
+      await request(app).get('/api/vectors').set('X-API-Key', scopedKey).expect(403);
+      await request(app).get('/api/collections').set('X-API-Key', scopedKey).expect(403);
+    });
+
+    it('refuses writes with a read-only scope', async () => {
+      const readOnlyKey = (await createApiKey(app, owner, {
+        permissions: ['personas:read', 'personas:write'],
+        scope: { personaIds: [workPersona], readOnly: true }
+      })).key;
+
+      await request(app).get(`/api/personas/${workPersona}`).set('X-API-Key', readOnlyKey).expect(200);
+      await request(app)
+        .post(`/api/personas/${workPersona}/memories`)
+        .set('X-API-Key', readOnlyKey)
+        .send({ content: 'standup moved to eleven' })
+        .expect(403);
+    });
+
+    it("cannot be scoped to another user's persona", async () => {
+      const other = await registerUser(app, 'scoper@example.com');
+
+      const res = await request(app)
+        .post('/auth/api-keys')
+        .set('Authorization', `Bearer ${other.accessToken}`)
+        .send({ name: 'Stolen', permissions: ['personas:read'], scope: { personaIds: [homePersona] } })
+        .expect(400);
+
+      expect(JSON.stringify(res.body)).not.toContain('Home');
+    });
+  });
+});
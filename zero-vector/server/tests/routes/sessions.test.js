@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment({ SESSION_IDLE_TIMEOUT: '1h' });
+
+const { PASSWORD, startTestServer, stopTestServer, registerUser } = require('../helpers/testServer');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Device sessions', () => {
+  let server;
+  let app;
+  let userCount = 0;
+
+  const login = async (email, deviceName) => {
+    const res = await request(app)
+      .post('/auth/login')
+      .set('User-Agent', `${deviceName} agent`)
+      .send({ email, password: PASSWORD, deviceName })
+      .expect(200);
+    return res.body.data.tokens;
+  };
+
+  const refresh = (refreshToken) => request(app).post('/auth/refresh').send({ refreshToken });
+
+  const listSessions = async (accessToken) => {
+    const res = await request(app).get('/auth/sessions').set('Authorization', `Bearer ${accessToken}`).expect(200);
+    return res.body.data.sessions;
+  };
+
+  const createUser = () => registerUser(app, `sessions-${++userCount}@example.com`);
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('lists each device session with its labels', async () => {
+    const user = await createUser();
+    const laptop = await login(user.email, 'Laptop');
+    await login(user.email, 'Phone');
+
+    const sessions = await listSessions(laptop.accessToken);
+    const labelled = sessions.filter(session => session.deviceName);
+
+    expect(labelled.map(session => session.deviceName).sort()).toEqual(['Laptop', 'Phone']);
+    expect(labelled.find(session => session.deviceName === 'Phone').userAgent).toBe('Phone agent');
+    expect(sessions.filter(session => session.current).map(session => session.deviceName)).toEqual(['Laptop']);
+  });
+
+  it('revokes a single session', async () => {
+    const user = await createUser();
+    const laptop = await login(user.email, 'Laptop');
+    const phone = await login(user.email, 'Phone');
+    const phoneSession = (await listSessions(laptop.accessToken)).find(session => session.deviceName === 'Phone');
+
+    await request(app)
+      .delete(`/auth/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    await refresh(phone.refreshToken).expect(401);
+    await refresh(laptop.refreshToken).expect(200);
+  });
+
+  it("cannot revoke another user's session", async () => {
+    const alice = await createUser();
+    const bob = await createUser();
+    const [aliceSession] = await listSessions(alice.accessToken);
+
+    await request(app)
+      .delete(`/auth/sessions/${aliceSession.id}`)
+      .set('Authorization', `Bearer ${bob.accessToken}`)
+      .expect(404);
+
+    await refresh(alice.refreshToken).expect(200);
+  });
+
+  it('keeps the session while rotating refresh tokens', async () => {
+    const user = await createUser();
+
+    const first = await refresh(user.refreshToken).expect(200);
+    const second = await refresh(first.body.data.tokens.refreshToken).expect(200);
+
+    expect(first.body.data.tokens.sessionId).toEqual(expect.any(String));
+    expect(second.body.data.tokens.sessionId).toBe(first.body.data.tokens.sessionId);
+  });
+
+  it('revokes the whole session when a spent refresh token is reused', async () => {
+    const user = await createUser();
+    const rotated = (await refresh(user.refreshToken).expect(200)).body.data.tokens;
+
+    const res = await refresh(user.refreshToken).expect(401);
+    expect(res.body.error.message).toBe('Invalid refresh token: reuse detected, session revoked');
+
+    // The legitimate holder is signed out too
+    await refresh(rotated.refreshToken).expect(401);
+  });
+
+  it('expires sessions left idle past the timeout', async () => {
+    const user = await createUser();
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR);
+
+    const res = await refresh(user.refreshToken).expect(401);
+    expect(res.body.error.message).toBe('Session expired due to inactivity');
+  });
+});
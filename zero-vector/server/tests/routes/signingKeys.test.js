@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment({ JWT_ALGORITHM: 'ES256' });
+
+const { PASSWORD, startTestServer, stopTestServer, registerUser } = require('../helpers/testServer');
+
+describe('Signing keys and JWKS', () => {
+  let server;
+  let app;
+  let admin;
+
+  const kidOf = token => jwt.decode(token, { complete: true }).header.kid;
+
+  const fetchJwks = async () => (await request(app).get('/.well-known/jwks.json').expect(200)).body;
+
+  // Verify a token the way another service would, with nothing but the JWKS
+  const verifyWithJwks = (token, jwks) => {
+    const jwk = jwks.keys.find(key => key.kid === kidOf(token));
+    return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: [jwk.alg] });
+  };
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    const seeded = await registerUser(app, 'admin@example.com');
+    server.database.db.prepare("UPDATE users SET role = 'admin' WHERE id = ?").run(seeded.id);
+    const login = await request(app).post('/auth/login').send({ email: seeded.email, password: PASSWORD }).expect(200);
+    admin = { ...seeded, ...login.body.data.tokens };
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('signs tokens that other services can verify from the JWKS', async () => {
+    const jwks = await fetchJwks();
+
+    expect(jwks.keys).toHaveLength(1);
+    expect(jwks.keys[0]).toMatchObject({ alg: 'ES256', kty: 'EC', use: 'sig' });
+    expect(jwks.keys[0]).not.toHaveProperty('d');
+    expect(verifyWithJwks(admin.accessToken, jwks).userId).toBe(admin.id);
+  });
+
+  it('keeps accepting tokens signed before a rotation', async () => {
+    const user = await registerUser(app, 'before-rotation@example.com');
+    const oldKid = kidOf(user.accessToken);
+
+    const res = await request(app)
+      .post('/admin/signing-keys/rotate')
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .expect(200);
+
+    expect(res.body.data.kid).not.toBe(oldKid);
+    await request(app).get('/auth/me').set('Authorization', `Bearer ${user.accessToken}`).expect(200);
+
+    const refreshed = await request(app).post('/auth/refresh').send({ refreshToken: user.refreshToken }).expect(200);
+    expect(kidOf(refreshed.body.data.tokens.accessToken)).toBe(res.body.data.kid);
+
+    const jwks = await fetchJwks();
+    expect(jwks.keys.map(key => key.kid)).toEqual(expect.arrayContaining([oldKid, res.body.data.kid]));
+  });
+
+  it('rejects a token signed with an unknown key', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const forged = jwt.sign(
+      { userId: admin.id, email: admin.email, role: 'admin', type: 'access' },
+      privateKey,
+      { algorithm: 'ES256', keyid: kidOf(admin.accessToken), expiresIn: '5m' }
+    );
+
+    await request(app).get('/auth/me').set('Authorization', `Bearer ${forged}`).expect(401);
+  });
+
+  it('rejects a token signed with the old shared secret', async () => {
+    const forged = jwt.sign({ userId: admin.id, role: 'admin', type: 'access' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+    await request(app).get('/admin/users').set('Authorization', `Bearer ${forged}`).expect(401);
+  });
+
+  it('lists signing keys for admins only', async () => {
+    const member = await registerUser(app, 'member@example.com');
+
+    await request(app).get('/admin/signing-keys').set('Authorization', `Bearer ${member.accessToken}`).expect(403);
+
+    const res = await request(app).get('/admin/signing-keys').set('Authorization', `Bearer ${admin.accessToken}`).expect(200);
+    expect(res.body.data.keys.filter(key => key.current)).toHaveLength(1);
+    expect(JSON.stringify(res.body)).not.toContain('PRIVATE KEY');
+  });
+});
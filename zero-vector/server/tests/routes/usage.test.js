@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+jest.mock('../../src/services/embedding/LocalTransformersProvider', () => require('../helpers/TestEmbeddingProvider'));
+
+const dataDir = useTestEnvironment({ DEFAULT_DIMENSIONS: '32' });
+
+const { startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+const PERSONA_PERMISSIONS = ['read', 'write', 'personas:read', 'personas:write'];
+
+describe('Usage quotas', () => {
+  let server;
+  let app;
+
+  const generate = (key, text) => request(app)
+    .post('/api/embeddings/generate')
+    .set('X-API-Key', key)
+    .send({ text });
+
+  const createPersona = async (key) => {
+    const res = await request(app).post('/api/personas').set('X-API-Key', key).send({ name: 'Assistant' }).expect(201);
+    return res.body.data.id;
+  };
+
+  const addMemory = (key, personaId, content) => request(app)
+    .post(`/api/personas/${personaId}/memories`)
+    .set('X-API-Key', key)
+    .send({ content, type: 'fact' });
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('answers 429 once a key has used its daily requests', async () => {
+    const user = await registerUser(app, 'daily@example.com');
+    const limited = (await createApiKey(app, user, { quotas: { dailyRequests: 2 } })).key;
+
+    await request(app).get('/api/vectors').set('X-API-Key', limited).expect(200);
+    await request(app).get('/api/vectors').set('X-API-Key', limited).expect(200);
+
+    const res = await request(app).get('/api/vectors').set('X-API-Key', limited).expect(429);
+
+    expect(res.body.error).toMatchObject({ code: 'REQUEST_QUOTA_EXCEEDED', quota: 'dailyRequests', limit: 2 });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+
+    // The user's other keys are not limited
+    const other = (await createApiKey(app, user)).key;
+    await request(app).get('/api/vectors').set('X-API-Key', other).expect(200);
+  });
+
+  it('applies user quotas across all of the user\'s keys', async () => {
+    const user = await registerUser(app, 'user-quota@example.com');
+    await server.usageService.setUserQuotas(user.id, { dailyRequests: 1 });
+
+    const first = (await createApiKey(app, user)).key;
+    const second = (await createApiKey(app, user)).key;
+
+    await request(app).get('/api/vectors').set('X-API-Key', first).expect(200);
+    const res = await request(app).get('/api/vectors').set('X-API-Key', second).expect(429);
+
+    expect(res.body.error.message).toBe('User daily request quota of 1 exceeded');
+  });
+
+  it('answers 402 once the monthly embedding tokens are spent', async () => {
+    const user = await registerUser(app, 'tokens@example.com');
+    const key = (await createApiKey(app, user, { quotas: { monthlyEmbeddingTokens: 3 } })).key;
+
+    await generate(key, 'four words of text').expect(200);
+
+    const res = await generate(key, 'something new to embed').expect(402);
+    expect(res.body.error.code).toBe('EMBEDDING_QUOTA_EXCEEDED');
+  });
+
+  it('answers 402 past the stored-memory quota', async () => {
+    const user = await registerUser(app, 'memories@example.com');
+    const key = (await createApiKey(app, user, { permissions: PERSONA_PERMISSIONS, quotas: { maxMemories: 2 } })).key;
+    const personaId = await createPersona(key);
+
+    await addMemory(key, personaId, 'the first memory').expect(201);
+    await addMemory(key, personaId, 'the second memory').expect(201);
+
+    const res = await addMemory(key, personaId, 'the third memory').expect(402);
+    expect(res.body.error).toMatchObject({
+      code: 'MEMORY_QUOTA_EXCEEDED',
+      message: 'API key memory quota exceeded: 2 of 2 memories stored'
+    });
+  });
+
+  it('reports usage per user and per key', async () => {
+    const user = await registerUser(app, 'report@example.com');
+    const key = await createApiKey(app, user, { permissions: PERSONA_PERMISSIONS, quotas: { dailyRequests: 100 } });
+    const personaId = await createPersona(key.key);
+
+    await addMemory(key.key, personaId, 'metered memory content').expect(201);
+
+    const res = await request(app)
+      .get('/auth/usage')
+      .set('Authorization', `Bearer ${user.accessToken}`)
+      .expect(200);
+
+    const { user: userUsage, apiKeys, history } = res.body.data;
+
+    expect(userUsage.today).toMatchObject({ requests: 2, embeddingTokens: 3, memoriesStored: 1 });
+    expect(userUsage.storedMemories).toBe(1);
+    expect(apiKeys).toHaveLength(1);
+    expect(apiKeys[0]).toMatchObject({
+      id: key.id,
+      quotas: { dailyRequests: 100, monthlyRequests: 0 },
+      today: { requests: 2, memoriesStored: 1 },
+      storedMemories: 1
+    });
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ requests: 2, embeddingTokens: 3 });
+  });
+});
@@ -0,0 +1,189 @@
+const request = require('supertest');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const { startTestServer, stopTestServer, registerUser, createApiKey } = require('../helpers/testServer');
+
+describe('Vector routes', () => {
+  let server;
+  let app;
+  let alice;
+  let bob;
+  let alicePersona;
+
+  const as = (user) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${user.accessToken}`),
+    post: (url) => request(app).post(url).set('Authorization', `Bearer ${user.accessToken}`),
+    put: (url) => request(app).put(url).set('Authorization', `Bearer ${user.accessToken}`),
+    delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${user.accessToken}`)
+  });
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    app = server.app;
+
+    alice = await registerUser(app, 'alice@example.com');
+    bob = await registerUser(app, 'bob@example.com');
+
+    const personaKey = (await createApiKey(app, alice, { permissions: ['personas:write'] })).key;
+    alicePersona = (await request(app).post('/api/personas').set('X-API-Key', personaKey).send({ name: 'Notes' }).expect(201)).body.data.id;
+
+    await as(alice).post('/api/vectors').send({ id: 'alice-1', vector: [1, 0, 0, 0], metadata: { label: 'secret' } }).expect(201);
+    await as(bob).post('/api/vectors').send({ id: 'bob-1', vector: [0.9, 0.1, 0, 0] }).expect(201);
+  });
+
+  afterAll(async () => {
+    await stopTestServer(server);
+    removeDataDir(dataDir);
+  });
+
+  it('requires authentication', async () => {
+    await request(app).get('/api/vectors/alice-1').expect(401);
+  });
+
+  it('lets the owner read, update and delete a vector', async () => {
+    await as(alice).post('/api/vectors').send({ id: 'alice-2', vector: [0, 1, 0, 0] }).expect(201);
+
+    const res = await as(alice).get('/api/vectors/alice-2').expect(200);
+    expect(res.body.data.id).toBe('alice-2');
+
+    await as(alice).put('/api/vectors/alice-2').send({ vector: [0, 0, 1, 0], metadata: { personaId: alicePersona } }).expect(200);
+    const updated = await as(alice).get('/api/vectors/alice-2?include_metadata=true').expect(200);
+    expect(updated.body.data.metadata).toMatchObject({ persona_id: alicePersona, customMetadata: { personaId: alicePersona } });
+
+    await as(alice).delete('/api/vectors/alice-2').expect(200);
+    await as(alice).get('/api/vectors/alice-2').expect(404);
+  });
+
+  it('enforces API key permissions', async () => {
+    const readOnlyKey = (await createApiKey(app, alice, { permissions: ['vectors:read'] })).key;
+
+    await request(app).get('/api/vectors/alice-1').set('X-API-Key', readOnlyKey).expect(200);
+    await request(app).post('/api/vectors').set('X-API-Key', readOnlyKey).send({ vector: [0, 0, 0, 1] }).expect(403);
+    await request(app).delete('/api/vectors/alice-1').set('X-API-Key', readOnlyKey).expect(403);
+  });
+
+  describe("another user's vectors", () => {
+    it('cannot be read', async () => {
+      const res = await as(bob).get('/api/vectors/alice-1').expect(404);
+
+      expect(res.body.error).toBe('VECTOR_NOT_FOUND');
+      expect(JSON.stringify(res.body)).not.toContain('secret');
+    });
+
+    it('cannot be updated or deleted', async () => {
+      await as(bob).put('/api/vectors/alice-1').send({ vector: [0, 0, 0, 1] }).expect(404);
+      await as(bob).delete('/api/vectors/alice-1').expect(404);
+
+      const res = await as(alice).get('/api/vectors/alice-1?include_metadata=true').expect(200);
+      expect(res.body.data.metadata.customMetadata.label).toBe('secret');
+    });
+
+    it('are left out of search results and listings', async () => {
+      const search = await as(bob).post('/api/vectors/search').send({ query: [1, 0, 0, 0], limit: 10 }).expect(200);
+      expect(search.body.data.matches.map(match => match.id)).toEqual(['bob-1']);
+
+      const list = await as(bob).get('/api/vectors').expect(200);
+      expect(list.body.data.vectors.map(vector => vector.id)).toEqual(['bob-1']);
+    });
+
+    it("cannot be replaced by inserting under the same id", async () => {
+      const taken = await as(bob).post('/api/vectors').send({ id: 'alice-1', vector: [0, 0, 0, 1] }).expect(400);
+      const own = await as(alice).post('/api/vectors').send({ id: 'alice-1', vector: [0, 0, 0, 1] }).expect(400);
+
+      // The same answer whoever holds the id, so it does not reveal that the vector exists
+      expect(taken.body).toEqual({
+        status: 'error',
+        error: 'INVALID_VECTOR_ID',
+        message: "Vector id 'alice-1' cannot be used; choose another or omit it to have one generated"
+      });
+      expect(own.body).toEqual(taken.body);
+    });
+
+    it('cannot be replaced through a batch insert', async () => {
+      const res = await as(bob)
+        .post('/api/vectors/batch')
+        .send({ vectors: [{ id: 'alice-1', vector: [0, 0, 0, 1] }, { id: 'bob-2', vector: [0, 0, 1, 0] }] })
+        .expect(207);
+
+      expect(res.body.data.summary).toEqual({ total: 2, successful: 1, failed: 1 });
+      expect(res.body.data.errors).toEqual([
+        { id: 'alice-1', error: "Vector id 'alice-1' cannot be used; choose another or omit it to have one generated" }
+      ]);
+
+      const original = await as(alice).get('/api/vectors/alice-1?include_metadata=true').expect(200);
+      expect(original.body.data.metadata.customMetadata.label).toBe('secret');
+    });
+  });
+
+  describe("another user's persona", () => {
+    const refused = (personaId) => ({
+      status: 'error',
+      error: 'INVALID_PERSONA_ID',
+      message: `Persona '${personaId}' not found`
+    });
+
+    it('cannot tag a new vector', async () => {
+      const res = await as(bob)
+        .post('/api/vectors')
+        .send({ vector: [0, 0, 0, 1], metadata: { personaId: alicePersona } })
+        .expect(400);
+
+      expect(res.body).toEqual(refused(alicePersona));
+
+      // Reads the same as a persona that does not exist
+      const unknown = await as(bob).post('/api/vectors').send({ vector: [0, 0, 0, 1], metadata: { personaId: 'nope' } }).expect(400);
+      expect(unknown.body).toEqual(refused('nope'));
+    });
+
+    it('cannot tag an existing vector', async () => {
+      await as(bob).put('/api/vectors/bob-1').send({ vector: [0, 0, 0, 1], metadata: { personaId: alicePersona } }).expect(400);
+
+      const res = await as(bob).get('/api/vectors/bob-1?include_metadata=true').expect(200);
+      expect(res.body.data.metadata.persona_id).toBeNull();
+    });
+
+    it('cannot tag vectors in a batch', async () => {
+      const res = await as(bob)
+        .post('/api/vectors/batch')
+        .send({ vectors: [
+          { id: 'bob-tagged', vector: [0, 0, 0, 1], metadata: { personaId: alicePersona } },
+          { id: 'bob-3', vector: [0, 0, 1, 0] }
+        ] })
+        .expect(207);
+
+      expect(res.body.data.summary).toEqual({ total: 2, successful: 1, failed: 1 });
+      expect(res.body.data.errors).toEqual([{ id: 'bob-tagged', error: `Persona '${alicePersona}' not found` }]);
+    });
+
+    it('cannot tag a stored embedding', async () => {
+      const res = await as(bob)
+        .post('/api/embeddings/store')
+        .send({ text: 'the spare key is in the safe', metadata: { personaId: alicePersona } })
+        .expect(400);
+
+      expect(res.body).toEqual(refused(alicePersona));
+    });
+  });
+
+  describe('search filters', () => {
+    it('applies the filter language', async () => {
+      await as(alice).post('/api/vectors').send({ id: 'alice-3', vector: [1, 0.1, 0, 0], metadata: { priority: 3 } }).expect(201);
+
+      const res = await as(alice)
+        .post('/api/vectors/search')
+        .send({ query: [1, 0, 0, 0], limit: 10, filters: { priority: { $gte: 2 } } })
+        .expect(200);
+
+      expect(res.body.data.matches.map(match => match.id)).toEqual(['alice-3']);
+    });
+
+    it('rejects a malformed filter', async () => {
+      await as(alice)
+        .post('/api/vectors/search')
+        .send({ query: [1, 0, 0, 0], filters: { priority: { $regex: 'a' } } })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const IndexedVectorStore = require('../../src/services/IndexedVectorStore');
+const { randomVectors, recallAt } = require('../helpers/vectors');
+
+const DIMENSIONS = 16;
+
+describe('IndexedVectorStore', () => {
+  const vectors = randomVectors(300, DIMENSIONS, 3);
+  const queries = randomVectors(5, DIMENSIONS, 4);
+
+  const createStore = (indexOptions = {}) => new IndexedVectorStore(16, DIMENSIONS, indexOptions);
+
+  const fillStore = (store) => {
+    vectors.forEach((vector, i) => store.addVector(vector, `v${i}`, { position: i }));
+    return store;
+  };
+
+  afterAll(() => {
+    removeDataDir(dataDir);
+  });
+
+  describe('index types', () => {
+    it.each(['hnsw', 'lsh', 'flat'])('searches through a %s index and reports it in the stats', (indexType) => {
+      const store = fillStore(createStore({ indexType }));
+
+      expect(store.search(vectors[7], { limit: 1 })[0].id).toBe('v7');
+      expect(store.getStats().index.type).toBe(indexType);
+    });
+  });
+
+  describe('filtered search', () => {
+    it('answers a selective filter from the index without a linear scan', () => {
+      const store = createStore();
+      vectors.forEach((vector, i) => store.addVector(vector, `v${i}`, { personaId: `p${i % 10}` }));
+
+      const results = store.search(queries[0], { limit: 5, filters: { personaId: 'p3' } });
+
+      expect(results).toHaveLength(5);
+      expect(results.every(result => result.metadata.personaId === 'p3')).toBe(true);
+      expect(store.getStats().searchPerformance).toMatchObject({ indexSearches: 1, linearSearches: 0 });
+    });
+
+    it('returns an empty result without a linear scan when nothing matches', () => {
+      const store = fillStore(createStore());
+
+      expect(store.search(queries[0], { limit: 5, filters: { position: -1 } })).toEqual([]);
+      expect(store.getStats().searchPerformance).toMatchObject({ indexSearches: 1, linearSearches: 0 });
+    });
+
+    it('only falls back to a linear scan after an index failure in small stores', () => {
+      const failIndex = (store) => jest.spyOn(store.index, 'search').mockImplementation(() => {
+        throw new Error('index unavailable');
+      });
+
+      const small = fillStore(createStore());
+      failIndex(small);
+      expect(small.search(vectors[7], { limit: 1 })[0].id).toBe('v7');
+      expect(small.getStats().searchPerformance.linearSearches).toBe(1);
+
+      const large = fillStore(createStore({ linearFallbackLimit: 200 }));
+      failIndex(large);
+      expect(() => large.search(vectors[7], { limit: 1 })).toThrow('index unavailable');
+    });
+  });
+
+  describe('quantization', () => {
+    const quantizedStore = (type) => {
+      const store = fillStore(createStore({ quantization: { type, trainingSize: 200 } }));
+      store.setFullPrecisionSource(async (ids) => new Map(ids.map(id => [id, Float32Array.from(vectors[id.slice(1)])])));
+      return store;
+    };
+
+    const recall = async (store, options) => {
+      const results = [];
+      for (const query of queries) {
+        results.push((await store.searchWithRerank(query, { limit: 10, ...options })).map(hit => Number(hit.id.slice(1))));
+      }
+
+      let i = 0;
+      return recallAt(vectors, queries, 10, () => results[i++]);
+    };
+
+    it.each(['int8', 'pq'])('trains the %s quantizer and compresses stored vectors', (type) => {
+      const store = quantizedStore(type);
+      const stats = store.getStats();
+
+      expect(stats.quantization).toMatchObject({ type, pendingTraining: 0 });
+      expect(stats.maxVectors).toBeGreaterThan(createStore().getStats().maxVectors * 3);
+    });
+
+    it('keeps int8 search close to exact', async () => {
+      expect(await recall(quantizedStore('int8'), { rerank: false })).toBeGreaterThanOrEqual(0.8);
+    });
+
+    it('recovers product quantization recall with a full-precision rerank', async () => {
+      const store = quantizedStore('pq');
+
+      const approximate = await recall(store, { rerank: false });
+      const reranked = await recall(store, { rerank: true });
+
+      expect(reranked).toBeGreaterThanOrEqual(approximate);
+      expect(reranked).toBeGreaterThanOrEqual(0.95);
+    });
+  });
+
+  describe('snapshots', () => {
+    const snapshotPath = path.join(dataDir, 'store.snapshot');
+    let store;
+
+    beforeAll(async () => {
+      store = fillStore(createStore());
+      await store.saveSnapshot(snapshotPath);
+    });
+
+    it('restores vectors, metadata and search results', async () => {
+      const restored = createStore();
+
+      const result = await restored.loadSnapshot(snapshotPath);
+
+      expect(result).toMatchObject({ nodeCount: 300, rebuilt: false });
+      expect(restored.vectorCount).toBe(300);
+      expect(restored.getMetadata('v42')).toMatchObject({ position: 42 });
+      expect(Array.from(restored.getVector('v42'))).toEqual(Array.from(store.getVector('v42')));
+
+      for (const query of queries) {
+        const ids = (results) => results.map(hit => hit.id);
+        expect(ids(restored.search(query, { limit: 5 }))).toEqual(ids(store.search(query, { limit: 5 })));
+      }
+    });
+
+    it('rebuilds the index when the snapshot came from another index type', async () => {
+      const restored = createStore({ indexType: 'flat' });
+
+      const result = await restored.loadSnapshot(snapshotPath);
+
+      expect(result).toMatchObject({ rebuilt: true, snapshotIndexType: 'hnsw' });
+      expect(restored.vectorCount).toBe(300);
+    });
+
+    it('returns null when there is no snapshot', async () => {
+      await expect(createStore().loadSnapshot(path.join(dataDir, 'missing.snapshot'))).resolves.toBeNull();
+    });
+
+    it('refuses a corrupted snapshot', async () => {
+      const corruptPath = path.join(dataDir, 'corrupt.snapshot');
+      const data = fs.readFileSync(snapshotPath);
+      data[data.length - 100] ^= 0xff;
+      fs.writeFileSync(corruptPath, data);
+
+      await expect(createStore().loadSnapshot(corruptPath)).rejects.toThrow('Index snapshot checksum mismatch');
+    });
+
+    it('only loads into an empty store', async () => {
+      await expect(store.loadSnapshot(snapshotPath)).rejects.toThrow('empty vector store');
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment({ DEFAULT_DIMENSIONS: '64' });
+
+const DatabaseRepository = require('../../src/repositories/database');
+const IndexedVectorStore = require('../../src/services/IndexedVectorStore');
+const EmbeddingService = require('../../src/services/embedding/EmbeddingService');
+const EncryptionService = require('../../src/services/encryptionService');
+const PersonaMemoryManager = require('../../src/services/PersonaMemoryManager');
+const UserService = require('../../src/services/userService');
+const TestEmbeddingProvider = require('../helpers/TestEmbeddingProvider');
+
+const DIMENSIONS = 64;
+
+describe('PersonaMemoryManager', () => {
+  let database;
+  let provider = new TestEmbeddingProvider(DIMENSIONS);
+  let userId;
+
+  // A manager over a fresh vector store, as after a restart
+  const createManager = () => {
+    const embeddingService = new EmbeddingService();
+    embeddingService.registerProvider('local', provider);
+
+    return new PersonaMemoryManager(database, new IndexedVectorStore(16, DIMENSIONS), embeddingService);
+  };
+
+  beforeAll(async () => {
+    database = new DatabaseRepository();
+    await database.initialize();
+
+    const user = await new UserService(database).registerUser({
+      email: 'memories@example.com',
+      password: 'Passw0rd!Strong'
+    });
+    userId = user.id;
+  });
+
+  beforeEach(() => {
+    provider = new TestEmbeddingProvider(DIMENSIONS);
+  });
+
+  afterAll(async () => {
+    await database.close();
+    removeDataDir(dataDir);
+  });
+
+  describe('reloadMemoriesFromDatabase', () => {
+    let personaId;
+
+    beforeAll(async () => {
+      const manager = createManager();
+      const persona = await manager.createPersona(userId, { name: 'Reload' });
+      personaId = persona.id;
+
+      await manager.addMemory(personaId, 'the deploy runs every friday');
+      await manager.addMemory(personaId, 'coffee is brewed at nine');
+    });
+
+    it('restores persisted vectors without re-embedding', async () => {
+      const manager = createManager();
+
+      const result = await manager.reloadMemoriesFromDatabase();
+
+      expect(result).toMatchObject({ restored: 2, reembedded: 0, errors: 0 });
+      expect(provider.calls).toBe(0);
+      expect(manager.vectorStore.vectorCount).toBe(2);
+    });
+
+    it('re-embeds memories whose vector came from another model', async () => {
+      provider.model = 'test-model-v2';
+      const manager = createManager();
+
+      const result = await manager.reloadMemoriesFromDatabase();
+
+      expect(result).toMatchObject({ restored: 0, reembedded: 2, errors: 0 });
+      expect(provider.calls).toBe(2);
+
+      // The fresh vectors are persisted, so the next restart restores them
+      const again = await createManager().reloadMemoriesFromDatabase();
+      expect(again).toMatchObject({ restored: 2, reembedded: 0 });
+    });
+
+    it('returns the original vector after a restart', async () => {
+      const manager = createManager();
+      await manager.reloadMemoriesFromDatabase();
+
+      const [memory] = await database.searchVectorMetadata({ personaId });
+      const stored = await database.getVectorEmbedding(memory.id);
+      const restored = manager.vectorStore.getVector(memory.id);
+
+      expect(Array.from(restored)).toEqual(Array.from(stored.vector));
+    });
+  });
+
+  describe('search modes', () => {
+    let manager;
+    let personaId;
+
+    const contents = results => results.map(result => result.metadata.originalContent);
+
+    beforeAll(async () => {
+      manager = createManager();
+      const persona = await manager.createPersona(userId, { name: 'Search' });
+      personaId = persona.id;
+
+      await manager.addMemory(personaId, 'the failing build is tracked as ticket zq7734');
+      await manager.addMemory(personaId, 'deploys happen on friday afternoon');
+      await manager.addMemory(personaId, 'lunch is at noon on friday');
+    });
+
+    it('finds an exact identifier by keyword', async () => {
+      const results = await manager.retrieveRelevantMemories(personaId, 'zq7734', { mode: 'keyword' });
+
+      expect(contents(results)).toEqual(['the failing build is tracked as ticket zq7734']);
+      expect(results[0].score).toBeGreaterThan(0);
+    });
+
+    it('fuses keyword and semantic rankings in hybrid mode', async () => {
+      const results = await manager.retrieveRelevantMemories(personaId, 'friday deploys', {
+        mode: 'hybrid',
+        threshold: 0
+      });
+
+      expect(contents(results)[0]).toBe('deploys happen on friday afternoon');
+      expect(contents(results)).toContain('lunch is at noon on friday');
+    });
+
+    it('keeps keyword hits the semantic threshold would drop', async () => {
+      const semantic = await manager.retrieveRelevantMemories(personaId, 'zq7734 status', { threshold: 0.9 });
+      const hybrid = await manager.retrieveRelevantMemories(personaId, 'zq7734 status', { mode: 'hybrid', threshold: 0.9 });
+
+      expect(semantic).toEqual([]);
+      expect(contents(hybrid)).toEqual(['the failing build is tracked as ticket zq7734']);
+    });
+
+    it('only returns memories of the searched persona', async () => {
+      const other = await manager.createPersona(userId, { name: 'Other' });
+      await manager.addMemory(other.id, 'ticket zq7734 is closed');
+
+      const results = await manager.retrieveRelevantMemories(personaId, 'zq7734', { mode: 'keyword' });
+
+      expect(results.every(result => result.metadata.personaId === personaId)).toBe(true);
+    });
+
+    it('ignores vectors another user tagged with the persona', async () => {
+      const intruder = await new UserService(database).registerUser({
+        email: 'intruder@example.com',
+        password: 'Passw0rd!Strong'
+      });
+      const before = await manager.getPersonaMemoryStats(personaId, userId);
+
+      // What the vector routes stored before they checked persona ids
+      const content = 'ticket zq7734 was reassigned to the intruder';
+      const metadata = { personaId, userId: intruder.id, originalContent: content };
+      const { vector } = await provider.generateEmbedding(content);
+      await manager.vectorStore.addVector(vector, 'planted', metadata);
+      await database.insertVectorMetadata({
+        id: 'planted',
+        dimensions: DIMENSIONS,
+        personaId,
+        contentType: 'persona_memory',
+        source: 'api',
+        customMetadata: metadata,
+        userId: intruder.id
+      });
+
+      const keyword = await manager.retrieveRelevantMemories(personaId, 'zq7734', { mode: 'keyword' });
+      const semantic = await manager.retrieveRelevantMemories(personaId, content, { threshold: 0 });
+      const stats = await manager.getPersonaMemoryStats(personaId, userId);
+
+      expect(contents(keyword)).not.toContain(content);
+      expect(contents(semantic)).not.toContain(content);
+      expect(stats.totalMemories).toBe(before.totalMemories);
+    });
+
+    it('rejects an unknown mode', async () => {
+      await expect(manager.retrieveRelevantMemories(personaId, 'friday', { mode: 'fuzzy' }))
+        .rejects.toThrow("Unknown search mode 'fuzzy'");
+    });
+  });
+
+  describe('maximal marginal relevance', () => {
+    let manager;
+    let personaId;
+
+    const contents = results => results.map(result => result.metadata.originalContent);
+
+    beforeAll(async () => {
+      manager = createManager();
+      const persona = await manager.createPersona(userId, { name: 'Diverse' });
+      personaId = persona.id;
+
+      await manager.addMemory(personaId, 'coffee is brewed at nine in the kitchen');
+      await manager.addMemory(personaId, 'coffee is brewed at nine in the office kitchen');
+      await manager.addMemory(personaId, 'coffee is brewed at nine in the kitchen daily');
+      await manager.addMemory(personaId, 'the coffee order arrives on monday');
+    });
+
+    it('returns near-duplicates without MMR', async () => {
+      const results = await manager.retrieveRelevantMemories(personaId, 'coffee brewed kitchen', { limit: 2, threshold: 0 });
+
+      expect(contents(results).every(content => content.startsWith('coffee is brewed'))).toBe(true);
+    });
+
+    it('trades relevance for variety with MMR', async () => {
+      const results = await manager.retrieveRelevantMemories(personaId, 'coffee brewed kitchen', {
+        limit: 2,
+        threshold: 0,
+        mmr: true,
+        mmrLambda: 0.3
+      });
+
+      expect(contents(results)[0]).toMatch(/^coffee is brewed/);
+      expect(contents(results)[1]).toBe('the coffee order arrives on monday');
+    });
+
+    it('keeps the relevance order with a lambda of 1', async () => {
+      const options = { limit: 3, threshold: 0 };
+
+      const plain = await manager.retrieveRelevantMemories(personaId, 'coffee brewed kitchen', options);
+      const mmr = await manager.retrieveRelevantMemories(personaId, 'coffee brewed kitchen', { ...options, mmr: true, mmrLambda: 1 });
+
+      expect(contents(mmr)).toEqual(contents(plain));
+    });
+
+    it('rejects a lambda outside 0-1', async () => {
+      await expect(manager.retrieveRelevantMemories(personaId, 'coffee', { mmr: true, mmrLambda: 2 }))
+        .rejects.toThrow('MMR lambda must be between 0 and 1');
+    });
+  });
+
+  describe('encryption at rest', () => {
+    let plaintextEncryption;
+    let manager;
+    let personaId;
+    let memoryId;
+
+    beforeAll(async () => {
+      plaintextEncryption = database.encryption;
+      database.encryption = new EncryptionService(database.db, { masterKey: EncryptionService.generateMasterKey() });
+
+      manager = createManager();
+      const persona = await manager.createPersona(userId, { name: 'Encrypted' });
+      personaId = persona.id;
+
+      memoryId = (await manager.addMemory(personaId, 'the vault code is kept offline')).id;
+    });
+
+    afterAll(() => {
+      database.encryption = plaintextEncryption;
+    });
+
+    it('keeps memory content out of the vector store', () => {
+      expect(manager.vectorStore.getMetadata(memoryId).originalContent).toBeUndefined();
+    });
+
+    it('returns the decrypted content from semantic search', async () => {
+      const results = await manager.retrieveRelevantMemories(personaId, 'vault code', { threshold: 0 });
+
+      expect(results[0].metadata.originalContent).toBe('the vault code is kept offline');
+    });
+
+    it.each(['keyword', 'hybrid'])('rejects %s search', async (mode) => {
+      await expect(manager.retrieveRelevantMemories(personaId, 'vault', { mode }))
+        .rejects.toThrow(`Search mode '${mode}' is unavailable while encryption at rest is enabled`);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const DatabaseRepository = require('../../src/repositories/database');
+const SqliteRateLimitStore = require('../../src/services/SqliteRateLimitStore');
+
+const WINDOW_MS = 1000;
+const START = 1000 * WINDOW_MS;
+
+describe('SqliteRateLimitStore', () => {
+  let database;
+  let now;
+
+  const createStore = (prefix) => {
+    const store = new SqliteRateLimitStore({ getDatabase: () => database, prefix });
+    store.init({ windowMs: WINDOW_MS });
+    return store;
+  };
+
+  const hit = async (store, key, count = 1) => {
+    let info;
+    for (let i = 0; i < count; i++) {
+      info = await store.increment(key);
+    }
+    return info;
+  };
+
+  beforeAll(async () => {
+    database = new DatabaseRepository();
+    await database.initialize();
+  });
+
+  beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    database.db.prepare('DELETE FROM rate_limits').run();
+  });
+
+  afterAll(async () => {
+    await database.close();
+    removeDataDir(dataDir);
+  });
+
+  it('counts hits in the current window', async () => {
+    const store = createStore();
+
+    expect(await store.get('client')).toBeUndefined();
+
+    const info = await hit(store, 'client', 3);
+
+    expect(info.totalHits).toBe(3);
+    expect(info.resetTime.getTime()).toBe(START + WINDOW_MS);
+    expect((await store.get('client')).totalHits).toBe(3);
+  });
+
+  it('shares counters between stores on the same database', async () => {
+    await hit(createStore(), 'client', 2);
+
+    expect((await hit(createStore(), 'client')).totalHits).toBe(3);
+  });
+
+  it('weights the previous window by how much of it still counts', async () => {
+    const store = createStore();
+    await hit(store, 'client', 8);
+
+    now = START + WINDOW_MS * 1.25;
+    expect((await store.get('client')).totalHits).toBe(6);
+
+    now = START + WINDOW_MS * 1.75;
+    expect((await store.increment('client')).totalHits).toBe(1 + 2);
+
+    now = START + WINDOW_MS * 3;
+    expect((await store.get('client')).totalHits).toBe(0);
+  });
+
+  it('takes a hit back from the current window', async () => {
+    const store = createStore();
+    await hit(store, 'client', 2);
+
+    await store.decrement('client');
+
+    expect((await store.get('client')).totalHits).toBe(1);
+  });
+
+  it('takes a hit back from the previous window once the window has rolled on', async () => {
+    const store = createStore();
+    await hit(store, 'client', 4);
+
+    now = START + WINDOW_MS;
+    await createStore().increment('client');
+
+    now = START + WINDOW_MS * 1.5;
+    await store.decrement('client');
+
+    // The decremented hit was the one counted in the previous window: floor(3 * 0.5) + 1
+    expect((await store.get('client')).totalHits).toBe(2);
+  });
+
+  it('leaves hits alone once the window they were counted in no longer counts', async () => {
+    const store = createStore();
+    await store.increment('client');
+
+    now = START + WINDOW_MS * 2;
+    await createStore().increment('client');
+
+    await store.decrement('client');
+
+    expect((await store.get('client')).totalHits).toBe(1);
+  });
+
+  it('resets keys within its own prefix', async () => {
+    const store = createStore('api:');
+    const otherStore = createStore('auth:');
+
+    await hit(store, 'a');
+    await hit(store, 'b');
+    await hit(otherStore, 'a');
+
+    await store.resetKey('a');
+    expect(await store.get('a')).toBeUndefined();
+    expect((await store.get('b')).totalHits).toBe(1);
+
+    await store.resetAll();
+    expect(await store.get('b')).toBeUndefined();
+    expect((await otherStore.get('a')).totalHits).toBe(1);
+  });
+
+  it('prunes counters that no longer count', async () => {
+    const store = createStore();
+    await hit(store, 'old');
+
+    now = START + WINDOW_MS * 2;
+    await hit(store, 'new');
+
+    const result = await database.pruneRateLimits(now);
+
+    expect(result.changes).toBe(1);
+    expect((await store.get('new')).totalHits).toBe(1);
+  });
+
+  it('refuses to count before the database is open', async () => {
+    const store = new SqliteRateLimitStore({ getDatabase: () => null });
+    store.init({ windowMs: WINDOW_MS });
+
+    await expect(store.increment('client')).rejects.toThrow('Rate limit store used before the database was initialized');
+  });
+});
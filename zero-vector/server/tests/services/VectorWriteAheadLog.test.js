@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const IndexedVectorStore = require('../../src/services/IndexedVectorStore');
+const VectorWriteAheadLog = require('../../src/services/VectorWriteAheadLog');
+
+describe('VectorWriteAheadLog', () => {
+  let testCount = 0;
+  let walPath;
+  let snapshotPath;
+
+  const createStore = () => new IndexedVectorStore(16, 4);
+
+  const openLog = (minSequence = 0) => new VectorWriteAheadLog(walPath, { syncWrites: false }).open(minSequence);
+
+  // Boot the way CollectionManager does: snapshot first, then the journal on top
+  const recover = async () => {
+    const store = createStore();
+    const snapshot = await store.loadSnapshot(snapshotPath);
+    const walSequence = snapshot ? snapshot.walSequence : 0;
+    const wal = openLog(walSequence);
+
+    const replay = store.replayWriteAheadLog(wal.readEntries(walSequence));
+    store.setWriteAheadLog(wal);
+
+    return { store, wal, replay };
+  };
+
+  beforeEach(() => {
+    testCount++;
+    walPath = path.join(dataDir, `vectors-${testCount}.wal`);
+    snapshotPath = path.join(dataDir, `index-${testCount}.snapshot`);
+  });
+
+  afterAll(() => {
+    removeDataDir(dataDir);
+  });
+
+  it('recovers mutations made after the last snapshot', async () => {
+    const store = createStore();
+    const wal = openLog();
+    store.setWriteAheadLog(wal);
+
+    store.addVector([1, 0, 0, 0], 'a', { tag: 'first' });
+    store.addVector([0, 1, 0, 0], 'b');
+    await store.saveSnapshot(snapshotPath);
+
+    store.addVector([0, 0, 1, 0], 'c');
+    store.updateVector('a', [0, 0, 0, 1], { tag: 'updated' });
+    store.deleteVector('b');
+    wal.close(); // Crash: no snapshot after these
+
+    const { store: recovered, wal: recoveredWal, replay } = await recover();
+
+    expect(replay).toEqual({ applied: 3, failed: 0 });
+    expect(recovered.vectorCount).toBe(2);
+    expect(recovered.hasVector('b')).toBe(false);
+    expect(Array.from(recovered.getVector('c'))).toEqual([0, 0, 1, 0]);
+    expect(Array.from(recovered.getVector('a'))).toEqual([0, 0, 0, 1]);
+    expect(recovered.getMetadata('a').tag).toBe('updated');
+    recoveredWal.close();
+  });
+
+  it('drops the entries a snapshot covers', async () => {
+    const store = createStore();
+    const wal = openLog();
+    store.setWriteAheadLog(wal);
+
+    store.addVector([1, 0, 0, 0], 'a');
+    store.addVector([0, 1, 0, 0], 'b');
+    expect(wal.readEntries()).toHaveLength(2);
+
+    const snapshot = await store.saveSnapshot(snapshotPath);
+
+    expect(snapshot.walSequence).toBe(2);
+    expect(wal.readEntries()).toHaveLength(0);
+
+    // Numbering continues after the compacted entries
+    expect(wal.append('delete', 'a')).toBe(3);
+    wal.close();
+  });
+
+  it('flushes the compacted log and its directory before going on', () => {
+    const wal = openLog();
+    wal.append('add', 'a', [1, 0, 0, 0]);
+    wal.append('add', 'b', [0, 1, 0, 0]);
+
+    const fsync = jest.spyOn(fs, 'fsyncSync');
+    wal.compact(1);
+
+    // The temporary file before the rename, the directory after it
+    expect(fsync).toHaveBeenCalledTimes(2);
+    fsync.mockRestore();
+    expect(wal.readEntries().map(entry => entry.id)).toEqual(['b']);
+    wal.close();
+  });
+
+  it('keeps sequence numbers increasing across restarts', () => {
+    const wal = openLog();
+    wal.append('add', 'a', [1, 0, 0, 0]);
+    wal.append('add', 'b', [0, 1, 0, 0]);
+    wal.close();
+
+    const reopened = openLog();
+    expect(reopened.sequence).toBe(2);
+    expect(reopened.append('delete', 'a')).toBe(3);
+    reopened.close();
+  });
+
+  it('replays an entry twice without harm', () => {
+    const wal = openLog();
+    wal.append('add', 'a', [1, 0, 0, 0], { tag: 'x' });
+    wal.close();
+
+    const store = createStore();
+    const entries = openLog().readEntries();
+
+    store.replayWriteAheadLog(entries);
+    const replay = store.replayWriteAheadLog(entries);
+
+    expect(replay).toEqual({ applied: 1, failed: 0 });
+    expect(store.vectorCount).toBe(1);
+  });
+
+  it('ignores a torn write at the end of the log', () => {
+    const wal = openLog();
+    wal.append('add', 'a', [1, 0, 0, 0]);
+    wal.close();
+    fs.appendFileSync(walPath, '{"seq":2,"op":"add","id":"b","vec');
+
+    const entries = openLog().readEntries();
+
+    expect(entries.map(entry => entry.id)).toEqual(['a']);
+    expect(Array.from(entries[0].vector)).toEqual([1, 0, 0, 0]);
+  });
+
+  it('refuses a log corrupted before its last entry', () => {
+    const wal = openLog();
+    wal.append('add', 'a', [1, 0, 0, 0]);
+    wal.close();
+    fs.appendFileSync(walPath, 'garbage\n{"seq":3,"op":"delete","id":"a","ts":0}\n');
+
+    expect(() => openLog()).toThrow('Corrupt write-ahead log entry at line 2');
+  });
+});
@@ -0,0 +1,104 @@
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const DatabaseRepository = require('../../src/repositories/database');
+const ApiKeyService = require('../../src/services/apiKeyService');
+const UserService = require('../../src/services/userService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ApiKeyService', () => {
+  let database;
+  let apiKeyService;
+  let userId;
+
+  beforeAll(async () => {
+    database = new DatabaseRepository();
+    await database.initialize();
+    apiKeyService = new ApiKeyService(database);
+
+    const user = await new UserService(database).registerUser({
+      email: 'keys@example.com',
+      password: 'Passw0rd!Strong'
+    });
+    userId = user.id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await database.close();
+    removeDataDir(dataDir);
+  });
+
+  describe('rotateApiKey', () => {
+    let original;
+    let rotation;
+
+    beforeAll(async () => {
+      original = await apiKeyService.createApiKey(userId, {
+        name: 'MCP client',
+        permissions: ['personas:read'],
+        expiresInDays: 30
+      });
+      rotation = await apiKeyService.rotateApiKey(original.id, userId, { gracePeriodHours: 2 });
+    });
+
+    it('issues a successor with the same settings and expiry date', () => {
+      expect(rotation.apiKey).toMatchObject({
+        name: 'MCP client',
+        permissions: ['personas:read'],
+        rotatedFrom: original.id,
+        expiresAt: original.expiresAt
+      });
+      expect(rotation.apiKey.key).not.toBe(original.key);
+    });
+
+    it('keeps both keys valid during the grace period', async () => {
+      expect((await apiKeyService.validateApiKey(original.key)).id).toBe(original.id);
+      expect((await apiKeyService.validateApiKey(rotation.apiKey.key)).id).toBe(rotation.apiKey.id);
+    });
+
+    it('reports the old key as pending retirement', async () => {
+      const keys = await apiKeyService.listApiKeys(userId);
+      const previous = keys.find(key => key.id === original.id);
+
+      expect(previous).toMatchObject({ rotatedTo: rotation.apiKey.id, pendingRetirement: true });
+      expect(previous.retiresAt).toBe(rotation.previous.retiresAt);
+    });
+
+    it('refuses to rotate the same key twice', async () => {
+      await expect(apiKeyService.rotateApiKey(original.id, userId)).rejects.toThrow('API key has already been rotated');
+    });
+
+    it("refuses to rotate another user's key", async () => {
+      const other = await new UserService(database).registerUser({
+        email: 'other-keys@example.com',
+        password: 'Passw0rd!Strong'
+      });
+
+      await expect(apiKeyService.rotateApiKey(rotation.apiKey.id, other.id))
+        .rejects.toThrow('API key not found or not owned by user');
+    });
+
+    it('retires the old key once the grace period ends', async () => {
+      const later = Date.now() + 3 * HOUR;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      expect(await apiKeyService.validateApiKey(original.key)).toBeNull();
+      expect((await apiKeyService.validateApiKey(rotation.apiKey.key)).id).toBe(rotation.apiKey.id);
+    });
+
+    it('never lets the old key outlive its expiry date', async () => {
+      const shortLived = await apiKeyService.createApiKey(userId, { permissions: ['read'], expiresInDays: 1 });
+
+      const result = await apiKeyService.rotateApiKey(shortLived.id, userId, { gracePeriodHours: 48 });
+
+      expect(result.previous.retiresAt).toBe(shortLived.expiresAt);
+      expect(result.apiKey.expiresAt).toBe(shortLived.expiresAt);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const DatabaseRepository = require('../../src/repositories/database');
+const EncryptionService = require('../../src/services/encryptionService');
+const UserService = require('../../src/services/userService');
+
+describe('EncryptionService', () => {
+  const masterKey = EncryptionService.generateMasterKey();
+  let database;
+  let alice;
+  let bob;
+
+  const createService = (options = { masterKey }) => new EncryptionService(database.db, options);
+
+  beforeAll(async () => {
+    database = new DatabaseRepository();
+    await database.initialize();
+
+    const userService = new UserService(database);
+    alice = (await userService.registerUser({ email: 'alice@example.com', password: 'Passw0rd!Strong' })).id;
+    bob = (await userService.registerUser({ email: 'bob@example.com', password: 'Passw0rd!Strong' })).id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    removeDataDir(dataDir);
+  });
+
+  it('round-trips a value through a data key stored in the database', () => {
+    const sealed = createService().encrypt(alice, 'likes green tea', 'memory:1');
+
+    expect(sealed.startsWith(EncryptionService.PREFIX)).toBe(true);
+    expect(sealed).not.toContain('green tea');
+
+    // A fresh instance has no cached key and unwraps the stored one
+    expect(createService().decrypt(alice, sealed, 'memory:1')).toBe('likes green tea');
+  });
+
+  it('uses a fresh IV for every value', () => {
+    const service = createService();
+
+    expect(service.encrypt(alice, 'same text', 'memory:1')).not.toBe(service.encrypt(alice, 'same text', 'memory:1'));
+  });
+
+  it('refuses a value moved to another record', () => {
+    const service = createService();
+    const sealed = service.encrypt(alice, 'likes green tea', 'memory:1');
+
+    expect(() => service.decrypt(alice, sealed, 'memory:2')).toThrow();
+  });
+
+  it('refuses a tampered value', () => {
+    const service = createService();
+    const sealed = service.encrypt(alice, 'likes green tea', 'memory:1');
+    const [iv, tag, ciphertext] = sealed.slice(EncryptionService.PREFIX.length).split(':');
+    const flipped = Buffer.from(ciphertext, 'base64url');
+    flipped[0] ^= 1;
+
+    const tampered = `${EncryptionService.PREFIX}${iv}:${tag}:${flipped.toString('base64url')}`;
+
+    expect(() => service.decrypt(alice, tampered, 'memory:1')).toThrow('Unsupported state or unable to authenticate data');
+  });
+
+  it('gives every user their own data key', () => {
+    const service = createService();
+    const sealed = service.encrypt(alice, 'likes green tea', 'memory:1');
+
+    service.encrypt(bob, 'anything', 'memory:3');
+
+    expect(() => service.decrypt(bob, sealed, 'memory:1')).toThrow();
+  });
+
+  it('passes plaintext through', () => {
+    expect(createService().decrypt(alice, 'written before encryption', 'memory:1')).toBe('written before encryption');
+    expect(createService({}).encrypt(alice, 'not encrypted', 'memory:1')).toBe('not encrypted');
+  });
+
+  it('refuses encrypted data without a master key', () => {
+    const sealed = createService().encrypt(alice, 'likes green tea', 'memory:1');
+
+    expect(() => createService({}).decrypt(alice, sealed, 'memory:1'))
+      .toThrow('Encrypted data found but no ENCRYPTION_MASTER_KEY is configured');
+  });
+
+  describe('master key rotation', () => {
+    const newMasterKey = EncryptionService.generateMasterKey();
+    let sealed;
+
+    beforeAll(() => {
+      sealed = createService().encrypt(alice, 'likes green tea', 'memory:1');
+    });
+
+    it('needs the previous master key until the data keys are re-wrapped', () => {
+      expect(() => createService({ masterKey: newMasterKey }).decrypt(alice, sealed, 'memory:1'))
+        .toThrow('add it to ENCRYPTION_PREVIOUS_MASTER_KEYS');
+
+      const rotating = createService({ masterKey: newMasterKey, previousMasterKeys: [masterKey] });
+      expect(rotating.decrypt(alice, sealed, 'memory:1')).toBe('likes green tea');
+    });
+
+    it('re-wraps every data key without re-encrypting the content', () => {
+      const result = createService({ masterKey: newMasterKey, previousMasterKeys: [masterKey] }).rewrapDataKeys();
+
+      expect(result).toMatchObject({ rewrapped: 2, total: 2 });
+      expect(createService({ masterKey: newMasterKey }).decrypt(alice, sealed, 'memory:1')).toBe('likes green tea');
+      expect(() => createService().decrypt(alice, sealed, 'memory:1')).toThrow('unknown master key');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const DatabaseRepository = require('../../src/repositories/database');
+const SigningKeyService = require('../../src/services/signingKeyService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('SigningKeyService', () => {
+  let database;
+
+  const createService = (algorithm = 'ES256') => new SigningKeyService(database.db, {
+    algorithm,
+    rotationDays: 30,
+    retentionMs: 7 * DAY
+  });
+
+  const inDays = (days) => jest.spyOn(Date, 'now').mockReturnValue(Date.now() + days * DAY);
+
+  beforeEach(async () => {
+    database = new DatabaseRepository();
+    await database.initialize();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    database.db.prepare('DELETE FROM jwt_signing_keys').run();
+    await database.close();
+  });
+
+  afterAll(() => {
+    removeDataDir(dataDir);
+  });
+
+  it('creates a signing key on first use and reuses it', () => {
+    const service = createService();
+
+    const key = service.getCurrentKey();
+
+    expect(key).toMatchObject({ algorithm: 'ES256' });
+    expect(createService().getCurrentKey().kid).toBe(key.kid);
+  });
+
+  it('rotates once the key is due and keeps verifying with the old one', () => {
+    const service = createService();
+    const first = service.getCurrentKey();
+
+    inDays(31);
+    const second = service.getCurrentKey();
+
+    expect(second.kid).not.toBe(first.kid);
+    expect(service.getVerificationKey(first.kid)).not.toBeNull();
+    expect(service.listKeys().find(key => key.kid === first.kid).current).toBe(false);
+  });
+
+  it('stops verifying with a key after its retention period', () => {
+    const service = createService();
+    const first = service.getCurrentKey();
+    const now = Date.now();
+    service.rotate();
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 8 * DAY);
+
+    expect(service.getVerificationKey(first.kid)).toBeNull();
+    expect(service.getJwks().keys.map(key => key.kid)).not.toContain(first.kid);
+  });
+
+  it('publishes public keys only', () => {
+    const service = createService('RS256');
+    const { kid } = service.getCurrentKey();
+
+    const [jwk] = service.getJwks().keys;
+
+    expect(jwk).toMatchObject({ kid, alg: 'RS256', use: 'sig', kty: 'RSA' });
+    expect(jwk).not.toHaveProperty('d');
+  });
+
+  it('does not sign with a key of another algorithm', () => {
+    const rsaKey = createService('RS256').getCurrentKey();
+
+    const ecKey = createService('ES256').getCurrentKey();
+
+    expect(ecKey.kid).not.toBe(rsaKey.kid);
+    expect(ecKey.algorithm).toBe('ES256');
+  });
+
+  it('requires an asymmetric algorithm', () => {
+    expect(() => createService('HS256')).toThrow('Signing keys require one of: RS256, ES256');
+  });
+});
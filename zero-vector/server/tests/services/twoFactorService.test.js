@@ -0,0 +1,116 @@
+const { useTestEnvironment, removeDataDir } = require('../helpers/testEnvironment');
+
+const dataDir = useTestEnvironment();
+
+const DatabaseRepository = require('../../src/repositories/database');
+const TwoFactorService = require('../../src/services/twoFactorService');
+const UserService = require('../../src/services/userService');
+const totp = require('../../src/utils/totp');
+
+describe('TwoFactorService', () => {
+  let database;
+  let twoFactorService;
+  let userCount = 0;
+
+  const createUser = () => new UserService(database).registerUser({
+    email: `two-factor-${++userCount}@example.com`,
+    password: 'Passw0rd!Strong'
+  });
+
+  // Enroll with the code of the previous step, leaving the current one unused
+  const enroll = async (user) => {
+    const { secret } = await twoFactorService.beginEnrollment(user);
+    const recoveryCodes = await twoFactorService.confirmEnrollment(
+      user.id,
+      totp.generateCode(secret, totp.getTimeStep() - 1)
+    );
+    return { secret, recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    database = new DatabaseRepository();
+    await database.initialize();
+    twoFactorService = new TwoFactorService(database);
+  });
+
+  afterAll(async () => {
+    await database.close();
+    removeDataDir(dataDir);
+  });
+
+  it('only enables two-factor once a code confirms the secret', async () => {
+    const user = await createUser();
+    const { secret, otpauthUri } = await twoFactorService.beginEnrollment(user);
+
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(await twoFactorService.getStatus(user.id)).toMatchObject({ enabled: false, pending: true });
+
+    await expect(twoFactorService.confirmEnrollment(user.id, '000000')).rejects.toThrow('Invalid two-factor code');
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user.id, totp.generateCode(secret));
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+    expect(await twoFactorService.getStatus(user.id)).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+  });
+
+  it('refuses to start over while enabled', async () => {
+    const user = await createUser();
+    await enroll(user);
+
+    await expect(twoFactorService.beginEnrollment(user)).rejects.toThrow('Two-factor authentication is already enabled');
+  });
+
+  it('accepts a TOTP code once', async () => {
+    const user = await createUser();
+    const { secret } = await enroll(user);
+    const code = totp.generateCode(secret);
+
+    expect(await twoFactorService.verify(user.id, code)).toBe('totp');
+    expect(await twoFactorService.verify(user.id, code)).toBeNull();
+  });
+
+  it('rejects a code from before the last one used', async () => {
+    const user = await createUser();
+    const { secret } = await enroll(user);
+
+    expect(await twoFactorService.verify(user.id, totp.generateCode(secret, totp.getTimeStep() + 1))).toBe('totp');
+    expect(await twoFactorService.verify(user.id, totp.generateCode(secret))).toBeNull();
+  });
+
+  it('accepts each recovery code once, however it is typed', async () => {
+    const user = await createUser();
+    const { recoveryCodes } = await enroll(user);
+    const typed = ` ${recoveryCodes[0].toUpperCase().replace('-', '')} `;
+
+    expect(await twoFactorService.verify(user.id, typed)).toBe('recovery_code');
+    expect(await twoFactorService.verify(user.id, recoveryCodes[0])).toBeNull();
+    expect((await twoFactorService.getStatus(user.id)).recoveryCodesRemaining).toBe(9);
+  });
+
+  it('invalidates old recovery codes when new ones are generated', async () => {
+    const user = await createUser();
+    const { recoveryCodes } = await enroll(user);
+
+    await twoFactorService.regenerateRecoveryCodes(user.id);
+
+    expect(await twoFactorService.verify(user.id, recoveryCodes[0])).toBeNull();
+  });
+
+  it("does not accept another user's codes", async () => {
+    const alice = await createUser();
+    const bob = await createUser();
+    const { recoveryCodes } = await enroll(alice);
+    await enroll(bob);
+
+    expect(await twoFactorService.verify(bob.id, recoveryCodes[0])).toBeNull();
+  });
+
+  it('verifies nothing once disabled', async () => {
+    const user = await createUser();
+    const { recoveryCodes } = await enroll(user);
+
+    expect(await twoFactorService.disable(user.id)).toBe(true);
+    expect(await twoFactorService.verify(user.id, recoveryCodes[0])).toBeNull();
+  });
+});
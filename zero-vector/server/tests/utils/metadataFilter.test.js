@@ -0,0 +1,91 @@
+const { validateFilter, compileFilter, matchesFilter } = require('../../src/utils/metadataFilter');
+
+describe('metadataFilter', () => {
+  const memory = {
+    personaId: 'p1',
+    memoryType: 'fact',
+    importance: 0.7,
+    timestamp: 1700000000000,
+    tags: ['work', 'urgent'],
+    source: { channel: 'email' }
+  };
+
+  describe('matchesFilter', () => {
+    it.each([
+      [{ personaId: 'p1' }, true],
+      [{ personaId: 'p2' }, false],
+      [{ importance: { $gte: 0.5, $lt: 0.8 } }, true],
+      [{ importance: { $gt: 0.7 } }, false],
+      [{ timestamp: { $lte: 1700000000000 } }, true],
+      [{ memoryType: { $in: ['fact', 'preference'] } }, true],
+      [{ memoryType: { $nin: ['fact'] } }, false],
+      [{ memoryType: { $ne: 'conversation' } }, true],
+      [{ speaker: { $exists: false } }, true],
+      [{ tags: { $exists: true } }, true],
+      [{ tags: { $contains: 'work' } }, true],
+      [{ tags: { $contains: ['work', 'personal'] } }, false],
+      [{ tags: 'urgent' }, true],
+      [{ 'source.channel': 'email' }, true],
+      [{ 'source.missing.deeper': { $exists: true } }, false],
+      [{ $or: [{ memoryType: 'preference' }, { importance: { $gt: 0.5 } }] }, true],
+      [{ $and: [{ personaId: 'p1' }, { memoryType: 'preference' }] }, false],
+      [{ $not: { memoryType: 'fact' } }, false],
+      [{ importance: { $not: { $lt: 0.5 } } }, true]
+    ])('evaluates %j as %s', (filter, expected) => {
+      expect(matchesFilter(memory, filter)).toBe(expected);
+    });
+
+    it('does not compare values of different types', () => {
+      expect(matchesFilter({ importance: '0.9' }, { importance: { $gt: 0.5 } })).toBe(false);
+    });
+
+    it('matches everything with an empty filter', () => {
+      expect(compileFilter({})(memory)).toBe(true);
+      expect(compileFilter(null)(undefined)).toBe(true);
+    });
+  });
+
+  describe('validateFilter', () => {
+    const messages = (filter) => validateFilter(filter).map(error => error.message);
+
+    it('accepts a valid filter', () => {
+      expect(validateFilter({
+        personaId: 'p1',
+        importance: { $gte: 0.5 },
+        $or: [{ tags: { $contains: ['a', 'b'] } }, { speaker: { $exists: true } }]
+      })).toEqual([]);
+      expect(validateFilter(undefined)).toEqual([]);
+    });
+
+    it.each([
+      [[], 'Filter must be an object'],
+      [{ $nor: [] }, "Unknown logical operator '$nor' (expected one of: $and, $or, $not)"],
+      [{ $or: [] }, '$or must be a non-empty array of filters'],
+      [{ tags: { $regex: 'a' } }, "Unknown operator '$regex'"],
+      [{ tags: { $in: 'a' } }, '$in requires an array'],
+      [{ tags: { $exists: 'yes' } }, '$exists requires a boolean'],
+      [{ importance: { $gt: null } }, '$gt requires a finite number or a string'],
+      [{ tags: { $contains: [] } }, '$contains requires a scalar or a non-empty array of scalars'],
+      [{ importance: { $not: 0.5 } }, '$not on a field requires an operator object'],
+      [{ importance: { $gt: 1, value: 2 } }, 'Operators cannot be mixed with plain fields'],
+      [{ 'source..channel': 'email' }, 'Field path must not be empty or contain empty segments']
+    ])('rejects %j', (filter, message) => {
+      expect(messages(filter)[0]).toContain(message);
+    });
+
+    it('reports the path of the offending operator', () => {
+      const [error] = validateFilter({ $and: [{ personaId: 'p1' }, { tags: { $in: 'a' } }] });
+
+      expect(error.path).toEqual(['filters', '$and', '1', 'tags', '$in']);
+    });
+
+    it('limits nesting depth', () => {
+      let filter = { personaId: 'p1' };
+      for (let i = 0; i < 20; i++) {
+        filter = { $not: filter };
+      }
+
+      expect(messages(filter)[0]).toMatch(/nested more than 16 levels/);
+    });
+  });
+});
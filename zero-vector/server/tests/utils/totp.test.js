@@ -0,0 +1,42 @@
+const totp = require('../../src/utils/totp');
+
+describe('totp', () => {
+  // RFC 6238 appendix B test secret, "12345678901234567890"
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('encodes and decodes base32', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode('gezd gnbv-gy3t qojq====').toString()).toBe('1234567890');
+    expect(() => totp.base32Decode('GEZD1')).toThrow("Invalid base32 character '1'");
+  });
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(totp.generateCode(secret, totp.getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  it('accepts one step of clock drift either way', () => {
+    const timestamp = 1111111109 * 1000;
+    const step = totp.getTimeStep(timestamp);
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { timestamp })).toBe(step - 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step + 1), { timestamp })).toBe(step + 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step + 2), { timestamp })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(totp.verifyCode(secret, '12345')).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+    expect(totp.verifyCode(secret, undefined)).toBeNull();
+  });
+
+  it('builds an otpauth URI', () => {
+    const uri = totp.buildOtpauthUri({ secret, accountName: 'a@example.com', issuer: 'Zero-Vector' });
+
+    expect(uri).toBe(`otpauth://totp/Zero-Vector%3Aa%40example.com?secret=${secret}&issuer=Zero-Vector&algorithm=SHA1&digits=6&period=30`);
+  });
+});